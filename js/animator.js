@@ -0,0 +1,225 @@
+/**
+ * Sprite Animation System for Mario Style Platformer
+ * Plays frame sequences from a SpriteAtlas for an entity's state
+ */
+
+/**
+ * Animator Class
+ * Maps entity states ("idle", "running", ...) to the frame sequences of a
+ * sprite set, advances frames by their per-frame durations and handles
+ * facing-based flipping and the invincibility flash.
+ * Animations are looked up from the atlas when needed, so an animator can be
+ * created before the atlas has been loaded.
+ */
+class Animator {
+  constructor(atlas, spriteSet, options = {}) {
+    this.atlas = atlas;
+    this.spriteSet = spriteSet;
+
+    // Playback state
+    this.state = options.state || "idle";
+    this.frameIndex = 0;
+    this.frameTimer = 0;
+    this.isFinished = false; // Non-looping animation reached its last frame
+
+    // Facing (sprites are drawn facing baseFacing)
+    this.baseFacing = options.baseFacing || "right";
+    this.facing = this.baseFacing;
+
+    // Invincibility flash
+    this.isFlashing = false;
+    this.flashTimer = 0;
+    this.flashInterval = options.flashInterval || 100; // ms visible, then hidden
+  }
+
+  /**
+   * Create an animator on the shared sprite atlas
+   * @param {string} spriteSet - Sprite set name ("player", "coin", ...)
+   * @param {Object} options - Animator options
+   * @returns {Animator} - New animator
+   */
+  static forSpriteSet(spriteSet, options = {}) {
+    const atlas = typeof spriteAtlas !== "undefined" ? spriteAtlas : null;
+    return new Animator(atlas, spriteSet, options);
+  }
+
+  /**
+   * Get the animation for a state, falling back to the sprite set's "idle"
+   * @param {string} state - State name
+   * @returns {Object|null} - Animation { frames, loop }, or null if the
+   *   sprite set has no animation for the state
+   */
+  getAnimation(state = this.state) {
+    if (!this.atlas) return null;
+
+    const animations = this.atlas.getAnimations(this.spriteSet);
+    if (!animations) return null;
+
+    const animation = animations[state] || animations.idle;
+    if (!animation || !animation.frames || animation.frames.length === 0) {
+      return null;
+    }
+    return animation;
+  }
+
+  /**
+   * Switch to a state's animation (restarts only when the state changes)
+   * @param {string} state - State name
+   */
+  setState(state) {
+    if (state === this.state) return;
+
+    this.state = state;
+    this.frameIndex = 0;
+    this.frameTimer = 0;
+    this.isFinished = false;
+  }
+
+  /**
+   * Set the facing direction
+   * @param {string} facing - "left" or "right"
+   */
+  setFacing(facing) {
+    this.facing = facing;
+  }
+
+  /**
+   * Turn the invincibility flash on or off
+   * @param {boolean} flashing - Whether the sprite should flash
+   */
+  setFlashing(flashing) {
+    if (flashing === this.isFlashing) return;
+
+    this.isFlashing = flashing;
+    this.flashTimer = 0;
+  }
+
+  /**
+   * Advance the animation
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  update(deltaTime) {
+    if (this.isFlashing) {
+      this.flashTimer += deltaTime;
+    }
+
+    const animation = this.getAnimation();
+    if (!animation || this.isFinished) return;
+
+    this.frameTimer += deltaTime;
+
+    // Advance as many frames as the elapsed time covers
+    let frameDuration = Math.max(1, animation.frames[this.frameIndex].duration);
+    while (this.frameTimer >= frameDuration) {
+      this.frameTimer -= frameDuration;
+
+      if (this.frameIndex < animation.frames.length - 1) {
+        this.frameIndex++;
+      } else if (animation.loop) {
+        this.frameIndex = 0;
+      } else {
+        this.frameTimer = 0;
+        this.isFinished = true;
+        break;
+      }
+
+      frameDuration = Math.max(1, animation.frames[this.frameIndex].duration);
+    }
+  }
+
+  /**
+   * Get the name of the frame to draw
+   * @returns {string|null} - Frame name, or null without an animation
+   */
+  getCurrentFrame() {
+    const animation = this.getAnimation();
+    if (!animation) return null;
+
+    const index = Math.min(this.frameIndex, animation.frames.length - 1);
+    return animation.frames[index].frame;
+  }
+
+  /**
+   * Check whether the frame should be flipped horizontally
+   * @returns {boolean} - True when facing away from the sprite's direction
+   */
+  isFlipped() {
+    return this.facing !== this.baseFacing;
+  }
+
+  /**
+   * Check whether the sprite is in the visible half of the flash cycle
+   * @returns {boolean} - False while flashed out
+   */
+  isVisible() {
+    if (!this.isFlashing) return true;
+    return Math.floor(this.flashTimer / this.flashInterval) % 2 === 0;
+  }
+
+  /**
+   * Check whether the current frame can be drawn
+   * @returns {boolean} - True if the atlas is loaded and has the frame
+   */
+  canRender() {
+    if (!this.atlas || !this.atlas.isReady()) return false;
+
+    const frame = this.getCurrentFrame();
+    return frame !== null && this.atlas.hasFrame(frame);
+  }
+
+  /**
+   * Draw the current frame
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Destination x position
+   * @param {number} y - Destination y position
+   * @param {number} width - Destination width
+   * @param {number} height - Destination height
+   * @returns {boolean} - True if the sprite handled rendering (including
+   *   flashed-out frames); false means the caller should draw its shapes
+   */
+  render(ctx, x, y, width, height) {
+    if (!this.canRender()) return false;
+    if (!this.isVisible()) return true;
+
+    return this.atlas.drawFrame(
+      ctx,
+      this.getCurrentFrame(),
+      x,
+      y,
+      width,
+      height,
+      this.isFlipped()
+    );
+  }
+
+  /**
+   * Reset playback to the start of the current state
+   */
+  reset() {
+    this.frameIndex = 0;
+    this.frameTimer = 0;
+    this.isFinished = false;
+    this.facing = this.baseFacing;
+    this.setFlashing(false);
+  }
+
+  /**
+   * Get animator state data
+   * @returns {Object} - Current animator state
+   */
+  getState() {
+    return {
+      spriteSet: this.spriteSet,
+      state: this.state,
+      frame: this.getCurrentFrame(),
+      frameIndex: this.frameIndex,
+      flipped: this.isFlipped(),
+      flashing: this.isFlashing,
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Animator;
+}
@@ -22,12 +22,21 @@ class AudioManager {
 
     // Current background music
     this.currentBGM = null;
+    this.currentBGMName = null;
     this.bgmFadeInterval = null;
+    this.musicFade = null; // Crossfade in progress { from, to, fromVolume, startTime, duration }
 
     // Sound instance pools for better performance
     this.soundPools = new Map();
     this.maxPoolSize = 5;
 
+    // Chiptune synthesizer for generated sound effects
+    this.synth = typeof SoundSynth !== "undefined" ? new SoundSynth() : null;
+    this.musicSequencer =
+      this.synth && typeof MusicSequencer !== "undefined"
+        ? new MusicSequencer(this.synth)
+        : null;
+
     // Loading state
     this.isInitialized = false;
     this.loadingPromises = new Map();
@@ -143,6 +152,107 @@ class AudioManager {
     }
   }
 
+  /**
+   * Generate a sound effect with the synthesizer
+   * Replaces any sound already loaded under the name, so each sound name can
+   * be switched to a different descriptor at any time.
+   * @param {string} name - Unique identifier for the sound
+   * @param {Object} descriptor - Sound descriptor (see sound-data.js)
+   * @param {Object} options - Loading options
+   */
+  async loadSynthSound(name, descriptor, options = {}) {
+    if (!this.synth) {
+      console.warn(`Cannot generate sound '${name}': synthesizer unavailable`);
+      return null;
+    }
+
+    try {
+      let audioData;
+      if (this.audioContext && typeof SynthVoice !== "undefined") {
+        // Render at the context's rate and play through Web Audio
+        const pcm = this.synth.renderPCM(
+          descriptor,
+          this.audioContext.sampleRate
+        );
+        audioData = new SynthVoice(
+          this.audioContext,
+          this.synth.createBuffer(this.audioContext, pcm)
+        );
+        audioData.volume = this._calculateVolume("sfx");
+      } else {
+        // HTML5 Audio fallback plays the samples as a WAV data URL
+        const pcm = this.synth.renderPCM(descriptor);
+        audioData = await this._loadAudioFile(
+          this.synth.encodeWav(pcm, this.synth.sampleRate),
+          "sfx",
+          options
+        );
+      }
+
+      this.sounds.set(name, audioData);
+      this.soundPools.delete(name);
+
+      // Create sound pool for frequently used sounds
+      if (options.pooled !== false) {
+        this._createSoundPool(name, audioData);
+      }
+
+      console.log(`Sound '${name}' generated successfully`);
+      return audioData;
+    } catch (error) {
+      console.error(`Failed to generate sound '${name}':`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate background music with the sequencer
+   * @param {string} name - Unique identifier for the music
+   * @param {Object} track - Track definition (see music-data.js)
+   * @param {Object} options - { hurry } renders the faster hurry variant
+   */
+  async loadSynthMusic(name, track, options = {}) {
+    if (!this.musicSequencer) {
+      console.warn(`Cannot generate music '${name}': sequencer unavailable`);
+      return null;
+    }
+
+    try {
+      const loop = track.loop !== false;
+      let audioData;
+      if (this.audioContext && typeof SynthVoice !== "undefined") {
+        const pcm = this.musicSequencer.renderTrack(track, {
+          hurry: options.hurry,
+          sampleRate: this.audioContext.sampleRate,
+        });
+        audioData = new SynthVoice(
+          this.audioContext,
+          this.synth.createBuffer(this.audioContext, pcm)
+        );
+        audioData.loop = loop;
+      } else {
+        // A lower rate keeps the HTML5 Audio data URL small
+        const sampleRate = 22050;
+        const pcm = this.musicSequencer.renderTrack(track, {
+          hurry: options.hurry,
+          sampleRate,
+        });
+        audioData = await this._loadAudioFile(
+          this.synth.encodeWav(pcm, sampleRate),
+          "music",
+          { loop }
+        );
+      }
+
+      this.music.set(name, audioData);
+      console.log(`Music '${name}' generated successfully`);
+      return audioData;
+    } catch (error) {
+      console.error(`Failed to generate music '${name}':`, error);
+      throw error;
+    }
+  }
+
   /**
    * Play a sound effect
    * @param {string} name - Name of the sound to play
@@ -184,7 +294,8 @@ class AudioManager {
   /**
    * Play background music
    * @param {string} name - Name of the music to play
-   * @param {Object} options - Playback options
+   * @param {Object} options - Playback options; fadeDuration (ms) crossfades
+   *   from the current music, restart replays a track that is already playing
    */
   playMusic(name, options = {}) {
     if (!this.isInitialized) {
@@ -198,16 +309,32 @@ class AudioManager {
       return null;
     }
 
-    // Stop current BGM if playing
-    if (this.currentBGM && !this.currentBGM.paused) {
+    const isPlaying = this.currentBGM && !this.currentBGM.paused;
+
+    // Keep the track going if it is already playing
+    if (isPlaying && this.currentBGMName === name && !options.restart) {
+      return this.currentBGM;
+    }
+
+    // Crossfade from the current BGM, or stop it
+    const fadeDuration = options.fadeDuration || 0;
+    const previousBGM = isPlaying && fadeDuration > 0 ? this.currentBGM : null;
+    if (previousBGM) {
+      this._finishMusicFade();
+    } else if (isPlaying) {
       this.stopMusic();
     }
 
     try {
       this.currentBGM = this._playAudioData(musicData, "music", {
         ...options,
-        loop: true,
+        loop: options.loop !== undefined ? options.loop : musicData.loop,
       });
+      this.currentBGMName = name;
+
+      if (previousBGM) {
+        this._startMusicFade(previousBGM, this.currentBGM, fadeDuration);
+      }
 
       console.log(`Playing music: ${name}`);
       return this.currentBGM;
@@ -221,11 +348,14 @@ class AudioManager {
    * Stop current background music
    */
   stopMusic() {
+    this._finishMusicFade();
+
     if (this.currentBGM) {
       try {
         this.currentBGM.pause();
         this.currentBGM.currentTime = 0;
         this.currentBGM = null;
+        this.currentBGMName = null;
         console.log("Background music stopped");
       } catch (error) {
         console.error("Failed to stop music:", error);
@@ -237,6 +367,8 @@ class AudioManager {
    * Pause current background music
    */
   pauseMusic() {
+    this._finishMusicFade();
+
     if (this.currentBGM && !this.currentBGM.paused) {
       try {
         this.currentBGM.pause();
@@ -484,6 +616,62 @@ class AudioManager {
     return this.volumes.master * (this.volumes[type] || 1.0);
   }
 
+  /**
+   * Private method to start crossfading between two music instances
+   * @private
+   */
+  _startMusicFade(from, to, duration) {
+    to.volume = 0;
+    this.musicFade = {
+      from,
+      to,
+      fromVolume: from.volume,
+      startTime: performance.now(),
+      duration,
+    };
+    this.bgmFadeInterval = setInterval(() => this._updateMusicFade(), 50);
+  }
+
+  /**
+   * Private method to advance the crossfade
+   * @private
+   */
+  _updateMusicFade() {
+    if (!this.musicFade) return;
+
+    const { from, to, fromVolume, startTime, duration } = this.musicFade;
+    const progress = Math.min(1, (performance.now() - startTime) / duration);
+
+    from.volume = fromVolume * (1 - progress);
+    to.volume = this._calculateVolume("music") * progress;
+
+    if (progress >= 1) {
+      this._finishMusicFade();
+    }
+  }
+
+  /**
+   * Private method to end the crossfade (stops the old music)
+   * @private
+   */
+  _finishMusicFade() {
+    if (this.bgmFadeInterval) {
+      clearInterval(this.bgmFadeInterval);
+      this.bgmFadeInterval = null;
+    }
+
+    if (!this.musicFade) return;
+
+    const { from, to } = this.musicFade;
+    this.musicFade = null;
+
+    from.pause();
+    from.currentTime = 0;
+    if (to === this.currentBGM) {
+      to.volume = this._calculateVolume("music");
+    }
+  }
+
   /**
    * Private method to create sound pool
    * @private
@@ -571,3 +759,8 @@ class AudioManager {
     console.log("AudioManager destroyed");
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AudioManager;
+}
@@ -12,6 +12,7 @@ class Camera {
     // Camera position (top-left corner of viewport)
     this.x = 0;
     this.y = 0;
+    this.followY = 0; // Vertical position before the look offset is added
 
     // Viewport dimensions
     this.width = canvasWidth;
@@ -23,16 +24,33 @@ class Camera {
 
     // Camera follow settings
     this.followTarget = null; // Target to follow (usually player)
+    this.followTargets = []; // Every followed target (co-op follows both players)
     this.followOffset = {
       x: canvasWidth / 3, // Keep player at 1/3 from left edge
       y: canvasHeight / 2, // Keep player vertically centered
     };
 
+    // Co-op leash: how close to the screen edges followed targets may get,
+    // which limits how far apart they can move (see getLeashDistance)
+    this.leashMargin = 48;
+
     // Smooth movement settings
     this.smoothing = 0.1; // Lower = smoother, higher = more responsive
     this.deadZone = {
       width: 100, // Horizontal dead zone around follow point
-      height: 50, // Vertical dead zone around follow point
+      height: 200, // Vertical dead zone around follow point
+    };
+    this.verticalSmoothing = 0.2; // Catch-up rate once outside the dead zone
+
+    // Looking up or down: after the look key has been held for the delay,
+    // the follow point eases toward an offset of the look distance
+    this.look = {
+      direction: 0, // -1 up, 0 level, 1 down
+      heldTime: 0,
+      delay: 400, // milliseconds
+      distance: 160, // pixels
+      offset: 0,
+      smoothing: 0.08,
     };
 
     // Boundary limits
@@ -62,10 +80,57 @@ class Camera {
    * @param {Object} target - Target object with position property
    */
   setFollowTarget(target) {
-    this.followTarget = target;
+    this.setFollowTargets(target ? [target] : []);
     console.log("Camera follow target set");
   }
 
+  /**
+   * Follow several targets at once, framing the midpoint between them
+   * A single target keeps the usual 1/3 screen offset; several are centered
+   * so there is room on both sides.
+   * @param {Array} targets - Target objects with position properties
+   */
+  setFollowTargets(targets) {
+    this.followTargets = (targets || []).filter(Boolean);
+    this.followTarget = this.followTargets[0] || null;
+    this.followOffset.x =
+      this.followTargets.length > 1 ? this.width / 2 : this.width / 3;
+  }
+
+  /**
+   * Get the point the camera follows
+   * Targets that are dead are left out while another target is alive.
+   * @returns {Object|null} - { x, y } world position, or null without targets
+   */
+  getFollowPoint() {
+    const targets = this.followTargets.filter(
+      (target) => target && target.position
+    );
+    if (targets.length === 0) return null;
+
+    const living = targets.filter((target) => !target.isDead);
+    const framed = living.length > 0 ? living : targets;
+
+    const point = { x: 0, y: 0 };
+    for (const target of framed) {
+      point.x += target.position.x;
+      point.y += target.position.y;
+    }
+    point.x /= framed.length;
+    point.y /= framed.length;
+    return point;
+  }
+
+  /**
+   * Get how far apart (left edge to left edge) followed targets may be while
+   * both stay on screen
+   * @param {number} targetWidth - Width of the targets
+   * @returns {number} - Maximum horizontal distance in pixels
+   */
+  getLeashDistance(targetWidth = 0) {
+    return Math.max(0, this.width - this.leashMargin * 2 - targetWidth);
+  }
+
   /**
    * Update camera position
    * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
@@ -74,6 +139,9 @@ class Camera {
     // Update camera shake if active
     this.updateShake(deltaTime);
 
+    // Ease the look-up/look-down offset
+    this.updateLook(deltaTime);
+
     // Follow target if set
     if (this.followTarget) {
       this.followTargetSmooth(deltaTime);
@@ -88,24 +156,19 @@ class Camera {
    * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
    */
   followTargetSmooth(deltaTime) {
-    if (!this.followTarget || !this.followTarget.position) return;
-
-    const target = this.followTarget.position;
+    const target = this.getFollowPoint();
+    if (!target) return;
 
     // Calculate desired camera position
     const desiredX = target.x - this.followOffset.x;
-    const desiredY = target.y - this.followOffset.y;
 
     // Calculate current follow point on screen
     const currentFollowX = this.x + this.followOffset.x;
-    const currentFollowY = this.y + this.followOffset.y;
 
     // Check if target is outside dead zone
     const deltaX = target.x - currentFollowX;
-    const deltaY = target.y - currentFollowY;
 
     let newX = this.x;
-    let newY = this.y;
 
     // Horizontal movement with dead zone
     if (Math.abs(deltaX) > this.deadZone.width / 2) {
@@ -113,15 +176,65 @@ class Camera {
       newX = this.lerp(this.x, targetX, this.smoothing);
     }
 
-    // Vertical movement with dead zone (optional, can be disabled for platformers)
-    if (Math.abs(deltaY) > this.deadZone.height / 2) {
-      const targetY = desiredY;
-      newY = this.lerp(this.y, targetY, this.smoothing * 0.5); // Slower vertical following
-    }
-
     // Update camera position
     this.x = newX;
-    this.y = newY;
+    this.followY = this.getFollowY(target.y);
+    this.y = this.followY + this.look.offset;
+  }
+
+  /**
+   * Get the next vertical follow position (before the look offset)
+   * The target moves freely inside the vertical dead zone, so jumps don't
+   * bob the view; past its edges the camera catches up until the target
+   * is back at the edge.
+   * @param {number} targetY - World y of the follow point
+   * @returns {number} - Camera y without the look offset
+   */
+  getFollowY(targetY) {
+    const center = this.followY + this.followOffset.y;
+    const halfZone = this.deadZone.height / 2;
+
+    let excess = 0;
+    if (targetY < center - halfZone) {
+      excess = targetY - (center - halfZone);
+    } else if (targetY > center + halfZone) {
+      excess = targetY - (center + halfZone);
+    }
+
+    const followY = this.followY + excess * this.verticalSmoothing;
+    return Math.max(this.bounds.top, Math.min(this.bounds.bottom, followY));
+  }
+
+  /**
+   * Set the direction the followed player is looking
+   * @param {number} direction - -1 to look up, 1 to look down, 0 to stop
+   */
+  setLookDirection(direction) {
+    const next = Math.sign(direction || 0);
+    if (next !== this.look.direction) {
+      this.look.direction = next;
+      this.look.heldTime = 0;
+    }
+  }
+
+  /**
+   * Ease the look offset toward the held look direction
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  updateLook(deltaTime) {
+    this.look.heldTime += deltaTime;
+
+    const looking =
+      this.look.direction !== 0 && this.look.heldTime >= this.look.delay;
+    const targetOffset = looking ? this.look.direction * this.look.distance : 0;
+    this.look.offset = this.lerp(
+      this.look.offset,
+      targetOffset,
+      this.look.smoothing
+    );
+    if (Math.abs(this.look.offset - targetOffset) < 0.5) {
+      this.look.offset = targetOffset;
+    }
   }
 
   /**
@@ -141,6 +254,10 @@ class Camera {
     } else if (this.y > this.bounds.bottom) {
       this.y = this.bounds.bottom;
     }
+    this.followY = Math.max(
+      this.bounds.top,
+      Math.min(this.bounds.bottom, this.followY)
+    );
   }
 
   /**
@@ -260,9 +377,26 @@ class Camera {
   setPosition(x, y) {
     this.x = x;
     this.y = y;
+    this.followY = y - this.look.offset;
     this.applyBoundaryConstraints();
   }
 
+  /**
+   * Jump straight to the follow target without smoothing (e.g. after a respawn)
+   * Any look offset is dropped so the view starts level.
+   */
+  snapToTarget() {
+    const target = this.getFollowPoint();
+    if (!target) return;
+
+    this.look.offset = 0;
+    this.look.heldTime = 0;
+    this.setPosition(
+      target.x - this.followOffset.x,
+      target.y - this.followOffset.y
+    );
+  }
+
   /**
    * Move camera by offset
    * @param {number} deltaX - X offset
@@ -271,6 +405,7 @@ class Camera {
   move(deltaX, deltaY) {
     this.x += deltaX;
     this.y += deltaY;
+    this.followY += deltaY;
     this.applyBoundaryConstraints();
   }
 
@@ -340,6 +475,10 @@ class Camera {
   reset() {
     this.x = 0;
     this.y = 0;
+    this.followY = 0;
+    this.look.direction = 0;
+    this.look.heldTime = 0;
+    this.look.offset = 0;
     this.shake.timer = 0;
     this.shake.offsetX = 0;
     this.shake.offsetY = 0;
@@ -355,8 +494,13 @@ class Camera {
       position: { x: Math.round(pos.x), y: Math.round(pos.y) },
       bounds: this.bounds,
       followTarget: this.followTarget ? "Set" : "None",
+      followTargets: this.followTargets.length,
       smoothing: this.smoothing,
       deadZone: this.deadZone,
+      look: {
+        direction: this.look.direction,
+        offset: Math.round(this.look.offset),
+      },
       shake: {
         active: this.shake.timer > 0,
         intensity: this.shake.intensity,
@@ -365,3 +509,8 @@ class Camera {
     };
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Camera;
+}
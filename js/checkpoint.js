@@ -0,0 +1,142 @@
+/**
+ * Checkpoint System for Mario Style Platformer
+ * Mid-stage flags that move the player's respawn point forward
+ */
+
+/**
+ * Checkpoint Class
+ * A flag that records where (and when) the player respawns after a death.
+ * Reuses Goal's flag rendering; the flag turns green once activated.
+ */
+class Checkpoint extends Goal {
+  constructor(x, y, width = 40, height = 80, respawnPoint = null) {
+    super(x, y, width, height);
+
+    this.type = "flag";
+    this.scoreBonus = 0;
+
+    // Flag colors
+    this.inactiveFlagColor = "#9E9E9E"; // Grey until touched
+    this.activeFlagColor = "#00C853"; // Green once activated
+    this.flagColor = this.inactiveFlagColor;
+
+    // Grey/green flag colors need the drawn flag, not the goal sprite
+    this.animator = null;
+
+    // Where the player reappears (defaults to standing at the flag pole)
+    this.respawnPoint = respawnPoint
+      ? { x: respawnPoint.x, y: respawnPoint.y }
+      : { x: x + width / 2 - 16, y: y + height - 32 };
+
+    // Activation state
+    this.isActivated = false;
+    this.activationTime = null; // Stage time elapsed (seconds) when touched
+  }
+
+  /**
+   * Update checkpoint animations (the flag only waves once activated)
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  update(deltaTime) {
+    if (!this.isActivated) return;
+
+    super.update(deltaTime);
+  }
+
+  /**
+   * Activate the checkpoint
+   * @param {Object} player - Player who touched the checkpoint
+   * @param {number} elapsedTime - Stage time elapsed in seconds
+   * @returns {Object|null} - Activation data, or null if already active
+   */
+  activate(player, elapsedTime = 0) {
+    if (this.isActivated || !player) {
+      return null;
+    }
+
+    this.isActivated = true;
+    this.activationTime = elapsedTime;
+    this.flagColor = this.activeFlagColor;
+
+    console.log(
+      `Checkpoint activated at (${this.respawnPoint.x}, ${this.respawnPoint.y})`
+    );
+
+    return {
+      type: "checkpoint",
+      checkpoint: this,
+      respawnPoint: { ...this.respawnPoint },
+      elapsedTime: elapsedTime,
+    };
+  }
+
+  /**
+   * Render the checkpoint flag
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  render(ctx) {
+    if (!ctx) return;
+
+    this.renderFlag(ctx, this.position.x, this.position.y);
+
+    if (this.isActivated) {
+      this.renderGlow(ctx, this.position.x, this.position.y);
+    }
+  }
+
+  /**
+   * Reset checkpoint to its inactive state
+   */
+  reset() {
+    super.reset();
+    this.isActivated = false;
+    this.activationTime = null;
+    this.flagColor = this.inactiveFlagColor;
+  }
+
+  /**
+   * Get checkpoint state data
+   * @returns {Object} - Current checkpoint state
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      isActivated: this.isActivated,
+      activationTime: this.activationTime,
+      respawnPoint: { ...this.respawnPoint },
+    };
+  }
+
+  /**
+   * Get checkpoint data for serialization
+   * @returns {Object} - Checkpoint definition (JSON stage format)
+   */
+  getCheckpointData() {
+    return {
+      position: { ...this.position },
+      size: { ...this.size },
+      respawn: { ...this.respawnPoint },
+    };
+  }
+
+  /**
+   * Create a checkpoint from a checkpoint definition
+   * @param {Object} checkpointData - Checkpoint definition (JSON stage format)
+   * @returns {Checkpoint} - New checkpoint
+   */
+  static createFromData(checkpointData) {
+    const size = checkpointData.size || {};
+    return new Checkpoint(
+      checkpointData.position.x,
+      checkpointData.position.y,
+      size.width,
+      size.height,
+      checkpointData.respawn || null
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Checkpoint;
+}
@@ -0,0 +1,1272 @@
+/**
+ * Editor Scene Implementation
+ * In-game level editor that builds stages in the JSON stage format
+ */
+
+// Placement grid in pixels (positions and sizes snap to it)
+const EDITOR_GRID_SIZE = 16;
+
+// Camera panning speed with the arrow keys (pixels per second)
+const EDITOR_PAN_SPEED = 600;
+
+// Undo steps kept
+const EDITOR_HISTORY_LIMIT = 100;
+
+// Stage number of new editor stages (clear of the built-in stages)
+const EDITOR_STAGE_ID = 100;
+
+// Height of the toolbar and the action bar; the stage view is between them
+const EDITOR_BAR_HEIGHT = 40;
+
+// Size of the resize handle at a selection's bottom-right corner
+const EDITOR_HANDLE_SIZE = 10;
+
+/**
+ * Placement tools in toolbar order (number keys 1-9 pick them)
+ * - kind: what the tool places ("platform", "item" or "goal")
+ * - size: size of a newly placed platform
+ */
+const EDITOR_TOOLS = [
+  {
+    id: "solid",
+    label: "Solid",
+    kind: "platform",
+    size: { width: 128, height: 32 },
+  },
+  {
+    id: "passthrough",
+    label: "Pass",
+    kind: "platform",
+    size: { width: 96, height: 16 },
+  },
+  {
+    id: "moving",
+    label: "Moving",
+    kind: "platform",
+    size: { width: 96, height: 16 },
+  },
+  {
+    id: "hazard",
+    label: "Hazard",
+    kind: "platform",
+    size: { width: 64, height: 16 },
+  },
+  {
+    id: "question",
+    label: "?",
+    kind: "platform",
+    size: { width: 32, height: 32 },
+  },
+  {
+    id: "brick",
+    label: "Brick",
+    kind: "platform",
+    size: { width: 32, height: 32 },
+  },
+  { id: "coin", label: "Coin", kind: "item" },
+  { id: "powerup", label: "Power-up", kind: "item" },
+  { id: "goal", label: "Goal", kind: "goal" },
+];
+
+/**
+ * EditorScene Class
+ * Places, moves, resizes and deletes platforms, items and the goal on a
+ * snapped grid. The stage being edited is plain stage data in the form
+ * returned by Stage.getStageData(), and every edit can be undone. The view
+ * is a Stage built from that data, so it looks the way the game loads it.
+ *
+ * Mouse: click to place with the current tool, click an object to select
+ * it, drag to move it, drag its corner handle to resize it.
+ * Keys: 1-9 tools, arrows pan, Delete removes the selection, Ctrl+Z undo,
+ * Ctrl+Y (or Ctrl+Shift+Z) redo, G generate, V check the layout,
+ * T play-test, ESC back to the menu.
+ */
+class EditorScene extends Scene {
+  constructor(gameEngine) {
+    super("editor", gameEngine);
+
+    // Stage being edited and the Stage and items drawn from it
+    this.stageData = null;
+    this.previewStage = null;
+    this.previewItems = [];
+
+    // Editing state
+    this.currentTool = EDITOR_TOOLS[0];
+    this.selection = null; // { kind: "platform" | "item" | "goal", index }
+    this.drag = null; // { mode: "move" | "resize", startX, startY, origin, before }
+    this.undoStack = [];
+    this.redoStack = [];
+    this.hasUnsavedChanges = false;
+
+    // View position in the stage and the snapped point under the mouse
+    this.camera = { x: 0, y: 0 };
+    this.cursor = null;
+
+    // UI elements
+    this.toolButtons = [];
+    this.actionButtons = [];
+    this.hoveredButton = null;
+
+    // Ignore keys briefly so the press that ended a play-test is not also
+    // handled by the editor
+    this.elapsedTime = 0;
+    this.inputDelay = 200;
+
+    console.log("EditorScene initialized");
+  }
+
+  /**
+   * Initialize the editor scene
+   */
+  init(data = {}) {
+    super.init(data);
+
+    // Open the last saved editor stage, or start a new one
+    const saveSystem = this.gameEngine.getSaveSystem();
+    const savedStage = saveSystem ? saveSystem.loadEditorStage() : null;
+    this.setStageData(savedStage || EditorScene.createBlankStageData());
+
+    // Create UI elements
+    this.createUIElements();
+
+    // Set up event listeners
+    this.setupEventListeners();
+  }
+
+  /**
+   * Enter the editor scene
+   * @param {Object} data - playTestOutcome is set when returning from a
+   *   play-test ("clear", "gameover" or "quit")
+   */
+  enter(data = {}) {
+    super.enter(data);
+
+    this.drag = null;
+    this.hoveredButton = null;
+    this.elapsedTime = 0;
+
+    if (data.playTestOutcome === "clear") {
+      this.showMessage("Stage cleared!", "success");
+    } else if (data.playTestOutcome === "gameover") {
+      this.showMessage("Out of lives", "warning");
+    }
+  }
+
+  /**
+   * Create a new stage: ground along the bottom and the goal at the end
+   * @returns {Object} - Stage definition (JSON stage format)
+   */
+  static createBlankStageData() {
+    return {
+      id: EDITOR_STAGE_ID,
+      name: "Custom Stage",
+      width: 2400,
+      height: 600,
+      timeLimit: 300,
+      music: "overworld",
+      theme: DEFAULT_THEME,
+      spawn: { x: 96, y: 400 },
+      platforms: [
+        {
+          position: { x: 0, y: 512 },
+          size: { width: 2400, height: 88 },
+          type: "solid",
+        },
+      ],
+      items: [],
+      enemies: [],
+      checkpoints: [],
+      goal: {
+        position: { x: 2240, y: 432 },
+        size: { width: 60, height: 80 },
+        type: "flag",
+      },
+    };
+  }
+
+  /**
+   * Create toolbar and action bar buttons
+   */
+  createUIElements() {
+    const canvas = this.gameEngine.canvas;
+    const buttonWidth = 80;
+    const spacing = 4;
+
+    this.toolButtons = EDITOR_TOOLS.map((tool, index) => ({
+      id: tool.id,
+      text: `${index + 1} ${tool.label}`,
+      tool: tool,
+      x: spacing + index * (buttonWidth + spacing),
+      y: spacing,
+      width: buttonWidth,
+      height: EDITOR_BAR_HEIGHT - spacing * 2,
+    }));
+
+    const actions = [
+      { id: "new", text: "New" },
+      { id: "undo", text: "Undo" },
+      { id: "redo", text: "Redo" },
+      { id: "delete", text: "Delete" },
+      { id: "save", text: "Save" },
+      { id: "load", text: "Load" },
+      { id: "generate", text: "Generate (G)" },
+      { id: "playtest", text: "Play Test (T)" },
+      { id: "back", text: "Back" },
+    ];
+    const actionWidth = 84;
+    this.actionButtons = actions.map((action, index) => ({
+      ...action,
+      x: spacing + index * (actionWidth + spacing),
+      y: canvas.height - EDITOR_BAR_HEIGHT + spacing,
+      width: actionWidth,
+      height: EDITOR_BAR_HEIGHT - spacing * 2,
+    }));
+  }
+
+  /**
+   * Set up event listeners for mouse interaction
+   */
+  setupEventListeners() {
+    const canvas = this.gameEngine.canvas;
+
+    // Mouse move handler
+    this.mouseMoveHandler = (event) => {
+      if (!this.isActive) return;
+
+      const rect = canvas.getBoundingClientRect();
+      this.handleMouseMove(event.clientX - rect.left, event.clientY - rect.top);
+    };
+
+    // Mouse down handler
+    this.mouseDownHandler = (event) => {
+      if (!this.isActive) return;
+
+      const rect = canvas.getBoundingClientRect();
+      this.handleMouseDown(event.clientX - rect.left, event.clientY - rect.top);
+    };
+
+    // Mouse up handler
+    this.mouseUpHandler = (event) => {
+      if (!this.isActive) return;
+
+      const rect = canvas.getBoundingClientRect();
+      this.handleMouseUp(event.clientX - rect.left, event.clientY - rect.top);
+    };
+
+    // Add event listeners
+    canvas.addEventListener("mousemove", this.mouseMoveHandler);
+    canvas.addEventListener("mousedown", this.mouseDownHandler);
+    canvas.addEventListener("mouseup", this.mouseUpHandler);
+  }
+
+  /**
+   * Handle mouse movement: hover buttons, track the cursor and drag
+   */
+  handleMouseMove(mouseX, mouseY) {
+    this.hoveredButton = this.getButtonAt(mouseX, mouseY);
+
+    const world = this.screenToWorld(mouseX, mouseY);
+    this.cursor = { x: this.snap(world.x), y: this.snap(world.y) };
+
+    if (this.drag) {
+      this.applyDrag(world.x, world.y);
+    }
+  }
+
+  /**
+   * Handle mouse down: press a button, grab an object or place a new one
+   */
+  handleMouseDown(mouseX, mouseY) {
+    const button = this.getButtonAt(mouseX, mouseY);
+    if (button) {
+      this.handleButtonClick(button);
+      return;
+    }
+    if (!this.isPointInView(mouseY)) return;
+
+    const world = this.screenToWorld(mouseX, mouseY);
+
+    // The selection's corner handle resizes it
+    if (this.isPointInResizeHandle(world.x, world.y)) {
+      this.startDrag("resize", world.x, world.y);
+      return;
+    }
+
+    const target = this.getObjectAt(world.x, world.y);
+    if (target) {
+      this.selection = target;
+      this.startDrag("move", world.x, world.y);
+    } else {
+      this.placeObject(world.x, world.y);
+    }
+  }
+
+  /**
+   * Handle mouse up: finish a drag as one undoable edit
+   */
+  handleMouseUp(mouseX, mouseY) {
+    if (!this.drag) return;
+
+    const before = this.drag.before;
+    this.drag = null;
+    if (this.createSnapshot() !== before) {
+      this.pushHistory(before);
+      this.hasUnsavedChanges = true;
+    }
+  }
+
+  /**
+   * Check if point is in button area
+   */
+  isPointInButton(x, y, button) {
+    return (
+      x >= button.x &&
+      x <= button.x + button.width &&
+      y >= button.y &&
+      y <= button.y + button.height
+    );
+  }
+
+  /**
+   * Find the toolbar or action button under a point
+   * @returns {Object|null} - Button, or null outside the buttons
+   */
+  getButtonAt(x, y) {
+    const buttons = [...this.toolButtons, ...this.actionButtons];
+    return buttons.find((button) => this.isPointInButton(x, y, button)) || null;
+  }
+
+  /**
+   * Check whether a screen Y coordinate is in the stage view (between the
+   * toolbar and the action bar)
+   */
+  isPointInView(y) {
+    return (
+      y >= EDITOR_BAR_HEIGHT &&
+      y < this.gameEngine.canvas.height - EDITOR_BAR_HEIGHT
+    );
+  }
+
+  /**
+   * Handle button click
+   */
+  handleButtonClick(button) {
+    if (button.tool) {
+      this.selectTool(button.tool.id);
+      return;
+    }
+
+    switch (button.id) {
+      case "new":
+        this.newStage();
+        break;
+      case "undo":
+        this.undo();
+        break;
+      case "redo":
+        this.redo();
+        break;
+      case "delete":
+        this.deleteSelection();
+        break;
+      case "save":
+        this.saveStage();
+        break;
+      case "load":
+        this.loadSavedStage();
+        break;
+      case "generate":
+        this.generateStage();
+        break;
+      case "playtest":
+        this.startPlayTest();
+        break;
+      case "back":
+        this.goBackToMenu();
+        break;
+    }
+  }
+
+  /**
+   * Pick the placement tool
+   * @param {string} toolId - Id from EDITOR_TOOLS
+   * @returns {boolean} - Whether the tool exists
+   */
+  selectTool(toolId) {
+    const tool = EDITOR_TOOLS.find((candidate) => candidate.id === toolId);
+    if (!tool) {
+      console.warn(`Unknown editor tool: ${toolId}`);
+      return false;
+    }
+
+    this.currentTool = tool;
+    return true;
+  }
+
+  /**
+   * Convert a canvas position to a stage position
+   */
+  screenToWorld(x, y) {
+    return { x: x + this.camera.x, y: y + this.camera.y };
+  }
+
+  /**
+   * Round a coordinate to the nearest grid line
+   */
+  snap(value) {
+    return Math.round(value / EDITOR_GRID_SIZE) * EDITOR_GRID_SIZE;
+  }
+
+  /**
+   * Keep a box of the given size inside the stage
+   * @returns {Object} - Position moved inside the stage
+   */
+  clampToStage(x, y, size) {
+    return {
+      x: Math.max(0, Math.min(x, this.stageData.width - size.width)),
+      y: Math.max(0, Math.min(y, this.stageData.height - size.height)),
+    };
+  }
+
+  /**
+   * Place an object with the current tool at a stage position
+   * Platforms and items are added; the goal tool moves the stage's goal.
+   * @param {number} x - Stage X coordinate (snapped to the grid)
+   * @param {number} y - Stage Y coordinate (snapped to the grid)
+   */
+  placeObject(x, y) {
+    const tool = this.currentTool;
+    const snapped = { x: this.snap(x), y: this.snap(y) };
+
+    this.pushHistory();
+
+    switch (tool.kind) {
+      case "platform": {
+        const size = { ...tool.size };
+        const position = this.clampToStage(snapped.x, snapped.y, size);
+        const platform = { position, size, type: tool.id };
+
+        // Moving platforms start out sliding back and forth to the right
+        if (tool.id === "moving") {
+          platform.path = {
+            type: "pingpong",
+            points: [{ x: position.x + EDITOR_GRID_SIZE * 8, y: position.y }],
+            speed: 60,
+          };
+        }
+
+        this.stageData.platforms.push(platform);
+        this.selection = {
+          kind: "platform",
+          index: this.stageData.platforms.length - 1,
+        };
+        break;
+      }
+
+      case "item": {
+        const item =
+          tool.id === "coin"
+            ? { type: "coin", position: snapped }
+            : {
+                type: "powerup",
+                position: snapped,
+                powerType: "invincible",
+                duration: 5000,
+              };
+        this.stageData.items.push(item);
+        this.selection = {
+          kind: "item",
+          index: this.stageData.items.length - 1,
+        };
+        break;
+      }
+
+      case "goal": {
+        const goal = this.stageData.goal;
+        goal.position = this.clampToStage(snapped.x, snapped.y, goal.size);
+        this.selection = { kind: "goal", index: 0 };
+        break;
+      }
+    }
+
+    this.commitEdit();
+  }
+
+  /**
+   * Find the object under a stage position (items and the goal are on top
+   * of platforms; later platforms are on top of earlier ones)
+   * @returns {Object|null} - Selection ({ kind, index }), or null
+   */
+  getObjectAt(x, y) {
+    for (let i = this.previewItems.length - 1; i >= 0; i--) {
+      const item = this.previewItems[i];
+      if (item && containsPoint(item, x, y)) {
+        return { kind: "item", index: i };
+      }
+    }
+
+    if (this.stageData.goal && containsPoint(this.stageData.goal, x, y)) {
+      return { kind: "goal", index: 0 };
+    }
+
+    const platforms = this.stageData.platforms;
+    for (let i = platforms.length - 1; i >= 0; i--) {
+      if (containsPoint(platforms[i], x, y)) {
+        return { kind: "platform", index: i };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the stage data entry of a selection
+   * @param {Object} selection - { kind, index } (the current selection by
+   *   default)
+   * @returns {Object|null} - Platform, item or goal definition
+   */
+  getSelectedData(selection = this.selection) {
+    if (!selection) return null;
+
+    switch (selection.kind) {
+      case "platform":
+        return this.stageData.platforms[selection.index] || null;
+      case "item":
+        return this.stageData.items[selection.index] || null;
+      case "goal":
+        return this.stageData.goal;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the area a selection covers in the stage
+   * Items take their size from the item class; platforms and the goal from
+   * their definition.
+   * @returns {Object|null} - { position, size }, or null
+   */
+  getObjectBounds(selection = this.selection) {
+    if (!selection) return null;
+
+    const object =
+      selection.kind === "item"
+        ? this.previewItems[selection.index]
+        : this.getSelectedData(selection);
+    return object ? { position: object.position, size: object.size } : null;
+  }
+
+  /**
+   * Check whether a stage position is on the selection's resize handle
+   * (platforms and the goal can be resized; items have a fixed size)
+   */
+  isPointInResizeHandle(x, y) {
+    if (!this.selection || this.selection.kind === "item") return false;
+
+    const bounds = this.getObjectBounds();
+    if (!bounds) return false;
+
+    const right = bounds.position.x + bounds.size.width;
+    const bottom = bounds.position.y + bounds.size.height;
+    return (
+      x >= right - EDITOR_HANDLE_SIZE &&
+      x <= right + EDITOR_HANDLE_SIZE &&
+      y >= bottom - EDITOR_HANDLE_SIZE &&
+      y <= bottom + EDITOR_HANDLE_SIZE
+    );
+  }
+
+  /**
+   * Start moving or resizing the selection
+   * @param {string} mode - "move" or "resize"
+   */
+  startDrag(mode, x, y) {
+    this.drag = {
+      mode: mode,
+      startX: x,
+      startY: y,
+      origin: JSON.parse(JSON.stringify(this.getSelectedData())),
+      before: this.createSnapshot(),
+    };
+  }
+
+  /**
+   * Move or resize the selection to follow the mouse (snapped to the grid)
+   * @param {number} x - Stage X coordinate of the mouse
+   * @param {number} y - Stage Y coordinate of the mouse
+   */
+  applyDrag(x, y) {
+    const data = this.getSelectedData();
+    if (!data) return;
+
+    const origin = this.drag.origin;
+
+    if (this.drag.mode === "move") {
+      const size = this.getObjectBounds().size;
+      const position = this.clampToStage(
+        this.snap(origin.position.x + x - this.drag.startX),
+        this.snap(origin.position.y + y - this.drag.startY),
+        size
+      );
+      data.position = position;
+
+      // A moving platform's path moves with it
+      if (origin.path) {
+        data.path = offsetPath(
+          origin.path,
+          position.x - origin.position.x,
+          position.y - origin.position.y
+        );
+      }
+    } else {
+      const maxWidth = this.stageData.width - origin.position.x;
+      const maxHeight = this.stageData.height - origin.position.y;
+      data.size = {
+        width: Math.min(
+          maxWidth,
+          Math.max(EDITOR_GRID_SIZE, this.snap(x - origin.position.x))
+        ),
+        height: Math.min(
+          maxHeight,
+          Math.max(EDITOR_GRID_SIZE, this.snap(y - origin.position.y))
+        ),
+      };
+    }
+
+    this.refreshPreview();
+  }
+
+  /**
+   * Delete the selected platform or item (the goal can only be moved)
+   * @returns {boolean} - Whether something was deleted
+   */
+  deleteSelection() {
+    if (!this.selection) return false;
+
+    if (this.selection.kind === "goal") {
+      this.showMessage("The stage needs a goal", "warning");
+      return false;
+    }
+
+    this.pushHistory();
+    const list =
+      this.selection.kind === "platform"
+        ? this.stageData.platforms
+        : this.stageData.items;
+    list.splice(this.selection.index, 1);
+    this.selection = null;
+    this.commitEdit();
+    return true;
+  }
+
+  /**
+   * Serialize the stage being edited (undo history entry)
+   * @returns {string} - Stage data as JSON
+   */
+  createSnapshot() {
+    return JSON.stringify(this.stageData);
+  }
+
+  /**
+   * Remember the stage before an edit so it can be undone
+   * A new edit drops the redo history.
+   * @param {string} snapshot - Stage before the edit (the current stage by
+   *   default)
+   */
+  pushHistory(snapshot = this.createSnapshot()) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > EDITOR_HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Finish an edit: mark the stage unsaved and rebuild the view
+   */
+  commitEdit() {
+    this.hasUnsavedChanges = true;
+    this.refreshPreview();
+  }
+
+  /**
+   * Undo the last edit
+   * @returns {boolean} - Whether there was an edit to undo
+   */
+  undo() {
+    if (this.undoStack.length === 0) return false;
+
+    this.redoStack.push(this.createSnapshot());
+    this.restoreSnapshot(this.undoStack.pop());
+    return true;
+  }
+
+  /**
+   * Redo the last undone edit
+   * @returns {boolean} - Whether there was an edit to redo
+   */
+  redo() {
+    if (this.redoStack.length === 0) return false;
+
+    this.undoStack.push(this.createSnapshot());
+    this.restoreSnapshot(this.redoStack.pop());
+    return true;
+  }
+
+  /**
+   * Replace the stage being edited with a history entry
+   * @param {string} snapshot - Stage data as JSON
+   */
+  restoreSnapshot(snapshot) {
+    this.stageData = JSON.parse(snapshot);
+    this.selection = null;
+    this.drag = null;
+    this.commitEdit();
+  }
+
+  /**
+   * Replace the stage being edited (not undoable; see loadStageData)
+   * The data goes through Stage so missing fields get their defaults.
+   * @param {Object} stageData - Stage definition (JSON stage format)
+   */
+  setStageData(stageData) {
+    this.stageData = new Stage(
+      stageData.id || EDITOR_STAGE_ID,
+      stageData
+    ).getStageData();
+    this.selection = null;
+    this.drag = null;
+    this.panCamera(0, 0);
+    this.refreshPreview();
+  }
+
+  /**
+   * Rebuild the Stage and items the editor draws
+   */
+  refreshPreview() {
+    this.previewStage = new Stage(this.stageData.id, this.stageData);
+    this.previewItems = this.stageData.items.map((itemData) =>
+      ItemManager.createItemFromData(itemData)
+    );
+  }
+
+  /**
+   * Get the stage being edited
+   * @returns {Object} - Stage definition in the form of Stage.getStageData()
+   */
+  getStageData() {
+    return new Stage(this.stageData.id, this.stageData).getStageData();
+  }
+
+  /**
+   * Open stage data for editing (undoable)
+   * @param {Object} stageData - Stage definition, e.g. from
+   *   Stage.getStageData() or the stage registry
+   * @returns {boolean} - Whether the stage was loaded
+   */
+  loadStageData(stageData) {
+    if (!stageData || !Array.isArray(stageData.platforms)) {
+      console.warn("Invalid stage data passed to the editor");
+      return false;
+    }
+
+    if (this.stageData) {
+      this.pushHistory();
+    }
+    this.setStageData(stageData);
+    this.hasUnsavedChanges = true;
+    return true;
+  }
+
+  /**
+   * Start over with a blank stage (undoable)
+   */
+  newStage() {
+    this.loadStageData(EditorScene.createBlankStageData());
+    this.camera = { x: 0, y: 0 };
+  }
+
+  /**
+   * Save the stage being edited
+   * @returns {boolean} - Whether the stage was saved
+   */
+  saveStage() {
+    const saveSystem = this.gameEngine.getSaveSystem();
+    if (saveSystem && saveSystem.saveEditorStage(this.getStageData())) {
+      this.hasUnsavedChanges = false;
+
+      // Saving still succeeds with layout problems; the count is a hint
+      const report = this.validateStage(false);
+      const problems = report ? report.issues.length : 0;
+      this.showMessage(
+        problems > 0
+          ? `Stage saved (${problems} layout problems)`
+          : "Stage saved",
+        problems > 0 ? "warning" : "success"
+      );
+      return true;
+    }
+
+    this.showMessage("Failed to save stage", "error");
+    return false;
+  }
+
+  /**
+   * Reopen the saved stage (undoable)
+   * @returns {boolean} - Whether a saved stage was loaded
+   */
+  loadSavedStage() {
+    const saveSystem = this.gameEngine.getSaveSystem();
+    const savedStage = saveSystem ? saveSystem.loadEditorStage() : null;
+    if (!savedStage) {
+      this.showMessage("No saved stage", "warning");
+      return false;
+    }
+
+    this.loadStageData(savedStage);
+    this.hasUnsavedChanges = false;
+    this.showMessage("Stage loaded", "success");
+    return true;
+  }
+
+  /**
+   * Replace the stage with a generated one (undoable)
+   * @param {number|string} seed - Generator seed (a random one when omitted)
+   * @param {number} difficulty - Generator difficulty, 1 to 5
+   * @returns {boolean} - Whether a stage was generated
+   */
+  generateStage(seed = null, difficulty = 3) {
+    if (typeof StageGenerator === "undefined") {
+      this.showMessage("Stage generator not loaded", "error");
+      return false;
+    }
+
+    const stageSeed = seed !== null ? seed : SeededRandom.createSeed();
+
+    const generator = new StageGenerator({
+      player: this.gameEngine.player,
+      physicsEngine: this.gameEngine.physicsEngine,
+    });
+    const stageData = generator.generate(stageSeed, difficulty, {
+      id: EDITOR_STAGE_ID,
+    });
+    this.loadStageData(stageData);
+    this.camera = { x: 0, y: 0 };
+    this.validateStage(false);
+    this.showMessage(
+      `Generated from seed ${StageGenerator.normalizeSeed(stageSeed)}`,
+      "success"
+    );
+    return true;
+  }
+
+  /**
+   * Check the stage being edited for unreachable items, overlapping
+   * platforms and other layout problems
+   * @param {boolean} showResult - Whether to show the result as a message
+   * @returns {Object|null} - StageValidator report, or null if the
+   *   validator is not loaded
+   */
+  validateStage(showResult = true) {
+    if (typeof StageValidator === "undefined") {
+      if (showResult) {
+        this.showMessage("Stage validator not loaded", "error");
+      }
+      return null;
+    }
+
+    const validator = new StageValidator({
+      player: this.gameEngine.player,
+      physicsEngine: this.gameEngine.physicsEngine,
+    });
+    const report = validator.validate(this.getStageData());
+    validator.logReport(report, "Editor stage");
+
+    if (showResult) {
+      if (report.isValid) {
+        this.showMessage("No layout problems", "success");
+      } else {
+        this.showMessage(
+          `${report.issues.length} layout problems: ${report.issues[0].message}`,
+          "warning"
+        );
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Play the stage being edited; leaving the play-test returns here
+   */
+  startPlayTest() {
+    this.drag = null;
+
+    if (this.gameEngine.startPlayTest) {
+      this.gameEngine.startPlayTest(this.getStageData());
+    }
+  }
+
+  /**
+   * Move the view, keeping it inside the stage
+   * @param {number} dx - Pixels to move right
+   * @param {number} dy - Pixels to move down
+   */
+  panCamera(dx, dy) {
+    const canvas = this.gameEngine.canvas;
+    const maxX = Math.max(0, this.stageData.width - canvas.width);
+    const maxY = Math.max(0, this.stageData.height - canvas.height);
+
+    this.camera = {
+      x: Math.max(0, Math.min(maxX, this.camera.x + dx)),
+      y: Math.max(0, Math.min(maxY, this.camera.y + dy)),
+    };
+  }
+
+  /**
+   * Go back to menu
+   */
+  goBackToMenu() {
+    this.drag = null;
+
+    if (this.gameEngine.sceneManager) {
+      this.gameEngine.sceneManager.changeScene("menu");
+    }
+  }
+
+  /**
+   * Show a temporary message
+   */
+  showMessage(text, type = "info") {
+    if (this.gameEngine.uiSystem) {
+      this.gameEngine.uiSystem.showMessage(text, 2000, type);
+    } else {
+      console.log(`Editor: ${text}`);
+    }
+  }
+
+  /**
+   * Update editor scene
+   */
+  update(deltaTime) {
+    if (!this.isActive) return;
+
+    this.elapsedTime += deltaTime;
+    if (this.elapsedTime < this.inputDelay) return;
+
+    // Handle keyboard input
+    this.handleKeyboardInput(deltaTime);
+  }
+
+  /**
+   * Handle keyboard input
+   */
+  handleKeyboardInput(deltaTime) {
+    const inputManager = this.gameEngine.getInputManager();
+    if (!inputManager) return;
+
+    const input = inputManager.getPlayerInput();
+    const held = (codes) => codes.some((code) => inputManager.isKeyHeld(code));
+    const ctrl = held(["ControlLeft", "ControlRight", "MetaLeft", "MetaRight"]);
+    const shift = held(["ShiftLeft", "ShiftRight"]);
+
+    // Undo and redo
+    if (ctrl && inputManager.isKeyPressed("KeyZ")) {
+      if (shift) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (ctrl && inputManager.isKeyPressed("KeyY")) {
+      this.redo();
+    }
+
+    // Delete the selection
+    if (
+      inputManager.isKeyPressed("Delete") ||
+      inputManager.isKeyPressed("Backspace")
+    ) {
+      this.deleteSelection();
+    }
+
+    // Number keys pick tools
+    EDITOR_TOOLS.forEach((tool, index) => {
+      if (inputManager.isKeyPressed(`Digit${index + 1}`)) {
+        this.currentTool = tool;
+      }
+    });
+
+    // Arrow keys pan the view
+    const distance = (EDITOR_PAN_SPEED * deltaTime) / 1000;
+    const dx = held(["ArrowRight"]) - held(["ArrowLeft"]);
+    const dy = held(["ArrowDown"]) - held(["ArrowUp"]);
+    if (dx !== 0 || dy !== 0) {
+      this.panCamera(dx * distance, dy * distance);
+    }
+
+    if (inputManager.isKeyPressed("KeyG")) {
+      this.generateStage();
+    }
+
+    if (inputManager.isKeyPressed("KeyV")) {
+      this.validateStage();
+    }
+
+    if (inputManager.isKeyPressed("KeyT")) {
+      this.startPlayTest();
+      return;
+    }
+
+    // ESC to go back
+    if (input.escape) {
+      this.goBackToMenu();
+    }
+  }
+
+  /**
+   * Render the editor scene
+   */
+  render(ctx) {
+    if (!this.isActive) return;
+
+    const canvas = this.gameEngine.canvas;
+
+    // Draw the stage, grid and selection in stage coordinates
+    ctx.save();
+    ctx.translate(-this.camera.x, -this.camera.y);
+    this.previewStage.render(ctx, this.camera);
+    for (const item of this.previewItems) {
+      if (item) {
+        item.render(ctx);
+      }
+    }
+    this.renderSpawnPoint(ctx);
+    this.renderGrid(ctx, canvas);
+    this.renderSelection(ctx);
+    ctx.restore();
+
+    // Draw toolbar, action bar and status line
+    this.renderToolbar(ctx, canvas);
+    this.renderActionBar(ctx, canvas);
+    this.renderStatus(ctx, canvas);
+  }
+
+  /**
+   * Render the player start marker
+   */
+  renderSpawnPoint(ctx) {
+    const spawn = this.stageData.spawn;
+
+    ctx.strokeStyle = "#FFFFFF";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 4]);
+    ctx.strokeRect(spawn.x, spawn.y, 32, 32);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = "#FFFFFF";
+    ctx.font = "12px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText("START", spawn.x + 16, spawn.y - 6);
+  }
+
+  /**
+   * Render grid lines over the visible part of the stage
+   */
+  renderGrid(ctx, canvas) {
+    const left =
+      Math.floor(this.camera.x / EDITOR_GRID_SIZE) * EDITOR_GRID_SIZE;
+    const top = Math.floor(this.camera.y / EDITOR_GRID_SIZE) * EDITOR_GRID_SIZE;
+    const right = Math.min(this.stageData.width, this.camera.x + canvas.width);
+    const bottom = Math.min(
+      this.stageData.height,
+      this.camera.y + canvas.height
+    );
+
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = left; x <= right; x += EDITOR_GRID_SIZE) {
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, bottom);
+    }
+    for (let y = top; y <= bottom; y += EDITOR_GRID_SIZE) {
+      ctx.moveTo(left, y);
+      ctx.lineTo(right, y);
+    }
+    ctx.stroke();
+
+    // Outline the cell under the mouse
+    if (this.cursor && !this.drag) {
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.strokeRect(
+        this.cursor.x,
+        this.cursor.y,
+        EDITOR_GRID_SIZE,
+        EDITOR_GRID_SIZE
+      );
+    }
+  }
+
+  /**
+   * Render the selection outline and resize handle
+   */
+  renderSelection(ctx) {
+    const bounds = this.getObjectBounds();
+    if (!bounds) return;
+
+    const { position, size } = bounds;
+    ctx.strokeStyle = "#FFD700";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+      position.x - 2,
+      position.y - 2,
+      size.width + 4,
+      size.height + 4
+    );
+
+    if (this.selection.kind !== "item") {
+      ctx.fillStyle = "#FFD700";
+      ctx.fillRect(
+        position.x + size.width - EDITOR_HANDLE_SIZE / 2,
+        position.y + size.height - EDITOR_HANDLE_SIZE / 2,
+        EDITOR_HANDLE_SIZE,
+        EDITOR_HANDLE_SIZE
+      );
+    }
+  }
+
+  /**
+   * Render the tool buttons
+   */
+  renderToolbar(ctx, canvas) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, canvas.width, EDITOR_BAR_HEIGHT);
+
+    for (const button of this.toolButtons) {
+      this.renderButton(ctx, button, button.tool === this.currentTool);
+    }
+  }
+
+  /**
+   * Render the action buttons
+   */
+  renderActionBar(ctx, canvas) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(
+      0,
+      canvas.height - EDITOR_BAR_HEIGHT,
+      canvas.width,
+      EDITOR_BAR_HEIGHT
+    );
+
+    for (const button of this.actionButtons) {
+      this.renderButton(ctx, button, false);
+    }
+  }
+
+  /**
+   * Render one button
+   * @param {boolean} isSelected - Whether the button is the current tool
+   */
+  renderButton(ctx, button, isSelected) {
+    const isHovered = this.hoveredButton === button;
+
+    // Button background
+    ctx.fillStyle =
+      isSelected || isHovered
+        ? "rgba(255, 255, 255, 0.9)"
+        : "rgba(255, 255, 255, 0.7)";
+    ctx.fillRect(button.x, button.y, button.width, button.height);
+
+    // Button border
+    ctx.strokeStyle = isSelected ? "#FFD700" : "#FFFFFF";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(button.x, button.y, button.width, button.height);
+
+    // Button text
+    ctx.fillStyle = isSelected || isHovered ? "#000000" : "#333333";
+    ctx.font = isSelected ? "bold 13px Arial" : "13px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      button.text,
+      button.x + button.width / 2,
+      button.y + button.height / 2 + 5
+    );
+  }
+
+  /**
+   * Render the stage name, cursor position and unsaved marker
+   */
+  renderStatus(ctx, canvas) {
+    const cursor = this.cursor ? `${this.cursor.x}, ${this.cursor.y}` : "-";
+    const unsaved = this.hasUnsavedChanges ? " - unsaved changes" : "";
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillRect(0, canvas.height - EDITOR_BAR_HEIGHT - 22, canvas.width, 22);
+
+    ctx.fillStyle = "#FFFFFF";
+    ctx.font = "13px Arial";
+    ctx.textAlign = "left";
+    ctx.fillText(
+      `${this.stageData.name} | Tool: ${this.currentTool.label} | ${cursor}${unsaved}`,
+      8,
+      canvas.height - EDITOR_BAR_HEIGHT - 7
+    );
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    const canvas = this.gameEngine.canvas;
+    if (canvas) {
+      canvas.removeEventListener("mousemove", this.mouseMoveHandler);
+      canvas.removeEventListener("mousedown", this.mouseDownHandler);
+      canvas.removeEventListener("mouseup", this.mouseUpHandler);
+    }
+
+    super.destroy();
+  }
+}
+
+/**
+ * Check whether a point is inside an object's box
+ * @param {Object} box - Object with position and size
+ * @returns {boolean} - True if the point is inside
+ */
+function containsPoint(box, x, y) {
+  return (
+    x >= box.position.x &&
+    x < box.position.x + box.size.width &&
+    y >= box.position.y &&
+    y < box.position.y + box.size.height
+  );
+}
+
+/**
+ * Copy a moving platform path, shifted by an offset
+ * @param {Object} path - Path definition (JSON stage format)
+ * @returns {Object} - Shifted copy
+ */
+function offsetPath(path, dx, dy) {
+  const shifted = { ...path };
+  if (path.points) {
+    shifted.points = path.points.map((point) => ({
+      x: point.x + dx,
+      y: point.y + dy,
+    }));
+  }
+  if (path.center) {
+    shifted.center = { x: path.center.x + dx, y: path.center.y + dy };
+  }
+  return shifted;
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EditorScene,
+    EDITOR_TOOLS,
+    EDITOR_GRID_SIZE,
+    EDITOR_STAGE_ID,
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Ending Scene Implementation
+ * Shows final results and scrolling credits after the last stage
+ */
+
+/**
+ * EndingScene Class
+ * Manages the ending/credits screen shown when all stages are cleared
+ */
+class EndingScene extends Scene {
+  constructor(gameEngine) {
+    super("ending", gameEngine);
+
+    // Final results passed in from GameEngine.showEnding()
+    this.results = { finalStage: 0, score: 0, coins: 0 };
+
+    // Credits roll
+    this.creditLines = [];
+    this.scrollOffset = 0;
+    this.scrollSpeed = 40; // pixels per second
+    this.lineHeight = 32;
+
+    // Timing
+    this.elapsedTime = 0;
+    this.inputDelay = 1500; // Ignore input briefly so the clear press doesn't skip
+
+    console.log("EndingScene initialized");
+  }
+
+  /**
+   * Enter the ending scene
+   */
+  enter(data = {}) {
+    super.enter(data);
+
+    this.results = {
+      finalStage: data.finalStage || 0,
+      score: data.score || 0,
+      coins: data.coins || 0,
+    };
+
+    this.creditLines = this.buildCreditLines();
+    this.scrollOffset = 0;
+    this.elapsedTime = 0;
+
+    // Play victory fanfare
+    const audioManager = this.gameEngine.getAudioManager();
+    if (audioManager) {
+      audioManager.playSound("victory");
+    }
+  }
+
+  /**
+   * Build the lines shown in the credits roll
+   * @returns {Array} - Credit lines with text and style
+   */
+  buildCreditLines() {
+    const lines = [
+      { text: "Mario Style Platformer", style: "title" },
+      { text: "", style: "spacer" },
+      { text: "Stages", style: "heading" },
+    ];
+
+    // List every stage from the registry
+    if (typeof stageRegistry !== "undefined" && stageRegistry) {
+      stageRegistry.getStageIds().forEach((stageId) => {
+        const stageInfo = stageRegistry.getStageInfo(stageId);
+        lines.push({ text: `${stageId}. ${stageInfo.name}`, style: "body" });
+      });
+    }
+
+    lines.push(
+      { text: "", style: "spacer" },
+      { text: "Thank you for playing!", style: "heading" }
+    );
+
+    return lines;
+  }
+
+  /**
+   * Update ending scene
+   */
+  update(deltaTime) {
+    if (!this.isActive) return;
+
+    this.elapsedTime += deltaTime;
+
+    // Scroll credits until the last line reaches the middle of the screen
+    const maxScroll =
+      this.creditLines.length * this.lineHeight +
+      this.gameEngine.canvas.height / 2;
+    this.scrollOffset = Math.min(
+      maxScroll,
+      this.scrollOffset + (this.scrollSpeed * deltaTime) / 1000
+    );
+
+    // Handle keyboard input
+    this.handleKeyboardInput();
+  }
+
+  /**
+   * Handle keyboard input
+   */
+  handleKeyboardInput() {
+    if (this.elapsedTime < this.inputDelay) return;
+
+    const inputManager = this.gameEngine.getInputManager();
+    if (!inputManager) return;
+
+    const input = inputManager.getPlayerInput();
+
+    // Enter/Space/ESC to return to menu
+    if (input.jump || input.enter || input.escape) {
+      this.goBackToMenu();
+    }
+  }
+
+  /**
+   * Return to the title menu
+   */
+  goBackToMenu() {
+    if (this.gameEngine.sceneManager) {
+      this.gameEngine.sceneManager.changeScene("menu");
+    }
+  }
+
+  /**
+   * Render the ending scene
+   */
+  render(ctx) {
+    if (!this.isActive) return;
+
+    const canvas = this.gameEngine.canvas;
+
+    // Draw background
+    this.renderBackground(ctx, canvas);
+
+    // Draw credits roll
+    this.renderCredits(ctx, canvas);
+
+    // Draw final results
+    this.renderResults(ctx, canvas);
+
+    // Draw instructions
+    this.renderInstructions(ctx, canvas);
+  }
+
+  /**
+   * Render background
+   */
+  renderBackground(ctx, canvas) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, "#0B0B2B");
+    gradient.addColorStop(1, "#3A1C71");
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Twinkling stars
+    for (let i = 0; i < 40; i++) {
+      const x = (i * 97) % canvas.width;
+      const y = (i * 53) % canvas.height;
+      const twinkle = (Math.sin(this.elapsedTime * 0.003 + i) + 1) * 0.5;
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.3 + twinkle * 0.7})`;
+      ctx.fillRect(x, y, 2, 2);
+    }
+  }
+
+  /**
+   * Render scrolling credits
+   */
+  renderCredits(ctx, canvas) {
+    const centerX = canvas.width / 2;
+    const startY = canvas.height - this.scrollOffset;
+
+    ctx.textAlign = "center";
+
+    this.creditLines.forEach((line, index) => {
+      const y = startY + index * this.lineHeight;
+      if (y < 140 || y > canvas.height - 60) return; // Keep clear of the results
+
+      switch (line.style) {
+        case "title":
+          ctx.fillStyle = "#FFD700";
+          ctx.font = "bold 28px Arial";
+          break;
+        case "heading":
+          ctx.fillStyle = "#FFFFFF";
+          ctx.font = "bold 20px Arial";
+          break;
+        default:
+          ctx.fillStyle = "#CCCCFF";
+          ctx.font = "16px Arial";
+      }
+
+      ctx.fillText(line.text, centerX, y);
+    });
+  }
+
+  /**
+   * Render final results
+   */
+  renderResults(ctx, canvas) {
+    const centerX = canvas.width / 2;
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#FFD700";
+    ctx.font = "bold 36px Arial";
+    ctx.fillText("Congratulations!", centerX, 60);
+
+    ctx.fillStyle = "#FFFFFF";
+    ctx.font = "18px Arial";
+    ctx.fillText(`All ${this.results.finalStage} stages cleared`, centerX, 92);
+    ctx.fillText(
+      `Final Score: ${this.results.score}   Coins: ${this.results.coins}`,
+      centerX,
+      118
+    );
+  }
+
+  /**
+   * Render instructions
+   */
+  renderInstructions(ctx, canvas) {
+    if (this.elapsedTime < this.inputDelay) return;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.font = "14px Arial";
+    ctx.textAlign = "center";
+
+    const instructionsY = canvas.height - 30;
+    ctx.fillText(
+      "Press Enter or Space to return to menu",
+      canvas.width / 2,
+      instructionsY
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EndingScene;
+}
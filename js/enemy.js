@@ -0,0 +1,637 @@
+/**
+ * Enemy System for Mario Style Platformer
+ * Base Enemy class, ground patrolling enemies, and enemy management
+ */
+
+/**
+ * Base Enemy Class
+ * Represents hostile entities that can be stomped or damage the player
+ */
+class Enemy {
+  constructor(x, y, type = "generic") {
+    // Position and physics properties
+    this.position = { x: x || 0, y: y || 0 };
+    this.velocity = { x: 0, y: 0 };
+    this.size = { width: 28, height: 28 };
+
+    // Enemy properties
+    this.type = type; // "walker", etc.
+    this.scoreValue = 200; // Points awarded when defeated
+    this.damage = 1; // Damage dealt to the player on side contact
+    this.isActive = true;
+    this.isDefeated = false;
+    this.isOnGround = false;
+
+    // Movement properties
+    this.direction = -1; // -1 = left, 1 = right
+    this.speed = 0; // pixels per second (0 = stationary)
+    this.hasPhysics = true; // Enemies are affected by gravity by default
+
+    // Stomp detection: how far (in pixels) the player's feet may sink into
+    // the enemy's top edge and still count as landing on it
+    this.stompTolerance = 12;
+
+    // Visual properties
+    this.color = "#8B4513"; // Brown by default
+    this.animationTimer = 0;
+    this.animationSpeed = 400; // Walk cycle duration in ms
+
+    // Defeat animation
+    this.defeatTimer = 0;
+    this.defeatDuration = 400; // Squashed sprite stays visible for 400ms
+
+    console.log(
+      `Enemy created: ${this.type} at (${this.position.x}, ${this.position.y})`
+    );
+  }
+
+  /**
+   * Update enemy logic
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {Stage} stage - Current stage for platform collisions
+   * @param {PhysicsEngine} physicsEngine - Physics engine instance
+   */
+  update(deltaTime, stage = null, physicsEngine = null) {
+    if (!this.isActive) {
+      return;
+    }
+
+    // Update animation timer
+    this.animationTimer += deltaTime;
+    if (this.animationTimer >= this.animationSpeed) {
+      this.animationTimer = 0;
+    }
+
+    // Play out the defeat animation, then deactivate
+    if (this.isDefeated) {
+      this.defeatTimer += deltaTime;
+      if (this.defeatTimer >= this.defeatDuration) {
+        this.isActive = false;
+      }
+      return;
+    }
+
+    // Update movement behaviour (overridden by subclasses)
+    this.updateBehavior(deltaTime, stage);
+
+    // Update physics if enabled
+    if (this.hasPhysics && physicsEngine) {
+      this.updatePhysics(deltaTime, stage, physicsEngine);
+    }
+  }
+
+  /**
+   * Update movement behaviour (can be overridden by subclasses)
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {Stage} stage - Current stage
+   */
+  updateBehavior(deltaTime, stage) {
+    this.velocity.x = this.speed * this.direction;
+  }
+
+  /**
+   * Apply gravity, movement and platform collisions
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {Stage} stage - Current stage for platform collisions
+   * @param {PhysicsEngine} physicsEngine - Physics engine instance
+   */
+  updatePhysics(deltaTime, stage, physicsEngine) {
+    physicsEngine.applyGravity(this, deltaTime);
+    physicsEngine.updatePosition(this, deltaTime);
+
+    if (!stage) {
+      return;
+    }
+
+    let groundCollisionDetected = false;
+    let wallCollisionDetected = false;
+
+    const collisions = stage.checkPlatformCollisions(this, physicsEngine);
+    for (const collision of collisions) {
+      if (!collision.resolution.resolved) continue;
+
+      if (collision.resolution.direction === "bottom") {
+        groundCollisionDetected = true;
+      } else if (
+        (collision.resolution.direction === "left" && this.direction < 0) ||
+        (collision.resolution.direction === "right" && this.direction > 0)
+      ) {
+        wallCollisionDetected = true;
+      }
+    }
+
+    // Stage bounds act as walls
+    const stageBounds = stage.getBounds();
+    if (this.position.x <= stageBounds.left && this.direction < 0) {
+      this.position.x = stageBounds.left;
+      wallCollisionDetected = true;
+    } else if (
+      this.position.x + this.size.width >= stageBounds.right &&
+      this.direction > 0
+    ) {
+      this.position.x = stageBounds.right - this.size.width;
+      wallCollisionDetected = true;
+    }
+
+    this.isOnGround = groundCollisionDetected;
+
+    if (wallCollisionDetected) {
+      this.onWallHit();
+    }
+
+    // Enemies that fall below the death plane are removed
+    if (this.position.y > stage.getDeathPlane()) {
+      this.isActive = false;
+    }
+  }
+
+  /**
+   * Called when the enemy walks into a wall or the stage edge
+   */
+  onWallHit() {
+    this.turnAround();
+  }
+
+  /**
+   * Reverse walking direction
+   */
+  turnAround() {
+    this.direction = -this.direction;
+    this.velocity.x = this.speed * this.direction;
+  }
+
+  /**
+   * Check collision with another entity
+   * @param {Object} entity - Entity to check collision with (player, etc.)
+   * @returns {boolean} - True if collision detected
+   */
+  checkCollision(entity) {
+    if (!this.isActive || this.isDefeated || !entity) {
+      return false;
+    }
+
+    // Simple AABB collision detection
+    return !(
+      this.position.x > entity.position.x + entity.size.width ||
+      this.position.x + this.size.width < entity.position.x ||
+      this.position.y > entity.position.y + entity.size.height ||
+      this.position.y + this.size.height < entity.position.y
+    );
+  }
+
+  /**
+   * Check whether an entity is landing on top of this enemy
+   * @param {Object} entity - Colliding entity (usually the player)
+   * @returns {boolean} - True if the contact counts as a stomp
+   */
+  isStompedBy(entity) {
+    if (!entity || !entity.velocity) return false;
+
+    const entityBottom = entity.position.y + entity.size.height;
+    const penetration = entityBottom - this.position.y;
+
+    // Must be falling and only just overlapping the top edge
+    return entity.velocity.y > 0 && penetration <= this.stompTolerance;
+  }
+
+  /**
+   * Handle contact with the player
+   * @param {Object} player - Player that touched the enemy
+   * @returns {Object|null} - Contact result ("stomp", "defeat" or "damage")
+   */
+  handlePlayerContact(player) {
+    if (!this.checkCollision(player)) {
+      return null;
+    }
+
+    // Invincibility power-up defeats enemies on any contact
+    if (player.hasPowerUp && player.hasPowerUp("invincible")) {
+      return this.defeat("invincible");
+    }
+
+    if (this.isStompedBy(player)) {
+      return this.defeat("stomp");
+    }
+
+    return {
+      type: "damage",
+      damage: this.damage,
+      enemy: this,
+    };
+  }
+
+  /**
+   * Defeat the enemy
+   * @param {string} cause - How the enemy was defeated ("stomp", "invincible", etc.)
+   * @returns {Object|null} - Defeat result with score data
+   */
+  defeat(cause = "stomp") {
+    if (this.isDefeated || !this.isActive) {
+      return null;
+    }
+
+    this.isDefeated = true;
+    this.defeatTimer = 0;
+    this.velocity = { x: 0, y: 0 };
+
+    console.log(`Enemy defeated: ${this.type} (${cause})`);
+
+    return {
+      type: cause === "stomp" ? "stomp" : "defeat",
+      cause: cause,
+      scoreBonus: this.scoreValue,
+      position: { ...this.position },
+      enemy: this,
+    };
+  }
+
+  /**
+   * Render the enemy
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  render(ctx) {
+    if (!ctx || !this.isActive) {
+      return;
+    }
+
+    // Use world position directly (camera transformation is applied at canvas level)
+    const renderX = this.position.x;
+    const renderY = this.position.y;
+
+    ctx.save();
+
+    if (this.isDefeated) {
+      // Squash the enemy flat against the ground
+      const squashHeight = this.size.height * 0.3;
+      ctx.translate(renderX, renderY + this.size.height - squashHeight);
+      ctx.scale(1, 0.3);
+    } else {
+      ctx.translate(renderX, renderY);
+    }
+
+    this.renderEnemyShape(ctx);
+
+    ctx.restore();
+
+    // Draw debug info if needed
+    this.renderDebugInfo(ctx, renderX, renderY);
+  }
+
+  /**
+   * Render the enemy shape (can be overridden by subclasses)
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  renderEnemyShape(ctx) {
+    ctx.fillStyle = this.color;
+    ctx.fillRect(0, 0, this.size.width, this.size.height);
+
+    ctx.strokeStyle = "#000000";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(0, 0, this.size.width, this.size.height);
+  }
+
+  /**
+   * Render debug information
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Render x position
+   * @param {number} y - Render y position
+   */
+  renderDebugInfo(ctx, x, y) {
+    const showDebug = false; // Set to true for debugging
+
+    if (!showDebug) return;
+
+    // Draw bounding box outline
+    ctx.strokeStyle = "#FF00FF";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, this.size.width, this.size.height);
+
+    // Draw enemy type text
+    ctx.fillStyle = "#FFFFFF";
+    ctx.font = "8px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(this.type, x + this.size.width / 2, y - 2);
+  }
+
+  /**
+   * Get enemy's bounding box for collision detection
+   * @returns {Object} - Bounding box with position and size
+   */
+  getBoundingBox() {
+    return {
+      position: { x: this.position.x, y: this.position.y },
+      size: { width: this.size.width, height: this.size.height },
+    };
+  }
+
+  /**
+   * Set enemy position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  setPosition(x, y) {
+    this.position.x = x;
+    this.position.y = y;
+  }
+
+  /**
+   * Reset enemy to initial state
+   */
+  reset() {
+    this.isActive = true;
+    this.isDefeated = false;
+    this.isOnGround = false;
+    this.defeatTimer = 0;
+    this.animationTimer = 0;
+    this.velocity = { x: 0, y: 0 };
+  }
+
+  /**
+   * Get enemy data for serialization
+   * @returns {Object} - Serializable enemy data
+   */
+  getEnemyData() {
+    return {
+      position: { ...this.position },
+      type: this.type,
+      direction: this.direction,
+      speed: this.speed,
+      isDefeated: this.isDefeated,
+      isActive: this.isActive,
+    };
+  }
+}
+
+/**
+ * Walker Class
+ * Ground patroller that walks back and forth, turning at walls and ledges
+ */
+class Walker extends Enemy {
+  constructor(x, y, direction = -1, speed = 60) {
+    super(x, y, "walker");
+
+    // Walker-specific properties
+    this.size = { width: 28, height: 28 };
+    this.color = "#A0522D"; // Sienna
+    this.direction = direction < 0 ? -1 : 1;
+    this.speed = speed;
+    this.turnsAtEdges = true; // Turn around instead of walking off ledges
+
+    // Distance ahead of the leading foot to probe for ground
+    this.edgeProbeDistance = 2;
+  }
+
+  /**
+   * Walk in the current direction, turning at ledges
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {Stage} stage - Current stage
+   */
+  updateBehavior(deltaTime, stage) {
+    if (this.turnsAtEdges && this.isOnGround && stage) {
+      if (!this.hasGroundAhead(stage)) {
+        this.turnAround();
+      }
+    }
+
+    super.updateBehavior(deltaTime, stage);
+  }
+
+  /**
+   * Check whether there is a platform under the leading foot
+   * @param {Stage} stage - Current stage
+   * @returns {boolean} - True if the walker can keep walking
+   */
+  hasGroundAhead(stage) {
+    const probeX =
+      this.direction > 0
+        ? this.position.x + this.size.width + this.edgeProbeDistance
+        : this.position.x - this.edgeProbeDistance;
+    const probeY = this.position.y + this.size.height + this.edgeProbeDistance;
+
+    return stage.getPlatformsInArea(probeX, probeY, 1, 1).length > 0;
+  }
+
+  /**
+   * Render the walker as a mushroom-like creature
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  renderEnemyShape(ctx) {
+    const width = this.size.width;
+    const height = this.size.height;
+    const walkPhase = this.animationTimer / this.animationSpeed < 0.5;
+
+    // Feet (alternate with walk cycle)
+    ctx.fillStyle = "#000000";
+    if (walkPhase) {
+      ctx.fillRect(2, height - 6, 10, 6);
+      ctx.fillRect(width - 12, height - 4, 10, 4);
+    } else {
+      ctx.fillRect(2, height - 4, 10, 4);
+      ctx.fillRect(width - 12, height - 6, 10, 6);
+    }
+
+    // Body
+    ctx.fillStyle = "#F5DEB3"; // Wheat
+    ctx.fillRect(6, height / 2, width - 12, height / 2 - 4);
+
+    // Head (cap)
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.ellipse(width / 2, height / 2, width / 2, height / 2, 0, Math.PI, 0);
+    ctx.closePath();
+    ctx.fill();
+
+    // Eyes (look in walking direction)
+    const eyeOffset = this.direction > 0 ? 2 : -2;
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillRect(width / 2 - 7 + eyeOffset, height / 2 - 6, 4, 6);
+    ctx.fillRect(width / 2 + 3 + eyeOffset, height / 2 - 6, 4, 6);
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(width / 2 - 6 + eyeOffset, height / 2 - 4, 2, 3);
+    ctx.fillRect(width / 2 + 4 + eyeOffset, height / 2 - 4, 2, 3);
+  }
+}
+
+/**
+ * EnemyManager Class
+ * Manages all enemies in the game world
+ */
+class EnemyManager {
+  constructor() {
+    this.enemies = [];
+    this.defeatedEnemies = [];
+
+    console.log("EnemyManager initialized");
+  }
+
+  /**
+   * Add an enemy to the manager
+   * @param {Enemy} enemy - Enemy to add
+   */
+  addEnemy(enemy) {
+    if (!(enemy instanceof Enemy)) {
+      console.warn("Invalid enemy object passed to addEnemy");
+      return;
+    }
+
+    this.enemies.push(enemy);
+  }
+
+  /**
+   * Remove an enemy from the manager
+   * @param {Enemy} enemy - Enemy to remove
+   */
+  removeEnemy(enemy) {
+    const index = this.enemies.indexOf(enemy);
+    if (index > -1) {
+      this.enemies.splice(index, 1);
+    }
+  }
+
+  /**
+   * Update all enemies
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {Stage} stage - Current stage for platform collisions
+   * @param {PhysicsEngine} physicsEngine - Physics engine instance
+   */
+  update(deltaTime, stage = null, physicsEngine = null) {
+    for (const enemy of this.enemies) {
+      enemy.update(deltaTime, stage, physicsEngine);
+    }
+
+    // Remove enemies whose defeat animation has finished
+    this.enemies = this.enemies.filter((enemy) => enemy.isActive);
+  }
+
+  /**
+   * Check contacts between enemies and a player
+   * @param {Object} player - Player to check contacts with
+   * @returns {Array} - Array of contact results (stomps, defeats and damage)
+   */
+  checkCollisions(player) {
+    const contacts = [];
+
+    for (const enemy of this.enemies) {
+      const contactResult = enemy.handlePlayerContact(player);
+      if (!contactResult) continue;
+
+      contacts.push(contactResult);
+      if (contactResult.type !== "damage") {
+        this.defeatedEnemies.push(enemy);
+      }
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Render all active enemies
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  render(ctx) {
+    for (const enemy of this.enemies) {
+      enemy.render(ctx);
+    }
+  }
+
+  /**
+   * Get enemies within a specific area (for optimization)
+   * @param {number} x - Area x coordinate
+   * @param {number} y - Area y coordinate
+   * @param {number} width - Area width
+   * @param {number} height - Area height
+   * @returns {Array} - Array of enemies in the area
+   */
+  getEnemiesInArea(x, y, width, height) {
+    return this.enemies.filter((enemy) => {
+      return !(
+        enemy.position.x > x + width ||
+        enemy.position.x + enemy.size.width < x ||
+        enemy.position.y > y + height ||
+        enemy.position.y + enemy.size.height < y
+      );
+    });
+  }
+
+  /**
+   * Clear all enemies
+   */
+  clearEnemies() {
+    this.enemies = [];
+    this.defeatedEnemies = [];
+  }
+
+  /**
+   * Get count of active enemies
+   * @returns {number} - Number of active (not defeated) enemies
+   */
+  getActiveEnemyCount() {
+    return this.enemies.filter((enemy) => !enemy.isDefeated).length;
+  }
+
+  /**
+   * Get count of defeated enemies
+   * @returns {number} - Number of defeated enemies
+   */
+  getDefeatedEnemyCount() {
+    return this.defeatedEnemies.length;
+  }
+
+  /**
+   * Replace all enemies with enemies created from stage data
+   * @param {Array} enemyDefinitions - Enemy definitions (JSON stage format)
+   * @returns {number} - Number of enemies created
+   */
+  loadEnemyData(enemyDefinitions = []) {
+    this.clearEnemies();
+
+    for (const enemyData of enemyDefinitions) {
+      const enemy = EnemyManager.createEnemyFromData(enemyData);
+      if (enemy) {
+        this.addEnemy(enemy);
+      }
+    }
+
+    return this.enemies.length;
+  }
+
+  /**
+   * Get data for all enemies that are still alive
+   * @returns {Array} - Enemy definitions (JSON stage format)
+   */
+  getEnemyData() {
+    return this.enemies
+      .filter((enemy) => !enemy.isDefeated)
+      .map((enemy) => {
+        const { isDefeated, isActive, ...enemyData } = enemy.getEnemyData();
+        return enemyData;
+      });
+  }
+
+  /**
+   * Create an enemy instance from an enemy definition
+   * @param {Object} enemyData - Enemy definition with type and position
+   * @returns {Enemy|null} - New enemy, or null if the type is unknown
+   */
+  static createEnemyFromData(enemyData) {
+    if (!enemyData || !enemyData.position) {
+      console.warn("Invalid enemy data passed to createEnemyFromData");
+      return null;
+    }
+
+    const { x, y } = enemyData.position;
+
+    switch (enemyData.type) {
+      case "walker":
+        return new Walker(x, y, enemyData.direction, enemyData.speed);
+      default:
+        console.warn(`Unknown enemy type: ${enemyData.type}`);
+        return null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Enemy, Walker, EnemyManager };
+}
@@ -25,7 +25,7 @@ class FallbackInputSystem {
 
     // Alternative key bindings
     this.alternativeKeys = {
-      jump: ["ArrowUp", "KeyW", "Enter"], // Space is primary, these are alternatives
+      jump: ["Enter"], // Space is primary, this is an alternative
       moveLeft: ["KeyA"],
       moveRight: ["KeyD"],
       pause: ["KeyP", "Escape"],
@@ -102,29 +102,34 @@ class FallbackInputSystem {
       }
     }
 
-    // Verify up arrow key is bound to jump
-    this.verifyUpArrowJump();
+    // Verify up arrow key is bound to look up
+    this.verifyUpArrowLook();
   }
 
   /**
-   * Verify up arrow key jump functionality
+   * Verify up arrow key look-up binding
+   * The key is only added back when no action uses it, so rebinding it
+   * elsewhere is kept.
    */
-  verifyUpArrowJump() {
-    const jumpKeys = this.inputManager.keyBindings.jump || [];
+  verifyUpArrowLook() {
+    const lookKeys = this.inputManager.keyBindings.lookUp || [];
+    const isBound = Object.values(this.inputManager.keyBindings).some((keys) =>
+      keys.includes("ArrowUp")
+    );
 
-    if (!jumpKeys.includes("ArrowUp")) {
-      console.warn("Up arrow key not bound to jump, adding it...");
-      this.inputManager.bindKey("ArrowUp", "jump");
+    if (!isBound) {
+      console.warn("Up arrow key not bound, binding it to look up...");
+      this.inputManager.bindKey("ArrowUp", "lookUp");
     }
 
     // Test up arrow key binding
     const testResult = {
-      upArrowBound: jumpKeys.includes("ArrowUp"),
-      allJumpKeys: jumpKeys,
+      upArrowBound: lookKeys.includes("ArrowUp"),
+      allLookKeys: lookKeys,
       timestamp: Date.now(),
     };
 
-    console.log("Up arrow key jump verification:", testResult);
+    console.log("Up arrow key look verification:", testResult);
     return testResult;
   }
 
@@ -545,7 +550,7 @@ class FallbackInputSystem {
     console.log("=== Testing Alternative Input Methods ===");
 
     const results = {
-      upArrowJump: this.verifyUpArrowJump(),
+      upArrowLook: this.verifyUpArrowLook(),
       touchSupport: this.touchSupported,
       onScreenControls: !!this.onScreenControls.jumpButton,
       alternativeKeys: this.alternativeKeys,
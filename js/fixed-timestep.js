@@ -0,0 +1,136 @@
+/**
+ * Fixed Timestep for Mario Style Platformer
+ * Runs the simulation in equal-sized steps regardless of frame rate
+ */
+
+/**
+ * FixedTimestep Class
+ * Accumulates frame time and spends it in fixed steps, so jumps and
+ * collisions come out the same at 30, 60 or 144 FPS. Whatever time is
+ * left over becomes the interpolation factor (alpha) used to draw entities
+ * between their previous and current step positions.
+ */
+class FixedTimestep {
+  constructor(stepDuration = 1000 / 60, maxStepsPerFrame = 5) {
+    this.stepDuration = stepDuration; // milliseconds
+    this.maxStepsPerFrame = maxStepsPerFrame;
+
+    this.accumulator = 0;
+    this.alpha = 1; // 0 = previous step position, 1 = current position
+
+    // Entity -> position before the latest step
+    this.previousPositions = new Map();
+    // Entity -> step position while interpolated positions are applied
+    this.stepPositions = new Map();
+  }
+
+  /**
+   * Add frame time and run as many fixed steps as it covers
+   * @param {number} deltaTime - Frame time in milliseconds
+   * @param {Function} stepFn - Called with (stepDuration, stepIndex); return
+   *   false to stop stepping and drop the remaining time (e.g. stage cleared)
+   * @returns {number} - Number of steps run
+   */
+  advance(deltaTime, stepFn) {
+    this.accumulator += deltaTime;
+
+    let steps = 0;
+    while (
+      this.accumulator >= this.stepDuration &&
+      steps < this.maxStepsPerFrame
+    ) {
+      this.accumulator -= this.stepDuration;
+      const keepGoing = stepFn(this.stepDuration, steps);
+      steps++;
+
+      // Nothing left to interpolate towards; draw the final positions
+      if (keepGoing === false) {
+        this.accumulator = 0;
+        this.alpha = 1;
+        return steps;
+      }
+    }
+
+    // Don't try to catch up on time a slow machine can't simulate
+    if (steps >= this.maxStepsPerFrame) {
+      this.accumulator = Math.min(this.accumulator, this.stepDuration);
+    }
+
+    this.alpha =
+      this.previousPositions.size > 0
+        ? Math.min(1, this.accumulator / this.stepDuration)
+        : 1;
+    return steps;
+  }
+
+  /**
+   * Remember entity positions before a step so rendering can interpolate
+   * @param {Array} entities - Objects with a position { x, y }
+   */
+  capturePositions(entities) {
+    this.previousPositions.clear();
+    for (const entity of entities) {
+      if (entity && entity.position) {
+        this.previousPositions.set(entity, {
+          x: entity.position.x,
+          y: entity.position.y,
+        });
+      }
+    }
+  }
+
+  /**
+   * Move entities to their interpolated positions for drawing
+   * Call restorePositions() afterwards; interpolate() does both.
+   */
+  applyInterpolation() {
+    if (this.alpha >= 1 || this.stepPositions.size > 0) return;
+
+    for (const [entity, previous] of this.previousPositions) {
+      const current = { x: entity.position.x, y: entity.position.y };
+      this.stepPositions.set(entity, current);
+      entity.position.x = previous.x + (current.x - previous.x) * this.alpha;
+      entity.position.y = previous.y + (current.y - previous.y) * this.alpha;
+    }
+  }
+
+  /**
+   * Put entities back at their simulated step positions
+   */
+  restorePositions() {
+    for (const [entity, current] of this.stepPositions) {
+      entity.position.x = current.x;
+      entity.position.y = current.y;
+    }
+    this.stepPositions.clear();
+  }
+
+  /**
+   * Run a function (rendering, camera follow) with interpolated positions
+   * @param {Function} fn - Function to run
+   */
+  interpolate(fn) {
+    this.applyInterpolation();
+    try {
+      fn();
+    } finally {
+      this.restorePositions();
+    }
+  }
+
+  /**
+   * Forget previous positions and leftover time (stage load, respawn), so
+   * nothing is drawn sliding from where it was before a teleport
+   */
+  reset() {
+    this.restorePositions();
+    this.previousPositions.clear();
+    this.accumulator = 0;
+    this.alpha = 1;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FixedTimestep;
+}
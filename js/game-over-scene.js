@@ -0,0 +1,185 @@
+/**
+ * Game Over Scene Implementation
+ * Shown when the player runs out of lives; offers continue or quit
+ */
+
+/**
+ * GameOverScene Class
+ * Manages the game over/continue screen
+ */
+class GameOverScene extends Scene {
+  constructor(gameEngine) {
+    super("gameover", gameEngine);
+
+    // Results passed in from GameEngine.showGameOver()
+    this.results = { stageNumber: 1, score: 0, coins: 0 };
+
+    // Menu options
+    this.options = [
+      { id: "continue", label: "Continue" },
+      { id: "quit", label: "Quit to Menu" },
+    ];
+    this.selectedIndex = 0;
+
+    // Timing
+    this.elapsedTime = 0;
+    this.inputDelay = 1000; // Ignore input briefly so a held jump doesn't skip
+
+    console.log("GameOverScene initialized");
+  }
+
+  /**
+   * Enter the game over scene
+   */
+  enter(data = {}) {
+    super.enter(data);
+
+    this.results = {
+      stageNumber: data.stageNumber || 1,
+      score: data.score || 0,
+      coins: data.coins || 0,
+    };
+
+    this.selectedIndex = 0;
+    this.elapsedTime = 0;
+  }
+
+  /**
+   * Update game over scene
+   */
+  update(deltaTime) {
+    if (!this.isActive) return;
+
+    this.elapsedTime += deltaTime;
+
+    // Handle keyboard input
+    this.handleKeyboardInput();
+  }
+
+  /**
+   * Handle keyboard input
+   */
+  handleKeyboardInput() {
+    if (this.elapsedTime < this.inputDelay) return;
+
+    const inputManager = this.gameEngine.getInputManager();
+    if (!inputManager) return;
+
+    const input = inputManager.getPlayerInput();
+
+    // Arrow keys / W,S to move between options
+    if (
+      inputManager.isKeyPressed("ArrowUp") ||
+      inputManager.isKeyPressed("KeyW")
+    ) {
+      this.navigateOption(-1);
+    }
+    if (
+      inputManager.isKeyPressed("ArrowDown") ||
+      inputManager.isKeyPressed("KeyS")
+    ) {
+      this.navigateOption(1);
+    }
+
+    // Enter/Space to confirm, ESC to quit
+    if (input.jump || input.enter) {
+      this.selectOption(this.options[this.selectedIndex].id);
+    } else if (input.escape) {
+      this.selectOption("quit");
+    }
+  }
+
+  /**
+   * Move the option cursor
+   * @param {number} direction - -1 for up, 1 for down
+   */
+  navigateOption(direction) {
+    const count = this.options.length;
+    this.selectedIndex = (this.selectedIndex + direction + count) % count;
+
+    const audioManager = this.gameEngine.getAudioManager();
+    if (audioManager) {
+      audioManager.playSound("coin"); // Reuse coin sound for selection
+    }
+  }
+
+  /**
+   * Perform the selected option
+   * @param {string} optionId - "continue" or "quit"
+   */
+  selectOption(optionId) {
+    if (optionId === "continue") {
+      this.gameEngine.continueGame();
+    } else {
+      this.gameEngine.stopGame();
+    }
+  }
+
+  /**
+   * Render the game over scene
+   */
+  render(ctx) {
+    if (!this.isActive) return;
+
+    const canvas = this.gameEngine.canvas;
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+
+    // Draw background
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Title
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#FF0000";
+    ctx.font = "bold 48px Arial";
+    ctx.fillText("GAME OVER", centerX, centerY - 110);
+
+    // Results
+    ctx.fillStyle = "#FFFFFF";
+    ctx.font = "20px Arial";
+    ctx.fillText(`Stage ${this.results.stageNumber}`, centerX, centerY - 50);
+    ctx.fillText(
+      `Score: ${this.results.score}   Coins: ${this.results.coins}`,
+      centerX,
+      centerY - 20
+    );
+
+    // Options
+    this.renderOptions(ctx, centerX, centerY + 50);
+  }
+
+  /**
+   * Render continue/quit options
+   */
+  renderOptions(ctx, centerX, startY) {
+    const waiting = this.elapsedTime < this.inputDelay;
+
+    this.options.forEach((option, index) => {
+      const y = startY + index * 40;
+      const isSelected = index === this.selectedIndex;
+
+      ctx.font = isSelected ? "bold 24px Arial" : "22px Arial";
+      ctx.fillStyle = isSelected ? "#FFD700" : "#AAAAAA";
+      if (waiting) {
+        ctx.fillStyle = "#555555";
+      }
+
+      const label = isSelected ? `▶ ${option.label}` : option.label;
+      ctx.fillText(label, centerX, y);
+    });
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.font = "14px Arial";
+    ctx.fillText(
+      "Continue restarts this stage with a new set of lives (score resets)",
+      centerX,
+      startY + this.options.length * 40 + 30
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameOverScene;
+}
@@ -0,0 +1,318 @@
+/**
+ * Ghost System for Mario Style Platformer
+ * Records the player's path through each stage and races the best run as a
+ * translucent ghost
+ */
+
+// Simulation steps between two samples of a ghost trace
+const GHOST_SAMPLE_INTERVAL = 2;
+
+/**
+ * GhostSystem Class
+ * Every attempt is traced as [x, y, state, facing] samples taken on
+ * simulation steps. When a stage is cleared faster than its saved ghost,
+ * the trace becomes the new ghost. During later attempts the ghost is drawn
+ * at the same point in time as the live run, and the split shows how many
+ * seconds the live run is ahead of (negative) or behind (positive) the
+ * ghost at the live player's current distance into the stage.
+ */
+class GhostSystem {
+  constructor(gameEngine) {
+    this.gameEngine = gameEngine;
+
+    // Attempt in progress
+    this.stageId = null;
+    this.trace = null; // Samples of the live run
+    this.stepCount = 0; // Simulation steps since the stage started
+
+    // Best run being raced
+    this.ghost = null; // { stageId, time, samples, progress }
+    this.alpha = 0.4; // Ghost opacity
+    this.animator =
+      typeof Animator !== "undefined" ? Animator.forSpriteSet("player") : null;
+
+    console.log("GhostSystem initialized");
+  }
+
+  /**
+   * Check whether the ghost is shown (stage select toggle)
+   * @returns {boolean} - True if ghosts are enabled
+   */
+  isEnabled() {
+    const saveSystem = this.gameEngine.saveSystem;
+    return !saveSystem || saveSystem.loadSettings().showGhost !== false;
+  }
+
+  /**
+   * Show or hide the ghost
+   * @param {boolean} enabled - Whether to race the best run
+   */
+  setEnabled(enabled) {
+    if (this.gameEngine.saveSystem) {
+      this.gameEngine.saveSystem.saveSettings({ showGhost: enabled });
+    }
+    if (!enabled) {
+      this.ghost = null;
+    }
+  }
+
+  /**
+   * Start tracing an attempt and load the stage's ghost (called by loadStage)
+   * @param {number} stageId - Stage that was just loaded
+   */
+  beginStage(stageId) {
+    this.stageId = stageId;
+    this.stepCount = 0;
+
+    // Replays are not the player's own runs, so they don't set ghosts;
+    // neither do co-op runs or editor play-tests, which race without one
+    const replaySystem = this.gameEngine.replaySystem;
+    const isReplay = replaySystem && replaySystem.isPlayingBack();
+    const isUnraced =
+      this.gameEngine.coopMode === true || !!this.gameEngine.playTestStage;
+    this.trace = isReplay || isUnraced ? null : [];
+
+    this.ghost = null;
+    if (!isUnraced && this.isEnabled() && this.gameEngine.saveSystem) {
+      const saved = this.gameEngine.saveSystem.loadGhost(stageId);
+      if (saved) {
+        this.ghost = { ...saved, progress: this.buildProgress(saved.samples) };
+      }
+    }
+
+    if (this.animator) {
+      this.animator.reset();
+    }
+  }
+
+  /**
+   * Count a simulation step (called before every step), sampling the
+   * player where the previous step left them
+   */
+  recordStep() {
+    if (this.trace && this.stepCount % GHOST_SAMPLE_INTERVAL === 0) {
+      this.trace.push(this.captureSample());
+    }
+    this.stepCount++;
+  }
+
+  /**
+   * Finish the attempt; a stage clear faster than the ghost replaces it
+   * @param {string} outcome - "clear", "gameover" or "quit"
+   */
+  endStage(outcome) {
+    const trace = this.trace;
+    this.trace = null;
+
+    if (outcome !== "clear" || !trace || !this.gameEngine.saveSystem) {
+      return;
+    }
+
+    // Keep where the run ended when it falls on a sample
+    if (this.stepCount % GHOST_SAMPLE_INTERVAL === 0) {
+      trace.push(this.captureSample());
+    }
+
+    const time = this.getRunTime();
+    const saved = this.gameEngine.saveSystem.loadGhost(this.stageId);
+    if (saved && saved.time <= time) {
+      return;
+    }
+
+    const ghost = {
+      stageId: this.stageId,
+      time: time,
+      sampleInterval: GHOST_SAMPLE_INTERVAL,
+      samples: trace,
+    };
+
+    if (this.gameEngine.saveSystem.saveGhost(this.stageId, ghost)) {
+      console.log(
+        `New ghost for stage ${this.stageId}: ${time.toFixed(2)}s (${
+          trace.length
+        } samples)`
+      );
+
+      if (saved && this.gameEngine.uiSystem) {
+        this.gameEngine.uiSystem.showMessage("New best run!", 2000, "success");
+      }
+    }
+  }
+
+  /**
+   * Capture the player's current position and look
+   * @returns {Array} - [x, y, state, facing (1 right, -1 left)]
+   */
+  captureSample() {
+    const player = this.gameEngine.player;
+    return [
+      Math.round(player.position.x * 10) / 10,
+      Math.round(player.position.y * 10) / 10,
+      player.state,
+      player.facing === "left" ? -1 : 1,
+    ];
+  }
+
+  /**
+   * Build the farthest x reached by each sample (for split lookups)
+   * @param {Array} samples - Ghost samples
+   * @returns {Array} - Non-decreasing x progress per sample
+   */
+  buildProgress(samples) {
+    const progress = [];
+    let farthest = -Infinity;
+    for (const sample of samples) {
+      farthest = Math.max(farthest, sample[0]);
+      progress.push(farthest);
+    }
+    return progress;
+  }
+
+  /**
+   * Get the time the attempt has run (deaths included; best times use it too)
+   * @returns {number} - Seconds of simulation since the stage started
+   */
+  getRunTime() {
+    return this.getStepTime(this.stepCount);
+  }
+
+  /**
+   * Convert simulation steps to seconds
+   * @param {number} steps - Number of steps
+   * @returns {number} - Seconds
+   */
+  getStepTime(steps) {
+    return (steps * GAME_CONFIG.fixedTimeStep) / 1000;
+  }
+
+  /**
+   * Get the ghost's position and look at a point in the run
+   * @param {number} step - Simulation step (fractional steps interpolate)
+   * @returns {Object|null} - { x, y, state, facing, finished }, or null
+   *   without a ghost
+   */
+  getGhostState(step = this.stepCount) {
+    if (!this.ghost) return null;
+
+    const samples = this.ghost.samples;
+    const interval = this.ghost.sampleInterval || GHOST_SAMPLE_INTERVAL;
+    const position = Math.max(0, step / interval);
+    const index = Math.min(Math.floor(position), samples.length - 1);
+    const next = samples[Math.min(index + 1, samples.length - 1)];
+    const current = samples[index];
+    const t = Math.min(1, position - index);
+
+    return {
+      x: current[0] + (next[0] - current[0]) * t,
+      y: current[1] + (next[1] - current[1]) * t,
+      state: current[2],
+      facing: current[3] < 0 ? "left" : "right",
+      finished: position >= samples.length - 1,
+    };
+  }
+
+  /**
+   * Get how far ahead or behind the live run is
+   * Compares the time the live run has taken to reach the player's current
+   * x with the time the ghost took to first get there.
+   * @returns {number|null} - Seconds behind the ghost (negative = ahead),
+   *   or null without a ghost
+   */
+  getSplit() {
+    const player = this.gameEngine.player;
+    if (!this.ghost || !player) return null;
+
+    // First sample whose progress reaches the player
+    const progress = this.ghost.progress;
+    let low = 0;
+    let high = progress.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (progress[middle] >= player.position.x) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    const interval = this.ghost.sampleInterval || GHOST_SAMPLE_INTERVAL;
+    const ghostTime = Math.min(
+      this.getStepTime(low * interval),
+      this.ghost.time
+    );
+    return this.getStepTime(this.stepCount) - ghostTime;
+  }
+
+  /**
+   * Animate the ghost (called once per frame)
+   * @param {number} deltaTime - Frame time in milliseconds
+   */
+  update(deltaTime) {
+    const state = this.getGhostState();
+    if (!state || !this.animator) return;
+
+    this.animator.setState(state.state);
+    this.animator.setFacing(state.facing);
+    this.animator.update(deltaTime);
+  }
+
+  /**
+   * Draw the ghost in world space (camera transform already applied)
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} alpha - Progress into the next step (render interpolation)
+   */
+  render(ctx, alpha = 1) {
+    const state = this.getGhostState(this.stepCount - 1 + alpha);
+    if (!state) return;
+
+    const player = this.gameEngine.player;
+    const width = player ? player.size.width : 32;
+    const height = player ? player.size.height : 32;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+
+    const rendered =
+      this.animator &&
+      this.animator.canRender() &&
+      this.animator.render(ctx, state.x, state.y, width, height);
+
+    if (!rendered) {
+      ctx.fillStyle = "#FFFFFF";
+      ctx.fillRect(state.x, state.y, width, height);
+      ctx.strokeStyle = "#4A90E2";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(state.x, state.y, width, height);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the split indicator (screen space)
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Right edge of the text
+   * @param {number} y - Text baseline
+   */
+  renderSplit(ctx, x, y) {
+    const split = this.getSplit();
+    if (split === null) return;
+
+    const ahead = split <= 0;
+    const sign = ahead ? "-" : "+";
+
+    ctx.save();
+    ctx.font = "bold 20px Arial";
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillText(`Ghost ${sign}${Math.abs(split).toFixed(1)}s`, x + 2, y + 2);
+    ctx.fillStyle = ahead ? "#00FF88" : "#FF5555";
+    ctx.fillText(`Ghost ${sign}${Math.abs(split).toFixed(1)}s`, x, y);
+    ctx.restore();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GhostSystem, GHOST_SAMPLE_INTERVAL };
+}
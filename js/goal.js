@@ -31,6 +31,12 @@ class Goal {
     this.type = "flag"; // "flag", "door", "portal", etc.
     this.scoreBonus = 1000; // Bonus points for reaching goal
 
+    // Sprite animation (goal types without sprites keep their shapes)
+    this.animator =
+      typeof Animator !== "undefined"
+        ? Animator.forSpriteSet("goal", { state: this.type })
+        : null;
+
     console.log(
       `Goal created at position (${this.position.x}, ${this.position.y})`
     );
@@ -49,6 +55,10 @@ class Goal {
 
     // Update glow effect
     this.glowIntensity = (Math.sin(this.animationTimer * 0.008) + 1) * 0.5;
+
+    if (this.animator) {
+      this.animator.update(deltaTime);
+    }
   }
 
   /**
@@ -110,19 +120,21 @@ class Goal {
     const renderX = this.position.x;
     const renderY = this.position.y;
 
-    // Draw goal based on type
-    switch (this.type) {
-      case "flag":
-        this.renderFlag(ctx, renderX, renderY);
-        break;
-      case "door":
-        this.renderDoor(ctx, renderX, renderY);
-        break;
-      case "portal":
-        this.renderPortal(ctx, renderX, renderY);
-        break;
-      default:
-        this.renderFlag(ctx, renderX, renderY);
+    // Draw the goal sprite, or the shape for its type as a fallback
+    if (!this.renderSprite(ctx, renderX, renderY)) {
+      switch (this.type) {
+        case "flag":
+          this.renderFlag(ctx, renderX, renderY);
+          break;
+        case "door":
+          this.renderDoor(ctx, renderX, renderY);
+          break;
+        case "portal":
+          this.renderPortal(ctx, renderX, renderY);
+          break;
+        default:
+          this.renderFlag(ctx, renderX, renderY);
+      }
     }
 
     // Draw glow effect
@@ -132,6 +144,19 @@ class Goal {
     this.renderDebugInfo(ctx, renderX, renderY);
   }
 
+  /**
+   * Render the goal's animated sprite
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Render x position
+   * @param {number} y - Render y position
+   * @returns {boolean} - False if there is no sprite for this goal type
+   */
+  renderSprite(ctx, x, y) {
+    if (!this.animator) return false;
+
+    return this.animator.render(ctx, x, y, this.size.width, this.size.height);
+  }
+
   /**
    * Render flag-style goal
    * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -332,6 +357,10 @@ class Goal {
       console.warn(`Invalid goal type: ${type}. Using default "flag".`);
       this.type = "flag";
     }
+
+    if (this.animator) {
+      this.animator.setState(this.type);
+    }
   }
 
   /**
@@ -343,6 +372,9 @@ class Goal {
     this.animationTimer = 0;
     this.glowIntensity = 0;
     this.flagWaveOffset = 0;
+    if (this.animator) {
+      this.animator.reset();
+    }
 
     console.log("Goal reset to initial state");
   }
@@ -385,3 +417,8 @@ class Goal {
     );
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Goal;
+}
@@ -0,0 +1,230 @@
+/**
+ * Headless Adapters for Mario Style Platformer
+ * No-op renderer, in-memory storage and silent audio so the engine can run
+ * outside a browser (Node tests, simulations)
+ */
+
+/**
+ * Create a 2D context that accepts every drawing call and draws nothing
+ * Style properties (fillStyle, font, ...) keep their assigned values;
+ * objects returned by context methods (gradients, patterns) are no-ops too.
+ * @returns {Object} - CanvasRenderingContext2D stand-in
+ */
+function createNullContext() {
+  const noop = () => context;
+  const state = {
+    measureText: (text) => ({ width: String(text).length * 8 }),
+    getImageData: (x, y, width, height) => ({
+      width,
+      height,
+      data: new Uint8ClampedArray(Math.max(0, width * height * 4)),
+    }),
+    isPointInPath: () => false,
+    getLineDash: () => [],
+  };
+
+  const context = new Proxy(state, {
+    get(target, property) {
+      if (property in target) return target[property];
+      // Symbols (e.g. from inspection) are not drawing calls
+      if (typeof property === "symbol") return undefined;
+      return noop;
+    },
+    set(target, property, value) {
+      target[property] = value;
+      return true;
+    },
+  });
+
+  return context;
+}
+
+/**
+ * NullCanvas Class
+ * Canvas element stand-in whose 2D context draws nothing
+ */
+class NullCanvas {
+  constructor(width = 800, height = 600) {
+    this.width = width;
+    this.height = height;
+    this.context = createNullContext();
+    this.attributes = new Map();
+    this.style = {};
+  }
+
+  getContext(type) {
+    return type === "2d" ? this.context : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  focus() {}
+
+  blur() {}
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  getBoundingClientRect() {
+    return {
+      x: 0,
+      y: 0,
+      top: 0,
+      left: 0,
+      right: this.width,
+      bottom: this.height,
+      width: this.width,
+      height: this.height,
+    };
+  }
+}
+
+/**
+ * MemoryStorage Class
+ * localStorage-compatible storage kept in memory (nothing persists)
+ */
+class MemoryStorage {
+  constructor(initialData = {}) {
+    this.data = new Map(Object.entries(initialData));
+  }
+
+  get length() {
+    return this.data.size;
+  }
+
+  key(index) {
+    const keys = Array.from(this.data.keys());
+    return index >= 0 && index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.data.set(String(key), String(value));
+  }
+
+  removeItem(key) {
+    this.data.delete(key);
+  }
+
+  clear() {
+    this.data.clear();
+  }
+}
+
+/**
+ * NullAudioManager Class
+ * AudioManager that never touches an audio device. Loads only register the
+ * names, and plays are recorded in playedSounds / playedMusic so tests can
+ * check what the game would have played.
+ */
+class NullAudioManager extends AudioManager {
+  constructor() {
+    super();
+    this.playedSounds = [];
+    this.playedMusic = [];
+  }
+
+  /**
+   * Initialize without Web Audio or HTML5 Audio
+   */
+  async init() {
+    this.isInitialized = true;
+  }
+
+  async loadSound(name) {
+    this.sounds.set(name, { name });
+    return this.sounds.get(name);
+  }
+
+  async loadMusic(name) {
+    this.music.set(name, { name, loop: true });
+    return this.music.get(name);
+  }
+
+  async loadSynthSound(name) {
+    return this.loadSound(name);
+  }
+
+  async loadSynthMusic(name, track = {}) {
+    this.music.set(name, { name, loop: track.loop !== false });
+    return this.music.get(name);
+  }
+
+  /**
+   * Record a sound effect instead of playing it
+   * @param {string} name - Sound name
+   * @returns {Object|null} - Placeholder instance, or null if not loaded
+   */
+  playSound(name) {
+    if (!this.sounds.has(name)) return null;
+    this.playedSounds.push(name);
+    return { name, paused: true };
+  }
+
+  /**
+   * Record background music instead of playing it
+   * @param {string} name - Music name
+   * @param {Object} options - Same options as AudioManager.playMusic
+   * @returns {Object|null} - Placeholder instance, or null if not loaded
+   */
+  playMusic(name, options = {}) {
+    if (!this.music.has(name)) return null;
+
+    if (
+      this.currentBGM &&
+      !this.currentBGM.paused &&
+      this.currentBGMName === name &&
+      !options.restart
+    ) {
+      return this.currentBGM;
+    }
+
+    this.currentBGM = { name, paused: false };
+    this.currentBGMName = name;
+    this.playedMusic.push(name);
+    return this.currentBGM;
+  }
+
+  stopMusic() {
+    this.currentBGM = null;
+    this.currentBGMName = null;
+  }
+
+  pauseMusic() {
+    if (this.currentBGM) this.currentBGM.paused = true;
+  }
+
+  resumeMusic() {
+    if (this.currentBGM) this.currentBGM.paused = false;
+  }
+
+  destroy() {
+    this.stopMusic();
+    this.sounds.clear();
+    this.music.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createNullContext,
+    NullCanvas,
+    MemoryStorage,
+    NullAudioManager,
+  };
+}
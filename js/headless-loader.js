@@ -0,0 +1,181 @@
+/**
+ * Headless Loader for Mario Style Platformer
+ * Node-only entry point for tests and simulations: loads the game scripts as
+ * browser-style globals, boots a headless engine and runs small test suites
+ */
+
+const path = require("path");
+
+// Test results use the original logger, even after quiet loading
+const log = console.log;
+
+/**
+ * Game scripts in browser script order (see index.html). Data scripts export
+ * a plain object and are exposed under the global name they use in the
+ * browser; class scripts expose their exports directly.
+ */
+const GAME_SCRIPTS = [
+  "input-manager.js",
+  "physics-engine.js",
+  "sound-synth.js",
+  { file: "sound-data.js", global: "SOUND_EFFECTS" },
+  "music-sequencer.js",
+  "music-data.js",
+  "audio-manager.js",
+  "camera.js",
+  { file: "sprite-data.js", global: "SPRITE_ATLAS" },
+  "sprite-atlas.js",
+  "animator.js",
+  "goal.js",
+  "checkpoint.js",
+  "parallax-background.js",
+  { file: "stage-data.js", global: "STAGE_DEFINITIONS" },
+  "stage-registry.js",
+  "tiled-importer.js",
+  "stage-validator.js",
+  "stage.js",
+  "item.js",
+  "enemy.js",
+  "ui-system.js",
+  "start-screen.js",
+  "scene-manager.js",
+  "settings-scene.js",
+  "stage-select-scene.js",
+  "editor-scene.js",
+  "ending-scene.js",
+  "game-over-scene.js",
+  "save-system.js",
+  "player.js",
+  "seeded-random.js",
+  "stage-generator.js",
+  "replay-system.js",
+  "ghost-system.js",
+  "particle-system.js",
+  "fixed-timestep.js",
+  "headless-adapters.js",
+  "main.js",
+];
+
+let gameGlobals = null;
+
+/**
+ * Load every game script once and expose its exports as globals
+ * @param {Object} options - Set quiet to drop the engine's console.log
+ *   chatter (warnings and errors still show)
+ * @returns {Object} - All exported names, for destructuring in tests
+ */
+function loadGameScripts(options = {}) {
+  if (options.quiet) {
+    console.log = () => {};
+  }
+  if (gameGlobals) return gameGlobals;
+
+  gameGlobals = {};
+  GAME_SCRIPTS.forEach((script) => {
+    const file = typeof script === "string" ? script : script.file;
+    const exported = require(path.join(__dirname, file));
+
+    let globals = exported;
+    if (typeof script !== "string") {
+      globals = { [script.global]: exported };
+    } else if (typeof exported === "function") {
+      globals = { [exported.name]: exported };
+    }
+    // Later scripts may use these while loading
+    Object.assign(gameGlobals, globals);
+    Object.assign(global, globals);
+  });
+
+  return gameGlobals;
+}
+
+/**
+ * Create and initialize a headless engine
+ * @param {Object} options - GameEngine options (storage, audioManager, ...)
+ * @returns {Promise<GameEngine>} - Booted engine showing the menu
+ */
+async function loadHeadlessEngine(options = {}) {
+  const { GameEngine, MemoryStorage, NullAudioManager } = loadGameScripts();
+  const engine = new GameEngine(null, {
+    headless: true,
+    storage: new MemoryStorage(),
+    audioManager: new NullAudioManager(),
+    ...options,
+  });
+  await engine.init();
+  return engine;
+}
+
+/**
+ * Step an engine for a number of frames
+ * @param {GameEngine} engine - Headless engine
+ * @param {number} frames - Frame count
+ * @param {number} frameTime - Milliseconds per frame (default: one fixed step)
+ */
+function runFrames(engine, frames, frameTime) {
+  const step = frameTime || loadGameScripts().GAME_CONFIG.fixedTimeStep;
+  for (let i = 0; i < frames; i++) {
+    engine.stepFrame(step);
+  }
+}
+
+/**
+ * Step an engine while holding keys (key codes or gamepad codes)
+ * @param {GameEngine} engine - Headless engine
+ * @param {string[]} keys - Codes held for every frame, released afterwards
+ * @param {number} frames - Frame count
+ */
+function holdKeys(engine, keys, frames) {
+  keys.forEach((key) => engine.inputManager.setKeyState(key, true));
+  runFrames(engine, frames);
+  keys.forEach((key) => engine.inputManager.setKeyState(key, false));
+}
+
+/**
+ * Run a test suite, print the results and exit with the suite status
+ * Each test returns (or resolves to) true when it passes.
+ * @param {string} title - Suite title
+ * @param {Function} defineTests - Receives test(name, fn) and registers tests
+ */
+async function runTestSuite(title, defineTests) {
+  log(`=== ${title} Test Suite ===\n`);
+
+  let testsPassed = 0;
+  const pending = [];
+
+  function test(name, testFn) {
+    const run = (async () => {
+      try {
+        if (await testFn()) {
+          log(`✅ ${name}`);
+          testsPassed++;
+        } else {
+          log(`❌ ${name}`);
+        }
+      } catch (error) {
+        log(`❌ ${name} - Error: ${error.message}`);
+      }
+    })();
+    pending.push(run);
+    return run;
+  }
+
+  await defineTests(test);
+  await Promise.all(pending);
+
+  log(`\n=== Test Results ===`);
+  log(`Passed: ${testsPassed}/${pending.length}`);
+
+  const success = testsPassed === pending.length;
+  log(success ? "🎉 All tests passed!" : "❌ Some tests failed.");
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = {
+  log,
+  loadGameScripts,
+  loadHeadlessEngine,
+  runFrames,
+  holdKeys,
+  runTestSuite,
+};
@@ -1,17 +1,78 @@
 /**
- * Input Manager - Keyboard Input Handling System
- * Handles keyboard input with state tracking (pressed, held, released)
+ * Input Manager - Keyboard and Gamepad Input Handling System
+ * Handles keyboard input with state tracking (pressed, held, released) and
+ * polls standard-mapping gamepads into the same key states
  */
 
+// Key codes of the standard gamepad mapping buttons, by button index
+const GAMEPAD_BUTTON_CODES = [
+  "GamepadA",
+  "GamepadB",
+  "GamepadX",
+  "GamepadY",
+  "GamepadLB",
+  "GamepadRB",
+  "GamepadLT",
+  "GamepadRT",
+  "GamepadBack",
+  "GamepadStart",
+  "GamepadL3",
+  "GamepadR3",
+  "GamepadUp",
+  "GamepadDown",
+  "GamepadLeft",
+  "GamepadRight",
+  "GamepadHome",
+];
+
+// Key codes of analog stick directions, with the axes each stick uses
+const GAMEPAD_STICKS = {
+  left: {
+    axes: [0, 1],
+    codes: {
+      left: "GamepadLStickLeft",
+      right: "GamepadLStickRight",
+      up: "GamepadLStickUp",
+      down: "GamepadLStickDown",
+    },
+  },
+  right: {
+    axes: [2, 3],
+    codes: {
+      left: "GamepadRStickLeft",
+      right: "GamepadRStickRight",
+      up: "GamepadRStickUp",
+      down: "GamepadRStickDown",
+    },
+  },
+};
+
+// Prefix of the codes the second player's pad writes in split mode
+// ("Gamepad2A", "Gamepad2LStickLeft", ...)
+const SECOND_GAMEPAD_PREFIX = "Gamepad2";
+
 /**
  * InputManager Class
- * Manages keyboard input states and key bindings for player controls
+ * Manages keyboard input states and key bindings for player controls.
+ * Gamepad buttons and stick directions act as extra keys ("GamepadA",
+ * "GamepadLStickLeft", ...): update() polls navigator.getGamepads() and
+ * writes their states next to the keyboard's, so they bind to actions
+ * through keyBindings like any key.
+ * In two-player co-op the second player has its own binding set, and with
+ * setGamepadSplit(true) the second pad writes "Gamepad2..." codes instead of
+ * merging with the first.
  */
 class InputManager {
-  constructor(canvas = null) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to keep focused (optional)
+   * @param {Object} options - { listenForEvents: false } skips DOM keyboard
+   *   listeners (headless runs set key states with setKeyState instead)
+   */
+  constructor(canvas = null, options = {}) {
     // Key state tracking
     this.keyStates = new Map();
     this.previousKeyStates = new Map();
+    this.frameKeyStates = new Map(); // Key states seen by the last update()
 
     // Enhanced input detection properties
     this.lastKeyEventTime = new Map(); // Track timing for duplicate detection
@@ -21,21 +82,20 @@ class InputManager {
     this.maxEventHistory = 100; // Maximum events to keep in history
 
     // Key bindings for player actions
-    this.keyBindings = {
-      // Movement controls
-      moveLeft: ["ArrowLeft", "KeyA"],
-      moveRight: ["ArrowRight", "KeyD"],
-      jump: ["Space", "ArrowUp", "KeyW", "Enter"], // Added Enter key for jump
-      dash: ["ShiftLeft", "ShiftRight"],
-      block: ["ArrowDown", "KeyS"],
-
-      // Game controls
-      pause: ["KeyP"],
-      escape: ["Escape"],
-
-      // Debug controls (for development)
-      debug: ["KeyF1"],
+    this.keyBindings = this.getDefaultKeyBindings();
+    this.secondPlayerBindings = this.getDefaultSecondPlayerBindings();
+
+    // Gamepads (polled each update; see pollGamepads)
+    this.gamepads = new Map(); // Connected pads by index: { id, standard, codes }
+    this.gamepadAxes = {
+      left: { x: 0, y: 0 },
+      right: { x: 0, y: 0 },
     };
+    this.gamepadDeadzone = 0.25; // Stick distance from center that is ignored
+    this.gamepadStickThreshold = 0.5; // Stick tilt that counts as a direction
+    this.gamepadTriggerThreshold = 0.5; // Analog trigger press threshold
+    this.onGamepadChange = null; // Called with (gamepad info, connected)
+    this.splitGamepads = false; // Second pad drives the second player
 
     // Duplicate execution prevention (REDUCED THRESHOLD FOR DEBUGGING)
     this.actionExecutionHistory = new Map(); // Track recent action executions
@@ -45,6 +105,10 @@ class InputManager {
     // Action states (derived from key states)
     this.actionStates = new Map();
 
+    // Replay playback: while set, gameplay actions come from the replay
+    // instead of the keyboard (see ReplaySystem)
+    this.playbackSource = null;
+
     // Focus management
     this.canvas = canvas;
     this.focusManager = null;
@@ -61,7 +125,9 @@ class InputManager {
     }
 
     // Initialize event listeners
-    this.initEventListeners();
+    if (options.listenForEvents !== false) {
+      this.initEventListeners();
+    }
 
     console.log("InputManager initialized with enhanced input detection");
   }
@@ -111,6 +177,16 @@ class InputManager {
       this.eventCaptureOptions
     );
 
+    // Gamepad hot-plug (polling also notices pads, as some browsers only
+    // report them once a button is pressed)
+    window.addEventListener("gamepadconnected", (event) => {
+      this.handleGamepadConnected(event.gamepad);
+    });
+
+    window.addEventListener("gamepaddisconnected", (event) => {
+      this.handleGamepadDisconnected(event.gamepad.index);
+    });
+
     // Prevent context menu on right click (for future mouse support)
     document.addEventListener("contextmenu", (event) => {
       event.preventDefault();
@@ -235,6 +311,16 @@ class InputManager {
     }
   }
 
+  /**
+   * Set a key state directly, without a DOM event (headless runs, input
+   * playback). Takes effect on the next update(), like a real key event.
+   * @param {string} keyCode - Key code (e.g. "Space", "ArrowLeft")
+   * @param {boolean} isDown - Whether the key is held
+   */
+  setKeyState(keyCode, isDown) {
+    this.keyStates.set(keyCode, !!isDown);
+  }
+
   /**
    * Legacy keydown handler (for backward compatibility)
    */
@@ -253,9 +339,11 @@ class InputManager {
    * Check if a key code is used for game controls
    */
   isGameKey(keyCode) {
-    for (const action in this.keyBindings) {
-      if (this.keyBindings[action].includes(keyCode)) {
-        return true;
+    for (const bindings of [this.keyBindings, this.secondPlayerBindings]) {
+      for (const action in bindings) {
+        if (bindings[action].includes(keyCode)) {
+          return true;
+        }
       }
     }
     return false;
@@ -328,16 +416,290 @@ class InputManager {
    * Update input states (call this once per frame)
    */
   update() {
-    // Store previous frame's key states
-    this.previousKeyStates.clear();
-    for (const [key, state] of this.keyStates) {
-      this.previousKeyStates.set(key, state);
-    }
+    // Poll gamepads into the key states before they are snapshotted
+    this.pollGamepads();
+
+    // Store previous frame's key states. Key events arrive between frames,
+    // so these are the states the last update saw, not the live ones (which
+    // would hide every press made since then)
+    this.previousKeyStates = this.frameKeyStates;
+    this.frameKeyStates = new Map(this.keyStates);
 
     // Update action states based on key bindings
     this.updateActionStates();
   }
 
+  /**
+   * Get the connected gamepads from the browser
+   * @returns {Array|null} - Gamepads (with empty slots), or null where the
+   *   Gamepad API is unavailable
+   */
+  getGamepadList() {
+    if (
+      typeof navigator === "undefined" ||
+      typeof navigator.getGamepads !== "function"
+    ) {
+      return null;
+    }
+
+    try {
+      return Array.from(navigator.getGamepads() || []);
+    } catch (error) {
+      console.warn("Failed to read gamepads:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Poll connected gamepads and merge their buttons and stick directions
+   * into the key states (any pad pressing a code holds it)
+   */
+  pollGamepads() {
+    const pads = this.getGamepadList();
+    if (!pads) return;
+
+    // Hot-plug: register new pads and drop ones that went away
+    const present = new Set();
+    for (const pad of pads) {
+      if (!pad || pad.connected === false) continue;
+      present.add(pad.index);
+      if (!this.gamepads.has(pad.index)) {
+        this.handleGamepadConnected(pad);
+      }
+      this.readGamepad(pad);
+    }
+    for (const index of [...this.gamepads.keys()]) {
+      if (!present.has(index)) {
+        this.handleGamepadDisconnected(index);
+      }
+    }
+
+    this.mergeGamepadStates();
+  }
+
+  /**
+   * Read one standard-mapping gamepad's buttons and sticks
+   * @param {Gamepad} pad - Gamepad from navigator.getGamepads()
+   */
+  readGamepad(pad) {
+    const entry = this.gamepads.get(pad.index);
+    if (!entry || !entry.standard) return;
+
+    const codes = new Set();
+
+    (pad.buttons || []).forEach((button, index) => {
+      const code = GAMEPAD_BUTTON_CODES[index];
+      if (!code || !button) return;
+
+      // Triggers are analog, so a partly pulled one counts past the
+      // threshold (older browsers report plain numbers)
+      const pressed =
+        typeof button === "number"
+          ? button > this.gamepadTriggerThreshold
+          : button.pressed || button.value > this.gamepadTriggerThreshold;
+      if (pressed) {
+        codes.add(code);
+      }
+    });
+
+    entry.axes = {};
+    for (const stick in GAMEPAD_STICKS) {
+      const { axes, codes: directions } = GAMEPAD_STICKS[stick];
+      const axis = this.applyDeadzone(
+        (pad.axes && pad.axes[axes[0]]) || 0,
+        (pad.axes && pad.axes[axes[1]]) || 0
+      );
+      entry.axes[stick] = axis;
+
+      const threshold = this.gamepadStickThreshold;
+      if (axis.x <= -threshold) codes.add(directions.left);
+      if (axis.x >= threshold) codes.add(directions.right);
+      if (axis.y <= -threshold) codes.add(directions.up);
+      if (axis.y >= threshold) codes.add(directions.down);
+    }
+
+    entry.codes = codes;
+  }
+
+  /**
+   * Apply the radial stick deadzone, rescaling the rest to the full range
+   * @param {number} x - Raw horizontal axis (-1..1)
+   * @param {number} y - Raw vertical axis (-1..1, down is positive)
+   * @returns {Object} - { x, y } with the deadzone removed
+   */
+  applyDeadzone(x, y) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= this.gamepadDeadzone) {
+      return { x: 0, y: 0 };
+    }
+
+    const scaled = Math.min(
+      1,
+      (magnitude - this.gamepadDeadzone) / (1 - this.gamepadDeadzone)
+    );
+    return {
+      x: (x / magnitude) * scaled,
+      y: (y / magnitude) * scaled,
+    };
+  }
+
+  /**
+   * Write the combined state of all pads into the key states
+   * In split mode the second standard pad writes the second player's codes
+   * and its sticks are left out of the shared axes.
+   */
+  mergeGamepadStates() {
+    const held = new Set();
+    const axes = {
+      left: { x: 0, y: 0 },
+      right: { x: 0, y: 0 },
+    };
+    const secondPad = this.splitGamepads ? this.getSecondPlayerGamepad() : null;
+
+    for (const entry of this.gamepads.values()) {
+      if (entry === secondPad) {
+        entry.codes.forEach((code) =>
+          held.add(code.replace(/^Gamepad/, SECOND_GAMEPAD_PREFIX))
+        );
+        continue;
+      }
+
+      entry.codes.forEach((code) => held.add(code));
+      for (const stick in axes) {
+        const axis = entry.axes && entry.axes[stick];
+        // The pad pushed furthest wins
+        if (
+          axis &&
+          Math.hypot(axis.x, axis.y) > Math.hypot(axes[stick].x, axes[stick].y)
+        ) {
+          axes[stick] = { ...axis };
+        }
+      }
+    }
+
+    for (const code of this.getGamepadCodes()) {
+      this.keyStates.set(code, held.has(code));
+    }
+    this.gamepadAxes = axes;
+  }
+
+  /**
+   * Get the pad that drives the second player in split mode
+   * @returns {Object|null} - The second connected standard pad, if any
+   */
+  getSecondPlayerGamepad() {
+    const standardPads = [...this.gamepads.values()]
+      .filter((entry) => entry.standard)
+      .sort((a, b) => a.index - b.index);
+    return standardPads[1] || null;
+  }
+
+  /**
+   * Give the second pad to the second player (co-op) or merge all pads
+   * @param {boolean} enabled - Whether pads are split between players
+   */
+  setGamepadSplit(enabled) {
+    this.splitGamepads = !!enabled;
+    this.mergeGamepadStates();
+  }
+
+  /**
+   * Register a newly connected gamepad
+   * @param {Gamepad} pad - The connected gamepad
+   */
+  handleGamepadConnected(pad) {
+    if (!pad || this.gamepads.has(pad.index)) return;
+
+    const entry = {
+      index: pad.index,
+      id: pad.id,
+      standard: pad.mapping === "standard",
+      codes: new Set(),
+      axes: null,
+    };
+    this.gamepads.set(pad.index, entry);
+
+    if (entry.standard) {
+      console.log(`Gamepad ${pad.index} connected: ${pad.id}`);
+    } else {
+      console.warn(
+        `Gamepad ${pad.index} (${pad.id}) has no standard mapping and is ignored`
+      );
+    }
+
+    if (this.onGamepadChange) {
+      this.onGamepadChange(this.getGamepadInfo(entry), true);
+    }
+  }
+
+  /**
+   * Forget a disconnected gamepad, releasing everything it held
+   * @param {number} index - Index of the disconnected gamepad
+   */
+  handleGamepadDisconnected(index) {
+    const entry = this.gamepads.get(index);
+    if (!entry) return;
+
+    this.gamepads.delete(index);
+    this.mergeGamepadStates();
+    console.log(`Gamepad ${index} disconnected: ${entry.id}`);
+
+    if (this.onGamepadChange) {
+      this.onGamepadChange(this.getGamepadInfo(entry), false);
+    }
+  }
+
+  /**
+   * Describe a gamepad for callbacks and debug output
+   */
+  getGamepadInfo(entry) {
+    return { index: entry.index, id: entry.id, standard: entry.standard };
+  }
+
+  /**
+   * Get the connected gamepads
+   * @returns {Array} - { index, id, standard } for each pad
+   */
+  getConnectedGamepads() {
+    return [...this.gamepads.values()].map((entry) =>
+      this.getGamepadInfo(entry)
+    );
+  }
+
+  /**
+   * Get all key codes gamepads can produce
+   * @returns {Array} - Button and stick direction codes
+   */
+  getGamepadCodes() {
+    const codes = [...GAMEPAD_BUTTON_CODES];
+    for (const stick in GAMEPAD_STICKS) {
+      codes.push(...Object.values(GAMEPAD_STICKS[stick].codes));
+    }
+
+    // The same codes again for the second player's pad
+    return codes.concat(
+      codes.map((code) => code.replace(/^Gamepad/, SECOND_GAMEPAD_PREFIX))
+    );
+  }
+
+  /**
+   * Check whether a key code belongs to a gamepad
+   * @param {string} keyCode - Key code
+   * @returns {boolean} - True for gamepad buttons and stick directions
+   */
+  isGamepadCode(keyCode) {
+    return this.getGamepadCodes().includes(keyCode);
+  }
+
+  /**
+   * Get a stick's position with the deadzone applied
+   * @param {string} stick - "left" or "right"
+   * @returns {Object} - { x, y } in -1..1 (down is positive y)
+   */
+  getStickAxes(stick = "left") {
+    return { ...(this.gamepadAxes[stick] || { x: 0, y: 0 }) };
+  }
+
   /**
    * Update action states based on current key bindings
    */
@@ -462,9 +824,15 @@ class InputManager {
   /**
    * Get the current input state for player movement
    * Returns an object with movement directions and actions
+   * @param {number} playerIndex - 0 for the first player, 1 for the second
+   *   co-op player (who only gets gameplay actions)
    */
-  getPlayerInput() {
-    return {
+  getPlayerInput(playerIndex = 0) {
+    if (playerIndex === 1) {
+      return this.getSecondPlayerInput();
+    }
+
+    const input = {
       // Movement directions
       moveLeft: this.isActionHeld("moveLeft"),
       moveRight: this.isActionHeld("moveRight"),
@@ -474,6 +842,7 @@ class InputManager {
       jumpHeld: this.isActionHeld("jump"),
       dash: this.isActionHeld("dash"),
       block: this.isActionHeld("block"),
+      lookUp: this.isActionHeld("lookUp"),
 
       // Game controls
       pause: this.isActionPressed("pause"),
@@ -483,6 +852,58 @@ class InputManager {
       // Debug
       debug: this.isActionPressed("debug"),
     };
+
+    // Replays drive the gameplay actions; game controls stay live so the
+    // viewer can still pause or quit
+    if (this.playbackSource) {
+      Object.assign(input, this.playbackSource.getActionStates());
+    }
+
+    return input;
+  }
+
+  /**
+   * Get the second co-op player's input from secondPlayerBindings
+   * Pause and menu controls stay with the first player.
+   * @returns {Object} - Input in the same shape as getPlayerInput()
+   */
+  getSecondPlayerInput() {
+    const bindings = this.secondPlayerBindings;
+    const isHeld = (action) =>
+      (bindings[action] || []).some((keyCode) => this.isKeyHeld(keyCode));
+    const isPressed = (action) =>
+      (bindings[action] || []).some((keyCode) => this.isKeyPressed(keyCode));
+
+    return {
+      moveLeft: isHeld("moveLeft"),
+      moveRight: isHeld("moveRight"),
+      jump: isPressed("jump"),
+      jumpHeld: isHeld("jump"),
+      dash: isHeld("dash"),
+      block: isHeld("block"),
+      lookUp: isHeld("lookUp"),
+      pause: false,
+      escape: false,
+      enter: false,
+      debug: false,
+    };
+  }
+
+  /**
+   * Drive gameplay actions from a replay instead of the keyboard
+   * @param {Object|null} source - Object with getActionStates() returning
+   *   { moveLeft, jump, ... }, or null to return to keyboard input
+   */
+  setPlaybackSource(source) {
+    this.playbackSource = source || null;
+  }
+
+  /**
+   * Check whether a replay is driving gameplay input
+   * @returns {boolean} - True while a playback source is set
+   */
+  isPlayingBack() {
+    return this.playbackSource !== null;
   }
 
   /**
@@ -610,24 +1031,140 @@ class InputManager {
   }
 
   /**
-   * Reset key bindings to default configuration
+   * Apply saved key bindings on top of the defaults
+   * Unknown actions and malformed entries are skipped, so actions added
+   * after the bindings were saved keep their default keys.
+   * @param {Object} bindings - Key codes per action (from getAllKeyBindings)
+   * @returns {boolean} - True if the bindings were applied
    */
-  resetKeyBindingsToDefault() {
-    this.keyBindings = {
+  applyKeyBindings(bindings) {
+    if (!bindings || typeof bindings !== "object") {
+      return false;
+    }
+
+    const applied = this.getDefaultKeyBindings();
+    for (const action in bindings) {
+      const keyCodes = bindings[action];
+      const isValid =
+        Array.isArray(keyCodes) &&
+        keyCodes.length > 0 &&
+        keyCodes.every((keyCode) => typeof keyCode === "string");
+
+      if (!applied[action] || !isValid) {
+        console.warn(`[INPUT] Ignoring saved bindings for ${action}`);
+        continue;
+      }
+      applied[action] = [...keyCodes];
+    }
+
+    this.keyBindings = applied;
+    this.actionExecutionHistory.clear();
+    this.lastActionTrigger.clear();
+
+    console.log("[INPUT] Saved key bindings applied");
+    return true;
+  }
+
+  /**
+   * Get every key and gamepad code pressed this frame (for capturing a key
+   * to bind)
+   * @returns {Array} - Key codes that went down since the last update
+   */
+  getPressedKeys() {
+    const pressed = [];
+    for (const [keyCode, isDown] of this.keyStates) {
+      if (isDown && !this.previousKeyStates.get(keyCode)) {
+        pressed.push(keyCode);
+      }
+    }
+    return pressed;
+  }
+
+  /**
+   * Get a short readable name for a key code
+   * @param {string} keyCode - Key code (e.g. "KeyA", "GamepadLStickLeft")
+   * @returns {string} - Label for menus (e.g. "A", "L-Stick ←")
+   */
+  getKeyLabel(keyCode) {
+    const arrows = { Left: "←", Right: "→", Up: "↑", Down: "↓" };
+
+    // The second player's pad codes are labelled "P2 ..."
+    const stick = /^Gamepad(2?)([LR])Stick(Left|Right|Up|Down)$/.exec(keyCode);
+    if (stick) {
+      const owner = stick[1] ? "P2 " : "";
+      return `${owner}${stick[2]}-Stick ${arrows[stick[3]]}`;
+    }
+
+    const pad = /^Gamepad(2?)(.+)$/.exec(keyCode);
+    if (pad) {
+      const owner = pad[1] ? "P2 " : "";
+      return arrows[pad[2]]
+        ? `${owner}D-Pad ${arrows[pad[2]]}`
+        : `${owner}Pad ${pad[2]}`;
+    }
+
+    const arrow = /^Arrow(Left|Right|Up|Down)$/.exec(keyCode);
+    if (arrow) {
+      return arrows[arrow[1]];
+    }
+
+    const letterOrDigit = /^(?:Key|Digit)(.)$/.exec(keyCode);
+    if (letterOrDigit) {
+      return letterOrDigit[1];
+    }
+
+    const sided = /^(Shift|Control|Alt|Meta)(Left|Right)$/.exec(keyCode);
+    if (sided) {
+      return `${sided[2] === "Left" ? "L" : "R"}-${sided[1]}`;
+    }
+
+    if (keyCode === "Escape") return "Esc";
+    return keyCode.replace(/^Key/, "");
+  }
+
+  /**
+   * Get the default key bindings
+   * @returns {Object} - Key codes per action
+   */
+  getDefaultKeyBindings() {
+    return {
       // Movement controls
-      moveLeft: ["ArrowLeft", "KeyA"],
-      moveRight: ["ArrowRight", "KeyD"],
-      jump: ["Space", "ArrowUp", "KeyW", "Enter"],
-      dash: ["ShiftLeft", "ShiftRight"],
-      block: ["ArrowDown", "KeyS"],
+      moveLeft: ["ArrowLeft", "KeyA", "GamepadLeft", "GamepadLStickLeft"],
+      moveRight: ["ArrowRight", "KeyD", "GamepadRight", "GamepadLStickRight"],
+      jump: ["Space", "Enter", "GamepadA"], // Added Enter key for jump
+      dash: ["ShiftLeft", "ShiftRight", "GamepadX", "GamepadRB"],
+      block: ["ArrowDown", "KeyS", "GamepadDown", "GamepadLStickDown"],
+      lookUp: ["ArrowUp", "KeyW", "GamepadUp", "GamepadLStickUp"],
 
       // Game controls
-      pause: ["KeyP"],
-      escape: ["Escape"],
+      pause: ["KeyP", "GamepadStart"],
+      escape: ["Escape", "GamepadBack"],
 
       // Debug controls (for development)
       debug: ["KeyF1"],
     };
+  }
+
+  /**
+   * Get the default key bindings of the second co-op player
+   * @returns {Object} - Key codes per gameplay action
+   */
+  getDefaultSecondPlayerBindings() {
+    return {
+      moveLeft: ["KeyJ", "Gamepad2Left", "Gamepad2LStickLeft"],
+      moveRight: ["KeyL", "Gamepad2Right", "Gamepad2LStickRight"],
+      jump: ["KeyI", "Gamepad2A"],
+      dash: ["KeyO", "Gamepad2X", "Gamepad2RB"],
+      block: ["KeyK", "Gamepad2Down", "Gamepad2LStickDown"],
+      lookUp: ["Gamepad2Up", "Gamepad2LStickUp"],
+    };
+  }
+
+  /**
+   * Reset key bindings to default configuration
+   */
+  resetKeyBindingsToDefault() {
+    this.keyBindings = this.getDefaultKeyBindings();
 
     // Clear all action execution history
     this.actionExecutionHistory.clear();
@@ -641,7 +1178,7 @@ class InputManager {
    */
   validateKeyBindings() {
     const issues = [];
-    const usedKeys = new Set();
+    const keyActions = new Map(); // Key code -> actions it is bound to
 
     for (const action in this.keyBindings) {
       const keys = this.keyBindings[action];
@@ -652,17 +1189,28 @@ class InputManager {
       }
 
       for (const key of keys) {
-        if (usedKeys.has(key)) {
+        if (keyActions.has(key)) {
           issues.push(`Key '${key}' is bound to multiple actions`);
+        } else {
+          keyActions.set(key, []);
         }
-        usedKeys.add(key);
+        keyActions.get(key).push(action);
+      }
+    }
+
+    // Keys shared between actions, for the controls screen to highlight
+    const conflicts = [];
+    for (const [keyCode, actions] of keyActions) {
+      if (actions.length > 1) {
+        conflicts.push({ keyCode, actions });
       }
     }
 
     return {
       isValid: issues.length === 0,
       issues: issues,
-      totalKeys: usedKeys.size,
+      conflicts: conflicts,
+      totalKeys: keyActions.size,
       totalActions: Object.keys(this.keyBindings).length,
     };
   }
@@ -692,6 +1240,15 @@ class InputManager {
     if (this.focusManager) {
       return this.focusManager.getFocusState();
     }
+    if (typeof document === "undefined") {
+      return {
+        hasFocus: false,
+        activeElement: false,
+        documentHidden: false,
+        windowHasFocus: false,
+        indicatorVisible: false,
+      };
+    }
     return {
       hasFocus: document.activeElement === document.body,
       activeElement: false,
@@ -729,6 +1286,7 @@ class InputManager {
   resetAllKeys() {
     this.keyStates.clear();
     this.previousKeyStates.clear();
+    this.frameKeyStates.clear();
     this.actionStates.clear();
     this.lastKeyEventTime.clear();
     console.log("All key states and event timing reset");
@@ -774,6 +1332,10 @@ class InputManager {
       lastActionTriggers: Object.fromEntries(this.lastActionTrigger),
       actionExecutionHistory: this.getActionExecutionHistorySummary(),
       keyBindingValidation: this.validateKeyBindings(),
+      // Gamepads
+      gamepads: this.getConnectedGamepads(),
+      splitGamepads: this.splitGamepads,
+      leftStick: this.getStickAxes("left"),
     };
   }
 
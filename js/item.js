@@ -29,6 +29,12 @@ class Item {
     this.hasPhysics = false; // Most items are static by default
     this.isOnGround = false;
 
+    // Pop-out animation (items released from question blocks)
+    this.popState = null;
+
+    // Sprite animation (set by subclasses that have sprites)
+    this.animator = null;
+
     console.log(
       `Item created: ${this.type} at (${this.position.x}, ${this.position.y})`
     );
@@ -49,6 +55,15 @@ class Item {
       this.animationTimer = 0;
     }
 
+    if (this.animator) {
+      this.animator.update(deltaTime);
+    }
+
+    if (this.popState) {
+      this.updatePopOut(deltaTime);
+      return;
+    }
+
     // Update physics if enabled
     if (this.hasPhysics) {
       this.updatePhysics(deltaTime);
@@ -65,13 +80,53 @@ class Item {
     this.position.y += this.velocity.y * (deltaTime / 1000);
   }
 
+  /**
+   * Start rising out of a block; the item can't be collected until it's out
+   * @param {number} targetY - Y position the item rises to
+   * @param {number} duration - Rise duration in milliseconds
+   */
+  popOut(targetY, duration = 400) {
+    this.popState = {
+      startY: this.position.y,
+      targetY: targetY,
+      timer: 0,
+      duration: duration,
+    };
+  }
+
+  /**
+   * Advance the pop-out animation
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  updatePopOut(deltaTime) {
+    const pop = this.popState;
+    pop.timer = Math.min(pop.duration, pop.timer + deltaTime);
+
+    // Ease out so the item slows as it clears the block
+    const progress = pop.timer / pop.duration;
+    const eased = 1 - (1 - progress) * (1 - progress);
+    this.position.y = pop.startY + (pop.targetY - pop.startY) * eased;
+
+    if (pop.timer >= pop.duration) {
+      this.popState = null;
+    }
+  }
+
+  /**
+   * Check whether the item is still rising out of a block
+   * @returns {boolean} - True while the pop-out animation is playing
+   */
+  isPopping() {
+    return this.popState !== null;
+  }
+
   /**
    * Check collision with another entity
    * @param {Object} entity - Entity to check collision with (player, etc.)
    * @returns {boolean} - True if collision detected
    */
   checkCollision(entity) {
-    if (!this.isActive || this.isCollected || !entity) {
+    if (!this.isActive || this.isCollected || !entity || this.isPopping()) {
       return false;
     }
 
@@ -129,6 +184,18 @@ class Item {
     // Save context for transformations
     ctx.save();
 
+    // Hide the part still inside the block while popping out
+    if (this.popState) {
+      ctx.beginPath();
+      ctx.rect(
+        renderX - this.size.width,
+        this.popState.startY - this.size.height * 2,
+        this.size.width * 3,
+        this.size.height * 2
+      );
+      ctx.clip();
+    }
+
     // Apply animation transformations
     ctx.translate(
       renderX + this.size.width / 2,
@@ -136,8 +203,10 @@ class Item {
     );
     ctx.scale(scale, scale);
 
-    // Draw item based on type
-    this.renderItemShape(ctx);
+    // Draw the item sprite, or its shape if the sprite is unavailable
+    if (!this.renderSprite(ctx)) {
+      this.renderItemShape(ctx);
+    }
 
     // Restore context
     ctx.restore();
@@ -146,6 +215,23 @@ class Item {
     this.renderDebugInfo(ctx, renderX, renderY);
   }
 
+  /**
+   * Render the item sprite, centered on the transformed origin
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @returns {boolean} - False if the item has no sprite to draw
+   */
+  renderSprite(ctx) {
+    if (!this.animator) return false;
+
+    return this.animator.render(
+      ctx,
+      -this.size.width / 2,
+      -this.size.height / 2,
+      this.size.width,
+      this.size.height
+    );
+  }
+
   /**
    * Render the item shape (can be overridden by subclasses)
    * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -232,6 +318,10 @@ class Item {
     this.animationTimer = 0;
     this.velocity = { x: 0, y: 0 };
     this.isOnGround = false;
+    this.popState = null;
+    if (this.animator) {
+      this.animator.reset();
+    }
   }
 
   /**
@@ -265,6 +355,12 @@ class Coin extends Item {
     // Coin visual effects
     this.sparkleTimer = 0;
     this.sparkleInterval = 300; // Sparkle every 300ms
+
+    // Spinning coin sprite
+    this.animator =
+      typeof Animator !== "undefined"
+        ? Animator.forSpriteSet("coin", { state: "spin" })
+        : null;
   }
 
   /**
@@ -387,6 +483,12 @@ class PowerUp extends Item {
     this.animationSpeed = 2500; // Slower, more majestic animation
     this.pulseTimer = 0;
     this.pulseSpeed = 800; // Pulsing effect speed
+
+    // Power-up sprite (unknown power types keep the shape)
+    this.animator =
+      typeof Animator !== "undefined"
+        ? Animator.forSpriteSet("powerup", { state: this.powerType })
+        : null;
   }
 
   /**
@@ -515,6 +617,18 @@ class PowerUp extends Item {
 
     return result;
   }
+
+  /**
+   * Get power-up data for serialization
+   * @returns {Object} - Serializable item data including power type
+   */
+  getItemData() {
+    return {
+      ...super.getItemData(),
+      powerType: this.powerType,
+      duration: this.duration,
+    };
+  }
 }
 
 /**
@@ -639,4 +753,63 @@ class ItemManager {
   getCollectedItemCount() {
     return this.collectedItems.length;
   }
+
+  /**
+   * Replace all items with items created from stage data
+   * @param {Array} itemDefinitions - Item definitions (JSON stage format)
+   * @returns {number} - Number of items created
+   */
+  loadItemData(itemDefinitions = []) {
+    this.clearItems();
+
+    for (const itemData of itemDefinitions) {
+      const item = ItemManager.createItemFromData(itemData);
+      if (item) {
+        this.addItem(item);
+      }
+    }
+
+    return this.items.length;
+  }
+
+  /**
+   * Get data for all uncollected items
+   * @returns {Array} - Item definitions (JSON stage format)
+   */
+  getItemData() {
+    return this.items
+      .filter((item) => !item.isCollected)
+      .map((item) => {
+        const { isCollected, isActive, ...itemData } = item.getItemData();
+        return itemData;
+      });
+  }
+
+  /**
+   * Create an item instance from an item definition
+   * @param {Object} itemData - Item definition with type and position
+   * @returns {Item|null} - New item, or null if the definition is invalid
+   */
+  static createItemFromData(itemData) {
+    if (!itemData || !itemData.position) {
+      console.warn("Invalid item data passed to createItemFromData");
+      return null;
+    }
+
+    const { x, y } = itemData.position;
+
+    switch (itemData.type) {
+      case "coin":
+        return new Coin(x, y, itemData.value);
+      case "powerup":
+        return new PowerUp(x, y, itemData.powerType, itemData.duration);
+      default:
+        return new Item(x, y, itemData.type, itemData.value);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Item, Coin, PowerUp, ItemManager };
 }
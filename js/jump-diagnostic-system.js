@@ -58,6 +58,7 @@ class JumpDiagnosticSystem {
         velocity: { ...this.player.velocity },
         isOnGround: this.player.isOnGround,
         lastGroundContact: this.player.lastGroundContact || 0,
+        jumpAssist: this.getJumpAssistState(),
       },
       frameInfo: {
         frameTime: performance.now(),
@@ -158,6 +159,7 @@ class JumpDiagnosticSystem {
       recommendations: this.generateRecommendations(failed),
       performanceMetrics: this.calculatePerformanceMetrics(recent),
       detailedAnalysis: this.performDetailedAnalysis(recent),
+      jumpAssist: this.analyzeJumpAssist(recent),
     };
 
     console.log("[JUMP_DIAGNOSTIC] Generated diagnostic report:", report);
@@ -211,6 +213,16 @@ class JumpDiagnosticSystem {
             technicalDetails: "Space key events may not be properly captured",
           });
           break;
+        case "Jump buffered":
+          recommendations.push({
+            issue: "Jump pressed before landing",
+            suggestion:
+              "Buffered presses fire on landing; raise jumpBufferTime if they still expire",
+            priority: "low",
+            technicalDetails:
+              "PhysicsEngine.updateConstants({ jumpBufferTime }) controls the window",
+          });
+          break;
         case "Physics timing":
           recommendations.push({
             issue: "Physics update timing",
@@ -232,6 +244,38 @@ class JumpDiagnosticSystem {
     return recommendations;
   }
 
+  /**
+   * ジャンプ補助（ジャンプカット・コヨーテタイム・先行入力）の分析
+   */
+  analyzeJumpAssist(attempts) {
+    const state = this.getJumpAssistState();
+    if (!state) return null;
+
+    const executed = attempts.filter((a) => a.jumpExecuted);
+    const assistOf = (a) =>
+      a.playerState.jumpAssist ? a.playerState.jumpAssist.lastJumpAssist : null;
+
+    return {
+      settings: state.settings,
+      coyoteTimeRemaining: state.coyoteTimeRemaining,
+      jumpBufferRemaining: state.jumpBufferRemaining,
+      recentCoyoteJumps: executed.filter((a) => assistOf(a) === "coyote")
+        .length,
+      recentBufferedJumps: executed.filter((a) => assistOf(a) === "buffer")
+        .length,
+      totals: state.stats,
+    };
+  }
+
+  /**
+   * ジャンプ補助の現在の状態を取得
+   */
+  getJumpAssistState() {
+    return this.player && this.player.getJumpAssistState
+      ? this.player.getJumpAssistState()
+      : null;
+  }
+
   /**
    * パフォーマンスメトリクスの計算
    */
@@ -483,6 +527,20 @@ Velocity: (${currentState.velocity.x.toFixed(
 On Ground: ${currentState.isOnGround ? "✅ YES" : "❌ NO"}
 Can Jump: ${this.player.canJumpEnhanced ? this.player.canJumpEnhanced() : "N/A"}
 Ground Contact: ${currentState.timeSinceGroundContact}ms ago
+${
+  report.jumpAssist
+    ? `Jump Assist: coyote ${report.jumpAssist.coyoteTimeRemaining.toFixed(
+        0
+      )}ms | buffer ${report.jumpAssist.jumpBufferRemaining.toFixed(
+        0
+      )}ms | cut x${report.jumpAssist.settings.jumpCutMultiplier}
+Assisted Jumps: ${report.jumpAssist.totals.coyoteJumps} coyote, ${
+        report.jumpAssist.totals.bufferedJumps
+      } buffered (${report.jumpAssist.totals.expiredBuffers} expired), ${
+        report.jumpAssist.totals.jumpCuts
+      } cut`
+    : ""
+}
 
 RECENT PERFORMANCE:
 Success Rate: ${report.successRate}% (${report.successfulJumps}/${
@@ -0,0 +1,221 @@
+/**
+ * Music Track Definitions for Mario Style Platformer
+ * Note data rendered by MusicSequencer, keyed by track name
+ *
+ * Format:
+ *   tempo: number,            // Beats per minute
+ *   stepsPerBeat: number,     // Pattern steps per beat (2 = eighth notes)
+ *   hurryTempoScale: number,  // Optional tempo multiplier for the hurry variant
+ *   loop: boolean,            // false for one-shot jingles
+ *   channels: {
+ *     name: {                 // Any SoundSynth tone settings, plus:
+ *       volume: number,       // Channel volume (0.0 - 1.0)
+ *       hits: { token: tone } // Drum channels: tokens map to noise hits
+ *     }
+ *   },
+ *   patterns: {
+ *     name: { channel: "C5 - E5 . G5 ..." } // One token per step:
+ *                             // note name, drum hit, "-" hold, "." rest
+ *   },
+ *   sequence: [patternName, ...]
+ *
+ * Stage definitions pick their track with `music`; scenes use SCENE_MUSIC.
+ */
+
+// Drum kit shared by the tracks that have percussion
+const MUSIC_DRUM_HITS = {
+  x: { frequency: 10000, duration: 30, attack: 0, release: 25 }, // Hi-hat
+  o: { frequency: 1800, duration: 90, attack: 0, release: 70 }, // Snare
+};
+
+const MUSIC_TRACKS = {
+  overworld: {
+    tempo: 150,
+    stepsPerBeat: 2,
+    loop: true,
+    channels: {
+      lead: { wave: "square", duty: 0.5, volume: 0.16, release: 25 },
+      bass: { wave: "triangle", volume: 0.3, release: 15 },
+      drums: { wave: "noise", volume: 0.08, hits: MUSIC_DRUM_HITS },
+    },
+    patterns: {
+      a: {
+        lead: "C5 - E5 G5 A5 - G5 E5 F5 - A5 F5 E5 - . .",
+        bass: "C3 . G3 . C3 . G3 . F2 . C3 . C3 . G2 .",
+        drums: "o . x . o . x . o . x . o x x .",
+      },
+      b: {
+        lead: "D5 - F5 A5 G5 - F5 D5 E5 - G5 E5 C5 - - .",
+        bass: "D3 . A3 . G2 . D3 . C3 . G3 . C3 . . .",
+        drums: "o . x . o . x . o . x . o x x .",
+      },
+      c: {
+        lead: "A5 - G5 F5 E5 - D5 C5 D5 - E5 D5 C5 - - -",
+        bass: "F2 . C3 . E2 . B2 . D3 . G2 . C3 . . .",
+        drums: "o . x . o . x . o . x . o . o x",
+      },
+    },
+    sequence: ["a", "b", "a", "c"],
+  },
+
+  underground: {
+    tempo: 120,
+    stepsPerBeat: 2,
+    loop: true,
+    channels: {
+      lead: { wave: "square", duty: 0.25, volume: 0.14, release: 40 },
+      bass: { wave: "triangle", volume: 0.32, release: 20 },
+      drums: { wave: "noise", volume: 0.06, hits: MUSIC_DRUM_HITS },
+    },
+    patterns: {
+      a: {
+        lead: "A4 . C5 . E5 . D5 C5 B4 . G4 . A4 - - .",
+        bass: "A2 - - . A2 - - . E2 - - . A2 - - .",
+        drums: "o . . x o . . x o . . x o . x x",
+      },
+      b: {
+        lead: "F4 . A4 . C5 . B4 A4 G#4 . E4 . A4 - - .",
+        bass: "F2 - - . F2 - - . E2 - - . A2 - - .",
+        drums: "o . . x o . . x o . . x o . x x",
+      },
+    },
+    sequence: ["a", "a", "b", "a"],
+  },
+
+  castle: {
+    tempo: 160,
+    stepsPerBeat: 2,
+    loop: true,
+    channels: {
+      lead: { wave: "square", duty: 0.125, volume: 0.14, release: 15 },
+      bass: { wave: "triangle", volume: 0.3, release: 10 },
+      drums: { wave: "noise", volume: 0.07, hits: MUSIC_DRUM_HITS },
+    },
+    patterns: {
+      a: {
+        lead: "D5 C#5 D5 . F5 E5 F5 . A5 G#5 A5 . D5 - - .",
+        bass: "D2 D3 D2 D3 D2 D3 D2 D3 D2 D3 D2 D3 C#2 C#3 C#2 C#3",
+        drums: "o x x x o x x x o x x x o x o x",
+      },
+      b: {
+        lead: "Bb4 A4 Bb4 . D5 C#5 D5 . E5 F5 E5 . C#5 - - .",
+        bass: "Bb1 Bb2 Bb1 Bb2 Bb1 Bb2 Bb1 Bb2 A1 A2 A1 A2 A1 A2 A1 A2",
+        drums: "o x x x o x x x o x x x o x o o",
+      },
+    },
+    sequence: ["a", "b"],
+  },
+
+  menu: {
+    tempo: 110,
+    stepsPerBeat: 2,
+    loop: true,
+    channels: {
+      lead: { wave: "square", duty: 0.25, volume: 0.14, release: 60 },
+      bass: { wave: "triangle", volume: 0.28, release: 30 },
+    },
+    patterns: {
+      a: {
+        lead: "G4 - B4 - D5 - B4 - C5 - E5 - D5 - - -",
+        bass: "G2 . D3 . G2 . D3 . C3 . G3 . D3 . A2 .",
+      },
+      b: {
+        lead: "B4 - A4 - G4 - E4 - F#4 - A4 - G4 - - -",
+        bass: "E2 . B2 . C3 . G2 . D3 . D3 . G2 . . .",
+      },
+    },
+    sequence: ["a", "b"],
+  },
+
+  stage_select: {
+    tempo: 130,
+    stepsPerBeat: 2,
+    loop: true,
+    channels: {
+      lead: { wave: "square", duty: 0.5, volume: 0.13, release: 30 },
+      bass: { wave: "triangle", volume: 0.28, release: 20 },
+      drums: { wave: "noise", volume: 0.06, hits: MUSIC_DRUM_HITS },
+    },
+    patterns: {
+      a: {
+        lead: "F5 . A5 . C6 . A5 . G5 . Bb5 . A5 - F5 .",
+        bass: "F2 . C3 . F2 . C3 . C3 . G2 . F2 . C3 .",
+        drums: "o . x . . . x . o . x . . . x x",
+      },
+    },
+    sequence: ["a", "a"],
+  },
+
+  stage_clear: {
+    tempo: 140,
+    stepsPerBeat: 2,
+    loop: false,
+    channels: {
+      lead: { wave: "square", duty: 0.5, volume: 0.16, release: 30 },
+      bass: { wave: "triangle", volume: 0.3, release: 60 },
+    },
+    patterns: {
+      a: {
+        lead: "C5 E5 G5 C6 . G5 C6 - D6 - B5 - C6 - - -",
+        bass: "C3 - - - E3 - - - G2 - - - C3 - - -",
+      },
+    },
+    sequence: ["a"],
+  },
+
+  game_over: {
+    tempo: 90,
+    stepsPerBeat: 2,
+    loop: false,
+    channels: {
+      lead: { wave: "square", duty: 0.25, volume: 0.14, release: 60 },
+      bass: { wave: "triangle", volume: 0.3, release: 60 },
+    },
+    patterns: {
+      a: {
+        lead: "E5 - D5 - C5 - B4 - A4 - G#4 - A4 - - -",
+        bass: "A2 - - - F2 - - - E2 - - - A1 - - -",
+      },
+    },
+    sequence: ["a"],
+  },
+
+  ending: {
+    tempo: 120,
+    stepsPerBeat: 2,
+    loop: true,
+    channels: {
+      lead: { wave: "square", duty: 0.5, volume: 0.14, release: 40 },
+      bass: { wave: "triangle", volume: 0.28, release: 20 },
+      drums: { wave: "noise", volume: 0.05, hits: MUSIC_DRUM_HITS },
+    },
+    patterns: {
+      a: {
+        lead: "E5 - D5 C5 D5 - G4 - E5 - F5 G5 E5 - - -",
+        bass: "C3 . G3 . G2 . D3 . C3 . F3 . C3 . G2 .",
+        drums: "o . x . . . x . o . x . . . x .",
+      },
+      b: {
+        lead: "A5 - G5 F5 E5 - D5 - C5 - D5 E5 C5 - - -",
+        bass: "F2 . C3 . G2 . D3 . A2 . G2 . C3 . . .",
+        drums: "o . x . . . x . o . x . o . x x",
+      },
+    },
+    sequence: ["a", "b"],
+  },
+};
+
+// Track played in each scene ("game" plays the current stage's track)
+const SCENE_MUSIC = {
+  menu: "menu",
+  settings: "menu",
+  editor: "menu",
+  stageSelect: "stage_select",
+  gameover: "game_over",
+  ending: "ending",
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MUSIC_TRACKS, SCENE_MUSIC };
+}
@@ -0,0 +1,221 @@
+/**
+ * Music Sequencer for Mario Style Platformer
+ * Turns pattern/track note data into chiptune music using SoundSynth
+ */
+
+// Semitones above C for each note letter
+const NOTE_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * MusicSequencer Class
+ * Reads a track (see music-data.js), lays its patterns out in sequence
+ * order as timed note events, and renders those events to PCM with the
+ * sound effect synthesizer. A track renders once into a loopable buffer;
+ * the "hurry" variant is the same track at a faster tempo.
+ */
+class MusicSequencer {
+  constructor(synth = null) {
+    this.synth = synth || new SoundSynth();
+
+    // Tempo multiplier for hurry variants when a track doesn't set one
+    this.defaultHurryTempoScale = 1.5;
+  }
+
+  /**
+   * Convert a note name ("C4", "F#5", "Bb3") to a frequency
+   * @param {string} token - Note name
+   * @returns {number|null} - Frequency in Hz, or null if not a note
+   */
+  parseNote(token) {
+    const match = /^([A-G])(#|b)?(\d)$/.exec(token);
+    if (!match) return null;
+
+    let semitone = NOTE_SEMITONES[match[1]];
+    if (match[2] === "#") semitone++;
+    if (match[2] === "b") semitone--;
+
+    // MIDI note number; A4 (69) is 440 Hz
+    const midiNote = (parseInt(match[3], 10) + 1) * 12 + semitone;
+    return 440 * Math.pow(2, (midiNote - 69) / 12);
+  }
+
+  /**
+   * Split a channel's pattern string into notes
+   * Tokens are one step each: a note name or drum hit starts a note, "-"
+   * holds the previous note for another step and "." is a rest.
+   * @param {string} pattern - Space separated step tokens
+   * @returns {Object} - { steps, notes: [{ step, length, token }] }
+   */
+  parsePattern(pattern) {
+    const tokens = (pattern || "").trim().split(/\s+/).filter(Boolean);
+    const notes = [];
+    let current = null;
+
+    tokens.forEach((token, step) => {
+      if (token === "-") {
+        if (current) current.length++;
+      } else if (token === ".") {
+        current = null;
+      } else {
+        current = { step, length: 1, token };
+        notes.push(current);
+      }
+    });
+
+    return { steps: tokens.length, notes };
+  }
+
+  /**
+   * Get the length of one step
+   * @param {Object} track - Track definition
+   * @param {boolean} hurry - Use the hurry tempo
+   * @returns {number} - Step duration in milliseconds
+   */
+  getStepDuration(track, hurry = false) {
+    const scale = hurry
+      ? track.hurryTempoScale || this.defaultHurryTempoScale
+      : 1;
+    const beatDuration = 60000 / (track.tempo * scale);
+    return beatDuration / (track.stepsPerBeat || 4);
+  }
+
+  /**
+   * Lay out a track's note events
+   * @param {Object} track - Track definition
+   * @param {Object} options - { hurry }
+   * @returns {Object} - { events: [{ channel, time, tone }], duration } with
+   *   times and durations in milliseconds
+   */
+  buildEvents(track, options = {}) {
+    const stepDuration = this.getStepDuration(track, options.hurry);
+    const channels = track.channels || {};
+    const events = [];
+    let patternStart = 0; // In steps
+
+    for (const patternName of track.sequence || []) {
+      const pattern = track.patterns[patternName];
+      if (!pattern) {
+        console.warn(`Unknown music pattern: ${patternName}`);
+        continue;
+      }
+
+      let patternSteps = 0;
+      for (const [channelName, notation] of Object.entries(pattern)) {
+        const channel = channels[channelName];
+        if (!channel) {
+          console.warn(`Unknown music channel: ${channelName}`);
+          continue;
+        }
+
+        const parsed = this.parsePattern(notation);
+        patternSteps = Math.max(patternSteps, parsed.steps);
+
+        for (const note of parsed.notes) {
+          const tone = this.createTone(channel, note, stepDuration);
+          if (!tone) continue;
+
+          events.push({
+            channel: channelName,
+            time: (patternStart + note.step) * stepDuration,
+            tone,
+          });
+        }
+      }
+
+      patternStart += patternSteps;
+    }
+
+    return { events, duration: patternStart * stepDuration };
+  }
+
+  /**
+   * Create the synth tone for a note on a channel
+   * @param {Object} channel - Channel settings (wave, duty, attack, release,
+   *   or hits for drum channels)
+   * @param {Object} note - Parsed note { step, length, token }
+   * @param {number} stepDuration - Step duration in milliseconds
+   * @returns {Object|null} - SoundSynth tone, or null for unknown tokens
+   */
+  createTone(channel, note, stepDuration) {
+    const { hits, volume, ...toneSettings } = channel;
+
+    // Drum channels map tokens to fixed noise hits
+    if (hits) {
+      const hit = hits[note.token];
+      if (!hit) {
+        console.warn(`Unknown drum hit: ${note.token}`);
+        return null;
+      }
+      return { ...toneSettings, ...hit };
+    }
+
+    const frequency = this.parseNote(note.token);
+    if (frequency === null) {
+      console.warn(`Invalid note: ${note.token}`);
+      return null;
+    }
+
+    return {
+      ...toneSettings,
+      frequency,
+      duration: note.length * stepDuration,
+    };
+  }
+
+  /**
+   * Render a track to PCM samples (offline render path)
+   * @param {Object} track - Track definition
+   * @param {Object} options - { hurry, sampleRate }
+   * @returns {Float32Array} - Mono samples, one pass through the sequence
+   */
+  renderTrack(track, options = {}) {
+    const sampleRate = options.sampleRate || this.synth.sampleRate;
+    const { events, duration } = this.buildEvents(track, options);
+    const totalSamples = Math.round((duration / 1000) * sampleRate);
+    const mix = new Float32Array(totalSamples);
+    const random = this.synth.createNoiseSource(track.seed || 1);
+
+    let scratch = new Float32Array(0);
+    for (const event of events) {
+      const offset = Math.round((event.time / 1000) * sampleRate);
+      const length = Math.min(
+        Math.round((event.tone.duration / 1000) * sampleRate),
+        totalSamples - offset
+      );
+      if (length <= 0) continue;
+
+      if (scratch.length < length) {
+        scratch = new Float32Array(length);
+      } else {
+        scratch.fill(0, 0, length);
+      }
+
+      const channel = track.channels[event.channel];
+      this.synth.renderTone(
+        scratch,
+        0,
+        length,
+        event.tone,
+        channel.volume !== undefined ? channel.volume : 0.25,
+        sampleRate,
+        random
+      );
+
+      for (let i = 0; i < length; i++) {
+        mix[offset + i] += scratch[i];
+      }
+    }
+
+    // Channels are mixed by adding, so keep the result in range
+    for (let i = 0; i < mix.length; i++) {
+      mix[i] = Math.max(-1, Math.min(1, mix[i]));
+    }
+
+    return mix;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MusicSequencer;
+}
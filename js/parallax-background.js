@@ -0,0 +1,417 @@
+/**
+ * Parallax Background for Mario Style Platformer
+ * Stage themes (sky, background layers and platform palette) and the
+ * layered background renderer shared by stages and the start screen
+ */
+
+// Theme used when stage data does not name one
+const DEFAULT_THEME = "overworld";
+
+/**
+ * Theme definitions
+ * - sky: gradient [top, bottom] (a stage's background.color replaces the top)
+ * - cloudColor: fill for the stage's own background elements
+ * - layers: drawn far to near; scrollFactor is how fast a layer follows the
+ *   camera (0 stays put, 1 moves with the platforms). Repeating layers
+ *   place one shape every `spacing` pixels; shape sizes vary per repeat.
+ *   Layer types: "clouds", "hills", "mountains", "pillars",
+ *   "stalactites", "stars", "moon"
+ * - platforms: colors for platform types, block types and outlines
+ *   (solid is the default for platforms without their own color)
+ */
+const BACKGROUND_THEMES = {
+  overworld: {
+    sky: ["#5C94FC", "#A8CCFF"],
+    cloudColor: "#FFFFFF",
+    layers: [
+      {
+        type: "clouds",
+        scrollFactor: 0.1,
+        color: "rgba(255, 255, 255, 0.5)",
+        spacing: 520,
+        y: 60,
+        size: 0.7,
+      },
+      {
+        type: "hills",
+        scrollFactor: 0.2,
+        color: "#8FD18F",
+        spacing: 420,
+        height: 150,
+      },
+      {
+        type: "hills",
+        scrollFactor: 0.45,
+        color: "#4CAF50",
+        spacing: 300,
+        height: 90,
+      },
+    ],
+    platforms: {
+      solid: "#8B4513",
+      passthrough: "#4ECDC4",
+      moving: "#FF6B6B",
+      hazard: "#8B0000",
+      spikes: "#DDDDDD",
+      outline: "#654321",
+      brick: "#B5522B",
+      question: "#F8B800",
+    },
+  },
+  underground: {
+    sky: ["#1A1A2E", "#0B0B14"],
+    cloudColor: "rgba(120, 110, 150, 0.3)",
+    layers: [
+      {
+        type: "mountains",
+        scrollFactor: 0.15,
+        color: "#221B30",
+        spacing: 260,
+        height: 180,
+      },
+      {
+        type: "stalactites",
+        scrollFactor: 0.3,
+        color: "#2C2440",
+        spacing: 90,
+        height: 70,
+      },
+      {
+        type: "pillars",
+        scrollFactor: 0.5,
+        color: "#2A2236",
+        spacing: 380,
+        width: 40,
+      },
+    ],
+    platforms: {
+      solid: "#5A3A22",
+      passthrough: "#3FA7A0",
+      moving: "#C0504D",
+      hazard: "#6B0000",
+      spikes: "#BBBBBB",
+      outline: "#2B1A0E",
+      brick: "#3A6EA5",
+      question: "#F8B800",
+    },
+  },
+  castle: {
+    sky: ["#2F2F3F", "#4A2A2A"],
+    cloudColor: "rgba(90, 80, 90, 0.5)",
+    layers: [
+      {
+        type: "mountains",
+        scrollFactor: 0.1,
+        color: "#3A3346",
+        spacing: 320,
+        height: 240,
+      },
+      {
+        type: "pillars",
+        scrollFactor: 0.35,
+        color: "#45404F",
+        spacing: 240,
+        width: 50,
+      },
+    ],
+    platforms: {
+      solid: "#696969",
+      passthrough: "#8FA3B0",
+      moving: "#B85450",
+      hazard: "#A01010",
+      spikes: "#E0E0E0",
+      outline: "#2F2F2F",
+      brick: "#8A8A8A",
+      question: "#F8B800",
+    },
+  },
+  night: {
+    sky: ["#1C2A5A", "#3B4F8A"],
+    cloudColor: "rgba(200, 210, 255, 0.35)",
+    layers: [
+      {
+        type: "stars",
+        scrollFactor: 0.02,
+        color: "#FFFFFF",
+        spacing: 160,
+        count: 5,
+      },
+      {
+        type: "moon",
+        scrollFactor: 0,
+        color: "#F4F1C9",
+        x: 620,
+        y: 90,
+        radius: 36,
+      },
+      {
+        type: "mountains",
+        scrollFactor: 0.15,
+        color: "#16204A",
+        spacing: 360,
+        height: 220,
+      },
+      {
+        type: "hills",
+        scrollFactor: 0.4,
+        color: "#101838",
+        spacing: 300,
+        height: 100,
+      },
+    ],
+    platforms: {
+      solid: "#4B3621",
+      passthrough: "#6C7BB8",
+      moving: "#D06A6A",
+      hazard: "#7A0000",
+      spikes: "#C8C8D8",
+      outline: "#1C1C30",
+      brick: "#7A4A3A",
+      question: "#D8A000",
+    },
+  },
+};
+
+/**
+ * ParallaxBackground Class
+ * Draws a theme's sky and layers in screen space. Each layer scrolls by
+ * camera position × scrollFactor, so far layers drift slowly behind the
+ * platforms. Repeating shapes are varied with a hash of their repeat index,
+ * so the same stretch of background always looks the same.
+ */
+class ParallaxBackground {
+  /**
+   * @param {string} themeName - Key of BACKGROUND_THEMES (unknown names
+   *   fall back to the default theme)
+   * @param {Object} options - skyColor: replaces the top of the sky gradient
+   */
+  constructor(themeName = DEFAULT_THEME, options = {}) {
+    this.themeName = ParallaxBackground.resolveThemeName(themeName);
+    this.theme = BACKGROUND_THEMES[this.themeName];
+    this.skyColor = options.skyColor || null;
+  }
+
+  /**
+   * Check a theme name, warning about unknown ones
+   * @param {string} themeName - Requested theme
+   * @returns {string} - The theme name, or the default theme if unknown
+   */
+  static resolveThemeName(themeName) {
+    if (BACKGROUND_THEMES[themeName]) {
+      return themeName;
+    }
+    if (themeName) {
+      console.warn(
+        `Unknown stage theme "${themeName}", using ${DEFAULT_THEME}`
+      );
+    }
+    return DEFAULT_THEME;
+  }
+
+  /**
+   * Draw a cloud
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Left puff center X
+   * @param {number} y - Cloud base center Y
+   * @param {number} scale - Size multiplier (1 is about 95px wide)
+   */
+  static drawCloud(ctx, x, y, scale = 1.0) {
+    const size = 20 * scale;
+    ctx.beginPath();
+    ctx.arc(x, y, size, 0, Math.PI * 2);
+    ctx.arc(x + 25 * scale, y, size * 1.25, 0, Math.PI * 2);
+    ctx.arc(x + 50 * scale, y, size, 0, Math.PI * 2);
+    ctx.arc(x + 35 * scale, y - 15 * scale, size * 0.9, 0, Math.PI * 2);
+    ctx.arc(x + 15 * scale, y - 10 * scale, size * 0.75, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Get a layer's scroll offset
+   * @param {Object} layer - Layer definition
+   * @param {Object} camera - Camera position {x, y}
+   * @returns {Object} - Offset {x, y} to subtract from layer positions
+   */
+  getLayerOffset(layer, camera) {
+    return {
+      x: camera.x * layer.scrollFactor,
+      y: camera.y * layer.scrollFactor,
+    };
+  }
+
+  /**
+   * Draw the sky and every layer
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} camera - Camera position {x, y} (null for the origin)
+   * @param {number} width - View width in pixels
+   * @param {number} height - View height in pixels
+   */
+  render(ctx, camera, width, height) {
+    if (!ctx) return;
+
+    const position = camera || { x: 0, y: 0 };
+
+    ctx.save();
+    this.renderSky(ctx, width, height);
+    for (const layer of this.theme.layers) {
+      this.renderLayer(ctx, layer, this.getLayerOffset(layer, position), {
+        width,
+        height,
+      });
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Fill the view with the sky gradient
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} width - View width in pixels
+   * @param {number} height - View height in pixels
+   */
+  renderSky(ctx, width, height) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, this.skyColor || this.theme.sky[0]);
+    gradient.addColorStop(1, this.theme.sky[1]);
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  /**
+   * Draw one layer
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} layer - Layer definition
+   * @param {Object} offset - Scroll offset {x, y}
+   * @param {Object} view - View size {width, height}
+   */
+  renderLayer(ctx, layer, offset, view) {
+    ctx.fillStyle = layer.color;
+
+    if (layer.type === "moon") {
+      ctx.beginPath();
+      ctx.arc(
+        layer.x - offset.x,
+        layer.y - offset.y,
+        layer.radius,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+      return;
+    }
+
+    // Repeating layers: draw every repeat that overlaps the view
+    const first = Math.floor(offset.x / layer.spacing) - 1;
+    const last = Math.ceil((offset.x + view.width) / layer.spacing);
+
+    for (let index = first; index <= last; index++) {
+      const x = index * layer.spacing - offset.x;
+      const variation = hashIndex(index, layer.spacing);
+      this.renderRepeat(ctx, layer, x, offset.y, view, index, variation);
+    }
+  }
+
+  /**
+   * Draw one repeat of a repeating layer
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} layer - Layer definition
+   * @param {number} x - Left edge of the repeat in screen space
+   * @param {number} offsetY - Vertical scroll offset
+   * @param {Object} view - View size {width, height}
+   * @param {number} index - Repeat index
+   * @param {number} variation - 0..1 value unique to the repeat
+   */
+  renderRepeat(ctx, layer, x, offsetY, view, index, variation) {
+    const bottom = view.height - offsetY;
+
+    switch (layer.type) {
+      case "clouds":
+        ParallaxBackground.drawCloud(
+          ctx,
+          x + variation * layer.spacing * 0.5,
+          layer.y + variation * 60 - offsetY,
+          layer.size * (0.8 + variation * 0.5)
+        );
+        break;
+
+      case "hills": {
+        const radiusX = layer.spacing * (0.45 + variation * 0.25);
+        const radiusY = layer.height * (0.7 + variation * 0.3);
+        ctx.beginPath();
+        ctx.ellipse(
+          x + layer.spacing / 2,
+          bottom,
+          radiusX,
+          radiusY,
+          0,
+          Math.PI,
+          Math.PI * 2
+        );
+        ctx.fill();
+        break;
+      }
+
+      case "mountains": {
+        const peak = layer.height * (0.6 + variation * 0.4);
+        ctx.beginPath();
+        ctx.moveTo(x - layer.spacing * 0.2, bottom);
+        ctx.lineTo(x + layer.spacing * (0.3 + variation * 0.4), bottom - peak);
+        ctx.lineTo(x + layer.spacing * 1.2, bottom);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      }
+
+      case "pillars": {
+        const pillarX = x + variation * (layer.spacing - layer.width);
+        ctx.fillRect(pillarX, -offsetY, layer.width, view.height);
+        // Capital and base
+        ctx.fillRect(pillarX - 6, 40 - offsetY, layer.width + 12, 12);
+        ctx.fillRect(pillarX - 6, bottom - 12, layer.width + 12, 12);
+        break;
+      }
+
+      case "stalactites": {
+        const length = layer.height * (0.4 + variation * 0.6);
+        const halfWidth = layer.spacing * 0.2;
+        const tipX = x + layer.spacing / 2;
+        ctx.beginPath();
+        ctx.moveTo(tipX - halfWidth, -offsetY);
+        ctx.lineTo(tipX, length - offsetY);
+        ctx.lineTo(tipX + halfWidth, -offsetY);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      }
+
+      case "stars":
+        for (let star = 0; star < layer.count; star++) {
+          const starX =
+            hashIndex(index * layer.count + star, 1) * layer.spacing;
+          const starY = hashIndex(index * layer.count + star, 2) * view.height;
+          const size = 1 + hashIndex(index * layer.count + star, 3) * 2;
+          ctx.fillRect(x + starX, starY * 0.6 - offsetY, size, size);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Stable pseudo-random value for a repeat index
+ * @param {number} index - Repeat index
+ * @param {number} seed - Varies the sequence between layers
+ * @returns {number} - Value in [0, 1)
+ */
+function hashIndex(index, seed) {
+  const value = Math.sin(index * 12.9898 + seed * 78.233) * 43758.5453;
+  return value - Math.floor(value);
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ParallaxBackground, BACKGROUND_THEMES, DEFAULT_THEME };
+}
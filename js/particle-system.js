@@ -0,0 +1,325 @@
+/**
+ * Particle System for Mario Style Platformer
+ * Pooled particle emitters for landing and dash dust, coin sparkles, brick
+ * debris and stage clear confetti
+ */
+
+// Particles alive at once; emits beyond this are cut short
+const MAX_PARTICLES = 400;
+
+/**
+ * Emitter presets
+ * - count: particles per emit at full quality
+ * - speed, life, size: [min, max] in px/s, milliseconds and pixels
+ * - angle, spread: launch direction and cone in radians (-PI/2 is up)
+ * - gravity: px/s² (negative floats upwards)
+ * - drag: share of the velocity kept after one second
+ * - spin: maximum rotation speed in radians per second
+ */
+const PARTICLE_EFFECTS = {
+  dust: {
+    count: 8,
+    speed: [30, 90],
+    angle: -Math.PI / 2,
+    spread: Math.PI,
+    life: [250, 450],
+    size: [3, 6],
+    gravity: -40,
+    drag: 0.05,
+    spin: 0,
+    shape: "circle",
+    colors: ["#E8DCC2", "#CDBF9F", "#F4EEE0"],
+  },
+  sparkle: {
+    count: 10,
+    speed: [60, 160],
+    angle: 0,
+    spread: Math.PI * 2,
+    life: [300, 600],
+    size: [2, 4],
+    gravity: 0,
+    drag: 0.1,
+    spin: 6,
+    shape: "star",
+    colors: ["#FFD700", "#FFF6A0", "#FFFFFF"],
+  },
+  debris: {
+    count: 12,
+    speed: [120, 260],
+    angle: -Math.PI / 2,
+    spread: Math.PI * 0.8,
+    life: [500, 900],
+    size: [3, 6],
+    gravity: 980,
+    drag: 0.5,
+    spin: 10,
+    shape: "square",
+    colors: ["#B5522B", "#8B3A1A", "#5A2A10"],
+  },
+  confetti: {
+    count: 120,
+    speed: [40, 120],
+    angle: Math.PI / 2,
+    spread: 0.8,
+    life: [3000, 4500],
+    size: [5, 9],
+    gravity: 60,
+    drag: 0.6,
+    spin: 8,
+    shape: "square",
+    colors: ["#FF5555", "#FFD700", "#00CC44", "#4A90E2", "#FF66CC", "#FFFFFF"],
+  },
+};
+
+/**
+ * ParticleSystem Class
+ * Particles are purely cosmetic: they use Math.random rather than the
+ * engine's seeded random so replays and ghosts are not affected. Dead
+ * particles go back to a pool and are reused by later emits. Emit counts
+ * are scaled by the performance optimizer's effects quality, and nothing
+ * is emitted while the enableParticles setting is off.
+ *
+ * World particles are drawn inside the camera transform; screen particles
+ * (the stage clear confetti) are drawn over the stage clear overlay.
+ */
+class ParticleSystem {
+  constructor(gameEngine, maxParticles = MAX_PARTICLES) {
+    this.gameEngine = gameEngine;
+    this.maxParticles = maxParticles;
+
+    // Live particles and released ones waiting to be reused
+    this.particles = [];
+    this.pool = [];
+
+    this.enabled = true;
+  }
+
+  /**
+   * Apply the saved enableParticles setting
+   */
+  init() {
+    const saveSystem = this.gameEngine.saveSystem;
+    const settings = saveSystem ? saveSystem.loadSettings() : null;
+    this.setEnabled(!settings || settings.enableParticles !== false);
+  }
+
+  /**
+   * Turn emitters on or off (turning them off clears live particles)
+   * @param {boolean} enabled - Whether particles are shown
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled === true;
+    if (!this.enabled) {
+      this.clear();
+    }
+    console.log(`Particles ${this.enabled ? "enabled" : "disabled"}`);
+  }
+
+  /**
+   * Share of each preset's particle count to emit
+   * @returns {number} - 1 at full quality, less when effects are reduced
+   */
+  getQualityScale() {
+    const optimizer = this.gameEngine.performanceOptimizer;
+    return optimizer ? optimizer.getEffectsQuality() : 1;
+  }
+
+  /**
+   * Emit a burst of particles
+   * @param {string} effectName - Key of PARTICLE_EFFECTS
+   * @param {number} x - Burst X coordinate
+   * @param {number} y - Burst Y coordinate
+   * @param {Object} options - Overrides:
+   *   count, angle, spread: replace the preset's values
+   *   width: spawn along a line this wide starting at x
+   *   layer: "world" (default) or "screen"
+   * @returns {number} - Number of particles emitted
+   */
+  emit(effectName, x, y, options = {}) {
+    const effect = PARTICLE_EFFECTS[effectName];
+    if (!effect) {
+      console.warn(`Unknown particle effect: ${effectName}`);
+      return 0;
+    }
+    if (!this.enabled) return 0;
+
+    const baseCount =
+      options.count !== undefined ? options.count : effect.count;
+    const count = Math.min(
+      Math.round(baseCount * this.getQualityScale()),
+      this.maxParticles - this.particles.length
+    );
+    const angle = options.angle !== undefined ? options.angle : effect.angle;
+    const spread =
+      options.spread !== undefined ? options.spread : effect.spread;
+    const width = options.width || 0;
+
+    for (let i = 0; i < count; i++) {
+      const particle = this.acquire();
+      const direction = angle + (Math.random() - 0.5) * spread;
+      const speed = randomBetween(effect.speed);
+
+      particle.effect = effect;
+      particle.layer = options.layer || "world";
+      particle.x = x + Math.random() * width;
+      particle.y = y;
+      particle.vx = Math.cos(direction) * speed;
+      particle.vy = Math.sin(direction) * speed;
+      particle.maxLife = randomBetween(effect.life);
+      particle.life = particle.maxLife;
+      particle.size = randomBetween(effect.size);
+      particle.rotation = Math.random() * Math.PI * 2;
+      particle.spin = (Math.random() - 0.5) * 2 * effect.spin;
+      particle.color =
+        effect.colors[Math.floor(Math.random() * effect.colors.length)];
+
+      this.particles.push(particle);
+    }
+
+    return Math.max(0, count);
+  }
+
+  /**
+   * Take a particle from the pool (or make one)
+   * @returns {Object} - Particle to fill in
+   */
+  acquire() {
+    return this.pool.pop() || {};
+  }
+
+  /**
+   * Remove a live particle and return it to the pool
+   * @param {number} index - Index in the live list
+   */
+  release(index) {
+    const particle = this.particles[index];
+    const last = this.particles.pop();
+    if (index < this.particles.length) {
+      this.particles[index] = last;
+    }
+    particle.effect = null;
+    this.pool.push(particle);
+  }
+
+  /**
+   * Move and age the particles (called once per frame)
+   * @param {number} deltaTime - Frame time in milliseconds
+   * @param {string} layer - Only update this layer (all layers when null)
+   */
+  update(deltaTime, layer = null) {
+    const seconds = deltaTime / 1000;
+
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      if (layer && particle.layer !== layer) continue;
+
+      particle.life -= deltaTime;
+      if (particle.life <= 0) {
+        this.release(i);
+        continue;
+      }
+
+      const effect = particle.effect;
+      const drag = Math.pow(effect.drag, seconds);
+      particle.vx *= drag;
+      particle.vy = particle.vy * drag + effect.gravity * seconds;
+      particle.x += particle.vx * seconds;
+      particle.y += particle.vy * seconds;
+      particle.rotation += particle.spin * seconds;
+    }
+  }
+
+  /**
+   * Draw the particles of one layer
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {string} layer - "world" (camera transform applied) or "screen"
+   */
+  render(ctx, layer = "world") {
+    if (!ctx || this.particles.length === 0) return;
+
+    ctx.save();
+    for (const particle of this.particles) {
+      if (particle.layer !== layer) continue;
+
+      // Fade out over the last half of the particle's life
+      ctx.globalAlpha = Math.min(1, (particle.life / particle.maxLife) * 2);
+      ctx.fillStyle = particle.color;
+      this.renderParticle(ctx, particle);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw one particle in its preset's shape
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} particle - Particle to draw
+   */
+  renderParticle(ctx, particle) {
+    const half = particle.size / 2;
+
+    switch (particle.effect.shape) {
+      case "circle":
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, half, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+
+      case "star":
+        // Four-pointed twinkle: two thin crossed bars
+        ctx.save();
+        ctx.translate(particle.x, particle.y);
+        ctx.rotate(particle.rotation);
+        ctx.fillRect(-particle.size, -half / 2, particle.size * 2, half);
+        ctx.fillRect(-half / 2, -particle.size, half, particle.size * 2);
+        ctx.restore();
+        break;
+
+      default:
+        ctx.save();
+        ctx.translate(particle.x, particle.y);
+        ctx.rotate(particle.rotation);
+        ctx.fillRect(-half, -half / 2, particle.size, half);
+        ctx.restore();
+        break;
+    }
+  }
+
+  /**
+   * Remove live particles
+   * @param {string} layer - Only clear this layer (all layers when null)
+   */
+  clear(layer = null) {
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      if (!layer || this.particles[i].layer === layer) {
+        this.release(i);
+      }
+    }
+  }
+
+  /**
+   * Get particle counts for debugging and tests
+   * @returns {Object} - Live and pooled counts, enabled flag and quality
+   */
+  getStats() {
+    return {
+      active: this.particles.length,
+      pooled: this.pool.length,
+      enabled: this.enabled,
+      quality: this.getQualityScale(),
+    };
+  }
+}
+
+/**
+ * Pick a random value in a [min, max] range
+ * @param {number[]} range - Minimum and maximum
+ * @returns {number} - Value in the range
+ */
+function randomBetween(range) {
+  return range[0] + Math.random() * (range[1] - range[0]);
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ParticleSystem, PARTICLE_EFFECTS, MAX_PARTICLES };
+}
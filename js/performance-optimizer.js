@@ -466,6 +466,8 @@ class PerformanceOptimizer {
         // Gradually restore quality if performance improves
         if (this.optimizations.lowQualityMode) {
           this.disableLowQualityMode();
+        } else if (this.optimizations.reducedEffects) {
+          this.disableReducedEffects();
         }
         break;
     }
@@ -513,12 +515,33 @@ class PerformanceOptimizer {
 
     this.optimizations.reducedEffects = true;
 
-    // Disable particle effects, reduce animations, etc.
-    // This would be implemented based on specific game effects
+    // The particle system reads getEffectsQuality() on every emit
 
     console.log("Reduced effects enabled");
   }
 
+  /**
+   * Disable reduced effects
+   */
+  disableReducedEffects() {
+    if (!this.optimizations.reducedEffects) return;
+
+    this.optimizations.reducedEffects = false;
+
+    console.log("Reduced effects disabled");
+  }
+
+  /**
+   * Get how much of each visual effect to show
+   * @returns {number} - 1 at full quality, 0.5 with reduced effects, 0.25
+   *   in low quality mode
+   */
+  getEffectsQuality() {
+    if (this.optimizations.lowQualityMode) return 0.25;
+    if (this.optimizations.reducedEffects) return 0.5;
+    return 1;
+  }
+
   /**
    * Enable aggressive culling
    */
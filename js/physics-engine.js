@@ -15,6 +15,11 @@ class PhysicsEngine {
     this.friction = 0.8; // ground friction coefficient
     this.airResistance = 0.98; // air resistance coefficient
 
+    // Jump assist constants (read by Player)
+    this.jumpCutMultiplier = 0.5; // share of upward velocity kept when jump is released early
+    this.coyoteTime = 100; // ms after leaving a ledge during which a jump still works
+    this.jumpBufferTime = 120; // ms a jump pressed in mid-air waits for a landing
+
     console.log("PhysicsEngine initialized");
   }
 
@@ -154,13 +159,13 @@ class PhysicsEngine {
     };
 
     if (Math.abs(overlapX) < Math.abs(overlapY)) {
-      // Horizontal collision (left/right)
-      resolution.direction = overlapX > 0 ? "left" : "right";
+      // Horizontal collision (direction names the side of entityA that hit)
+      resolution.direction = overlapX > 0 ? "right" : "left";
       entityA.position.x -= overlapX;
       entityA.velocity.x = 0; // Stop horizontal movement
     } else {
-      // Vertical collision (top/bottom)
-      resolution.direction = overlapY > 0 ? "top" : "bottom";
+      // Vertical collision (direction names the side of entityA that hit)
+      resolution.direction = overlapY > 0 ? "bottom" : "top";
       entityA.position.y -= overlapY;
 
       if (resolution.direction === "bottom") {
@@ -291,6 +296,9 @@ class PhysicsEngine {
       terminalVelocity: this.terminalVelocity,
       friction: this.friction,
       airResistance: this.airResistance,
+      jumpCutMultiplier: this.jumpCutMultiplier,
+      coyoteTime: this.coyoteTime,
+      jumpBufferTime: this.jumpBufferTime,
     };
   }
 
@@ -311,6 +319,18 @@ class PhysicsEngine {
     if (constants.airResistance !== undefined) {
       this.airResistance = Math.max(0, Math.min(1, constants.airResistance));
     }
+    if (constants.jumpCutMultiplier !== undefined) {
+      this.jumpCutMultiplier = Math.max(
+        0,
+        Math.min(1, constants.jumpCutMultiplier)
+      );
+    }
+    if (constants.coyoteTime !== undefined) {
+      this.coyoteTime = Math.max(0, constants.coyoteTime);
+    }
+    if (constants.jumpBufferTime !== undefined) {
+      this.jumpBufferTime = Math.max(0, constants.jumpBufferTime);
+    }
 
     console.log("Physics constants updated:", this.getConstants());
   }
@@ -617,3 +637,8 @@ class PhysicsEngine {
     console.log("[PHYSICS] Invalid collision statistics reset");
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PhysicsEngine;
+}
@@ -27,7 +27,7 @@ class Player {
     this.facing = "right"; // "left" or "right"
 
     // Player state machine
-    this.state = "idle"; // "idle", "running", "jumping", "dashing", "blocking"
+    this.state = "idle"; // "idle", "running", "jumping", "dashing", "blocking", "dead"
     this.isOnGround = false;
 
     // Enhanced ground detection properties
@@ -41,6 +41,31 @@ class Player {
     this.dashSpeed = 350; // dash speed multiplier
     this.dashDuration = 200; // dash duration in milliseconds
     this.dashCooldown = 500; // dash cooldown in milliseconds
+    this.stompBouncePower = 300; // upward velocity after stomping an enemy
+    this.deathBouncePower = 450; // upward velocity at the start of the death animation
+    this.maxHealth = 3;
+    this.respawnInvincibility = 2000; // milliseconds of protection after respawning
+
+    // Death state (the game engine decides when the player dies)
+    this.isDead = false;
+    this.deathCause = null;
+
+    // Moving platform state (ridingPlatform is set by Stage.update)
+    this.ridingPlatform = null;
+    this.carriedVelocityX = 0; // Platform momentum kept after jumping off
+
+    // Jump assists (tuned through PhysicsEngine.updateConstants)
+    this.physicsEngine = null;
+    this.coyoteTimer = 0; // ms left to jump after leaving the ground
+    this.jumpBufferTimer = 0; // ms left for a mid-air jump press to fire on landing
+    this.isJumpRising = false; // Rising from a jump that can still be cut short
+    this.lastJumpAssist = null; // "coyote" or "buffer" if the last jump needed one
+    this.jumpAssistStats = {
+      coyoteJumps: 0,
+      bufferedJumps: 0,
+      expiredBuffers: 0,
+      jumpCuts: 0,
+    };
 
     // Dash state tracking
     this.isDashing = false;
@@ -50,6 +75,9 @@ class Player {
     // Block state tracking
     this.isBlocking = false;
 
+    // Camera look direction while standing still: -1 up, 0 level, 1 down
+    this.lookDirection = 0;
+
     // Power-up effects
     this.activePowerUps = new Map(); // Track active power-ups by type
     this.speedBoost = 1.0; // Speed multiplier
@@ -59,6 +87,12 @@ class Player {
     // Visual properties
     this.color = "#FF0000"; // Red placeholder color
     this.invincibleFlashTimer = 0;
+    this.nameTag = null; // "P1"/"P2" label drawn above the head in co-op
+    this.outlineColor = null; // Sprite outline telling co-op players apart
+
+    // Sprite animation (shapes are drawn until the sprite atlas has loaded)
+    this.animator =
+      typeof Animator !== "undefined" ? Animator.forSpriteSet("player") : null;
 
     // Jump diagnostic system reference
     this.jumpDiagnosticSystem = null;
@@ -77,12 +111,56 @@ class Player {
     console.log("[PLAYER] Jump diagnostic system attached");
   }
 
+  /**
+   * Set the physics engine that provides the jump assist constants
+   * @param {PhysicsEngine} physicsEngine - The physics engine instance
+   */
+  setPhysicsEngine(physicsEngine) {
+    this.physicsEngine = physicsEngine;
+  }
+
+  /**
+   * Get jump cut, coyote time and jump buffer settings
+   * Without a physics engine the assists are off (fixed-height jumps only)
+   * @returns {Object} - Jump assist settings
+   */
+  getJumpAssistSettings() {
+    if (!this.physicsEngine) {
+      return { jumpCutMultiplier: 1, coyoteTime: 0, jumpBufferTime: 0 };
+    }
+
+    const constants = this.physicsEngine.getConstants();
+    return {
+      jumpCutMultiplier: constants.jumpCutMultiplier,
+      coyoteTime: constants.coyoteTime,
+      jumpBufferTime: constants.jumpBufferTime,
+    };
+  }
+
+  /**
+   * Get the current jump assist state (for diagnostics)
+   * @returns {Object} - Timers, settings and counters for the jump assists
+   */
+  getJumpAssistState() {
+    return {
+      settings: this.getJumpAssistSettings(),
+      coyoteTimeRemaining: this.coyoteTimer,
+      jumpBufferRemaining: this.jumpBufferTimer,
+      isJumpRising: this.isJumpRising,
+      lastJumpAssist: this.lastJumpAssist,
+      stats: { ...this.jumpAssistStats },
+    };
+  }
+
   /**
    * Update player logic
    * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
    * @param {Object} inputState - Current input state from InputManager
    */
   update(deltaTime, inputState) {
+    // Dead players ignore input until they respawn
+    if (this.isDead) return;
+
     // Update timers
     this.updateTimers(deltaTime);
 
@@ -91,6 +169,22 @@ class Player {
 
     // Update state-specific behavior
     this.updateState(deltaTime);
+
+    // Keep the sprite animation in step with the new state
+    this.updateAnimation(deltaTime);
+  }
+
+  /**
+   * Update the sprite animation from the player's state, facing and invincibility
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  updateAnimation(deltaTime) {
+    if (!this.animator) return;
+
+    this.animator.setState(this.state);
+    this.animator.setFacing(this.facing);
+    this.animator.setFlashing(this.invincible && !this.isDead);
+    this.animator.update(deltaTime);
   }
 
   /**
@@ -131,6 +225,30 @@ class Player {
 
     // Update power-up timers
     this.updatePowerUpTimers(deltaTime);
+
+    // Update coyote time and jump buffer windows
+    this.updateJumpAssistTimers(deltaTime);
+  }
+
+  /**
+   * Update coyote time and jump buffer timers
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  updateJumpAssistTimers(deltaTime) {
+    // Coyote time refills while grounded and runs down after leaving a ledge
+    if (this.isOnGround) {
+      this.coyoteTimer = this.getJumpAssistSettings().coyoteTime;
+    } else if (this.coyoteTimer > 0) {
+      this.coyoteTimer = Math.max(0, this.coyoteTimer - deltaTime);
+    }
+
+    if (this.jumpBufferTimer > 0) {
+      this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
+      if (this.jumpBufferTimer === 0) {
+        this.jumpAssistStats.expiredBuffers++;
+        console.log("[JUMP] Buffered jump expired before landing");
+      }
+    }
   }
 
   /**
@@ -140,7 +258,15 @@ class Player {
   handleInput(inputState) {
     if (!inputState) return;
 
+    // Platform momentum only lasts until the next landing
+    if (this.isOnGround) {
+      this.carriedVelocityX = 0;
+    }
+    const wasCarrying = this.carriedVelocityX !== 0;
+
     // Handle movement input (left/right)
+    const steering =
+      (inputState.moveLeft || inputState.moveRight) && !this.isBlocking;
     if (inputState.moveLeft && !this.isBlocking) {
       this.move("left");
     } else if (inputState.moveRight && !this.isBlocking) {
@@ -189,10 +315,28 @@ class Player {
       // Attempt jump execution
       const jumpResult = this.jump();
 
+      // Keep the horizontal momentum of a moving platform we jumped off
+      if (jumpResult && this.ridingPlatform) {
+        this.carriedVelocityX = this.ridingPlatform.velocity.x;
+      }
+
+      // A press in mid-air waits in the buffer and fires on landing
+      const jumpBufferTime = this.getJumpAssistSettings().jumpBufferTime;
+      const jumpBuffered =
+        !jumpResult && !this.isBlocking && jumpBufferTime > 0;
+      if (jumpBuffered) {
+        this.jumpBufferTimer = jumpBufferTime;
+        console.log(`[JUMP] Jump buffered for ${jumpBufferTime}ms`);
+      }
+
       // Record jump attempt in diagnostic system
       if (this.jumpDiagnosticSystem) {
         const groundState = this.enhancedGroundCheck();
-        const reason = jumpResult ? "Success" : jumpValidation.reason;
+        const reason = jumpResult
+          ? "Success"
+          : jumpBuffered
+          ? "Jump buffered"
+          : jumpValidation.reason;
         this.jumpDiagnosticSystem.recordJumpAttempt(
           true, // inputDetected
           groundState,
@@ -245,8 +389,33 @@ class Player {
             this.generateJumpFailureRecommendations(jumpValidation),
         });
       }
+    } else if (this.jumpBufferTimer > 0 && this.isOnGround) {
+      // Landed while a jump press was buffered
+      this.jumpBufferTimer = 0;
+      const jumpResult = this.jump();
+
+      if (jumpResult) {
+        this.lastJumpAssist = "buffer";
+        this.jumpAssistStats.bufferedJumps++;
+
+        if (this.ridingPlatform) {
+          this.carriedVelocityX = this.ridingPlatform.velocity.x;
+        }
+      }
+
+      if (this.jumpDiagnosticSystem) {
+        this.jumpDiagnosticSystem.recordJumpAttempt(
+          true, // inputDetected (buffered)
+          this.enhancedGroundCheck(),
+          jumpResult,
+          jumpResult ? "Success" : "Buffered jump failed"
+        );
+      }
     }
 
+    // Releasing jump early cuts the rise short (variable jump height)
+    this.updateJumpCut(inputState);
+
     // Handle dash input
     if (inputState.dash && this.canDash()) {
       this.dash();
@@ -258,6 +427,51 @@ class Player {
     } else {
       this.isBlocking = false;
     }
+
+    // Holding look up or block while standing still looks up or down
+    this.updateLookDirection(inputState);
+
+    // Apply carried platform momentum on top of airborne movement. A dash
+    // with no direction held keeps last frame's velocity instead of setting
+    // it, so it only takes the momentum once, on takeoff
+    const velocityKept = this.isDashing && !steering;
+    if (
+      !this.isOnGround &&
+      this.carriedVelocityX !== 0 &&
+      (!velocityKept || !wasCarrying)
+    ) {
+      this.velocity.x += this.carriedVelocityX;
+    }
+  }
+
+  /**
+   * Cut the jump short once the jump button is released while rising
+   * @param {Object} inputState - Current input state from InputManager
+   */
+  updateJumpCut(inputState) {
+    if (!this.isJumpRising) return;
+
+    if (this.velocity.y >= 0) {
+      // Reached the top of the arc with the button held
+      this.isJumpRising = false;
+      return;
+    }
+
+    // Only an explicit release cuts (inputs without jumpHeld keep full jumps)
+    if (inputState.jumpHeld === false && !inputState.jump) {
+      this.isJumpRising = false;
+
+      const jumpCutMultiplier = this.getJumpAssistSettings().jumpCutMultiplier;
+      if (jumpCutMultiplier < 1) {
+        this.velocity.y *= jumpCutMultiplier;
+        this.jumpAssistStats.jumpCuts++;
+        console.log(
+          `[JUMP] Jump released early - velocity.y cut to ${this.velocity.y.toFixed(
+            1
+          )}`
+        );
+      }
+    }
   }
 
   /**
@@ -304,11 +518,14 @@ class Player {
       jumpBoost: this.jumpBoost,
     });
 
-    // SIMPLIFIED jump condition check - just check if on ground and not blocking
-    const canJumpSimple = this.isOnGround && !this.isBlocking;
+    // SIMPLIFIED jump condition check - on ground (or within coyote time
+    // after leaving a ledge) and not blocking
+    const usingCoyoteTime = !this.isOnGround && this.coyoteTimer > 0;
+    const canJumpSimple =
+      (this.isOnGround || usingCoyoteTime) && !this.isBlocking;
 
     console.log(
-      `[JUMP] Simple jump check: canJump=${canJumpSimple}, isOnGround=${this.isOnGround}, isBlocking=${this.isBlocking}`
+      `[JUMP] Simple jump check: canJump=${canJumpSimple}, isOnGround=${this.isOnGround}, coyoteTimer=${this.coyoteTimer}, isBlocking=${this.isBlocking}`
     );
 
     // Early return with simple reason if jump is not possible
@@ -351,6 +568,15 @@ class Player {
     this.isOnGround = false;
     this.state = "jumping";
 
+    // Jump assists: the coyote window is spent and the rise can be cut short
+    this.coyoteTimer = 0;
+    this.jumpBufferTimer = 0;
+    this.isJumpRising = true;
+    this.lastJumpAssist = usingCoyoteTime ? "coyote" : null;
+    if (usingCoyoteTime) {
+      this.jumpAssistStats.coyoteJumps++;
+    }
+
     // Post-jump verification and logging
     const postJumpState = {
       position: { ...this.position },
@@ -362,6 +588,7 @@ class Player {
 
     console.log(`[JUMP] Jump executed successfully!`, {
       effectiveJumpPower,
+      usingCoyoteTime,
       newVelocityY: this.velocity.y,
       newState: this.state,
       isOnGround: this.isOnGround,
@@ -456,13 +683,14 @@ class Player {
 
     // Calculate time since last ground contact
     const timeSinceGroundContact = timestamp - this.lastGroundContact;
-    const recentlyOnGround = timeSinceGroundContact <= 100; // 100ms tolerance
+    const recentlyOnGround = this.coyoteTimer > 0; // Coyote time window
 
     validation.enhancedChecks = {
       isOnGround: this.isOnGround,
       enhancedGroundCheck: groundCheck.isOnGround,
       timeSinceGroundContact: timeSinceGroundContact,
       recentlyOnGround: recentlyOnGround,
+      coyoteTimeRemaining: this.coyoteTimer,
       groundConfidence: groundCheck.confidence,
     };
 
@@ -474,7 +702,7 @@ class Player {
       validation.blockingFactors.push("not_on_ground_enhanced");
       validation.reason = `Player is not on ground and was not recently on ground (last contact: ${timeSinceGroundContact.toFixed(
         1
-      )}ms ago, tolerance: 100ms)`;
+      )}ms ago, coyote time: ${this.getJumpAssistSettings().coyoteTime}ms)`;
     }
 
     if (this.isBlocking) {
@@ -504,9 +732,9 @@ class Player {
     if (validation.canJump) {
       validation.reason = "Enhanced jump conditions satisfied";
       if (recentlyOnGround && !this.isOnGround) {
-        validation.reason += ` (coyote time: ${timeSinceGroundContact.toFixed(
+        validation.reason += ` (coyote time: ${this.coyoteTimer.toFixed(
           1
-        )}ms)`;
+        )}ms left)`;
       }
     }
 
@@ -726,6 +954,25 @@ class Player {
     this.velocity.x = 0; // Stop horizontal movement when blocking
   }
 
+  /**
+   * Set which way the camera should look from the held keys
+   * @param {Object} inputState - Current input state
+   */
+  updateLookDirection(inputState) {
+    const standing =
+      this.isOnGround && !inputState.moveLeft && !inputState.moveRight;
+
+    if (!standing) {
+      this.lookDirection = 0;
+    } else if (inputState.block) {
+      this.lookDirection = 1;
+    } else if (inputState.lookUp) {
+      this.lookDirection = -1;
+    } else {
+      this.lookDirection = 0;
+    }
+  }
+
   /**
    * Check if player can dash
    * @returns {boolean} - True if dash is available
@@ -782,6 +1029,79 @@ class Player {
     }
   }
 
+  /**
+   * Start the death animation
+   * @param {string} cause - What killed the player ("pit", "hazard", "health", "time")
+   */
+  die(cause = "health") {
+    if (this.isDead) return;
+
+    this.isDead = true;
+    this.deathCause = cause;
+    this.state = "dead";
+    this.isOnGround = false;
+    this.isDashing = false;
+    this.isBlocking = false;
+    this.invincible = false;
+    this.invincibleTimer = 0;
+    this.ridingPlatform = null;
+    this.carriedVelocityX = 0;
+
+    // Pop up, then fall off the screen (pits are already below it)
+    this.velocity = {
+      x: 0,
+      y: cause === "pit" ? 0 : -this.deathBouncePower,
+    };
+
+    console.log(`Player died (${cause})`);
+  }
+
+  /**
+   * Update the death animation (gravity only, no collisions)
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {PhysicsEngine} physicsEngine - Physics engine for gravity
+   */
+  updateDeathAnimation(deltaTime, physicsEngine) {
+    if (!this.isDead || !physicsEngine) return;
+
+    physicsEngine.applyGravity(this, deltaTime);
+    physicsEngine.updatePosition(this, deltaTime);
+    this.updateAnimation(deltaTime);
+  }
+
+  /**
+   * Bring the player back after a death
+   * Keeps score and coins; health and per-stage state are restored
+   * @param {number} x - Respawn X coordinate
+   * @param {number} y - Respawn Y coordinate
+   */
+  respawn(x, y) {
+    this.resetStageState();
+    this.isDead = false;
+    this.deathCause = null;
+    this.health = this.maxHealth;
+    this.powerLevel = 1;
+    this.setPosition(x, y);
+
+    // Brief protection so the player is not hit immediately
+    this.invincible = true;
+    this.invincibleTimer = this.respawnInvincibility;
+
+    console.log(`Player respawned at (${x}, ${y})`);
+  }
+
+  /**
+   * Bounce upward after stomping an enemy
+   */
+  bounceOffEnemy() {
+    this.velocity.y = -this.stompBouncePower;
+    this.isOnGround = false;
+    this.state = "jumping";
+    this.isJumpRising = false; // Stomp bounces always reach full height
+
+    console.log("Player bounced off enemy");
+  }
+
   /**
    * Collect an item
    * @param {Object} item - Item object with type and value properties
@@ -846,7 +1166,7 @@ class Player {
   }
 
   /**
-   * Render the player (basic rectangle placeholder)
+   * Render the player (sprite, or the rectangle placeholder as a fallback)
    * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
    */
   render(ctx) {
@@ -856,25 +1176,112 @@ class Player {
     const renderX = this.position.x;
     const renderY = this.position.y;
 
+    if (!this.renderSprite(ctx, renderX, renderY)) {
+      this.renderShape(ctx, renderX, renderY);
+    }
+
+    // Always draw debug info if needed
+    this.renderDebugInfo(ctx, renderX, renderY);
+
+    if (this.nameTag) {
+      this.renderNameTag(ctx, renderX, renderY);
+    }
+  }
+
+  /**
+   * Mark the player as one of the co-op players
+   * @param {string|null} nameTag - Label shown above the head (null hides it)
+   * @param {string|null} color - Placeholder color and sprite outline
+   */
+  setCoopIdentity(nameTag, color = null) {
+    this.nameTag = nameTag;
+    this.outlineColor = color;
+    if (color) {
+      this.color = color;
+    }
+  }
+
+  /**
+   * Render the co-op name tag above the player
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Render x position
+   * @param {number} y - Render y position
+   */
+  renderNameTag(ctx, x, y) {
+    ctx.fillStyle = this.outlineColor || "#FFFFFF";
+    ctx.font = "bold 12px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(this.nameTag, x + this.size.width / 2, y - 20);
+  }
+
+  /**
+   * Render the player's animated sprite
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} x - Render x position
+   * @param {number} y - Render y position
+   * @returns {boolean} - False if the sprite is unavailable
+   */
+  renderSprite(ctx, x, y) {
+    if (!this.animator || !this.animator.canRender()) {
+      return false;
+    }
+
+    // Outline the sprite in the active power-up's color (or the co-op
+    // player's color)
+    const tint = this.getPowerUpTint() || this.outlineColor;
+
+    ctx.save();
+    if (tint) {
+      ctx.shadowColor = tint;
+      ctx.shadowBlur = 8;
+    }
+    const rendered = this.animator.render(
+      ctx,
+      x,
+      y,
+      this.size.width,
+      this.size.height
+    );
+    ctx.restore();
+
+    return rendered;
+  }
+
+  /**
+   * Get the tint color of the active power-up
+   * @returns {string|null} - Color, or null without a power-up
+   */
+  getPowerUpTint() {
+    if (this.hasPowerUp("speed")) {
+      return "#00FF88"; // Green tint for speed
+    } else if (this.hasPowerUp("jump")) {
+      return "#0088FF"; // Blue tint for jump
+    } else if (this.hasPowerUp("strength")) {
+      return "#FF8800"; // Orange tint for strength
+    }
+    return null;
+  }
+
+  /**
+   * Render the player as a colored rectangle (fallback without sprites)
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {number} renderX - Render x position
+   * @param {number} renderY - Render y position
+   */
+  renderShape(ctx, renderX, renderY) {
     // Handle invincibility flashing effect
     let shouldRender = true;
-    if (this.invincible) {
+    if (this.invincible && !this.isDead) {
       // Flash every 100ms during invincibility
       shouldRender = Math.floor(this.invincibleFlashTimer / 100) % 2 === 0;
     }
 
     if (shouldRender) {
       // Set color based on state and power-ups
-      let playerColor = this.color;
+      let playerColor = this.getPowerUpTint();
 
       // Power-up visual effects take priority
-      if (this.hasPowerUp("speed")) {
-        playerColor = "#00FF88"; // Green tint for speed
-      } else if (this.hasPowerUp("jump")) {
-        playerColor = "#0088FF"; // Blue tint for jump
-      } else if (this.hasPowerUp("strength")) {
-        playerColor = "#FF8800"; // Orange tint for strength
-      } else {
+      if (!playerColor) {
         // Normal state colors
         switch (this.state) {
           case "dashing":
@@ -886,6 +1293,9 @@ class Player {
           case "jumping":
             playerColor = "#FF0088"; // Pink for jump
             break;
+          case "dead":
+            playerColor = "#666666"; // Grey for defeated
+            break;
           default:
             playerColor = this.color; // Default red
         }
@@ -913,9 +1323,6 @@ class Player {
       ctx.closePath();
       ctx.fill();
     }
-
-    // Always draw debug info if needed
-    this.renderDebugInfo(ctx, renderX, renderY);
   }
 
   /**
@@ -975,13 +1382,31 @@ class Player {
    * Reset player to initial state
    */
   reset() {
-    this.velocity = { x: 0, y: 0 };
-    this.health = 3;
+    this.resetStageState();
+    this.isDead = false;
+    this.deathCause = null;
+    this.health = this.maxHealth;
     this.powerLevel = 1;
-    this.invincible = false;
-    this.invincibleTimer = 0;
     this.coins = 0;
     this.score = 0;
+    this.jumpAssistStats = {
+      coyoteJumps: 0,
+      bufferedJumps: 0,
+      expiredBuffers: 0,
+      jumpCuts: 0,
+    };
+
+    console.log("Player reset to initial state");
+  }
+
+  /**
+   * Reset per-stage state when entering a stage
+   * Keeps score, coins and health so they carry over between stages
+   */
+  resetStageState() {
+    this.velocity = { x: 0, y: 0 };
+    this.invincible = false;
+    this.invincibleTimer = 0;
     this.facing = "right";
     this.state = "idle";
     this.isOnGround = false;
@@ -989,19 +1414,28 @@ class Player {
     this.dashTimer = 0;
     this.dashCooldownTimer = 0;
     this.isBlocking = false;
+    this.lookDirection = 0;
     this.invincibleFlashTimer = 0;
+    this.ridingPlatform = null;
+    this.carriedVelocityX = 0;
+    this.coyoteTimer = 0;
+    this.jumpBufferTimer = 0;
+    this.isJumpRising = false;
+    this.lastJumpAssist = null;
+    if (this.animator) {
+      this.animator.setState(this.state);
+      this.animator.reset();
+    }
 
     // Reset enhanced ground detection properties
     this.lastGroundContact = 0;
     this.groundDetectionHistory = [];
 
-    // Reset power-ups
+    // Power-ups do not carry over between stages
     this.activePowerUps.clear();
     this.speedBoost = 1.0;
     this.jumpBoost = 1.0;
     this.strengthBoost = 1.0;
-
-    console.log("Player reset to initial state");
   }
 
   /**
@@ -1142,10 +1576,12 @@ class Player {
       isDashing: this.isDashing,
       isBlocking: this.isBlocking,
       canDash: this.canDash(),
+      isDead: this.isDead,
       activePowerUps: Array.from(this.activePowerUps.keys()),
       speedBoost: this.speedBoost,
       jumpBoost: this.jumpBoost,
       strengthBoost: this.strengthBoost,
+      jumpAssist: this.getJumpAssistState(),
       // Enhanced ground detection state
       lastGroundContact: this.lastGroundContact,
       groundDetectionHistory: this.groundDetectionHistory.slice(-5), // Last 5 entries
@@ -1153,3 +1589,8 @@ class Player {
     };
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Player;
+}
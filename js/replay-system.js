@@ -0,0 +1,552 @@
+/**
+ * Replay System for Mario Style Platformer
+ * Records the player's input on every simulation step and plays it back to
+ * reproduce a run exactly
+ */
+
+// Replay file identification
+const REPLAY_FORMAT = "mario-platformer-replay";
+const REPLAY_VERSION = 1;
+
+// Gameplay actions stored per step, in bit order (game controls such as
+// pause and escape are not part of a run and stay live during playback).
+// New actions go at the end so older replays keep their bits.
+const REPLAY_ACTIONS = [
+  "moveLeft",
+  "moveRight",
+  "jump",
+  "jumpHeld",
+  "dash",
+  "block",
+  "lookUp",
+];
+
+/**
+ * ReplaySystem Class
+ * Every stage attempt is recorded: the stage id, the RNG seed and the action
+ * states of each fixed simulation step. Because the simulation only depends
+ * on those, feeding the same steps back through getPlayerInput() reproduces
+ * the run regardless of frame rate. Steps are stored as [actionMask, count]
+ * runs, which keeps a minute of play to a few hundred entries.
+ */
+class ReplaySystem {
+  constructor(gameEngine) {
+    this.gameEngine = gameEngine;
+
+    // Recording
+    this.recordingEnabled = true;
+    this.recording = null; // Replay of the stage attempt in progress
+    this.lastReplay = null; // Most recent finished recording
+
+    // Playback
+    this.pendingPlayback = null; // Replay waiting for its stage to load
+    this.playback = null; // Active playback and its step cursor
+    this.lastPlaybackResult = null; // { result, verification } of the last run
+
+    console.log("ReplaySystem initialized");
+  }
+
+  /**
+   * Start recording or playing back a stage attempt (called by loadStage)
+   * @param {number} stageId - Stage that was just loaded
+   * @returns {number} - RNG seed to run the stage with
+   */
+  beginStage(stageId) {
+    // A stage loaded outside of playback (stage select, next stage) ends it
+    if (this.playback) {
+      this.finishPlayback("quit");
+    }
+
+    // An attempt that never reached an outcome is not kept
+    this.recording = null;
+
+    const pending = this.pendingPlayback;
+    this.pendingPlayback = null;
+
+    if (pending && pending.replay.stageId === stageId) {
+      this.applyStartState(pending.replay.start);
+      this.playback = {
+        replay: pending.replay,
+        onComplete: pending.onComplete,
+        frame: 0,
+        runIndex: 0,
+        runFrame: 0,
+      };
+      this.gameEngine.inputManager.setPlaybackSource(this);
+
+      console.log(
+        `Replay playback started: stage ${stageId}, ${pending.replay.frameCount} steps`
+      );
+      return pending.replay.seed;
+    }
+
+    const seed = SeededRandom.createSeed();
+    if (this.recordingEnabled) {
+      this.recording = {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        stageId: stageId,
+        seed: seed,
+        stepDuration: GAME_CONFIG.fixedTimeStep,
+        actions: REPLAY_ACTIONS.slice(),
+        start: this.captureStartState(),
+        frameCount: 0,
+        inputs: [],
+        result: null,
+      };
+    }
+
+    return seed;
+  }
+
+  /**
+   * Finish the stage attempt (stage clear, game over or quitting)
+   * @param {string} outcome - "clear", "gameover" or "quit"
+   */
+  endStage(outcome) {
+    if (this.recording) {
+      this.recording.result = this.createResult(outcome);
+      this.recording.recordedAt = new Date().toISOString();
+      this.lastReplay = this.recording;
+      this.recording = null;
+
+      console.log(
+        `Replay recorded: stage ${this.lastReplay.stageId}, ${this.lastReplay.frameCount} steps (${outcome})`
+      );
+    }
+
+    if (this.playback) {
+      this.finishPlayback(outcome);
+    }
+  }
+
+  /**
+   * Get the input for the next simulation step
+   * While recording, the live input is stored and returned; during playback
+   * the recorded step is returned instead.
+   * @param {Object} liveInput - Input from the keyboard for this step
+   * @returns {Object} - Input to run the step with
+   */
+  getStepInput(liveInput) {
+    if (this.playback) {
+      // getPlayerInput() reads the current step through getActionStates()
+      const input = this.gameEngine.inputManager.getPlayerInput();
+      this.advancePlayback();
+      return input;
+    }
+
+    if (this.recording) {
+      this.recordStep(liveInput);
+    }
+
+    return liveInput;
+  }
+
+  /**
+   * Finish playback once the last recorded step has run
+   * Call after every simulation step.
+   */
+  endStep() {
+    if (
+      this.playback &&
+      this.playback.frame >= this.playback.replay.frameCount
+    ) {
+      // The recorded player quit here (a clear or game over would have
+      // ended the stage during the step)
+      this.finishPlayback("quit");
+    }
+  }
+
+  /**
+   * Append one step of input to the recording
+   * @param {Object} input - Player input for the step
+   */
+  recordStep(input) {
+    const mask = this.encodeActions(input);
+    const inputs = this.recording.inputs;
+    const lastRun = inputs[inputs.length - 1];
+
+    if (lastRun && lastRun[0] === mask) {
+      lastRun[1]++;
+    } else {
+      inputs.push([mask, 1]);
+    }
+    this.recording.frameCount++;
+  }
+
+  /**
+   * Move the playback cursor to the next recorded step
+   */
+  advancePlayback() {
+    const playback = this.playback;
+    const inputs = playback.replay.inputs;
+
+    playback.frame++;
+    playback.runFrame++;
+    if (
+      playback.runIndex < inputs.length &&
+      playback.runFrame >= inputs[playback.runIndex][1]
+    ) {
+      playback.runIndex++;
+      playback.runFrame = 0;
+    }
+  }
+
+  /**
+   * Get the recorded action states of the current playback step
+   * (playback source for InputManager.getPlayerInput)
+   * @returns {Object} - { moveLeft, moveRight, jump, ... }
+   */
+  getActionStates() {
+    if (!this.playback) {
+      return this.decodeActions(0);
+    }
+
+    const { replay, runIndex } = this.playback;
+    const run = replay.inputs[runIndex];
+    return this.decodeActions(run ? run[0] : 0, replay.actions);
+  }
+
+  /**
+   * Pack gameplay action states into a bit mask
+   * @param {Object} input - Player input
+   * @returns {number} - Bit mask in REPLAY_ACTIONS order
+   */
+  encodeActions(input) {
+    let mask = 0;
+    REPLAY_ACTIONS.forEach((action, bit) => {
+      if (input && input[action]) {
+        mask |= 1 << bit;
+      }
+    });
+    return mask;
+  }
+
+  /**
+   * Unpack a bit mask into gameplay action states
+   * @param {number} mask - Bit mask
+   * @param {Array} actions - Action names in bit order (from the replay)
+   * @returns {Object} - { moveLeft, moveRight, jump, ... }
+   */
+  decodeActions(mask, actions = REPLAY_ACTIONS) {
+    const states = {};
+    REPLAY_ACTIONS.forEach((action) => {
+      states[action] = false;
+    });
+    actions.forEach((action, bit) => {
+      states[action] = (mask & (1 << bit)) !== 0;
+    });
+    return states;
+  }
+
+  /**
+   * Capture what the player carries into the stage
+   * @returns {Object} - Lives and player stats
+   */
+  captureStartState() {
+    const player = this.gameEngine.player;
+    return {
+      lives: this.gameEngine.gameState.lives,
+      health: player ? player.health : 0,
+      powerLevel: player ? player.powerLevel : 1,
+      score: player ? player.score : 0,
+      coins: player ? player.coins : 0,
+    };
+  }
+
+  /**
+   * Restore what the recorded player carried into the stage
+   * @param {Object} start - State from captureStartState()
+   */
+  applyStartState(start) {
+    const player = this.gameEngine.player;
+    this.gameEngine.gameState.lives = start.lives;
+    if (player) {
+      player.health = start.health;
+      player.powerLevel = start.powerLevel;
+      player.score = start.score;
+      player.coins = start.coins;
+    }
+  }
+
+  /**
+   * Describe how a run ended, for comparing a playback with its recording
+   * @param {string} outcome - "clear", "gameover" or "quit"
+   * @returns {Object} - Result snapshot
+   */
+  createResult(outcome) {
+    const engine = this.gameEngine;
+    const player = engine.player;
+    const run = this.playback || this.recording;
+
+    return {
+      outcome: outcome,
+      frames: this.playback ? run.frame : run.frameCount,
+      // The death animation runs on frame time, so a dead player's
+      // position is not part of the result
+      position:
+        player && !player.isDead
+          ? { x: player.position.x, y: player.position.y }
+          : null,
+      score: player ? player.score : 0,
+      coins: player ? player.coins : 0,
+      health: player ? player.health : 0,
+      lives: engine.gameState.lives,
+      timeRemaining: engine.gameState.timeRemaining,
+    };
+  }
+
+  /**
+   * Compare a playback result with the recorded one
+   * @param {Object} expected - Result stored in the replay
+   * @param {Object} actual - Result of the playback
+   * @returns {Object} - { passed, mismatches: [{ field, expected, actual }] }
+   */
+  compareResults(expected, actual) {
+    const mismatches = [];
+    for (const field of Object.keys(expected)) {
+      const expectedValue = JSON.stringify(expected[field]);
+      const actualValue = JSON.stringify(actual[field]);
+      if (expectedValue !== actualValue) {
+        mismatches.push({
+          field: field,
+          expected: expected[field],
+          actual: actual[field],
+        });
+      }
+    }
+    return { passed: mismatches.length === 0, mismatches };
+  }
+
+  /**
+   * Play a replay from the start of its stage
+   * @param {Object} replay - Replay object (see importReplay for JSON)
+   * @param {Object} options - onComplete(playbackResult) is called when the
+   *   playback finishes
+   * @returns {boolean} - Whether playback was started
+   */
+  startPlayback(replay, options = {}) {
+    const validation = this.validateReplay(replay);
+    if (!validation.valid) {
+      console.error("Cannot play replay:", validation.errors);
+      return false;
+    }
+
+    if (this.playback) {
+      this.finishPlayback("quit");
+    }
+
+    this.pendingPlayback = {
+      replay: replay,
+      onComplete: options.onComplete || null,
+    };
+
+    // Start a fresh game on the replay's stage; beginStage() picks the
+    // replay up once the stage has loaded
+    const engine = this.gameEngine;
+    const currentScene = engine.sceneManager
+      ? engine.sceneManager.getCurrentScene()
+      : null;
+
+    if (
+      engine.sceneManager &&
+      (!currentScene || currentScene.name !== "game")
+    ) {
+      engine.sceneManager.changeScene("game", {
+        newGame: true,
+        selectedStage: replay.stageId,
+      });
+    } else {
+      // Already in the game scene (or no scenes): restart in place with
+      // the one player replays hold
+      engine.stageClearData = null;
+      engine.setCoopMode(false);
+      engine.player.reset();
+      engine.resetLives();
+      engine.loadStage(replay.stageId);
+      engine.changeGameMode("playing");
+    }
+
+    if (!engine.gameState.isRunning) {
+      engine.start();
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop playback and hand control back to the keyboard
+   */
+  stopPlayback() {
+    this.pendingPlayback = null;
+    if (this.playback) {
+      this.finishPlayback("quit");
+    }
+  }
+
+  /**
+   * End the active playback and report its result
+   * @param {string} outcome - How the run ended
+   */
+  finishPlayback(outcome) {
+    const playback = this.playback;
+    const result = this.createResult(outcome);
+    const expected = playback.replay.result;
+
+    this.playback = null;
+    this.gameEngine.inputManager.setPlaybackSource(null);
+
+    this.lastPlaybackResult = {
+      stageId: playback.replay.stageId,
+      result: result,
+      verification: expected ? this.compareResults(expected, result) : null,
+    };
+
+    console.log("Replay playback finished:", this.lastPlaybackResult);
+
+    if (playback.onComplete) {
+      playback.onComplete(this.lastPlaybackResult);
+    }
+  }
+
+  /**
+   * Check whether a stage attempt is being recorded
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Check whether a replay is playing (or waiting for its stage to load)
+   */
+  isPlayingBack() {
+    return this.playback !== null || this.pendingPlayback !== null;
+  }
+
+  /**
+   * Get the most recent finished recording
+   * @returns {Object|null} - Replay object
+   */
+  getLastReplay() {
+    return this.lastReplay;
+  }
+
+  /**
+   * Check a replay's structure before playing it
+   * @param {Object} replay - Replay object
+   * @returns {Object} - { valid, errors }
+   */
+  validateReplay(replay) {
+    const errors = [];
+
+    if (!replay || typeof replay !== "object") {
+      return { valid: false, errors: ["Replay is not an object"] };
+    }
+    if (replay.format !== REPLAY_FORMAT) {
+      errors.push(`Unknown replay format: ${replay.format}`);
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      errors.push(`Unsupported replay version: ${replay.version}`);
+    }
+    if (!Number.isInteger(replay.stageId)) {
+      errors.push("Replay has no stage id");
+    } else if (
+      typeof stageRegistry !== "undefined" &&
+      stageRegistry &&
+      !stageRegistry.getStageInfo(replay.stageId)
+    ) {
+      errors.push(`Replay stage ${replay.stageId} does not exist`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+      errors.push("Replay has no RNG seed");
+    }
+    if (replay.stepDuration !== GAME_CONFIG.fixedTimeStep) {
+      errors.push(
+        `Replay was recorded with ${replay.stepDuration}ms steps (game uses ${GAME_CONFIG.fixedTimeStep}ms)`
+      );
+    }
+    if (
+      !Array.isArray(replay.actions) ||
+      replay.actions.some((action) => !REPLAY_ACTIONS.includes(action))
+    ) {
+      errors.push("Replay actions are invalid");
+    }
+    if (!replay.start || typeof replay.start.lives !== "number") {
+      errors.push("Replay has no start state");
+    }
+
+    if (!Array.isArray(replay.inputs)) {
+      errors.push("Replay has no inputs");
+    } else {
+      const runsValid = replay.inputs.every(
+        (run) =>
+          Array.isArray(run) &&
+          Number.isInteger(run[0]) &&
+          run[0] >= 0 &&
+          Number.isInteger(run[1]) &&
+          run[1] > 0
+      );
+      const frames = runsValid
+        ? replay.inputs.reduce((total, run) => total + run[1], 0)
+        : 0;
+      if (!runsValid) {
+        errors.push("Replay inputs are invalid");
+      } else if (frames !== replay.frameCount) {
+        errors.push(
+          `Replay has ${frames} input steps but a frame count of ${replay.frameCount}`
+        );
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Export a replay as a JSON string
+   * @param {Object} replay - Replay to export (defaults to the last recording)
+   * @returns {string|null} - JSON string, or null if there is nothing to export
+   */
+  exportReplay(replay = this.lastReplay) {
+    if (!replay) {
+      console.warn("No replay to export");
+      return null;
+    }
+
+    try {
+      return JSON.stringify(replay);
+    } catch (error) {
+      console.error("Failed to export replay:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Import a replay from a JSON string
+   * @param {string} jsonString - Exported replay
+   * @returns {Object|null} - Replay object, or null if it is invalid
+   */
+  importReplay(jsonString) {
+    try {
+      const replay = JSON.parse(jsonString);
+      const validation = this.validateReplay(replay);
+      if (!validation.valid) {
+        console.error("Invalid replay:", validation.errors);
+        return null;
+      }
+      return replay;
+    } catch (error) {
+      console.error("Failed to import replay:", error);
+      return null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ReplaySystem,
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    REPLAY_ACTIONS,
+  };
+}
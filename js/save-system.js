@@ -5,12 +5,15 @@
 
 /**
  * SaveSystem Class
- * Manages saving and loading game data using localStorage
+ * Manages saving and loading game data using localStorage, or any object
+ * with the same getItem/setItem/removeItem API (e.g. MemoryStorage)
  */
 class SaveSystem {
-  constructor(gameEngine) {
+  constructor(gameEngine, storage = null) {
     this.gameEngine = gameEngine;
     this.storagePrefix = "mario-platformer-";
+    this.storage =
+      storage || (typeof localStorage !== "undefined" ? localStorage : null);
 
     // Default save data structure
     this.defaultSaveData = {
@@ -26,6 +29,8 @@ class SaveSystem {
         sfxVolume: 0.9,
         showFPS: false,
         enableParticles: true,
+        showGhost: true,
+        keyBindings: null, // Rebound controls; null keeps the defaults
       },
       gameProgress: {
         currentStage: 1,
@@ -81,11 +86,11 @@ class SaveSystem {
   }
 
   /**
-   * Load save data from localStorage
+   * Load save data from storage
    */
   loadSaveData() {
     try {
-      const savedData = localStorage.getItem(this.storagePrefix + "saveData");
+      const savedData = this.storage.getItem(this.storagePrefix + "saveData");
 
       if (savedData) {
         const parsed = JSON.parse(savedData);
@@ -158,12 +163,12 @@ class SaveSystem {
   }
 
   /**
-   * Save data to localStorage
+   * Save data to storage
    */
   saveSaveData() {
     try {
       const dataToSave = JSON.stringify(this.saveData);
-      localStorage.setItem(this.storagePrefix + "saveData", dataToSave);
+      this.storage.setItem(this.storagePrefix + "saveData", dataToSave);
 
       console.log("Save data saved successfully");
       return true;
@@ -186,7 +191,7 @@ class SaveSystem {
       this.saveData.settings = { ...this.saveData.settings, ...settings };
 
       // Also save settings separately for quick access
-      localStorage.setItem(
+      this.storage.setItem(
         this.storagePrefix + "settings",
         JSON.stringify(this.saveData.settings)
       );
@@ -208,7 +213,7 @@ class SaveSystem {
   loadSettings() {
     try {
       // Try to load from separate settings first
-      const settingsData = localStorage.getItem(
+      const settingsData = this.storage.getItem(
         this.storagePrefix + "settings"
       );
 
@@ -252,9 +257,15 @@ class SaveSystem {
         this.saveData.statistics.bestTime[stageNumber] = completionTime;
       }
 
-      // Unlock next stage
-      const nextStage = stageNumber + 1;
-      if (!this.saveData.unlockedStages.includes(nextStage)) {
+      // Unlock next stage (registered ids may skip numbers)
+      const nextStage =
+        typeof stageRegistry !== "undefined" && stageRegistry
+          ? stageRegistry.getNextStageId(stageNumber)
+          : stageNumber + 1;
+      if (
+        nextStage !== null &&
+        !this.saveData.unlockedStages.includes(nextStage)
+      ) {
         this.saveData.unlockedStages.push(nextStage);
         this.saveData.unlockedStages.sort((a, b) => a - b);
       }
@@ -291,6 +302,48 @@ class SaveSystem {
     }
   }
 
+  /**
+   * Record player deaths in statistics
+   * @param {number} count - Number of deaths
+   */
+  recordDeath(count = 1) {
+    try {
+      if (!this.saveData) {
+        this.loadSaveData();
+      }
+
+      this.saveData.statistics.totalDeaths += count;
+
+      // Save the data
+      this.saveSaveData();
+      return true;
+    } catch (error) {
+      console.error("Failed to record death:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Record defeated enemies in statistics
+   * @param {number} count - Number of enemies defeated
+   */
+  recordEnemyDefeat(count = 1) {
+    try {
+      if (!this.saveData) {
+        this.loadSaveData();
+      }
+
+      this.saveData.statistics.totalEnemiesDefeated += count;
+
+      // Save the data
+      this.saveSaveData();
+      return true;
+    } catch (error) {
+      console.error("Failed to record enemy defeat:", error);
+      return false;
+    }
+  }
+
   /**
    * Save game progress (current state)
    */
@@ -372,6 +425,103 @@ class SaveSystem {
     return this.saveData.statistics.bestTime[stageNumber] || null;
   }
 
+  /**
+   * Save the best-run ghost for a stage
+   * Ghost traces are kept under their own key so the regular save data
+   * stays small.
+   * @param {number} stageNumber - Stage number
+   * @param {Object} ghost - Ghost data from GhostSystem
+   * @returns {boolean} - Whether the ghost was saved
+   */
+  saveGhost(stageNumber, ghost) {
+    try {
+      const ghosts = this.loadGhosts();
+      ghosts[stageNumber] = ghost;
+      this.storage.setItem(
+        this.storagePrefix + "ghosts",
+        JSON.stringify(ghosts)
+      );
+      return true;
+    } catch (error) {
+      // Most likely the storage quota; the previous ghost is kept
+      console.warn("Failed to save ghost:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the best-run ghost for a stage
+   * @param {number} stageNumber - Stage number
+   * @returns {Object|null} - Ghost data, or null if the stage has none
+   */
+  loadGhost(stageNumber) {
+    const ghost = this.loadGhosts()[stageNumber];
+    return ghost && Array.isArray(ghost.samples) && ghost.samples.length > 0
+      ? ghost
+      : null;
+  }
+
+  /**
+   * Load all saved ghosts
+   * @returns {Object} - Ghost data by stage number
+   */
+  loadGhosts() {
+    try {
+      const ghostData = this.storage.getItem(this.storagePrefix + "ghosts");
+      return ghostData ? JSON.parse(ghostData) : {};
+    } catch (error) {
+      console.error("Failed to load ghosts:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Delete all saved ghosts
+   */
+  deleteGhosts() {
+    try {
+      this.storage.removeItem(this.storagePrefix + "ghosts");
+    } catch (error) {
+      console.error("Failed to delete ghosts:", error);
+    }
+  }
+
+  /**
+   * Save the level editor's stage
+   * Kept under its own key, like ghosts; it is not game progress, so
+   * resetting the save data leaves it alone.
+   * @param {Object} stageData - Stage definition (JSON stage format)
+   * @returns {boolean} - Whether the stage was saved
+   */
+  saveEditorStage(stageData) {
+    try {
+      this.storage.setItem(
+        this.storagePrefix + "editorStage",
+        JSON.stringify(stageData)
+      );
+      return true;
+    } catch (error) {
+      console.warn("Failed to save editor stage:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the level editor's saved stage
+   * @returns {Object|null} - Stage definition, or null if none was saved
+   */
+  loadEditorStage() {
+    try {
+      const stageData = this.storage.getItem(
+        this.storagePrefix + "editorStage"
+      );
+      return stageData ? JSON.parse(stageData) : null;
+    } catch (error) {
+      console.error("Failed to load editor stage:", error);
+      return null;
+    }
+  }
+
   /**
    * Reset save data (new game)
    */
@@ -391,6 +541,9 @@ class SaveSystem {
 
       this.saveSaveData();
 
+      // Ghosts belong to the best times that were just reset
+      this.deleteGhosts();
+
       console.log("Save data reset");
       return true;
     } catch (error) {
@@ -404,8 +557,9 @@ class SaveSystem {
    */
   deleteSaveData() {
     try {
-      localStorage.removeItem(this.storagePrefix + "saveData");
-      localStorage.removeItem(this.storagePrefix + "settings");
+      this.storage.removeItem(this.storagePrefix + "saveData");
+      this.storage.removeItem(this.storagePrefix + "settings");
+      this.deleteGhosts();
 
       this.saveData = null;
 
@@ -501,9 +655,9 @@ class SaveSystem {
   getStorageInfo() {
     try {
       const saveDataSize =
-        localStorage.getItem(this.storagePrefix + "saveData")?.length || 0;
+        this.storage.getItem(this.storagePrefix + "saveData")?.length || 0;
       const settingsSize =
-        localStorage.getItem(this.storagePrefix + "settings")?.length || 0;
+        this.storage.getItem(this.storagePrefix + "settings")?.length || 0;
 
       return {
         totalSize: saveDataSize + settingsSize,
@@ -523,16 +677,16 @@ class SaveSystem {
   }
 
   /**
-   * Check if localStorage is available
+   * Check if storage is available
    */
   isStorageAvailable() {
     try {
       const test = "__storage_test__";
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
+      this.storage.setItem(test, test);
+      this.storage.removeItem(test);
       return true;
     } catch (error) {
-      console.warn("localStorage not available:", error);
+      console.warn("Storage not available:", error);
       return false;
     }
   }
@@ -551,3 +705,8 @@ class SaveSystem {
     console.log("SaveSystem destroyed");
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SaveSystem;
+}
@@ -161,7 +161,8 @@ class SceneManager {
     // Store transition data
     this.transitionData = data;
 
-    if (immediate) {
+    // Headless engines have no transition animation to wait for
+    if (immediate || this.gameEngine.headless) {
       this.performSceneChange(sceneName);
     } else {
       this.startTransition(sceneName);
@@ -209,6 +210,11 @@ class SceneManager {
     // Update game engine state to match scene
     this.updateGameEngineState(sceneName);
 
+    // Crossfade to the scene's music
+    if (this.gameEngine.playSceneMusic) {
+      this.gameEngine.playSceneMusic(sceneName);
+    }
+
     console.log(`Scene changed to '${sceneName}'`);
   }
 
@@ -223,6 +229,8 @@ class SceneManager {
       game: "playing",
       settings: "menu",
       stageSelect: "menu",
+      ending: "menu",
+      editor: "menu",
       pause: "paused",
       gameover: "gameover",
       victory: "victory",
@@ -480,9 +488,9 @@ class GameScene extends Scene {
   enter(data = {}) {
     super.enter(data);
 
-    // Reset game state for new game
+    // Reset game state for new game (data.coop starts two-player co-op)
     if (data.newGame) {
-      this.resetGameState();
+      this.resetGameState(data.selectedStage || 1, data.coop === true);
     }
   }
 
@@ -510,16 +518,30 @@ class GameScene extends Scene {
     // and individual component input handlers
   }
 
-  resetGameState() {
-    // Reset player position and stats
-    if (this.gameEngine.player) {
+  resetGameState(stageNumber = 1, coop = false) {
+    // One or two players
+    if (this.gameEngine.setCoopMode) {
+      this.gameEngine.setCoopMode(coop);
+    }
+
+    // Reset player stats
+    if (this.gameEngine.getPlayers) {
+      this.gameEngine.getPlayers().forEach((player) => player.reset());
+    } else if (this.gameEngine.player) {
       this.gameEngine.player.reset();
     }
 
-    // Reset game timer
-    if (this.gameEngine.gameState) {
+    // Start with a full set of lives
+    if (this.gameEngine.resetLives) {
+      this.gameEngine.resetLives();
+    }
+
+    // Load the selected stage (resets position, items, enemies and timer)
+    if (this.gameEngine.loadStage) {
+      this.gameEngine.loadStage(stageNumber);
+    } else if (this.gameEngine.gameState) {
       this.gameEngine.gameState.timeRemaining = 300; // 5 minutes
-      this.gameEngine.gameState.currentStage = 1;
+      this.gameEngine.gameState.currentStage = stageNumber;
     }
 
     // Reset UI
@@ -530,3 +552,8 @@ class GameScene extends Scene {
     console.log("Game state reset for new game");
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Scene, SceneManager, MenuScene, GameScene };
+}
@@ -0,0 +1,82 @@
+/**
+ * Seeded Random for Mario Style Platformer
+ * Reproducible pseudo-random numbers for gameplay, replays and stage generation
+ */
+
+/**
+ * SeededRandom Class
+ * Small, fast generator (mulberry32) whose sequence depends only on its seed.
+ * Gameplay code that needs randomness draws from gameEngine.random instead
+ * of Math.random(), so a replay that restores the seed sees the same rolls.
+ */
+class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit seed (a random one is picked when omitted)
+   */
+  constructor(seed = SeededRandom.createSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Create a new random seed
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} seed - 32-bit seed
+   */
+  setSeed(seed) {
+    this.seed = Number(seed) >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next number in the sequence
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Get a float between min (inclusive) and max (exclusive)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} - Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get an integer between min and max (both inclusive)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} - Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} items - Items to pick from
+   * @returns {*} - Random item (undefined for an empty array)
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeededRandom;
+}
@@ -1,11 +1,27 @@
 /**
  * Settings Scene Implementation
- * Handles game settings UI with volume controls and save/load functionality
+ * Handles game settings UI with volume controls, key rebinding and
+ * save/load functionality
  */
 
+// Actions listed on the controls page, in display order
+const REBINDABLE_ACTIONS = [
+  { action: "moveLeft", label: "Move Left" },
+  { action: "moveRight", label: "Move Right" },
+  { action: "jump", label: "Jump" },
+  { action: "dash", label: "Dash" },
+  { action: "block", label: "Crouch / Block" },
+  { action: "lookUp", label: "Look Up" },
+  { action: "pause", label: "Pause" },
+  { action: "escape", label: "Back / Quit" },
+];
+
 /**
  * SettingsScene Class
- * Manages the settings screen interface
+ * Manages the settings screen interface. The "controls" page lists each
+ * action's keyboard and gamepad bindings; selecting a row waits for the
+ * next key or button, which replaces that action's bindings for the same
+ * device. Bindings are saved with the other settings and applied on boot.
  */
 class SettingsScene extends Scene {
   constructor(gameEngine) {
@@ -27,6 +43,13 @@ class SettingsScene extends Scene {
     this.hoveredElement = null;
     this.draggedSlider = null;
 
+    // Controls page
+    this.page = "main"; // "main" or "controls"
+    this.controlRows = [];
+    this.selectedRow = 0;
+    this.capturingAction = null; // Action waiting for a key or button
+    this.bindingConflicts = []; // { keyCode, actions } from validation
+
     // Animation
     this.backgroundAnimation = 0;
 
@@ -55,23 +78,35 @@ class SettingsScene extends Scene {
   enter(data = {}) {
     super.enter(data);
 
+    // Always open on the main page
+    if (this.page !== "main") {
+      this.showPage("main");
+    }
+
     // Refresh settings from audio manager
     this.syncWithAudioManager();
   }
 
   /**
-   * Create UI elements (sliders, buttons, checkboxes)
+   * Create UI elements (sliders, buttons, checkboxes) for the current page
    */
   createUIElements() {
     const canvas = this.gameEngine.canvas;
     const centerX = canvas.width / 2;
     const startY = 150;
-    const spacing = 80;
+    const spacing = 70;
 
     // Clear existing elements
     this.sliders = [];
     this.buttons = [];
     this.checkboxes = [];
+    this.controlRows = [];
+    this.hoveredElement = null;
+
+    if (this.page === "controls") {
+      this.createControlsElements(centerX, startY + spacing * 5);
+      return;
+    }
 
     // Volume sliders
     this.sliders.push({
@@ -135,8 +170,8 @@ class SettingsScene extends Scene {
     this.buttons.push({
       id: "save",
       text: "Save Settings",
-      x: centerX - 200,
-      y: startY + spacing * 5.5,
+      x: centerX - 265,
+      y: startY + spacing * 5,
       width: 120,
       height: 40,
     });
@@ -144,8 +179,17 @@ class SettingsScene extends Scene {
     this.buttons.push({
       id: "reset",
       text: "Reset to Default",
-      x: centerX - 60,
-      y: startY + spacing * 5.5,
+      x: centerX - 130,
+      y: startY + spacing * 5,
+      width: 120,
+      height: 40,
+    });
+
+    this.buttons.push({
+      id: "controls",
+      text: "Controls",
+      x: centerX + 5,
+      y: startY + spacing * 5,
       width: 120,
       height: 40,
     });
@@ -153,13 +197,73 @@ class SettingsScene extends Scene {
     this.buttons.push({
       id: "back",
       text: "Back to Menu",
+      x: centerX + 140,
+      y: startY + spacing * 5,
+      width: 120,
+      height: 40,
+    });
+  }
+
+  /**
+   * Create the controls page: one row per action and its buttons
+   * @param {number} centerX - Horizontal center of the canvas
+   * @param {number} buttonY - Top of the button row
+   */
+  createControlsElements(centerX, buttonY) {
+    REBINDABLE_ACTIONS.forEach((entry, index) => {
+      this.controlRows.push({
+        action: entry.action,
+        label: entry.label,
+        x: centerX - 320,
+        y: 130 + index * 44,
+        width: 640,
+        height: 40,
+      });
+    });
+
+    this.buttons.push({
+      id: "save",
+      text: "Save Settings",
+      x: centerX - 200,
+      y: buttonY,
+      width: 120,
+      height: 40,
+    });
+
+    this.buttons.push({
+      id: "resetControls",
+      text: "Reset Controls",
+      x: centerX - 60,
+      y: buttonY,
+      width: 120,
+      height: 40,
+    });
+
+    this.buttons.push({
+      id: "back",
+      text: "Back",
       x: centerX + 80,
-      y: startY + spacing * 5.5,
+      y: buttonY,
       width: 120,
       height: 40,
     });
   }
 
+  /**
+   * Switch between the main settings and the controls page
+   * @param {string} page - "main" or "controls"
+   */
+  showPage(page) {
+    this.page = page;
+    this.capturingAction = null;
+    this.selectedRow = 0;
+    this.createUIElements();
+
+    if (page === "controls") {
+      this.checkBindingConflicts();
+    }
+  }
+
   /**
    * Set up event listeners for mouse interaction
    */
@@ -239,6 +343,16 @@ class SettingsScene extends Scene {
       }
     }
 
+    // Check control row hover
+    if (!this.hoveredElement) {
+      for (const row of this.controlRows) {
+        if (this.isPointInButton(mouseX, mouseY, row)) {
+          this.hoveredElement = { type: "controlRow", element: row };
+          break;
+        }
+      }
+    }
+
     // Handle slider dragging
     if (this.draggedSlider) {
       this.updateSliderValue(this.draggedSlider, mouseX);
@@ -273,6 +387,15 @@ class SettingsScene extends Scene {
         return;
       }
     }
+
+    // Check control row interaction
+    for (const [index, row] of this.controlRows.entries()) {
+      if (this.isPointInButton(mouseX, mouseY, row)) {
+        this.selectedRow = index;
+        this.startKeyCapture(row.action);
+        return;
+      }
+    }
   }
 
   /**
@@ -350,19 +473,135 @@ class SettingsScene extends Scene {
   handleButtonClick(button) {
     switch (button.id) {
       case "save":
-        this.saveSettings();
-        this.showMessage("Settings saved!", "success");
+        if (this.saveSettings()) {
+          this.showMessage("Settings saved!", "success");
+        }
         break;
       case "reset":
         this.resetToDefaults();
         this.showMessage("Settings reset to defaults", "info");
         break;
+      case "controls":
+        this.showPage("controls");
+        break;
+      case "resetControls":
+        this.resetControls();
+        this.showMessage("Controls reset to defaults", "info");
+        break;
       case "back":
-        this.goBackToMenu();
+        this.goBack();
         break;
     }
   }
 
+  /**
+   * Wait for the next key or gamepad button to bind to an action
+   * @param {string} action - Action to rebind
+   */
+  startKeyCapture(action) {
+    this.capturingAction = action;
+    console.log(`Waiting for a key to bind to ${action}`);
+  }
+
+  /**
+   * Bind the first key or button pressed this frame (Esc cancels)
+   * @param {InputManager} inputManager - Input manager to read presses from
+   */
+  handleKeyCapture(inputManager) {
+    const pressed = inputManager.getPressedKeys();
+    if (pressed.length === 0) return;
+
+    const action = this.capturingAction;
+    this.capturingAction = null;
+
+    if (pressed.includes("Escape")) {
+      this.showMessage("Rebinding cancelled", "info");
+      return;
+    }
+
+    this.bindKeyToAction(action, pressed[0]);
+  }
+
+  /**
+   * Replace an action's bindings for one device with a key or button
+   * Keyboard keys replace the action's keyboard keys and gamepad codes its
+   * gamepad buttons, so rebinding one never clears the other.
+   * @param {string} action - Action to rebind
+   * @param {string} keyCode - Captured key or gamepad code
+   */
+  bindKeyToAction(action, keyCode) {
+    const inputManager = this.gameEngine.getInputManager();
+    if (!inputManager) return;
+
+    const isGamepad = inputManager.isGamepadCode(keyCode);
+    const kept = inputManager
+      .getKeyBindings(action)
+      .filter((code) => inputManager.isGamepadCode(code) !== isGamepad);
+
+    // Keyboard keys are listed before gamepad buttons
+    inputManager.setKeyBindings(
+      action,
+      isGamepad ? [...kept, keyCode] : [keyCode, ...kept]
+    );
+
+    if (!this.checkBindingConflicts()) {
+      const conflict = this.bindingConflicts.find((entry) =>
+        entry.actions.includes(action)
+      );
+      const other = conflict.actions.find((name) => name !== action);
+      this.showMessage(
+        `${inputManager.getKeyLabel(
+          conflict.keyCode
+        )} is also bound to ${this.getActionLabel(other)}`,
+        "warning"
+      );
+    }
+  }
+
+  /**
+   * Validate the current bindings and remember any conflicts
+   * @returns {boolean} - True if no key is bound to two actions
+   */
+  checkBindingConflicts() {
+    const inputManager = this.gameEngine.getInputManager();
+    if (!inputManager) return true;
+
+    const validation = inputManager.validateKeyBindings();
+    this.bindingConflicts = validation.conflicts;
+    return validation.isValid;
+  }
+
+  /**
+   * Check whether an action shares a key with another action
+   * @param {string} action - Action to check
+   * @returns {boolean} - True if the action is part of a conflict
+   */
+  hasBindingConflict(action) {
+    return this.bindingConflicts.some((conflict) =>
+      conflict.actions.includes(action)
+    );
+  }
+
+  /**
+   * Get the display name of an action
+   */
+  getActionLabel(action) {
+    const entry = REBINDABLE_ACTIONS.find((item) => item.action === action);
+    return entry ? entry.label : action;
+  }
+
+  /**
+   * Restore the default key bindings
+   */
+  resetControls() {
+    const inputManager = this.gameEngine.getInputManager();
+    if (inputManager) {
+      inputManager.resetKeyBindingsToDefault();
+    }
+    this.capturingAction = null;
+    this.checkBindingConflicts();
+  }
+
   /**
    * Apply setting change immediately
    */
@@ -390,8 +629,9 @@ class SettingsScene extends Scene {
         console.log(`FPS display ${value ? "enabled" : "disabled"}`);
         break;
       case "enableParticles":
-        // This would be handled by a particle system
-        console.log(`Particles ${value ? "enabled" : "disabled"}`);
+        if (this.gameEngine.particleSystem) {
+          this.gameEngine.particleSystem.setEnabled(value);
+        }
         break;
     }
   }
@@ -421,6 +661,7 @@ class SettingsScene extends Scene {
    */
   resetToDefaults() {
     this.settings = {
+      ...this.settings,
       masterVolume: 0.7,
       musicVolume: 0.8,
       sfxVolume: 0.9,
@@ -445,9 +686,19 @@ class SettingsScene extends Scene {
   }
 
   /**
-   * Save settings using save system
+   * Save settings (and key bindings) using save system
+   * @returns {boolean} - True if saved; conflicting bindings are not saved
    */
   saveSettings() {
+    const inputManager = this.gameEngine.getInputManager();
+    if (inputManager) {
+      if (!this.checkBindingConflicts()) {
+        this.showMessage("Fix conflicting controls before saving", "warning");
+        return false;
+      }
+      this.settings.keyBindings = inputManager.getAllKeyBindings();
+    }
+
     try {
       const saveSystem = this.gameEngine.getSaveSystem();
       if (saveSystem) {
@@ -458,8 +709,10 @@ class SettingsScene extends Scene {
         localStorage.setItem("gameSettings", JSON.stringify(this.settings));
         console.log("Settings saved to localStorage (fallback)");
       }
+      return true;
     } catch (error) {
       console.error("Failed to save settings:", error);
+      return false;
     }
   }
 
@@ -487,6 +740,17 @@ class SettingsScene extends Scene {
     }
   }
 
+  /**
+   * Leave the controls page, or the settings scene from the main page
+   */
+  goBack() {
+    if (this.page === "controls") {
+      this.showPage("main");
+    } else {
+      this.goBackToMenu();
+    }
+  }
+
   /**
    * Go back to menu
    */
@@ -527,11 +791,39 @@ class SettingsScene extends Scene {
     const inputManager = this.gameEngine.getInputManager();
     if (!inputManager) return;
 
+    // A key being captured for rebinding takes every press
+    if (this.capturingAction) {
+      this.handleKeyCapture(inputManager);
+      return;
+    }
+
     const input = inputManager.getPlayerInput();
 
+    if (this.page === "controls") {
+      this.handleControlsInput(inputManager);
+    }
+
     // ESC to go back
     if (input.escape) {
-      this.goBackToMenu();
+      this.goBack();
+    }
+  }
+
+  /**
+   * Move through the controls list and start rebinding from the keyboard
+   * or a gamepad
+   */
+  handleControlsInput(inputManager) {
+    const rows = this.controlRows.length;
+    const pressedAny = (codes) =>
+      codes.some((code) => inputManager.isKeyPressed(code));
+
+    if (pressedAny(["ArrowUp", "KeyW", "GamepadUp"])) {
+      this.selectedRow = (this.selectedRow - 1 + rows) % rows;
+    } else if (pressedAny(["ArrowDown", "KeyS", "GamepadDown"])) {
+      this.selectedRow = (this.selectedRow + 1) % rows;
+    } else if (pressedAny(["Enter", "GamepadA"])) {
+      this.startKeyCapture(this.controlRows[this.selectedRow].action);
     }
   }
 
@@ -549,6 +841,9 @@ class SettingsScene extends Scene {
     // Draw title
     this.renderTitle(ctx, canvas);
 
+    // Draw key bindings
+    this.renderControlRows(ctx);
+
     // Draw sliders
     this.renderSliders(ctx);
 
@@ -591,7 +886,83 @@ class SettingsScene extends Scene {
     ctx.fillStyle = "#FFFFFF";
     ctx.font = "bold 36px Arial";
     ctx.textAlign = "center";
-    ctx.fillText("Settings", canvas.width / 2, 80);
+    ctx.fillText(
+      this.page === "controls" ? "Controls" : "Settings",
+      canvas.width / 2,
+      80
+    );
+  }
+
+  /**
+   * Render the controls list: action, keyboard keys and gamepad buttons
+   */
+  renderControlRows(ctx) {
+    if (this.controlRows.length === 0) return;
+
+    const inputManager = this.gameEngine.getInputManager();
+    const first = this.controlRows[0];
+
+    // Column headers
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.font = "bold 14px Arial";
+    ctx.textAlign = "left";
+    ctx.fillText("Action", first.x + 15, first.y - 12);
+    ctx.fillText("Keyboard", first.x + 200, first.y - 12);
+    ctx.fillText("Gamepad", first.x + 420, first.y - 12);
+
+    this.controlRows.forEach((row, index) => {
+      const isHovered =
+        this.hoveredElement &&
+        this.hoveredElement.type === "controlRow" &&
+        this.hoveredElement.element === row;
+      const isSelected = index === this.selectedRow;
+      const isCapturing = this.capturingAction === row.action;
+      const hasConflict = this.hasBindingConflict(row.action);
+
+      // Row background
+      ctx.fillStyle =
+        isSelected || isHovered
+          ? "rgba(255, 255, 255, 0.35)"
+          : "rgba(255, 255, 255, 0.15)";
+      ctx.fillRect(row.x, row.y, row.width, row.height);
+
+      if (isSelected || isCapturing) {
+        ctx.strokeStyle = isCapturing ? "#FFD700" : "#FFFFFF";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(row.x, row.y, row.width, row.height);
+      }
+
+      // Action name
+      const textY = row.y + row.height / 2 + 6;
+      ctx.fillStyle = hasConflict ? "#FF6B6B" : "#FFFFFF";
+      ctx.font = "bold 16px Arial";
+      ctx.textAlign = "left";
+      ctx.fillText(row.label, row.x + 15, textY);
+
+      // Bindings
+      ctx.font = "16px Arial";
+      if (isCapturing) {
+        ctx.fillStyle = "#FFD700";
+        ctx.fillText(
+          "Press a key or button... (Esc to cancel)",
+          row.x + 200,
+          textY
+        );
+        return;
+      }
+
+      const keyCodes = inputManager
+        ? inputManager.getKeyBindings(row.action)
+        : [];
+      const describe = (codes) =>
+        codes.map((code) => inputManager.getKeyLabel(code)).join(" / ") || "-";
+      const keys = keyCodes.filter((code) => !inputManager.isGamepadCode(code));
+      const pads = keyCodes.filter((code) => inputManager.isGamepadCode(code));
+
+      ctx.fillStyle = hasConflict ? "#FF6B6B" : "#FFFFFF";
+      ctx.fillText(describe(keys), row.x + 200, textY);
+      ctx.fillText(describe(pads), row.x + 420, textY);
+    });
   }
 
   /**
@@ -717,7 +1088,11 @@ class SettingsScene extends Scene {
     ctx.textAlign = "center";
 
     const instructionsY = canvas.height - 40;
-    ctx.fillText("ESC to go back to menu", canvas.width / 2, instructionsY);
+    const instructions =
+      this.page === "controls"
+        ? "Click an action or press Enter to rebind it - ESC to go back"
+        : "ESC to go back to menu";
+    ctx.fillText(instructions, canvas.width / 2, instructionsY);
   }
 
   /**
@@ -734,3 +1109,8 @@ class SettingsScene extends Scene {
     super.destroy();
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SettingsScene;
+}
@@ -0,0 +1,169 @@
+/**
+ * Sound Effect Definitions for Mario Style Platformer
+ * Descriptors rendered by SoundSynth, keyed by the names passed to
+ * AudioManager.playSound()
+ *
+ * Format:
+ *   volume: number,      // 0.0 - 1.0, scales every tone (default 0.5)
+ *   seed: number,        // Noise seed (same seed, same noise)
+ *   tones: [             // Played back to back
+ *     {
+ *       wave: string,          // "square", "triangle" or "noise"
+ *       frequency: number,     // Start pitch in Hz (noise: level changes per second)
+ *       frequencyEnd: number,  // Optional pitch to slide to by the end of the tone
+ *       duty: number,          // Square wave duty cycle (default 0.5)
+ *       duration: number,      // Milliseconds
+ *       attack: number,        // Fade-in in milliseconds (default 5)
+ *       release: number,       // Fade-out in milliseconds (default 30)
+ *       volume: number,        // Optional per-tone volume multiplier
+ *     }
+ *   ]
+ */
+
+const SOUND_EFFECTS = {
+  jump: {
+    volume: 0.35,
+    tones: [
+      {
+        wave: "square",
+        duty: 0.25,
+        frequency: 260,
+        frequencyEnd: 620,
+        duration: 160,
+        release: 60,
+      },
+    ],
+  },
+
+  dash: {
+    volume: 0.3,
+    seed: 7,
+    tones: [
+      {
+        wave: "noise",
+        frequency: 9000,
+        frequencyEnd: 1500,
+        duration: 180,
+        attack: 20,
+        release: 120,
+      },
+    ],
+  },
+
+  coin: {
+    volume: 0.3,
+    tones: [
+      { wave: "square", frequency: 987.77, duration: 70, release: 0 }, // B5
+      { wave: "square", frequency: 1318.51, duration: 280, release: 220 }, // E6
+    ],
+  },
+
+  powerup: {
+    volume: 0.3,
+    tones: [
+      { wave: "square", frequency: 523.25, duration: 50, release: 5 }, // C5
+      { wave: "square", frequency: 659.25, duration: 50, release: 5 }, // E5
+      { wave: "square", frequency: 783.99, duration: 50, release: 5 }, // G5
+      { wave: "square", frequency: 1046.5, duration: 50, release: 5 }, // C6
+      { wave: "square", frequency: 1318.51, duration: 50, release: 5 }, // E6
+      { wave: "square", frequency: 1567.98, duration: 160, release: 120 }, // G6
+    ],
+  },
+
+  invincible: {
+    volume: 0.3,
+    tones: [
+      { wave: "triangle", frequency: 523.25, duration: 60, release: 10 },
+      { wave: "square", frequency: 1046.5, duration: 60, release: 10 },
+      { wave: "triangle", frequency: 587.33, duration: 60, release: 10 },
+      { wave: "square", frequency: 1174.66, duration: 60, release: 10 },
+      { wave: "triangle", frequency: 659.25, duration: 60, release: 10 },
+      { wave: "square", frequency: 1318.51, duration: 200, release: 150 },
+    ],
+  },
+
+  item: {
+    volume: 0.3,
+    tones: [
+      {
+        wave: "square",
+        duty: 0.125,
+        frequency: 392,
+        frequencyEnd: 784,
+        duration: 220,
+        release: 80,
+      },
+    ],
+  },
+
+  damage: {
+    volume: 0.35,
+    seed: 3,
+    tones: [
+      {
+        wave: "square",
+        frequency: 440,
+        frequencyEnd: 110,
+        duration: 220,
+        release: 80,
+      },
+      { wave: "noise", frequency: 3000, duration: 80, release: 60 },
+    ],
+  },
+
+  defeat: {
+    volume: 0.35,
+    tones: [
+      { wave: "square", frequency: 987.77, duration: 120, release: 20 }, // B5
+      { wave: "square", frequency: 1396.91, duration: 120, release: 20 }, // F6
+      { wave: "square", frequency: 1396.91, duration: 120, release: 20 },
+      { wave: "square", frequency: 1396.91, duration: 160, release: 20 },
+      { wave: "triangle", frequency: 329.63, duration: 160, release: 20 }, // E4
+      { wave: "triangle", frequency: 261.63, duration: 400, release: 300 }, // C4
+    ],
+  },
+
+  victory: {
+    volume: 0.35,
+    tones: [
+      { wave: "triangle", frequency: 523.25, duration: 100, release: 10 },
+      { wave: "triangle", frequency: 659.25, duration: 100, release: 10 },
+      { wave: "triangle", frequency: 783.99, duration: 100, release: 10 },
+      { wave: "square", frequency: 1046.5, duration: 450, release: 300 },
+    ],
+  },
+
+  enemy_defeat: {
+    volume: 0.35,
+    seed: 11,
+    tones: [
+      { wave: "noise", frequency: 6000, duration: 40, attack: 0, release: 20 },
+      {
+        wave: "square",
+        frequency: 700,
+        frequencyEnd: 180,
+        duration: 110,
+        release: 50,
+      },
+    ],
+  },
+
+  stage_clear: {
+    volume: 0.3,
+    tones: [
+      { wave: "square", frequency: 392.0, duration: 90, release: 10 }, // G4
+      { wave: "square", frequency: 523.25, duration: 90, release: 10 }, // C5
+      { wave: "square", frequency: 659.25, duration: 90, release: 10 }, // E5
+      { wave: "square", frequency: 783.99, duration: 90, release: 10 }, // G5
+      { wave: "square", frequency: 1046.5, duration: 90, release: 10 }, // C6
+      { wave: "square", frequency: 1318.51, duration: 90, release: 10 }, // E6
+      { wave: "square", frequency: 1567.98, duration: 260, release: 20 }, // G6
+      { wave: "square", frequency: 1318.51, duration: 260, release: 200 }, // E6
+    ],
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SOUND_EFFECTS;
+}
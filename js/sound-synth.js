@@ -0,0 +1,395 @@
+/**
+ * Chiptune Sound Synthesizer for Mario Style Platformer
+ * Generates square, triangle and noise sound effects from small descriptors
+ */
+
+// Waveforms a tone can use
+const SYNTH_WAVEFORMS = ["square", "triangle", "noise"];
+
+/**
+ * SoundSynth Class
+ * Renders sound descriptors (see sound-data.js) to mono PCM samples.
+ * Rendering is plain JavaScript and deterministic, so the same descriptor
+ * always produces the same samples; Web Audio is only needed to turn them
+ * into an AudioBuffer for playback.
+ */
+class SoundSynth {
+  constructor(sampleRate = 44100) {
+    this.sampleRate = sampleRate;
+
+    // Tone defaults (milliseconds)
+    this.defaultAttack = 5;
+    this.defaultRelease = 30;
+    this.defaultDuty = 0.5;
+    this.defaultVolume = 0.5;
+  }
+
+  /**
+   * Render a sound descriptor to PCM samples (offline render path)
+   * @param {Object} descriptor - Sound descriptor { volume, seed, tones }
+   *   or a single tone
+   * @param {number} sampleRate - Samples per second
+   * @returns {Float32Array} - Mono samples in the range -1..1
+   */
+  renderPCM(descriptor, sampleRate = this.sampleRate) {
+    const tones = descriptor.tones || [descriptor];
+    const volume =
+      descriptor.volume !== undefined ? descriptor.volume : this.defaultVolume;
+
+    const lengths = tones.map((tone) =>
+      Math.max(0, Math.round(((tone.duration || 0) / 1000) * sampleRate))
+    );
+    const pcm = new Float32Array(lengths.reduce((sum, n) => sum + n, 0));
+    const random = this.createNoiseSource(descriptor.seed || 1);
+
+    // Tones play back to back
+    let offset = 0;
+    tones.forEach((tone, index) => {
+      this.renderTone(
+        pcm,
+        offset,
+        lengths[index],
+        tone,
+        volume,
+        sampleRate,
+        random
+      );
+      offset += lengths[index];
+    });
+
+    return pcm;
+  }
+
+  /**
+   * Render one tone into the sample buffer
+   * @param {Float32Array} pcm - Output samples
+   * @param {number} offset - First sample to write
+   * @param {number} length - Number of samples to write
+   * @param {Object} tone - Tone { wave, frequency, frequencyEnd, duty,
+   *   duration, attack, release, volume }
+   * @param {number} volume - Sound volume (0.0 to 1.0)
+   * @param {number} sampleRate - Samples per second
+   * @param {Function} random - Noise source returning -1..1
+   */
+  renderTone(pcm, offset, length, tone, volume, sampleRate, random) {
+    if (!SYNTH_WAVEFORMS.includes(tone.wave)) {
+      console.warn(`Unknown synth waveform: ${tone.wave}, rendering silence`);
+      return;
+    }
+
+    const startFrequency = tone.frequency || 440;
+    const endFrequency = tone.frequencyEnd || startFrequency;
+    const duty = tone.duty !== undefined ? tone.duty : this.defaultDuty;
+    const amplitude = volume * (tone.volume !== undefined ? tone.volume : 1);
+
+    const attack = Math.round(
+      ((tone.attack !== undefined ? tone.attack : this.defaultAttack) / 1000) *
+        sampleRate
+    );
+    const release = Math.round(
+      ((tone.release !== undefined ? tone.release : this.defaultRelease) /
+        1000) *
+        sampleRate
+    );
+
+    let phase = 0;
+    let noiseValue = random();
+
+    for (let i = 0; i < length; i++) {
+      // Exponential slide sounds even across octaves
+      const progress = length > 1 ? i / (length - 1) : 0;
+      const frequency =
+        startFrequency * Math.pow(endFrequency / startFrequency, progress);
+
+      let sample;
+      switch (tone.wave) {
+        case "square":
+          sample = phase < duty ? 1 : -1;
+          break;
+        case "triangle":
+          sample = 4 * Math.abs(phase - 0.5) - 1;
+          break;
+        case "noise":
+          sample = noiseValue;
+          break;
+      }
+
+      // Linear attack and release ramps
+      let envelope = 1;
+      if (attack > 0 && i < attack) {
+        envelope = i / attack;
+      }
+      if (release > 0 && length - i <= release) {
+        envelope = Math.min(envelope, (length - i) / release);
+      }
+
+      pcm[offset + i] = Math.max(
+        -1,
+        Math.min(1, sample * envelope * amplitude)
+      );
+
+      // Noise picks a new level once per cycle, like a chip's noise channel
+      phase += frequency / sampleRate;
+      if (phase >= 1) {
+        phase %= 1;
+        noiseValue = random();
+      }
+    }
+  }
+
+  /**
+   * Create a seeded noise source so noise renders the same every time
+   * @param {number} seed - Noise seed
+   * @returns {Function} - Returns the next noise level (-1..1)
+   */
+  createNoiseSource(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      return (state / 4294967296) * 2 - 1;
+    };
+  }
+
+  /**
+   * Copy PCM samples into a Web Audio buffer
+   * @param {AudioContext} audioContext - Context that will play the buffer
+   * @param {Float32Array} pcm - Samples rendered at the context's sample rate
+   * @returns {AudioBuffer} - Mono audio buffer
+   */
+  createBuffer(audioContext, pcm) {
+    const buffer = audioContext.createBuffer(
+      1,
+      Math.max(1, pcm.length),
+      audioContext.sampleRate
+    );
+    buffer.getChannelData(0).set(pcm);
+    return buffer;
+  }
+
+  /**
+   * Encode PCM samples as a 16-bit mono WAV data URL (for HTML5 Audio)
+   * @param {Float32Array} pcm - Samples to encode
+   * @param {number} sampleRate - Samples per second
+   * @returns {string} - data:audio/wav URL
+   */
+  encodeWav(pcm, sampleRate = this.sampleRate) {
+    const dataSize = pcm.length * 2;
+    const bytes = new Uint8Array(44 + dataSize);
+    const view = new DataView(bytes.buffer);
+
+    const writeString = (position, text) => {
+      for (let i = 0; i < text.length; i++) {
+        bytes[position + i] = text.charCodeAt(i);
+      }
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // Byte rate
+    view.setUint16(32, 2, true); // Block align
+    view.setUint16(34, 16, true); // Bits per sample
+    writeString(36, "data");
+    view.setUint32(40, dataSize, true);
+
+    for (let i = 0; i < pcm.length; i++) {
+      view.setInt16(44 + i * 2, Math.round(pcm[i] * 32767), true);
+    }
+
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return `data:audio/wav;base64,${btoa(binary)}`;
+  }
+}
+
+/**
+ * SynthVoice Class
+ * Plays a generated AudioBuffer through the Web Audio context while looking
+ * like an HTML5 Audio element (play, pause, cloneNode, "ended" events), so
+ * generated sounds work with AudioManager's sound pools unchanged.
+ */
+class SynthVoice {
+  constructor(audioContext, buffer) {
+    this.audioContext = audioContext;
+    this.buffer = buffer;
+
+    // HTML5 Audio compatible state
+    this.paused = true;
+    this.ended = false;
+    this.loop = false;
+    this.playbackRate = 1;
+    this._volume = 1;
+    this._offset = 0; // Position (seconds) to start from on the next play()
+    this.startedAt = 0; // Context time at which position 0 would have played
+
+    // Active Web Audio nodes
+    this.source = null;
+    this.gainNode = null;
+
+    this.listeners = new Map();
+  }
+
+  get volume() {
+    return this._volume;
+  }
+
+  set volume(value) {
+    this._volume = value;
+    if (this.gainNode) {
+      this.gainNode.gain.value = value;
+    }
+  }
+
+  get duration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  get currentTime() {
+    if (!this.source) return this._offset;
+
+    const elapsed =
+      ((this.audioContext.currentTime || 0) - this.startedAt) *
+      this.playbackRate;
+    if (this.loop && this.duration > 0) {
+      return elapsed % this.duration;
+    }
+    return Math.min(elapsed, this.duration);
+  }
+
+  set currentTime(value) {
+    // Like a seek while stopped; applies to the next play()
+    this._offset = Math.max(0, value);
+  }
+
+  /**
+   * Start playback from currentTime (the beginning after it has ended)
+   * @returns {Promise} - Resolves once playback has started
+   */
+  play() {
+    this.stopSource();
+
+    const offset =
+      this.ended || this._offset >= this.duration ? 0 : this._offset;
+
+    // Browsers keep new contexts suspended until the first user gesture
+    const resumed =
+      this.audioContext.state === "suspended"
+        ? this.audioContext.resume()
+        : Promise.resolve();
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.buffer;
+    source.loop = this.loop;
+    source.playbackRate.value = this.playbackRate;
+
+    const gainNode = this.audioContext.createGain();
+    gainNode.gain.value = this._volume;
+
+    // Volume already includes the master level, like HTML5 Audio elements
+    source.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    source.onended = () => {
+      if (this.source !== source) return;
+      this.source = null;
+      this.gainNode = null;
+      this._offset = 0;
+      this.paused = true;
+      this.ended = true;
+      this.dispatchEvent("ended");
+    };
+
+    this.source = source;
+    this.gainNode = gainNode;
+    this.paused = false;
+    this.ended = false;
+    this.startedAt =
+      (this.audioContext.currentTime || 0) - offset / this.playbackRate;
+    source.start(0, offset);
+
+    return resumed;
+  }
+
+  /**
+   * Stop playback, keeping the position for the next play()
+   */
+  pause() {
+    this._offset = this.currentTime;
+    this.stopSource();
+    this.paused = true;
+  }
+
+  /**
+   * Stop and disconnect the current source node
+   */
+  stopSource() {
+    if (!this.source) return;
+
+    const source = this.source;
+    this.source = null;
+    this.gainNode = null;
+    try {
+      source.stop();
+      source.disconnect();
+    } catch (error) {
+      // Already stopped
+    }
+  }
+
+  /**
+   * Create another voice for the same buffer (concurrent playback)
+   * @returns {SynthVoice} - New voice
+   */
+  cloneNode() {
+    const voice = new SynthVoice(this.audioContext, this.buffer);
+    voice.volume = this._volume;
+    voice.loop = this.loop;
+    return voice;
+  }
+
+  /**
+   * Listen for playback events ("ended")
+   * @param {string} type - Event type
+   * @param {Function} listener - Event handler
+   */
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  /**
+   * Stop listening for playback events
+   * @param {string} type - Event type
+   * @param {Function} listener - Event handler
+   */
+  removeEventListener(type, listener) {
+    if (this.listeners.has(type)) {
+      this.listeners.get(type).delete(listener);
+    }
+  }
+
+  /**
+   * Notify listeners of a playback event
+   * @param {string} type - Event type
+   */
+  dispatchEvent(type) {
+    if (!this.listeners.has(type)) return;
+    for (const listener of Array.from(this.listeners.get(type))) {
+      listener({ type, target: this });
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SYNTH_WAVEFORMS, SoundSynth, SynthVoice };
+}
@@ -0,0 +1,191 @@
+/**
+ * Sprite Atlas Loader for Mario Style Platformer
+ * Loads a sprite sheet and draws named frames from it
+ */
+
+/**
+ * SpriteAtlas Class
+ * Holds the sprite sheet image, its frame rectangles and animation sets.
+ * Frame and animation data are available as soon as load() is called; the
+ * image itself arrives asynchronously. Until it has loaded (or if it fails
+ * to load) drawFrame() returns false so entities fall back to their shapes.
+ */
+class SpriteAtlas {
+  constructor() {
+    this.image = null;
+    this.imagePath = null;
+    this.frames = new Map();
+    this.animations = {};
+
+    // Load state
+    this.isLoaded = false;
+    this.loadFailed = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load an atlas definition and its sprite sheet image
+   * @param {Object} atlasData - Atlas definition (see sprite-data.js)
+   * @returns {Promise<boolean>} - Resolves true when the image is ready,
+   *   false if it could not be loaded (never rejects)
+   */
+  load(atlasData) {
+    this.isLoaded = false;
+    this.loadFailed = false;
+    this.image = null;
+    this.frames.clear();
+    this.animations = {};
+
+    if (!atlasData || !atlasData.image || !atlasData.frames) {
+      console.warn("Invalid sprite atlas definition, using fallback shapes");
+      this.loadFailed = true;
+      this.loadPromise = Promise.resolve(false);
+      return this.loadPromise;
+    }
+
+    this.imagePath = atlasData.image;
+    for (const [name, rect] of Object.entries(atlasData.frames)) {
+      this.frames.set(name, { x: rect.x, y: rect.y, w: rect.w, h: rect.h });
+    }
+    this.animations = atlasData.animations || {};
+
+    this.loadPromise = new Promise((resolve) => {
+      const image = this.createImage();
+      if (!image) {
+        console.warn("Images are not supported, using fallback shapes");
+        this.loadFailed = true;
+        resolve(false);
+        return;
+      }
+
+      image.onload = () => {
+        this.image = image;
+        this.isLoaded = true;
+        console.log(
+          `Sprite atlas loaded: ${this.imagePath} (${this.frames.size} frames)`
+        );
+        resolve(true);
+      };
+      image.onerror = () => {
+        console.warn(
+          `Failed to load sprite atlas ${this.imagePath}, using fallback shapes`
+        );
+        this.loadFailed = true;
+        resolve(false);
+      };
+      image.src = this.imagePath;
+    });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Create the image element used for the sprite sheet
+   * @returns {HTMLImageElement|null} - New image, or null without DOM support
+   */
+  createImage() {
+    if (typeof Image === "undefined") {
+      return null;
+    }
+    return new Image();
+  }
+
+  /**
+   * Check whether frames can be drawn
+   * @returns {boolean} - True once the sprite sheet image has loaded
+   */
+  isReady() {
+    return this.isLoaded && this.image !== null;
+  }
+
+  /**
+   * Check whether a frame is defined
+   * @param {string} name - Frame name
+   * @returns {boolean} - True if the frame exists
+   */
+  hasFrame(name) {
+    return this.frames.has(name);
+  }
+
+  /**
+   * Get a frame rectangle
+   * @param {string} name - Frame name
+   * @returns {Object|null} - Source rectangle { x, y, w, h }
+   */
+  getFrame(name) {
+    return this.frames.get(name) || null;
+  }
+
+  /**
+   * Get the animations of a sprite set
+   * @param {string} spriteSet - Sprite set name ("player", "coin", ...)
+   * @returns {Object|null} - Animations keyed by state
+   */
+  getAnimations(spriteSet) {
+    return this.animations[spriteSet] || null;
+  }
+
+  /**
+   * Draw a frame
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {string} name - Frame name
+   * @param {number} x - Destination x position
+   * @param {number} y - Destination y position
+   * @param {number} width - Destination width
+   * @param {number} height - Destination height
+   * @param {boolean} flipX - Mirror the frame horizontally
+   * @returns {boolean} - True if the frame was drawn
+   */
+  drawFrame(ctx, name, x, y, width, height, flipX = false) {
+    if (!ctx || !this.isReady()) {
+      return false;
+    }
+
+    const frame = this.getFrame(name);
+    if (!frame) {
+      return false;
+    }
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = false; // Keep pixel art crisp
+
+    if (flipX) {
+      ctx.translate(x + width, y);
+      ctx.scale(-1, 1);
+      ctx.drawImage(
+        this.image,
+        frame.x,
+        frame.y,
+        frame.w,
+        frame.h,
+        0,
+        0,
+        width,
+        height
+      );
+    } else {
+      ctx.drawImage(
+        this.image,
+        frame.x,
+        frame.y,
+        frame.w,
+        frame.h,
+        x,
+        y,
+        width,
+        height
+      );
+    }
+
+    ctx.restore();
+    return true;
+  }
+}
+
+// Shared atlas used by entities (loaded by GameEngine.init)
+const spriteAtlas = new SpriteAtlas();
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SpriteAtlas, spriteAtlas };
+}
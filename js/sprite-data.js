@@ -0,0 +1,146 @@
+/**
+ * Sprite Atlas Definition for Mario Style Platformer
+ * Frame rectangles and animation sequences for assets/sprites/sprites.png
+ *
+ * Format:
+ *   image:      Path of the sprite sheet, relative to the page
+ *   frames:     Named source rectangles { x, y, w, h } in sheet pixels
+ *   animations: Sprite sets keyed by entity ("player", "coin", ...), each
+ *               mapping a state name to { frames: [{ frame, duration }], loop }
+ *               where duration is in milliseconds. Non-looping animations
+ *               hold their last frame.
+ *
+ * Player sprites face right; Animator flips them for "left".
+ */
+
+const SPRITE_ATLAS = {
+  image: "assets/sprites/sprites.png",
+
+  frames: {
+    player_idle_0: { x: 0, y: 0, w: 32, h: 32 },
+    player_idle_1: { x: 32, y: 0, w: 32, h: 32 },
+    player_run_0: { x: 64, y: 0, w: 32, h: 32 },
+    player_run_1: { x: 96, y: 0, w: 32, h: 32 },
+    player_run_2: { x: 128, y: 0, w: 32, h: 32 },
+    player_run_3: { x: 160, y: 0, w: 32, h: 32 },
+    player_jump_0: { x: 192, y: 0, w: 32, h: 32 },
+    player_dash_0: { x: 224, y: 0, w: 32, h: 32 },
+    player_dash_1: { x: 256, y: 0, w: 32, h: 32 },
+    player_block_0: { x: 288, y: 0, w: 32, h: 32 },
+    player_dead_0: { x: 320, y: 0, w: 32, h: 32 },
+    powerup_invincible_0: { x: 0, y: 32, w: 28, h: 28 },
+    powerup_invincible_1: { x: 28, y: 32, w: 28, h: 28 },
+    powerup_speed_0: { x: 56, y: 32, w: 28, h: 28 },
+    powerup_speed_1: { x: 84, y: 32, w: 28, h: 28 },
+    powerup_jump_0: { x: 112, y: 32, w: 28, h: 28 },
+    powerup_jump_1: { x: 140, y: 32, w: 28, h: 28 },
+    powerup_strength_0: { x: 168, y: 32, w: 28, h: 28 },
+    powerup_strength_1: { x: 196, y: 32, w: 28, h: 28 },
+    coin_0: { x: 0, y: 60, w: 20, h: 20 },
+    coin_1: { x: 20, y: 60, w: 20, h: 20 },
+    coin_2: { x: 40, y: 60, w: 20, h: 20 },
+    coin_3: { x: 60, y: 60, w: 20, h: 20 },
+    goal_flag_0: { x: 0, y: 80, w: 60, h: 80 },
+    goal_flag_1: { x: 60, y: 80, w: 60, h: 80 },
+    goal_flag_2: { x: 120, y: 80, w: 60, h: 80 },
+  },
+
+  animations: {
+    player: {
+      idle: {
+        frames: [
+          { frame: "player_idle_0", duration: 600 },
+          { frame: "player_idle_1", duration: 200 },
+        ],
+        loop: true,
+      },
+      running: {
+        frames: [
+          { frame: "player_run_0", duration: 90 },
+          { frame: "player_run_1", duration: 90 },
+          { frame: "player_run_2", duration: 90 },
+          { frame: "player_run_3", duration: 90 },
+        ],
+        loop: true,
+      },
+      jumping: {
+        frames: [{ frame: "player_jump_0", duration: 100 }],
+        loop: false,
+      },
+      dashing: {
+        frames: [
+          { frame: "player_dash_0", duration: 60 },
+          { frame: "player_dash_1", duration: 60 },
+        ],
+        loop: true,
+      },
+      blocking: {
+        frames: [{ frame: "player_block_0", duration: 100 }],
+        loop: false,
+      },
+      dead: {
+        frames: [{ frame: "player_dead_0", duration: 100 }],
+        loop: false,
+      },
+    },
+
+    coin: {
+      spin: {
+        frames: [
+          { frame: "coin_0", duration: 120 },
+          { frame: "coin_1", duration: 120 },
+          { frame: "coin_2", duration: 120 },
+          { frame: "coin_3", duration: 120 },
+        ],
+        loop: true,
+      },
+    },
+
+    powerup: {
+      invincible: {
+        frames: [
+          { frame: "powerup_invincible_0", duration: 200 },
+          { frame: "powerup_invincible_1", duration: 200 },
+        ],
+        loop: true,
+      },
+      speed: {
+        frames: [
+          { frame: "powerup_speed_0", duration: 200 },
+          { frame: "powerup_speed_1", duration: 200 },
+        ],
+        loop: true,
+      },
+      jump: {
+        frames: [
+          { frame: "powerup_jump_0", duration: 200 },
+          { frame: "powerup_jump_1", duration: 200 },
+        ],
+        loop: true,
+      },
+      strength: {
+        frames: [
+          { frame: "powerup_strength_0", duration: 200 },
+          { frame: "powerup_strength_1", duration: 200 },
+        ],
+        loop: true,
+      },
+    },
+
+    goal: {
+      flag: {
+        frames: [
+          { frame: "goal_flag_0", duration: 150 },
+          { frame: "goal_flag_1", duration: 150 },
+          { frame: "goal_flag_2", duration: 150 },
+        ],
+        loop: true,
+      },
+    },
+  },
+};
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SPRITE_ATLAS;
+}
@@ -0,0 +1,1047 @@
+/**
+ * Stage Definitions for Mario Style Platformer
+ * Built-in stage layouts in the JSON stage format
+ *
+ * Each definition is plain JSON (no functions or class instances) so stages
+ * can also be loaded from .json files via StageRegistry.loadFromJSON():
+ *
+ * {
+ *   id: number,                  // Stage number (1..N)
+ *   name: string,
+ *   width: number, height: number, // Stages taller than the 600px view
+ *                                // scroll vertically
+ *   deathPlane: number,          // Falling below this y is a pit death
+ *                                // (default: the bottom of the stage)
+ *   timeLimit: number,           // Seconds
+ *   music: string,               // Music track name for AudioManager
+ *   theme: string,               // "overworld" | "underground" | "castle" |
+ *                                // "night" - sky, background layers and
+ *                                // platform colors (default "overworld")
+ *   spawn: { x, y },             // Player start position
+ *   background: { color, elements: [{ type: "cloud", x, y, size }] },
+ *                                // color replaces the top of the theme's sky
+ *   platforms: [{ position: { x, y }, size: { width, height }, type, color,
+ *                 path, contents }], // type: "solid" | "passthrough" |
+ *                                // "moving" | "hazard" | "question" | "brick";
+ *                                // path only for "moving" (see below);
+ *                                // contents only for "question" - an item
+ *                                // definition without a position (default coin)
+ *   items: [{ type: "coin" | "powerup" | "generic", position: { x, y },
+ *             value, powerType, duration }],
+ *   enemies: [{ type: "walker", position: { x, y }, direction, speed }],
+ *   checkpoints: [{ position: { x, y }, size: { width, height },
+ *                   respawn: { x, y } }],  // size and respawn are optional
+ *   goal: { position: { x, y }, size: { width, height }, type }
+ * }
+ *
+ * Moving platform paths (position is the starting point):
+ *
+ * path: {
+ *   type: "linear" | "loop" | "pingpong" | "circular",
+ *   points: [{ x, y }],          // Waypoints after the start (not circular)
+ *   speed: number,               // Pixels per second
+ *   center: { x, y },            // Circular only - orbit center
+ *   radius: number,              // Circular only - defaults to start distance
+ *   clockwise: boolean,          // Circular only - defaults to true
+ *   triggered: boolean           // Wait for a rider before moving
+ * }
+ */
+
+const STAGE_DEFINITIONS = [
+  {
+    id: 1,
+    name: "Green Hills",
+    width: 2400,
+    height: 600,
+    timeLimit: 300,
+    music: "overworld",
+    theme: "overworld",
+    spawn: { x: 100, y: 400 },
+    background: {
+      color: "#5C94FC",
+      elements: [
+        { type: "cloud", x: 150, y: 100, size: 1.0 },
+        { type: "cloud", x: 400, y: 80, size: 1.2 },
+        { type: "cloud", x: 650, y: 120, size: 0.8 },
+        { type: "cloud", x: 1000, y: 90, size: 1.1 },
+        { type: "cloud", x: 1400, y: 110, size: 0.9 },
+        { type: "cloud", x: 1800, y: 85, size: 1.3 },
+        { type: "cloud", x: 2100, y: 105, size: 1.0 },
+      ],
+    },
+    platforms: [
+      {
+        position: { x: 0, y: 500 },
+        size: { width: 2400, height: 100 },
+        type: "solid",
+        color: "#8B4513",
+      },
+      {
+        position: { x: 300, y: 400 },
+        size: { width: 200, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 600, y: 300 },
+        size: { width: 150, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 900, y: 350 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 1200, y: 250 },
+        size: { width: 180, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 1500, y: 400 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 1700, y: 200 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 2000, y: 300 },
+        size: { width: 150, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 2200, y: 150 },
+        size: { width: 100, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 1000, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+      {
+        position: { x: 1032, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "question",
+      },
+      {
+        position: { x: 1064, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+      {
+        position: { x: 1096, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "question",
+        contents: { type: "powerup", powerType: "strength", duration: 8000 },
+      },
+      {
+        position: { x: 1128, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+    ],
+    items: [
+      { type: "coin", position: { x: 350, y: 370 }, value: 1 },
+      { type: "coin", position: { x: 380, y: 370 }, value: 1 },
+      { type: "coin", position: { x: 410, y: 370 }, value: 1 },
+      { type: "coin", position: { x: 620, y: 270 }, value: 1 },
+      { type: "coin", position: { x: 650, y: 270 }, value: 1 },
+      { type: "coin", position: { x: 920, y: 320 }, value: 2 },
+      { type: "coin", position: { x: 1220, y: 220 }, value: 1 },
+      { type: "coin", position: { x: 1250, y: 220 }, value: 1 },
+      { type: "coin", position: { x: 1280, y: 220 }, value: 1 },
+      { type: "coin", position: { x: 1520, y: 370 }, value: 1 },
+      { type: "coin", position: { x: 2020, y: 270 }, value: 2 },
+      { type: "coin", position: { x: 2050, y: 270 }, value: 1 },
+      { type: "coin", position: { x: 2080, y: 270 }, value: 1 },
+      {
+        type: "powerup",
+        position: { x: 500, y: 350 },
+        powerType: "speed",
+        duration: 8000,
+      },
+      {
+        type: "powerup",
+        position: { x: 800, y: 300 },
+        powerType: "invincible",
+        duration: 5000,
+      },
+      {
+        type: "powerup",
+        position: { x: 1400, y: 200 },
+        powerType: "jump",
+        duration: 10000,
+      },
+      {
+        type: "powerup",
+        position: { x: 1750, y: 170 },
+        powerType: "strength",
+        duration: 6000,
+      },
+      { type: "generic", position: { x: 700, y: 350 }, value: 100 },
+      { type: "generic", position: { x: 1100, y: 300 }, value: 200 },
+      { type: "generic", position: { x: 1600, y: 200 }, value: 300 },
+    ],
+    enemies: [
+      {
+        type: "walker",
+        position: { x: 700, y: 472 },
+        direction: -1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1300, y: 472 },
+        direction: 1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1530, y: 372 },
+        direction: -1,
+        speed: 40,
+      },
+      {
+        type: "walker",
+        position: { x: 2050, y: 272 },
+        direction: 1,
+        speed: 40,
+      },
+    ],
+    checkpoints: [
+      { position: { x: 1200, y: 420 }, size: { width: 40, height: 80 } },
+    ],
+    goal: {
+      position: { x: 2250, y: 420 },
+      size: { width: 60, height: 80 },
+      type: "flag",
+    },
+  },
+  {
+    id: 2,
+    name: "Rolling Meadows",
+    width: 2800,
+    height: 600,
+    timeLimit: 300,
+    music: "overworld",
+    theme: "overworld",
+    spawn: { x: 100, y: 400 },
+    background: {
+      color: "#6BA8FF",
+      elements: [
+        { type: "cloud", x: 200, y: 90, size: 1.1 },
+        { type: "cloud", x: 600, y: 130, size: 0.9 },
+        { type: "cloud", x: 1100, y: 80, size: 1.3 },
+        { type: "cloud", x: 1600, y: 120, size: 1.0 },
+        { type: "cloud", x: 2100, y: 95, size: 1.2 },
+        { type: "cloud", x: 2500, y: 110, size: 0.8 },
+      ],
+    },
+    platforms: [
+      {
+        position: { x: 0, y: 500 },
+        size: { width: 2800, height: 100 },
+        type: "solid",
+        color: "#8B4513",
+      },
+      {
+        position: { x: 250, y: 440 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 420, y: 380 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 590, y: 320 },
+        size: { width: 140, height: 20 },
+        type: "passthrough",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 850, y: 440 },
+        size: { width: 160, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 1080, y: 380 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 1240, y: 320 },
+        size: { width: 100, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 1400, y: 380 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 1580, y: 352 },
+        size: { width: 80, height: 16 },
+        type: "moving",
+        color: "#FF6B6B",
+        path: {
+          type: "circular",
+          center: { x: 1610, y: 360 },
+          radius: 50,
+          speed: 70,
+        },
+      },
+      {
+        position: { x: 1700, y: 440 },
+        size: { width: 200, height: 20 },
+        type: "solid",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 1950, y: 380 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 2130, y: 320 },
+        size: { width: 150, height: 20 },
+        type: "passthrough",
+        color: "#4ECDC4",
+      },
+      {
+        position: { x: 2380, y: 440 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#45B7D1",
+      },
+      {
+        position: { x: 150, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "question",
+      },
+      {
+        position: { x: 182, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+      {
+        position: { x: 214, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "question",
+        contents: { type: "powerup", powerType: "speed", duration: 8000 },
+      },
+    ],
+    items: [
+      { type: "coin", position: { x: 300, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 460, y: 350 }, value: 1 },
+      { type: "coin", position: { x: 610, y: 290 }, value: 1 },
+      { type: "coin", position: { x: 650, y: 290 }, value: 1 },
+      { type: "coin", position: { x: 690, y: 290 }, value: 1 },
+      { type: "coin", position: { x: 900, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 940, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1280, y: 290 }, value: 2 },
+      { type: "coin", position: { x: 1450, y: 350 }, value: 1 },
+      { type: "coin", position: { x: 1600, y: 260 }, value: 2 },
+      { type: "coin", position: { x: 1760, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1800, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1840, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 2190, y: 290 }, value: 2 },
+      {
+        type: "powerup",
+        position: { x: 1110, y: 340 },
+        powerType: "speed",
+        duration: 8000,
+      },
+      {
+        type: "powerup",
+        position: { x: 2000, y: 340 },
+        powerType: "jump",
+        duration: 10000,
+      },
+    ],
+    enemies: [
+      {
+        type: "walker",
+        position: { x: 600, y: 472 },
+        direction: -1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1200, y: 472 },
+        direction: 1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1750, y: 412 },
+        direction: 1,
+        speed: 40,
+      },
+      {
+        type: "walker",
+        position: { x: 2300, y: 472 },
+        direction: -1,
+        speed: 70,
+      },
+    ],
+    checkpoints: [
+      { position: { x: 1350, y: 420 }, size: { width: 40, height: 80 } },
+    ],
+    goal: {
+      position: { x: 2650, y: 420 },
+      size: { width: 60, height: 80 },
+      type: "flag",
+    },
+  },
+  {
+    id: 3,
+    name: "Underground Caverns",
+    width: 2400,
+    height: 600,
+    timeLimit: 300,
+    music: "underground",
+    theme: "underground",
+    spawn: { x: 100, y: 400 },
+    background: {
+      color: "#1A1A2E",
+      elements: [],
+    },
+    platforms: [
+      {
+        position: { x: 0, y: 500 },
+        size: { width: 600, height: 100 },
+        type: "solid",
+        color: "#5A3A22",
+      },
+      {
+        position: { x: 700, y: 500 },
+        size: { width: 500, height: 100 },
+        type: "solid",
+        color: "#5A3A22",
+      },
+      {
+        position: { x: 1300, y: 500 },
+        size: { width: 400, height: 100 },
+        type: "solid",
+        color: "#5A3A22",
+      },
+      {
+        position: { x: 1820, y: 500 },
+        size: { width: 580, height: 100 },
+        type: "solid",
+        color: "#5A3A22",
+      },
+      {
+        position: { x: 0, y: 0 },
+        size: { width: 2400, height: 40 },
+        type: "solid",
+        color: "#5A3A22",
+      },
+      {
+        position: { x: 250, y: 440 },
+        size: { width: 100, height: 20 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 610, y: 450 },
+        size: { width: 80, height: 20 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 850, y: 440 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 1020, y: 380 },
+        size: { width: 120, height: 20 },
+        type: "passthrough",
+        color: "#8B5A2B",
+      },
+      {
+        position: { x: 1210, y: 450 },
+        size: { width: 80, height: 20 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 1500, y: 440 },
+        size: { width: 100, height: 20 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 1720, y: 450 },
+        size: { width: 90, height: 20 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 2000, y: 440 },
+        size: { width: 60, height: 60 },
+        type: "solid",
+        color: "#B5651D",
+      },
+      {
+        position: { x: 1880, y: 490 },
+        size: { width: 50, height: 10 },
+        type: "hazard",
+        color: "#8B0000",
+      },
+      {
+        position: { x: 1400, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+      {
+        position: { x: 1432, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "question",
+      },
+      {
+        position: { x: 1464, y: 400 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+    ],
+    items: [
+      { type: "coin", position: { x: 290, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 640, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 900, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1050, y: 350 }, value: 2 },
+      { type: "coin", position: { x: 1090, y: 350 }, value: 2 },
+      { type: "coin", position: { x: 1240, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 1540, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1755, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 2020, y: 410 }, value: 2 },
+      {
+        type: "powerup",
+        position: { x: 1060, y: 340 },
+        powerType: "strength",
+        duration: 6000,
+      },
+    ],
+    enemies: [
+      {
+        type: "walker",
+        position: { x: 450, y: 472 },
+        direction: -1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1000, y: 472 },
+        direction: -1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1400, y: 472 },
+        direction: 1,
+        speed: 70,
+      },
+      {
+        type: "walker",
+        position: { x: 2200, y: 472 },
+        direction: -1,
+        speed: 70,
+      },
+    ],
+    checkpoints: [
+      { position: { x: 1330, y: 420 }, size: { width: 40, height: 80 } },
+    ],
+    goal: {
+      position: { x: 2250, y: 420 },
+      size: { width: 60, height: 80 },
+      type: "door",
+    },
+  },
+  {
+    id: 4,
+    name: "Sky Bridges",
+    width: 3000,
+    height: 600,
+    timeLimit: 300,
+    music: "overworld",
+    theme: "night",
+    spawn: { x: 100, y: 400 },
+    background: {
+      color: "#1C2A5A",
+      elements: [
+        { type: "cloud", x: 300, y: 120, size: 0.8 },
+        { type: "cloud", x: 1200, y: 100, size: 1.0 },
+        { type: "cloud", x: 2200, y: 140, size: 0.9 },
+      ],
+    },
+    platforms: [
+      {
+        position: { x: 0, y: 500 },
+        size: { width: 500, height: 100 },
+        type: "solid",
+        color: "#4B3621",
+      },
+      {
+        position: { x: 800, y: 500 },
+        size: { width: 400, height: 100 },
+        type: "solid",
+        color: "#4B3621",
+      },
+      {
+        position: { x: 1500, y: 500 },
+        size: { width: 300, height: 100 },
+        type: "solid",
+        color: "#4B3621",
+      },
+      {
+        position: { x: 2200, y: 500 },
+        size: { width: 800, height: 100 },
+        type: "solid",
+        color: "#4B3621",
+      },
+      {
+        position: { x: 530, y: 450 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#9AA7D8",
+      },
+      {
+        position: { x: 670, y: 450 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#9AA7D8",
+      },
+      {
+        position: { x: 900, y: 440 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#6C7BB8",
+      },
+      {
+        position: { x: 1040, y: 380 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#9AA7D8",
+      },
+      {
+        position: { x: 1240, y: 450 },
+        size: { width: 80, height: 20 },
+        type: "passthrough",
+        color: "#9AA7D8",
+      },
+      {
+        position: { x: 1380, y: 430 },
+        size: { width: 80, height: 20 },
+        type: "passthrough",
+        color: "#9AA7D8",
+      },
+      {
+        position: { x: 1810, y: 450 },
+        size: { width: 90, height: 20 },
+        type: "moving",
+        color: "#FF6B6B",
+        path: {
+          type: "pingpong",
+          points: [{ x: 2105, y: 450 }],
+          speed: 80,
+        },
+      },
+      {
+        position: { x: 2450, y: 440 },
+        size: { width: 150, height: 20 },
+        type: "solid",
+        color: "#6C7BB8",
+      },
+    ],
+    items: [
+      { type: "coin", position: { x: 570, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 710, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 950, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1080, y: 350 }, value: 2 },
+      { type: "coin", position: { x: 1270, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 1410, y: 400 }, value: 1 },
+      { type: "coin", position: { x: 1880, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 2010, y: 370 }, value: 2 },
+      { type: "coin", position: { x: 2125, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 2500, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 2540, y: 410 }, value: 1 },
+      {
+        type: "powerup",
+        position: { x: 1640, y: 460 },
+        powerType: "invincible",
+        duration: 5000,
+      },
+    ],
+    enemies: [
+      {
+        type: "walker",
+        position: { x: 1000, y: 472 },
+        direction: -1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 1650, y: 472 },
+        direction: 1,
+        speed: 60,
+      },
+      {
+        type: "walker",
+        position: { x: 2350, y: 472 },
+        direction: -1,
+        speed: 70,
+      },
+      {
+        type: "walker",
+        position: { x: 2700, y: 472 },
+        direction: -1,
+        speed: 70,
+      },
+    ],
+    checkpoints: [
+      { position: { x: 1530, y: 420 }, size: { width: 40, height: 80 } },
+    ],
+    goal: {
+      position: { x: 2850, y: 420 },
+      size: { width: 60, height: 80 },
+      type: "flag",
+    },
+  },
+  {
+    id: 5,
+    name: "Castle Approach",
+    width: 2600,
+    height: 600,
+    timeLimit: 270,
+    music: "castle",
+    theme: "castle",
+    spawn: { x: 100, y: 400 },
+    background: {
+      color: "#2F2F3F",
+      elements: [],
+    },
+    platforms: [
+      {
+        position: { x: 0, y: 500 },
+        size: { width: 1300, height: 100 },
+        type: "solid",
+        color: "#696969",
+      },
+      {
+        position: { x: 1420, y: 500 },
+        size: { width: 1180, height: 100 },
+        type: "solid",
+        color: "#696969",
+      },
+      {
+        position: { x: 600, y: 440 },
+        size: { width: 60, height: 60 },
+        type: "solid",
+        color: "#808080",
+      },
+      {
+        position: { x: 1000, y: 440 },
+        size: { width: 60, height: 60 },
+        type: "solid",
+        color: "#808080",
+      },
+      {
+        position: { x: 1060, y: 380 },
+        size: { width: 60, height: 120 },
+        type: "solid",
+        color: "#808080",
+      },
+      {
+        position: { x: 1305, y: 450 },
+        size: { width: 60, height: 20 },
+        type: "moving",
+        color: "#FF6B6B",
+        path: {
+          type: "linear",
+          points: [{ x: 1360, y: 450 }],
+          speed: 40,
+          triggered: true,
+        },
+      },
+      {
+        position: { x: 1650, y: 440 },
+        size: { width: 120, height: 20 },
+        type: "solid",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 1820, y: 380 },
+        size: { width: 120, height: 20 },
+        type: "passthrough",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 2100, y: 440 },
+        size: { width: 60, height: 60 },
+        type: "solid",
+        color: "#808080",
+      },
+    ],
+    items: [
+      { type: "coin", position: { x: 620, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1080, y: 350 }, value: 2 },
+      { type: "coin", position: { x: 1350, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 1690, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1860, y: 350 }, value: 1 },
+      { type: "coin", position: { x: 1900, y: 350 }, value: 1 },
+      { type: "coin", position: { x: 2120, y: 410 }, value: 2 },
+      {
+        type: "powerup",
+        position: { x: 800, y: 460 },
+        powerType: "strength",
+        duration: 6000,
+      },
+    ],
+    enemies: [
+      {
+        type: "walker",
+        position: { x: 400, y: 472 },
+        direction: -1,
+        speed: 70,
+      },
+      { type: "walker", position: { x: 850, y: 472 }, direction: 1, speed: 70 },
+      {
+        type: "walker",
+        position: { x: 1550, y: 472 },
+        direction: 1,
+        speed: 80,
+      },
+      {
+        type: "walker",
+        position: { x: 1950, y: 472 },
+        direction: -1,
+        speed: 80,
+      },
+      {
+        type: "walker",
+        position: { x: 2300, y: 472 },
+        direction: -1,
+        speed: 80,
+      },
+    ],
+    checkpoints: [
+      { position: { x: 1450, y: 420 }, size: { width: 40, height: 80 } },
+    ],
+    goal: {
+      position: { x: 2450, y: 420 },
+      size: { width: 60, height: 80 },
+      type: "door",
+    },
+  },
+  {
+    id: 6,
+    name: "Final Fortress",
+    width: 3000,
+    height: 600,
+    timeLimit: 240,
+    music: "castle",
+    theme: "castle",
+    spawn: { x: 100, y: 400 },
+    background: {
+      color: "#1E1010",
+      elements: [],
+    },
+    platforms: [
+      {
+        position: { x: 0, y: 500 },
+        size: { width: 700, height: 100 },
+        type: "solid",
+        color: "#5C4033",
+      },
+      {
+        position: { x: 820, y: 500 },
+        size: { width: 500, height: 100 },
+        type: "solid",
+        color: "#5C4033",
+      },
+      {
+        position: { x: 1450, y: 500 },
+        size: { width: 450, height: 100 },
+        type: "solid",
+        color: "#5C4033",
+      },
+      {
+        position: { x: 2050, y: 500 },
+        size: { width: 950, height: 100 },
+        type: "solid",
+        color: "#5C4033",
+      },
+      {
+        position: { x: 400, y: 440 },
+        size: { width: 60, height: 60 },
+        type: "solid",
+        color: "#808080",
+      },
+      {
+        position: { x: 730, y: 450 },
+        size: { width: 60, height: 20 },
+        type: "solid",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 1000, y: 440 },
+        size: { width: 100, height: 20 },
+        type: "solid",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 1150, y: 380 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 1345, y: 440 },
+        size: { width: 80, height: 20 },
+        type: "solid",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 1600, y: 440 },
+        size: { width: 60, height: 60 },
+        type: "solid",
+        color: "#808080",
+      },
+      {
+        position: { x: 1660, y: 380 },
+        size: { width: 60, height: 120 },
+        type: "solid",
+        color: "#808080",
+      },
+      {
+        position: { x: 1905, y: 450 },
+        size: { width: 60, height: 20 },
+        type: "moving",
+        color: "#FF6B6B",
+        path: {
+          type: "loop",
+          points: [
+            { x: 1955, y: 400 },
+            { x: 1985, y: 450 },
+          ],
+          speed: 50,
+        },
+      },
+      {
+        position: { x: 2300, y: 440 },
+        size: { width: 150, height: 20 },
+        type: "solid",
+        color: "#A9A9A9",
+      },
+      {
+        position: { x: 2100, y: 490 },
+        size: { width: 60, height: 10 },
+        type: "hazard",
+        color: "#8B0000",
+      },
+      {
+        position: { x: 2500, y: 380 },
+        size: { width: 120, height: 20 },
+        type: "passthrough",
+        color: "#A9A9A9",
+      },
+    ],
+    items: [
+      { type: "coin", position: { x: 420, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 750, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 1040, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1190, y: 350 }, value: 2 },
+      { type: "coin", position: { x: 1375, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 1680, y: 350 }, value: 2 },
+      { type: "coin", position: { x: 1965, y: 420 }, value: 1 },
+      { type: "coin", position: { x: 2360, y: 410 }, value: 1 },
+      { type: "coin", position: { x: 2550, y: 350 }, value: 2 },
+      {
+        type: "powerup",
+        position: { x: 1200, y: 340 },
+        powerType: "invincible",
+        duration: 5000,
+      },
+      {
+        type: "powerup",
+        position: { x: 2540, y: 340 },
+        powerType: "speed",
+        duration: 8000,
+      },
+    ],
+    enemies: [
+      {
+        type: "walker",
+        position: { x: 250, y: 472 },
+        direction: -1,
+        speed: 70,
+      },
+      {
+        type: "walker",
+        position: { x: 600, y: 472 },
+        direction: -1,
+        speed: 80,
+      },
+      { type: "walker", position: { x: 900, y: 472 }, direction: 1, speed: 80 },
+      {
+        type: "walker",
+        position: { x: 1500, y: 472 },
+        direction: 1,
+        speed: 80,
+      },
+      {
+        type: "walker",
+        position: { x: 1800, y: 472 },
+        direction: -1,
+        speed: 90,
+      },
+      {
+        type: "walker",
+        position: { x: 2200, y: 472 },
+        direction: 1,
+        speed: 90,
+      },
+      {
+        type: "walker",
+        position: { x: 2700, y: 472 },
+        direction: -1,
+        speed: 90,
+      },
+    ],
+    checkpoints: [
+      { position: { x: 1470, y: 420 }, size: { width: 40, height: 80 } },
+    ],
+    goal: {
+      position: { x: 2850, y: 420 },
+      size: { width: 60, height: 80 },
+      type: "flag",
+    },
+  },
+];
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = STAGE_DEFINITIONS;
+}
@@ -0,0 +1,390 @@
+/**
+ * Stage Generator for Mario Style Platformer
+ * Builds reproducible stages from a seed and a difficulty level
+ */
+
+// Positions and sizes snap to the editor grid
+const GENERATOR_GRID_SIZE = 16;
+
+// Difficulty levels accepted by StageGenerator.generate()
+const GENERATOR_MIN_DIFFICULTY = 1;
+const GENERATOR_MAX_DIFFICULTY = 5;
+const GENERATOR_DEFAULT_DIFFICULTY = 3;
+
+// Layout limits in pixels
+const GENERATOR_LAYOUT = {
+  stageHeight: 600,
+  groundTop: 512, // Ground height of the first and last segments
+  minGroundTop: 352, // Highest a ground segment may rise
+  maxGroundTop: 528, // Lowest a ground segment may sink
+  endSegmentWidth: 320, // Flat run at the start and around the goal
+  minGap: 48,
+  coinsPerArc: 5,
+  coinSize: 20,
+  powerUpSize: 28,
+  goalSize: { width: 60, height: 80 },
+};
+
+// Power-up types a generated stage can contain
+const GENERATOR_POWER_TYPES = ["invincible", "speed", "jump", "strength"];
+
+/**
+ * StageGenerator Class
+ * Emits stage data (the JSON stage format) for a seed and difficulty. All
+ * choices are drawn from a SeededRandom, so the same seed and difficulty
+ * always produce the same stage.
+ *
+ * Gaps and height changes are sized from the movement profile: the jump
+ * height and distance implied by Player.jumpPower, Player.moveSpeed and
+ * PhysicsEngine.gravity. Only a share of the full reach is used, and dashes
+ * and coyote time are not counted on, so every stage can be cleared with
+ * plain running jumps.
+ */
+class StageGenerator {
+  /**
+   * @param {Object} options - player and physicsEngine supply the movement
+   *   values (default-constructed ones are used when omitted)
+   */
+  constructor(options = {}) {
+    // The validator's movement profile, so both agree on the jump reach
+    this.profile = StageValidator.getMovementProfile(
+      options.player,
+      options.physicsEngine
+    );
+  }
+
+  /**
+   * Turn a seed into a 32-bit number
+   * Strings (e.g. a shared daily code) are hashed with FNV-1a.
+   * @param {number|string} seed - Seed to normalize
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (const character of String(seed)) {
+      hash ^= character.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  /**
+   * Get the seed everyone shares on a given day
+   * @param {Date} date - Day to get the seed for (local time)
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static getDailySeed(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return StageGenerator.normalizeSeed(
+      `daily-${date.getFullYear()}-${month}-${day}`
+    );
+  }
+
+  /**
+   * Get the farthest horizontal distance a running jump covers
+   * @param {number} rise - How much higher the landing is (negative for
+   *   a drop)
+   * @returns {number} - Distance in pixels (0 if the landing is too high)
+   */
+  getJumpReach(rise) {
+    const { jumpPower, gravity, airSpeed } = this.profile;
+    const discriminant = jumpPower * jumpPower - 2 * gravity * rise;
+    if (discriminant < 0) return 0;
+
+    // Time until the falling player passes the landing height
+    const airTime = (jumpPower + Math.sqrt(discriminant)) / gravity;
+    return airSpeed * airTime;
+  }
+
+  /**
+   * Get the layout settings for a difficulty level
+   * @param {number} difficulty - 1 (easiest) to 5 (hardest)
+   * @returns {Object} - Layout settings
+   */
+  getDifficultySettings(difficulty) {
+    return {
+      segmentCount: 6 + difficulty * 2,
+      gapChance: 0.3 + difficulty * 0.1,
+      gapReach: 0.3 + difficulty * 0.1, // Share of the jump reach a gap may use
+      riseReach: 0.3 + difficulty * 0.1, // Share of the jump height a step may use
+      minSegmentWidth: 64 + (GENERATOR_MAX_DIFFICULTY - difficulty) * 32,
+      maxSegmentWidth: 480 - difficulty * 32,
+      ledgeChance: 0.35,
+      powerUpCount: Math.max(1, 4 - difficulty),
+    };
+  }
+
+  /**
+   * Generate a stage
+   * @param {number|string} seed - Seed (strings are hashed)
+   * @param {number} difficulty - 1 (easiest) to 5 (hardest)
+   * @param {Object} options - id and name of the stage
+   * @returns {Object} - Stage definition in the JSON stage format
+   */
+  generate(seed, difficulty = GENERATOR_DEFAULT_DIFFICULTY, options = {}) {
+    const normalizedSeed = StageGenerator.normalizeSeed(seed);
+    const level = Math.max(
+      GENERATOR_MIN_DIFFICULTY,
+      Math.min(GENERATOR_MAX_DIFFICULTY, Math.round(difficulty) || 1)
+    );
+    const settings = this.getDifficultySettings(level);
+    const random = new SeededRandom(normalizedSeed);
+
+    const themes =
+      typeof BACKGROUND_THEMES !== "undefined"
+        ? Object.keys(BACKGROUND_THEMES)
+        : [];
+    const stageData = {
+      id: options.id || 1,
+      name: options.name || `Generated ${normalizedSeed}-${level}`,
+      width: 0,
+      height: GENERATOR_LAYOUT.stageHeight,
+      timeLimit: 0,
+      spawn: null,
+      platforms: [],
+      items: [],
+      enemies: [],
+      checkpoints: [],
+      goal: null,
+    };
+    if (themes.length > 0) {
+      stageData.theme = random.pick(themes);
+    }
+
+    // Ground segments from left to right, separated by gaps or steps
+    let x = 0;
+    let top = GENERATOR_LAYOUT.groundTop;
+    const segments = [];
+
+    this.addGround(
+      stageData,
+      segments,
+      x,
+      GENERATOR_LAYOUT.endSegmentWidth,
+      top
+    );
+    stageData.spawn = { x: 64, y: top - this.profile.playerHeight * 2 };
+    x += GENERATOR_LAYOUT.endSegmentWidth;
+
+    for (let i = 0; i < settings.segmentCount; i++) {
+      const maxRise = this.profile.maxJumpHeight * settings.riseReach;
+      const nextTop = snapToGrid(
+        clamp(
+          top - random.range(-maxRise, maxRise),
+          GENERATOR_LAYOUT.minGroundTop,
+          GENERATOR_LAYOUT.maxGroundTop
+        )
+      );
+      // Snapping may round a step up past the limit; take the lower cell
+      const landingTop =
+        top - nextTop > maxRise ? nextTop + GENERATOR_GRID_SIZE : nextTop;
+
+      if (random.next() < settings.gapChance) {
+        const rise = top - landingTop;
+        const maxGap = floorToGrid(this.getJumpReach(rise) * settings.gapReach);
+        if (maxGap >= GENERATOR_LAYOUT.minGap) {
+          const gap = snapToGrid(random.range(GENERATOR_LAYOUT.minGap, maxGap));
+          this.addCoinArc(stageData, x, gap, top, landingTop);
+          x += gap;
+        }
+      }
+
+      const width = snapToGrid(
+        random.range(settings.minSegmentWidth, settings.maxSegmentWidth)
+      );
+      this.addGround(stageData, segments, x, width, landingTop);
+      if (random.next() < settings.ledgeChance) {
+        this.addLedge(stageData, random, x, width, landingTop);
+      }
+
+      x += width;
+      top = landingTop;
+    }
+
+    // Flat finish with the goal
+    const goalSegmentX = x;
+    this.addGround(
+      stageData,
+      segments,
+      goalSegmentX,
+      GENERATOR_LAYOUT.endSegmentWidth,
+      top
+    );
+    stageData.goal = {
+      position: {
+        x: goalSegmentX + GENERATOR_LAYOUT.endSegmentWidth / 2,
+        y: top - GENERATOR_LAYOUT.goalSize.height,
+      },
+      size: { ...GENERATOR_LAYOUT.goalSize },
+      type: "flag",
+    };
+    stageData.width = goalSegmentX + GENERATOR_LAYOUT.endSegmentWidth;
+
+    this.addPowerUps(stageData, random, segments, settings.powerUpCount);
+
+    // Four times the time a straight run takes, in steps of ten seconds
+    const runSeconds = stageData.width / this.profile.moveSpeed;
+    stageData.timeLimit = Math.max(60, Math.ceil((runSeconds * 4) / 10) * 10);
+
+    console.log(
+      `Stage generated from seed ${normalizedSeed} (difficulty ${level}): ${stageData.platforms.length} platforms, ${stageData.items.length} items`
+    );
+    return stageData;
+  }
+
+  /**
+   * Add a ground segment reaching down to the bottom of the stage
+   */
+  addGround(stageData, segments, x, width, top) {
+    const platform = {
+      position: { x, y: top },
+      size: { width, height: GENERATOR_LAYOUT.stageHeight - top },
+      type: "solid",
+    };
+    stageData.platforms.push(platform);
+    segments.push(platform);
+  }
+
+  /**
+   * Add a passthrough ledge above a segment with a row of coins on it
+   * The ledge ends early enough that walking off it lands on the segment.
+   */
+  addLedge(stageData, random, x, width, top) {
+    const { airSpeed, gravity, maxJumpHeight, playerWidth } = this.profile;
+    const maxHeight = floorToGrid(maxJumpHeight - GENERATOR_GRID_SIZE);
+    if (maxHeight < 64) return;
+
+    const height = floorToGrid(random.range(64, maxHeight + 1));
+    const dropDistance =
+      airSpeed * Math.sqrt((2 * height) / gravity) + playerWidth;
+    const endClearance =
+      Math.ceil(dropDistance / GENERATOR_GRID_SIZE) * GENERATOR_GRID_SIZE;
+    const maxWidth = Math.min(width - 16 - endClearance, 160);
+    if (maxWidth < 64) return;
+
+    const ledgeWidth = floorToGrid(random.range(64, maxWidth));
+    const ledgeX =
+      x + snapToGrid(random.range(16, width - ledgeWidth - endClearance));
+    const ledgeY = top - height;
+
+    stageData.platforms.push({
+      position: { x: ledgeX, y: ledgeY },
+      size: { width: ledgeWidth, height: GENERATOR_GRID_SIZE },
+      type: "passthrough",
+    });
+
+    const coinSpacing = 32;
+    const coinCount = Math.floor(ledgeWidth / coinSpacing);
+    const firstCoinX = ledgeX + (ledgeWidth - coinCount * coinSpacing) / 2 + 6;
+    for (let i = 0; i < coinCount; i++) {
+      stageData.items.push({
+        type: "coin",
+        position: {
+          x: firstCoinX + i * coinSpacing,
+          y: ledgeY - GENERATOR_LAYOUT.coinSize - 12,
+        },
+      });
+    }
+  }
+
+  /**
+   * Add coins along the path of a full-speed jump across a gap
+   * Coins are only kept where they hang over the gap, so none can end up
+   * inside the ground on either side.
+   * @param {Object} stageData - Stage being generated
+   * @param {number} gapX - Left edge of the gap
+   * @param {number} gap - Gap width
+   * @param {number} top - Height of the take-off ground
+   * @param {number} landingTop - Height of the landing ground
+   */
+  addCoinArc(stageData, gapX, gap, top, landingTop) {
+    const { jumpPower, gravity, airSpeed, playerWidth, playerHeight } =
+      this.profile;
+    const rise = top - landingTop;
+    const airTime =
+      (jumpPower + Math.sqrt(jumpPower * jumpPower - 2 * gravity * rise)) /
+      gravity;
+
+    // The jump starts with the player standing at the edge
+    const startX = gapX - playerWidth / 2;
+    const startY = top - playerHeight / 2;
+    const halfCoin = GENERATOR_LAYOUT.coinSize / 2;
+
+    for (let i = 1; i <= GENERATOR_LAYOUT.coinsPerArc; i++) {
+      const time = (airTime * i) / (GENERATOR_LAYOUT.coinsPerArc + 1);
+      const centerX = startX + airSpeed * time;
+      const centerY = startY - (jumpPower * time - (gravity * time * time) / 2);
+
+      if (centerX - halfCoin < gapX || centerX + halfCoin > gapX + gap) {
+        continue;
+      }
+      stageData.items.push({
+        type: "coin",
+        position: {
+          x: Math.round(centerX - halfCoin),
+          y: Math.round(centerY - halfCoin),
+        },
+      });
+    }
+  }
+
+  /**
+   * Put power-ups on randomly chosen middle segments
+   */
+  addPowerUps(stageData, random, segments, count) {
+    // The first and last segments hold the spawn and the goal
+    const candidates = segments.slice(1, -1);
+
+    for (let i = 0; i < count && candidates.length > 0; i++) {
+      const index = random.int(0, candidates.length - 1);
+      const segment = candidates.splice(index, 1)[0];
+      stageData.items.push({
+        type: "powerup",
+        position: {
+          x:
+            segment.position.x +
+            segment.size.width / 2 -
+            GENERATOR_LAYOUT.powerUpSize / 2,
+          y: segment.position.y - GENERATOR_LAYOUT.powerUpSize - 8,
+        },
+        powerType: random.pick(GENERATOR_POWER_TYPES),
+        duration: random.int(5, 10) * 1000,
+      });
+    }
+  }
+}
+
+/**
+ * Clamp a value between min and max
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Round to the nearest grid line
+ */
+function snapToGrid(value) {
+  return Math.round(value / GENERATOR_GRID_SIZE) * GENERATOR_GRID_SIZE;
+}
+
+/**
+ * Round down to a grid line
+ */
+function floorToGrid(value) {
+  return Math.floor(value / GENERATOR_GRID_SIZE) * GENERATOR_GRID_SIZE;
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    StageGenerator,
+    GENERATOR_MIN_DIFFICULTY,
+    GENERATOR_MAX_DIFFICULTY,
+  };
+}
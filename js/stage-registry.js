@@ -0,0 +1,366 @@
+/**
+ * Stage Registry for Mario Style Platformer
+ * Stores stage definitions and serves them to Stage, ItemManager and scenes
+ */
+
+// Path types supported by MovingPlatform
+const MOVING_PLATFORM_PATH_TYPES = ["linear", "loop", "pingpong", "circular"];
+
+// Item types a question block can release
+const QUESTION_BLOCK_CONTENT_TYPES = ["coin", "powerup"];
+
+/**
+ * StageRegistry Class
+ * Keeps JSON stage definitions indexed by stage number
+ */
+class StageRegistry {
+  constructor(stageDefinitions = []) {
+    this.stages = new Map();
+
+    stageDefinitions.forEach((stageData) => this.registerStage(stageData));
+
+    console.log(`StageRegistry initialized with ${this.stages.size} stages`);
+  }
+
+  /**
+   * Register a stage definition
+   * @param {Object} stageData - Stage definition in the JSON stage format
+   * @returns {boolean} - True if the stage was registered
+   */
+  registerStage(stageData) {
+    const validation = this.validateStageData(stageData);
+    if (!validation.isValid) {
+      console.warn(
+        `Invalid stage definition rejected: ${validation.issues.join("; ")}`
+      );
+      return false;
+    }
+
+    if (this.stages.has(stageData.id)) {
+      console.log(`Stage ${stageData.id} definition replaced`);
+    }
+
+    // Store a copy so callers cannot mutate the registered definition
+    this.stages.set(stageData.id, this.cloneStageData(stageData));
+    return true;
+  }
+
+  /**
+   * Remove a stage definition
+   * @param {number} stageId - Stage number to remove
+   * @returns {boolean} - True if a stage was removed
+   */
+  unregisterStage(stageId) {
+    return this.stages.delete(stageId);
+  }
+
+  /**
+   * Get a stage definition
+   * @param {number} stageId - Stage number
+   * @returns {Object|null} - Copy of the stage definition, or null if unknown
+   */
+  getStage(stageId) {
+    const stageData = this.stages.get(stageId);
+    return stageData ? this.cloneStageData(stageData) : null;
+  }
+
+  /**
+   * Check whether a stage is registered
+   * @param {number} stageId - Stage number
+   * @returns {boolean} - True if the stage exists
+   */
+  hasStage(stageId) {
+    return this.stages.has(stageId);
+  }
+
+  /**
+   * Get all registered stage numbers in ascending order
+   * @returns {Array} - Array of stage numbers
+   */
+  getStageIds() {
+    return Array.from(this.stages.keys()).sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the registered stage that follows a stage
+   * @param {number} stageId - Current stage number
+   * @returns {number|null} - Next stage number, or null after the last stage
+   */
+  getNextStageId(stageId) {
+    const nextId = this.getStageIds().find((id) => id > stageId);
+    return nextId !== undefined ? nextId : null;
+  }
+
+  /**
+   * Get number of registered stages
+   * @returns {number} - Stage count
+   */
+  getStageCount() {
+    return this.stages.size;
+  }
+
+  /**
+   * Get summary information for stage selection
+   * @param {number} stageId - Stage number
+   * @returns {Object|null} - Stage summary, or null if unknown
+   */
+  getStageInfo(stageId) {
+    const stageData = this.stages.get(stageId);
+    if (!stageData) return null;
+
+    return {
+      id: stageData.id,
+      name: stageData.name || `Stage ${stageData.id}`,
+      timeLimit: stageData.timeLimit,
+      music: stageData.music || null,
+      theme: stageData.theme || null,
+    };
+  }
+
+  /**
+   * Validate a stage definition
+   * @param {Object} stageData - Stage definition to validate
+   * @returns {Object} - Validation result with issues list
+   */
+  validateStageData(stageData) {
+    const issues = [];
+
+    if (!stageData || typeof stageData !== "object") {
+      return { isValid: false, issues: ["Stage data must be an object"] };
+    }
+
+    if (!Number.isInteger(stageData.id) || stageData.id < 1) {
+      issues.push("Stage id must be a positive integer");
+    }
+
+    if (
+      stageData.width !== undefined &&
+      !(typeof stageData.width === "number" && stageData.width > 0)
+    ) {
+      issues.push("Stage width must be a positive number");
+    }
+
+    if (
+      stageData.height !== undefined &&
+      !(typeof stageData.height === "number" && stageData.height > 0)
+    ) {
+      issues.push("Stage height must be a positive number");
+    }
+
+    if (!Array.isArray(stageData.platforms)) {
+      issues.push("Stage platforms must be an array");
+    } else {
+      stageData.platforms.forEach((platform, index) => {
+        if (!this.isValidRect(platform)) {
+          issues.push(`Platform ${index} needs position and size`);
+        } else if (
+          platform.path !== undefined &&
+          !this.isValidPath(platform.path)
+        ) {
+          issues.push(`Platform ${index} has an invalid movement path`);
+        } else if (
+          platform.contents !== undefined &&
+          !QUESTION_BLOCK_CONTENT_TYPES.includes(
+            platform.contents && platform.contents.type
+          )
+        ) {
+          issues.push(`Platform ${index} has invalid block contents`);
+        }
+      });
+    }
+
+    if (stageData.items !== undefined && !Array.isArray(stageData.items)) {
+      issues.push("Stage items must be an array");
+    }
+
+    if (stageData.enemies !== undefined && !Array.isArray(stageData.enemies)) {
+      issues.push("Stage enemies must be an array");
+    }
+
+    if (stageData.checkpoints !== undefined) {
+      if (!Array.isArray(stageData.checkpoints)) {
+        issues.push("Stage checkpoints must be an array");
+      } else {
+        stageData.checkpoints.forEach((checkpoint, index) => {
+          if (
+            !checkpoint ||
+            !checkpoint.position ||
+            typeof checkpoint.position.x !== "number" ||
+            typeof checkpoint.position.y !== "number"
+          ) {
+            issues.push(`Checkpoint ${index} needs a numeric position`);
+          }
+        });
+      }
+    }
+
+    if (stageData.goal !== undefined && !this.isValidRect(stageData.goal)) {
+      issues.push("Stage goal needs position and size");
+    }
+
+    if (
+      stageData.spawn !== undefined &&
+      !(
+        stageData.spawn &&
+        typeof stageData.spawn.x === "number" &&
+        typeof stageData.spawn.y === "number"
+      )
+    ) {
+      issues.push("Stage spawn needs numeric x and y");
+    }
+
+    if (
+      stageData.deathPlane !== undefined &&
+      stageData.deathPlane !== null &&
+      typeof stageData.deathPlane !== "number"
+    ) {
+      issues.push("Stage death plane must be a number");
+    }
+
+    if (
+      stageData.theme !== undefined &&
+      typeof BACKGROUND_THEMES !== "undefined" &&
+      !BACKGROUND_THEMES[stageData.theme]
+    ) {
+      issues.push(`Unknown stage theme: ${stageData.theme}`);
+    }
+
+    if (
+      stageData.timeLimit !== undefined &&
+      !(typeof stageData.timeLimit === "number" && stageData.timeLimit > 0)
+    ) {
+      issues.push("Stage time limit must be a positive number");
+    }
+
+    return {
+      isValid: issues.length === 0,
+      issues: issues,
+    };
+  }
+
+  /**
+   * Check that an object has a numeric position and size
+   * @param {Object} rect - Object to check
+   * @returns {boolean} - True if position and size are present
+   */
+  isValidRect(rect) {
+    return (
+      !!rect &&
+      !!rect.position &&
+      typeof rect.position.x === "number" &&
+      typeof rect.position.y === "number" &&
+      !!rect.size &&
+      typeof rect.size.width === "number" &&
+      typeof rect.size.height === "number"
+    );
+  }
+
+  /**
+   * Check a moving platform path definition
+   * @param {Object} path - Path definition
+   * @returns {boolean} - True if the path can be followed
+   */
+  isValidPath(path) {
+    if (!path || !MOVING_PLATFORM_PATH_TYPES.includes(path.type)) {
+      return false;
+    }
+
+    if (path.speed !== undefined && typeof path.speed !== "number") {
+      return false;
+    }
+
+    if (path.type === "circular") {
+      return (
+        !!path.center &&
+        typeof path.center.x === "number" &&
+        typeof path.center.y === "number"
+      );
+    }
+
+    return (
+      Array.isArray(path.points) &&
+      path.points.length > 0 &&
+      path.points.every(
+        (point) =>
+          point && typeof point.x === "number" && typeof point.y === "number"
+      )
+    );
+  }
+
+  /**
+   * Register stages from a JSON string
+   * @param {string} jsonString - A single stage definition or an array of them
+   * @returns {number} - Number of stages registered
+   */
+  loadFromJSON(jsonString) {
+    try {
+      const parsed = JSON.parse(jsonString);
+      const definitions = Array.isArray(parsed) ? parsed : [parsed];
+
+      let registeredCount = 0;
+      definitions.forEach((stageData) => {
+        if (this.registerStage(stageData)) {
+          registeredCount++;
+        }
+      });
+
+      console.log(`Loaded ${registeredCount} stages from JSON`);
+      return registeredCount;
+    } catch (error) {
+      console.error("Failed to load stages from JSON:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Import a Tiled map (JSON or TMX) and register it
+   * @param {string|Object} source - Map contents
+   * @param {Object} options - Passed to TiledImporter (id, name)
+   * @returns {Object} - { stageId, warnings }; stageId is null if the map
+   *   could not be imported or registered
+   */
+  loadFromTiled(source, options = {}) {
+    if (typeof TiledImporter === "undefined") {
+      console.error("TiledImporter is not loaded");
+      return { stageId: null, warnings: ["TiledImporter is not loaded"] };
+    }
+
+    const { stageData, warnings } = new TiledImporter().importMap(
+      source,
+      options
+    );
+    if (!stageData || !this.registerStage(stageData)) {
+      return { stageId: null, warnings };
+    }
+    return { stageId: stageData.id, warnings };
+  }
+
+  /**
+   * Export a stage definition as JSON
+   * @param {number} stageId - Stage number
+   * @returns {string|null} - JSON string, or null if unknown
+   */
+  exportToJSON(stageId) {
+    const stageData = this.stages.get(stageId);
+    return stageData ? JSON.stringify(stageData, null, 2) : null;
+  }
+
+  /**
+   * Deep copy a stage definition
+   * @param {Object} stageData - Stage definition
+   * @returns {Object} - Independent copy
+   */
+  cloneStageData(stageData) {
+    return JSON.parse(JSON.stringify(stageData));
+  }
+}
+
+// Global stage registry populated with the built-in stage definitions
+const stageRegistry = new StageRegistry(
+  typeof STAGE_DEFINITIONS !== "undefined" ? STAGE_DEFINITIONS : []
+);
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { StageRegistry, stageRegistry };
+}
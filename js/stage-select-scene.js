@@ -15,12 +15,13 @@ class StageSelectScene extends Scene {
     this.selectedStage = 1;
     this.unlockedStages = [1];
     this.stageData = [];
-    this.maxStages = 10; // Total number of stages planned
+    this.maxStages = this.getRegisteredStageIds().length; // Total number of stages
 
     // UI elements
     this.stageButtons = [];
     this.hoveredStage = null;
     this.backButton = null;
+    this.ghostButton = null;
 
     // Animation and visual effects
     this.backgroundAnimation = 0;
@@ -76,57 +77,93 @@ class StageSelectScene extends Scene {
    * Load stage data from save system
    */
   loadStageData() {
+    // Stage list comes from the stage registry; ids need not be contiguous
+    const stageIds = this.getRegisteredStageIds();
+    this.maxStages = stageIds.length;
+
     const saveSystem = this.gameEngine.getSaveSystem();
     if (saveSystem) {
       this.unlockedStages = saveSystem.getUnlockedStages();
-
-      // Load stage information
-      this.stageData = [];
-      for (let i = 1; i <= this.maxStages; i++) {
-        const isUnlocked = this.unlockedStages.includes(i);
-        const bestScore = saveSystem.getBestScore(i);
-        const bestTime = saveSystem.getBestTime(i);
-
-        this.stageData.push({
-          number: i,
-          name: `Stage ${i}`,
-          unlocked: isUnlocked,
+      const ghosts = saveSystem.loadGhosts();
+
+      // Load stage information (the first stage is always playable)
+      this.stageData = stageIds.map((stageId, index) => {
+        const bestScore = saveSystem.getBestScore(stageId);
+        return {
+          number: stageId,
+          name: this.getStageName(stageId),
+          unlocked: index === 0 || this.unlockedStages.includes(stageId),
           bestScore: bestScore,
-          bestTime: bestTime,
+          bestTime: saveSystem.getBestTime(stageId),
+          ghostTime: ghosts[stageId] ? ghosts[stageId].time : null,
           completed: bestScore > 0,
-        });
-      }
+        };
+      });
     } else {
       // Fallback data
-      this.unlockedStages = [1];
-      this.stageData = [];
-      for (let i = 1; i <= this.maxStages; i++) {
-        this.stageData.push({
-          number: i,
-          name: `Stage ${i}`,
-          unlocked: i === 1,
-          bestScore: 0,
-          bestTime: null,
-          completed: false,
-        });
-      }
+      this.unlockedStages = stageIds.slice(0, 1);
+      this.stageData = stageIds.map((stageId, index) => ({
+        number: stageId,
+        name: this.getStageName(stageId),
+        unlocked: index === 0,
+        bestScore: 0,
+        bestTime: null,
+        ghostTime: null,
+        completed: false,
+      }));
     }
 
     console.log(
-      `Loaded ${this.stageData.length} stages, ${this.unlockedStages.length} unlocked`
+      `Loaded ${
+        this.stageData.length
+      } stages, ${this.getUnlockedCount()} unlocked`
     );
   }
 
+  /**
+   * Get the stage numbers defined in the stage registry, in play order
+   */
+  getRegisteredStageIds() {
+    if (typeof stageRegistry !== "undefined" && stageRegistry) {
+      return stageRegistry.getStageIds();
+    }
+    return [1];
+  }
+
+  /**
+   * Get number of listed stages that can be played
+   */
+  getUnlockedCount() {
+    return this.stageData.filter((stage) => stage.unlocked).length;
+  }
+
+  /**
+   * Get display name for a stage
+   */
+  getStageName(stageNumber) {
+    if (typeof stageRegistry !== "undefined" && stageRegistry) {
+      const stageInfo = stageRegistry.getStageInfo(stageNumber);
+      if (stageInfo) {
+        return stageInfo.name;
+      }
+    }
+    return `Stage ${stageNumber}`;
+  }
+
   /**
    * Get the last played stage
    */
   getLastPlayedStage() {
+    const firstStage = this.stageData.length > 0 ? this.stageData[0].number : 1;
     const saveSystem = this.gameEngine.getSaveSystem();
     if (saveSystem) {
-      const saveData = saveSystem.getSaveData();
-      return saveData.gameProgress.lastPlayedStage || 1;
+      const lastPlayed = saveSystem.getSaveData().gameProgress.lastPlayedStage;
+      // The last played stage may no longer be registered
+      if (this.stageData.some((stage) => stage.number === lastPlayed)) {
+        return lastPlayed;
+      }
     }
-    return 1;
+    return firstStage;
   }
 
   /**
@@ -153,6 +190,14 @@ class StageSelectScene extends Scene {
       height: 40,
       text: "Back to Menu",
     };
+
+    // Ghost racing toggle
+    this.ghostButton = {
+      x: canvas.width - 250,
+      y: canvas.height - 80,
+      width: 200,
+      height: 40,
+    };
   }
 
   /**
@@ -250,6 +295,11 @@ class StageSelectScene extends Scene {
     if (this.isPointInButton(mouseX, mouseY, this.backButton)) {
       this.hoveredStage = "back";
     }
+
+    // Check ghost toggle hover
+    if (this.isPointInButton(mouseX, mouseY, this.ghostButton)) {
+      this.hoveredStage = "ghost";
+    }
   }
 
   /**
@@ -273,6 +323,11 @@ class StageSelectScene extends Scene {
       this.goBackToMenu();
       return;
     }
+
+    // Check ghost toggle click
+    if (this.isPointInButton(mouseX, mouseY, this.ghostButton)) {
+      this.toggleGhost();
+    }
   }
 
   /**
@@ -365,6 +420,31 @@ class StageSelectScene extends Scene {
     }
   }
 
+  /**
+   * Check whether best-run ghosts are shown in the stages
+   */
+  isGhostEnabled() {
+    const ghostSystem = this.gameEngine.ghostSystem;
+    return !!ghostSystem && ghostSystem.isEnabled();
+  }
+
+  /**
+   * Turn racing against best-run ghosts on or off
+   */
+  toggleGhost() {
+    const ghostSystem = this.gameEngine.ghostSystem;
+    if (!ghostSystem) return;
+
+    ghostSystem.setEnabled(!ghostSystem.isEnabled());
+
+    const audioManager = this.gameEngine.getAudioManager();
+    if (audioManager) {
+      audioManager.playSound("coin");
+    }
+
+    console.log(`Ghost racing ${ghostSystem.isEnabled() ? "on" : "off"}`);
+  }
+
   /**
    * Go back to main menu
    */
@@ -410,6 +490,11 @@ class StageSelectScene extends Scene {
       this.goBackToMenu();
     }
 
+    // G toggles the ghost
+    if (inputManager.isKeyPressed("KeyG")) {
+      this.toggleGhost();
+    }
+
     // Arrow keys for navigation
     if (input.left) {
       this.navigateStage(-1);
@@ -439,14 +524,16 @@ class StageSelectScene extends Scene {
    * Navigate between stages with keyboard
    */
   navigateStage(direction) {
-    const currentIndex = this.selectedStage - 1;
+    const currentIndex = this.stageData.findIndex(
+      (stage) => stage.number === this.selectedStage
+    );
     const newIndex = Math.max(
       0,
       Math.min(this.stageData.length - 1, currentIndex + direction)
     );
 
-    if (newIndex !== currentIndex) {
-      this.selectedStage = newIndex + 1;
+    if (newIndex !== currentIndex && this.stageData[newIndex]) {
+      this.selectedStage = this.stageData[newIndex].number;
 
       // Update scroll if needed
       const row = Math.floor(newIndex / this.stagesPerRow);
@@ -537,7 +624,7 @@ class StageSelectScene extends Scene {
     ctx.font = "18px Arial";
     ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
     ctx.fillText(
-      `${this.unlockedStages.length} of ${this.maxStages} stages unlocked`,
+      `${this.getUnlockedCount()} of ${this.maxStages} stages unlocked`,
       canvas.width / 2,
       90
     );
@@ -657,6 +744,9 @@ class StageSelectScene extends Scene {
       this.backButton.y + this.backButton.height / 2 + 5
     );
 
+    // Ghost toggle
+    this.renderGhostButton(ctx);
+
     // Selected stage info
     if (this.selectedStage) {
       const selectedStageData = this.stageData.find(
@@ -668,6 +758,33 @@ class StageSelectScene extends Scene {
     }
   }
 
+  /**
+   * Render the ghost racing toggle
+   */
+  renderGhostButton(ctx) {
+    const button = this.ghostButton;
+    const isHovered = this.hoveredStage === "ghost";
+    const enabled = this.isGhostEnabled();
+
+    ctx.fillStyle = isHovered
+      ? "rgba(255, 255, 255, 0.9)"
+      : "rgba(255, 255, 255, 0.7)";
+    ctx.fillRect(button.x, button.y, button.width, button.height);
+
+    ctx.strokeStyle = isHovered ? "#FFD700" : "#FFFFFF";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(button.x, button.y, button.width, button.height);
+
+    ctx.fillStyle = enabled ? "#006400" : "#000000";
+    ctx.font = "16px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `Ghost Race: ${enabled ? "ON" : "OFF"}`,
+      button.x + button.width / 2,
+      button.y + button.height / 2 + 5
+    );
+  }
+
   /**
    * Render selected stage information
    */
@@ -719,6 +836,15 @@ class StageSelectScene extends Scene {
           textY
         );
       }
+
+      if (stageData.ghostTime) {
+        textY += 20;
+        ctx.fillText(
+          `Ghost: ${stageData.ghostTime.toFixed(1)}s`,
+          infoX + 10,
+          textY
+        );
+      }
     }
 
     if (stageData.unlocked) {
@@ -738,7 +864,7 @@ class StageSelectScene extends Scene {
 
     const instructionsY = canvas.height - 20;
     ctx.fillText(
-      "Arrow keys to navigate • ENTER to select • ESC to go back",
+      "Arrow keys to navigate • ENTER to select • G to toggle ghost • ESC to go back",
       canvas.width / 2,
       instructionsY
     );
@@ -757,3 +883,8 @@ class StageSelectScene extends Scene {
     super.destroy();
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StageSelectScene;
+}
@@ -0,0 +1,649 @@
+/**
+ * Stage Validator for Mario Style Platformer
+ * Checks stage layouts for places and pickups the player cannot get to
+ */
+
+// Simulation step in seconds (the game's fixed timestep)
+const VALIDATOR_STEP = 1 / 60;
+
+// Longest jump or fall followed before giving up, in steps
+const VALIDATOR_MAX_STEPS = 600;
+
+// Spacing of the standing positions sampled along each surface
+const VALIDATOR_SAMPLE_SPACING = 8;
+
+// Width of the buckets platforms are sorted into for collision checks
+const VALIDATOR_BUCKET_WIDTH = 256;
+
+// Item sizes by item type (matching the Item classes)
+const VALIDATOR_ITEM_SIZES = {
+  coin: { width: 20, height: 20 },
+  powerup: { width: 28, height: 28 },
+  generic: { width: 24, height: 24 },
+};
+
+// Platform types that block movement and can be stood on
+const VALIDATOR_SOLID_TYPES = ["solid", "question", "brick"];
+
+/**
+ * StageValidator Class
+ * Static analysis of a stage definition (the JSON stage format). Starting
+ * at the spawn point it walks every surface and follows the arcs of jumps,
+ * dashes and walk-offs in each direction, using the movement values of
+ * Player and PhysicsEngine. Whatever the player's box never touches on the
+ * way is reported as unreachable.
+ *
+ * Issues reported (each { type, message, index? }):
+ * - unreachable-goal: no route touches the goal
+ * - unreachable-item: an item no route touches (index into items)
+ * - overlapping-platforms: two static platforms share space
+ * - embedded-item: an item inside a solid platform or hazard
+ * - spawn-not-over-ground: the spawn point falls into a pit or hazard, or
+ *   starts inside a platform
+ *
+ * The analysis is a little generous: moving platforms count as floors at
+ * each of their waypoints, and blocks are never broken. Jump boosts, speed
+ * boosts and coyote time are not counted on.
+ */
+class StageValidator {
+  /**
+   * @param {Object} options - player and physicsEngine supply the movement
+   *   values (default-constructed ones are used when omitted)
+   */
+  constructor(options = {}) {
+    this.profile = StageValidator.getMovementProfile(
+      options.player,
+      options.physicsEngine
+    );
+  }
+
+  /**
+   * Read the values that limit how far and high the player can get
+   * @param {Player} player - Player to read (optional)
+   * @param {PhysicsEngine} physicsEngine - Physics to read (optional)
+   * @returns {Object} - Movement profile
+   */
+  static getMovementProfile(player = null, physicsEngine = null) {
+    const referencePlayer = player || new Player(0, 0);
+    const physics = physicsEngine || new PhysicsEngine();
+
+    const jumpPower = referencePlayer.jumpPower;
+    const gravity = physics.gravity;
+    return {
+      jumpPower,
+      moveSpeed: referencePlayer.moveSpeed,
+      dashSpeed: referencePlayer.dashSpeed,
+      dashDuration: referencePlayer.dashDuration / 1000,
+      gravity,
+      terminalVelocity: physics.terminalVelocity,
+      // Air resistance is applied after the move input every frame
+      airSpeed: referencePlayer.moveSpeed * physics.airResistance,
+      airDashSpeed: referencePlayer.dashSpeed * physics.airResistance,
+      maxJumpHeight: (jumpPower * jumpPower) / (2 * gravity),
+      playerWidth: referencePlayer.size.width,
+      playerHeight: referencePlayer.size.height,
+    };
+  }
+
+  /**
+   * Validate a stage definition
+   * @param {Object} stageData - Stage definition in the JSON stage format
+   * @returns {Object} - { isValid, issues, goalReachable, reachableItems,
+   *   totalItems }
+   */
+  validate(stageData) {
+    const issues = [];
+    if (!stageData || !Array.isArray(stageData.platforms)) {
+      issues.push({
+        type: "invalid-stage",
+        message: "Stage data has no platforms",
+      });
+      return this.createReport(issues, false, 0, 0);
+    }
+
+    this.prepare(stageData);
+    this.findOverlappingPlatforms(issues);
+    this.findEmbeddedItems(issues);
+
+    const start = this.findStart(issues);
+    if (start) {
+      this.explore(start);
+    }
+
+    if (this.goal && !this.goalReached) {
+      issues.push({
+        type: "unreachable-goal",
+        message: "The goal cannot be reached from the spawn point",
+      });
+    }
+
+    let reachableItems = 0;
+    this.items.forEach((item, index) => {
+      if (item.reached) {
+        reachableItems++;
+      } else if (!item.embedded) {
+        issues.push({
+          type: "unreachable-item",
+          index,
+          message: `Item ${index} (${item.type}) at (${item.x}, ${item.y}) cannot be reached`,
+        });
+      }
+    });
+
+    return this.createReport(
+      issues,
+      !this.goal || this.goalReached,
+      reachableItems,
+      this.items.length
+    );
+  }
+
+  /**
+   * Build the validation report
+   */
+  createReport(issues, goalReachable, reachableItems, totalItems) {
+    return {
+      isValid: issues.length === 0,
+      issues,
+      goalReachable,
+      reachableItems,
+      totalItems,
+    };
+  }
+
+  /**
+   * Log a report the way SystemValidator reports its findings
+   * @param {Object} report - Report from validate()
+   * @param {string} label - Stage name for the log
+   */
+  logReport(report, label = "Stage") {
+    if (report.isValid) {
+      console.log(`✅ ${label}: no layout problems found`);
+      return;
+    }
+
+    console.warn(`⚠️ ${label}: ${report.issues.length} layout problems`);
+    report.issues.forEach((issue) => console.warn(`  - ${issue.message}`));
+  }
+
+  /**
+   * Sort the stage's platforms, items and goal into plain rectangles
+   * @param {Object} stageData - Stage definition
+   */
+  prepare(stageData) {
+    this.stageWidth = stageData.width || 3200;
+    this.stageHeight = stageData.height || 600;
+    this.spawn = stageData.spawn || { x: 100, y: this.stageHeight - 200 };
+
+    // Same fallback as Stage.getDeathPlane()
+    if (typeof stageData.deathPlane === "number") {
+      this.deathPlane = stageData.deathPlane;
+    } else {
+      this.deathPlane = stageData.bounds
+        ? stageData.bounds.bottom
+        : this.stageHeight;
+    }
+
+    this.platforms = [];
+    stageData.platforms.forEach((platform, index) => {
+      const rect = {
+        index,
+        type: platform.type || "solid",
+        x: platform.position.x,
+        y: platform.position.y,
+        width: platform.size.width,
+        height: platform.size.height,
+      };
+
+      if (rect.type === "moving" && platform.path) {
+        // A floor at each waypoint the platform passes through
+        waypointsOf(platform.path, rect).forEach((point) =>
+          this.platforms.push({ ...rect, x: point.x, y: point.y, moving: true })
+        );
+      } else {
+        this.platforms.push(rect);
+      }
+    });
+
+    this.items = (stageData.items || []).map((item) => {
+      const size =
+        VALIDATOR_ITEM_SIZES[item.type] || VALIDATOR_ITEM_SIZES.generic;
+      return {
+        type: item.type,
+        x: item.position.x,
+        y: item.position.y,
+        width: size.width,
+        height: size.height,
+        reached: false,
+        embedded: false,
+      };
+    });
+
+    this.goal = stageData.goal
+      ? {
+          x: stageData.goal.position.x,
+          y: stageData.goal.position.y,
+          width: stageData.goal.size.width,
+          height: stageData.goal.size.height,
+        }
+      : null;
+    this.goalReached = false;
+
+    // Bucket platforms and pickups by x for collision checks
+    this.buckets = createBuckets(this.platforms);
+    this.itemBuckets = createBuckets(
+      this.goal ? [...this.items, this.goal] : this.items
+    );
+  }
+
+  /**
+   * Report static platforms that share space
+   */
+  findOverlappingPlatforms(issues) {
+    const fixed = this.platforms.filter((rect) => !rect.moving);
+
+    for (let i = 0; i < fixed.length; i++) {
+      for (let j = i + 1; j < fixed.length; j++) {
+        if (rectsOverlap(fixed[i], fixed[j])) {
+          issues.push({
+            type: "overlapping-platforms",
+            index: fixed[i].index,
+            otherIndex: fixed[j].index,
+            message: `Platforms ${fixed[i].index} and ${fixed[j].index} overlap`,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Report items inside solid platforms or hazards
+   */
+  findEmbeddedItems(issues) {
+    this.items.forEach((item, index) => {
+      const platform = this.getPlatformsNear(item).find(
+        (rect) => !rect.moving && this.blocks(rect) && rectsOverlap(item, rect)
+      );
+      if (platform) {
+        item.embedded = true;
+        issues.push({
+          type: "embedded-item",
+          index,
+          message: `Item ${index} (${item.type}) is inside platform ${platform.index}`,
+        });
+      }
+    });
+  }
+
+  /**
+   * Drop the player from the spawn point to the floor below
+   * @returns {Object|null} - Standing position, or null if there is none
+   */
+  findStart(issues) {
+    const { playerWidth, playerHeight } = this.profile;
+    const box = {
+      x: this.spawn.x,
+      y: this.spawn.y,
+      width: playerWidth,
+      height: playerHeight,
+    };
+
+    const blocking = this.getPlatformsNear(box).find(
+      (rect) => !rect.moving && this.blocks(rect) && rectsOverlap(box, rect)
+    );
+    if (blocking) {
+      issues.push({
+        type: "spawn-not-over-ground",
+        message: `The spawn point is inside platform ${blocking.index}`,
+      });
+      return null;
+    }
+
+    const landing = this.simulate(
+      this.spawn.x,
+      this.spawn.y + playerHeight,
+      0,
+      0
+    );
+    if (!landing) {
+      issues.push({
+        type: "spawn-not-over-ground",
+        message: "The spawn point is not over ground",
+      });
+    }
+    return landing;
+  }
+
+  /**
+   * Visit every standing position reachable from the start
+   * @param {Object} start - First standing position { x, y }
+   */
+  explore(start) {
+    const { airSpeed, airDashSpeed, jumpPower, gravity } = this.profile;
+    const visited = new Set();
+    const queue = [start];
+    const apexTime = jumpPower / gravity;
+
+    while (queue.length > 0) {
+      const node = queue.pop();
+      const key = `${Math.round(node.x)},${Math.round(node.y)}`;
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      this.touch({
+        x: node.x,
+        y: node.y,
+        width: this.profile.playerWidth,
+        height: this.profile.playerHeight,
+      });
+
+      const next = [];
+      for (const direction of [-1, 1]) {
+        // Walk along the surface, stopping at walls and edges
+        const step = this.walk(node, direction);
+        if (step.next) {
+          next.push(step.next);
+        }
+        if (step.edge) {
+          // Walk or dash off the edge
+          next.push(
+            this.simulate(step.edge.x, step.edge.y, direction * airSpeed, 0)
+          );
+          next.push(
+            this.simulate(step.edge.x, step.edge.y, direction * airSpeed, 0, 0)
+          );
+        }
+
+        // Jumps at full and half speed, with a dash at take-off or the apex
+        next.push(
+          this.simulate(node.x, node.y, direction * airSpeed, -jumpPower)
+        );
+        next.push(
+          this.simulate(node.x, node.y, (direction * airSpeed) / 2, -jumpPower)
+        );
+        next.push(
+          this.simulate(node.x, node.y, direction * airSpeed, -jumpPower, 0)
+        );
+        next.push(
+          this.simulate(
+            node.x,
+            node.y,
+            direction * airSpeed,
+            -jumpPower,
+            apexTime
+          )
+        );
+      }
+      next.push(this.simulate(node.x, node.y, 0, -jumpPower));
+
+      next.forEach((position) => {
+        if (position) {
+          queue.push(this.snapToSample(position));
+        }
+      });
+    }
+
+    return visited.size;
+  }
+
+  /**
+   * Take one sample step along the floor
+   * @param {Object} node - Standing position
+   * @param {number} direction - -1 (left) or 1 (right)
+   * @returns {Object} - next: the next standing position; edge: the last
+   *   standing position before a drop
+   */
+  walk(node, direction) {
+    // Steps land on the sample spacing, also when starting from an edge
+    const x =
+      Math.round(
+        (node.x + direction * VALIDATOR_SAMPLE_SPACING) /
+          VALIDATOR_SAMPLE_SPACING
+      ) * VALIDATOR_SAMPLE_SPACING;
+    const clampedX = this.clampX(x);
+    if (clampedX !== x || this.isBlocked(clampedX, node.y)) {
+      return {};
+    }
+    if (this.getFloor(clampedX, node.y)) {
+      return { next: { x: clampedX, y: node.y } };
+    }
+
+    // Step to the exact edge of the floor
+    const floor = this.getFloor(node.x, node.y);
+    if (!floor) return {};
+    const edgeX =
+      direction > 0
+        ? floor.x + floor.width - 1
+        : floor.x - this.profile.playerWidth + 1;
+    return { edge: { x: edgeX, y: node.y } };
+  }
+
+  /**
+   * Follow the player through the air
+   * @param {number} x - Start x (player's left edge)
+   * @param {number} y - Start y (player's feet)
+   * @param {number} velocityX - Horizontal speed while not dashing
+   * @param {number} velocityY - Starting vertical speed
+   * @param {number|null} dashAt - Seconds into the arc to dash (null for
+   *   no dash)
+   * @returns {Object|null} - Landing position { x, y } (feet), or null if
+   *   the player died or never landed
+   */
+  simulate(x, y, velocityX, velocityY, dashAt = null) {
+    const { playerWidth, playerHeight, gravity, terminalVelocity } =
+      this.profile;
+    const box = {
+      x,
+      y: y - playerHeight,
+      width: playerWidth,
+      height: playerHeight,
+    };
+    const direction = Math.sign(velocityX) || 1;
+    let vy = velocityY;
+
+    for (let stepIndex = 1; stepIndex <= VALIDATOR_MAX_STEPS; stepIndex++) {
+      const time = stepIndex * VALIDATOR_STEP;
+      const dashing =
+        dashAt !== null &&
+        time > dashAt &&
+        time <= dashAt + this.profile.dashDuration;
+      const vx = dashing ? direction * this.profile.airDashSpeed : velocityX;
+
+      vy = Math.min(vy + gravity * VALIDATOR_STEP, terminalVelocity);
+      const previous = { x: box.x, y: box.y };
+      box.x = this.clampX(box.x + vx * VALIDATOR_STEP);
+      box.y += vy * VALIDATOR_STEP;
+
+      let landed = null;
+      for (const rect of this.getPlatformsNear(box)) {
+        if (!rectsOverlap(box, rect)) continue;
+        if (rect.type === "hazard") return null;
+
+        const wasAbove = previous.y + playerHeight <= rect.y;
+        if (wasAbove && vy >= 0) {
+          box.y = rect.y - playerHeight;
+          landed = rect;
+          continue;
+        }
+        if (!this.blocks(rect)) continue;
+
+        if (previous.y >= rect.y + rect.height && vy < 0) {
+          // Head bump
+          box.y = rect.y + rect.height;
+          vy = 0;
+        } else if (previous.x + playerWidth <= rect.x) {
+          box.x = rect.x - playerWidth;
+        } else if (previous.x >= rect.x + rect.width) {
+          box.x = rect.x + rect.width;
+        }
+      }
+
+      this.touch(box);
+      if (landed) {
+        return { x: box.x, y: box.y + playerHeight };
+      }
+      if (box.y >= this.deathPlane) {
+        return null; // Fell into a pit
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark the items and goal the player's box touches
+   */
+  touch(box) {
+    for (const target of getNear(this.itemBuckets, box)) {
+      if (!rectsOverlap(box, target)) continue;
+      if (target === this.goal) {
+        this.goalReached = true;
+      } else {
+        target.reached = true;
+      }
+    }
+  }
+
+  /**
+   * Get the floor under a standing position
+   * @returns {Object|null} - Platform rectangle whose top is at y
+   */
+  getFloor(x, y) {
+    const box = { x, y: y - 1, width: this.profile.playerWidth, height: 2 };
+    return (
+      this.getPlatformsNear(box).find(
+        (rect) =>
+          rect.y === y &&
+          rect.type !== "hazard" &&
+          x + this.profile.playerWidth > rect.x &&
+          x < rect.x + rect.width
+      ) || null
+    );
+  }
+
+  /**
+   * Check whether a standing player at x would be inside a blocking platform
+   */
+  isBlocked(x, y) {
+    const box = {
+      x,
+      y: y - this.profile.playerHeight,
+      width: this.profile.playerWidth,
+      height: this.profile.playerHeight,
+    };
+    return this.getPlatformsNear(box).some(
+      (rect) =>
+        (this.blocks(rect) || rect.type === "hazard") && rectsOverlap(box, rect)
+    );
+  }
+
+  /**
+   * Check whether a platform stops the player from the side and below
+   */
+  blocks(rect) {
+    return !rect.moving && VALIDATOR_SOLID_TYPES.includes(rect.type);
+  }
+
+  /**
+   * Get the platforms whose buckets a box touches
+   */
+  getPlatformsNear(box) {
+    return getNear(this.buckets, box);
+  }
+
+  /**
+   * Keep the player inside the stage's side walls
+   */
+  clampX(x) {
+    return Math.max(0, Math.min(this.stageWidth - this.profile.playerWidth, x));
+  }
+
+  /**
+   * Round a landing to the sample spacing so nearby landings share a node
+   * (kept in place when the rounded spot has no floor)
+   */
+  snapToSample(position) {
+    const x =
+      Math.round(position.x / VALIDATOR_SAMPLE_SPACING) *
+      VALIDATOR_SAMPLE_SPACING;
+    if (this.getFloor(x, position.y) && !this.isBlocked(x, position.y)) {
+      return { x, y: position.y };
+    }
+    return position;
+  }
+}
+
+/**
+ * Check whether two rectangles share space (touching edges do not count)
+ */
+function rectsOverlap(a, b) {
+  return (
+    a.x < b.x + b.width &&
+    a.x + a.width > b.x &&
+    a.y < b.y + b.height &&
+    a.y + a.height > b.y
+  );
+}
+
+/**
+ * Sort rectangles into buckets by x
+ * @param {Object[]} rects - Rectangles with x and width
+ * @returns {Map} - Bucket number -> rectangles
+ */
+function createBuckets(rects) {
+  const buckets = new Map();
+  rects.forEach((rect) => {
+    const first = Math.floor(rect.x / VALIDATOR_BUCKET_WIDTH);
+    const last = Math.floor((rect.x + rect.width) / VALIDATOR_BUCKET_WIDTH);
+    for (let bucket = first; bucket <= last; bucket++) {
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(rect);
+    }
+  });
+  return buckets;
+}
+
+/**
+ * Get the rectangles in the buckets a box touches
+ * @param {Map} buckets - Buckets from createBuckets()
+ * @param {Object} box - Area to look in
+ * @returns {Object[]} - Rectangles (each listed once)
+ */
+function getNear(buckets, box) {
+  const first = Math.floor(box.x / VALIDATOR_BUCKET_WIDTH);
+  const last = Math.floor((box.x + box.width) / VALIDATOR_BUCKET_WIDTH);
+  if (first === last) {
+    return buckets.get(first) || [];
+  }
+
+  const found = new Set();
+  for (let bucket = first; bucket <= last; bucket++) {
+    (buckets.get(bucket) || []).forEach((rect) => found.add(rect));
+  }
+  return [...found];
+}
+
+/**
+ * Get the positions a moving platform stops at along its path
+ * @param {Object} path - Path definition
+ * @param {Object} rect - Platform rectangle at its starting position
+ * @returns {Object[]} - Top-left positions
+ */
+function waypointsOf(path, rect) {
+  if (path.type === "circular" && path.center) {
+    const radius = path.radius || 0;
+    return [0, 1, 2, 3].map((quarter) => ({
+      x: path.center.x + Math.cos((quarter * Math.PI) / 2) * radius,
+      y: path.center.y + Math.sin((quarter * Math.PI) / 2) * radius,
+    }));
+  }
+
+  return [{ x: rect.x, y: rect.y }, ...(path.points || [])];
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { StageValidator };
+}
@@ -11,9 +11,20 @@ class Platform {
   constructor(x, y, width, height, type = "solid", color = "#8B4513") {
     this.position = { x, y };
     this.size = { width, height };
-    this.type = type; // 'solid', 'passthrough', 'moving', etc.
+    this.type = type; // 'solid', 'passthrough', 'moving', 'hazard', 'question', 'brick'
     this.color = color;
     this.isStatic = true; // Platforms don't move by default
+
+    // Theme colors for platform types and outlines (set by the stage)
+    this.palette = BACKGROUND_THEMES[DEFAULT_THEME].platforms;
+  }
+
+  /**
+   * Use a theme's platform colors
+   * @param {Object} palette - Platform colors by type (see BACKGROUND_THEMES)
+   */
+  setPalette(palette) {
+    this.palette = palette;
   }
 
   /**
@@ -28,14 +39,13 @@ class Platform {
     const renderX = this.position.x;
     const renderY = this.position.y;
 
-    // Set platform color based on type
+    // Set platform color based on type (solid platforms keep their own)
     let platformColor = this.color;
     switch (this.type) {
       case "passthrough":
-        platformColor = "#4ECDC4"; // Teal for passthrough platforms
-        break;
       case "moving":
-        platformColor = "#FF6B6B"; // Red for moving platforms
+      case "hazard":
+        platformColor = this.palette[this.type];
         break;
       default:
         platformColor = this.color;
@@ -53,14 +63,33 @@ class Platform {
       ctx.setLineDash([5, 5]);
       ctx.strokeRect(renderX, renderY, this.size.width, this.size.height);
       ctx.setLineDash([]); // Reset line dash
+    } else if (this.type === "hazard") {
+      // Add spikes along the top edge of hazards
+      const spikeWidth = 10;
+      ctx.fillStyle = this.palette.spikes;
+      ctx.beginPath();
+      for (let x = 0; x + spikeWidth <= this.size.width; x += spikeWidth) {
+        ctx.moveTo(renderX + x, renderY);
+        ctx.lineTo(renderX + x + spikeWidth / 2, renderY - 8);
+        ctx.lineTo(renderX + x + spikeWidth, renderY);
+      }
+      ctx.fill();
     }
 
     // Draw platform outline for better visibility
-    ctx.strokeStyle = "#654321";
+    ctx.strokeStyle = this.palette.outline;
     ctx.lineWidth = 1;
     ctx.strokeRect(renderX, renderY, this.size.width, this.size.height);
   }
 
+  /**
+   * Whether entities should collide with this platform
+   * @returns {boolean} - True for every platform that is still in place
+   */
+  isSolid() {
+    return true;
+  }
+
   /**
    * Get platform's bounding box for collision detection
    * @returns {Object} - Bounding box with position and size
@@ -71,23 +100,632 @@ class Platform {
       size: { width: this.size.width, height: this.size.height },
     };
   }
+
+  /**
+   * Get platform data for serialization
+   * @returns {Object} - Platform definition (JSON stage format)
+   */
+  getPlatformData() {
+    return {
+      position: { ...this.position },
+      size: { ...this.size },
+      type: this.type,
+      color: this.color,
+    };
+  }
+}
+
+/**
+ * MovingPlatform Class
+ * Platform that follows a path and carries entities standing on it
+ *
+ * Path types:
+ * - "linear": moves once through the waypoints and stops at the last one
+ * - "loop": moves through the waypoints and returns to the start, repeating
+ * - "pingpong": moves through the waypoints, then back again, repeating
+ * - "circular": orbits path.center at path.radius
+ */
+class MovingPlatform extends Platform {
+  constructor(x, y, width, height, path = {}, color = "#FF6B6B") {
+    super(x, y, width, height, "moving", color);
+    this.isStatic = false;
+
+    // Starting position (used for serialization and reset)
+    this.origin = { x, y };
+
+    // Path configuration
+    this.path = {
+      type: path.type || "pingpong",
+      points: (path.points || []).map((point) => ({ x: point.x, y: point.y })),
+      speed: path.speed !== undefined ? path.speed : 60, // pixels per second
+      center: path.center ? { ...path.center } : null,
+      radius: path.radius,
+      clockwise: path.clockwise !== false,
+      triggered: !!path.triggered, // Wait for a rider before moving
+    };
+
+    // Waypoint route always starts at the platform's own position
+    this.route = [{ x, y }, ...this.path.points];
+
+    // Movement this frame (used to carry riders)
+    this.velocity = { x: 0, y: 0 };
+    this.deltaMovement = { x: 0, y: 0 };
+
+    // Tolerance for detecting entities standing on the platform
+    this.riderTolerance = 2;
+
+    this.reset();
+  }
+
+  /**
+   * Reset platform to its starting point on the path
+   */
+  reset() {
+    this.position = { ...this.origin };
+    this.velocity = { x: 0, y: 0 };
+    this.deltaMovement = { x: 0, y: 0 };
+    this.segmentIndex = 0;
+    this.segmentDirection = 1; // 1 = forward, -1 = backward (pingpong)
+    this.isFinished = false;
+    this.isTriggered = !this.path.triggered;
+
+    // Circular paths start at the angle of the starting position
+    if (this.path.type === "circular" && this.path.center) {
+      const center = this.path.center;
+      const offsetX = this.origin.x + this.size.width / 2 - center.x;
+      const offsetY = this.origin.y + this.size.height / 2 - center.y;
+      this.angle = Math.atan2(offsetY, offsetX);
+      if (this.path.radius === undefined) {
+        this.path.radius = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+      }
+    }
+  }
+
+  /**
+   * Move the platform along its path
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  update(deltaTime) {
+    const previousPosition = { ...this.position };
+
+    if (this.isTriggered && !this.isFinished) {
+      if (this.path.type === "circular") {
+        this.updateCircular(deltaTime);
+      } else {
+        this.updateWaypoints(deltaTime);
+      }
+    }
+
+    // Record movement for rider carrying and momentum handoff
+    this.deltaMovement = {
+      x: this.position.x - previousPosition.x,
+      y: this.position.y - previousPosition.y,
+    };
+    const deltaSeconds = deltaTime / 1000;
+    this.velocity =
+      deltaSeconds > 0
+        ? {
+            x: this.deltaMovement.x / deltaSeconds,
+            y: this.deltaMovement.y / deltaSeconds,
+          }
+        : { x: 0, y: 0 };
+  }
+
+  /**
+   * Move around the circular path
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  updateCircular(deltaTime) {
+    const center = this.path.center;
+    const radius = this.path.radius;
+    if (!center || !radius) return;
+
+    const angularSpeed = this.path.speed / radius; // radians per second
+    const direction = this.path.clockwise ? 1 : -1;
+    this.angle += direction * angularSpeed * (deltaTime / 1000);
+
+    this.position.x =
+      center.x + Math.cos(this.angle) * radius - this.size.width / 2;
+    this.position.y =
+      center.y + Math.sin(this.angle) * radius - this.size.height / 2;
+  }
+
+  /**
+   * Move along the waypoint route (linear, loop and pingpong paths)
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  updateWaypoints(deltaTime) {
+    if (this.route.length < 2) return;
+
+    let remaining = this.path.speed * (deltaTime / 1000);
+
+    // Consume distance across as many waypoints as needed this frame
+    while (remaining > 0 && !this.isFinished) {
+      const target = this.route[this.getNextWaypointIndex()];
+      const dx = target.x - this.position.x;
+      const dy = target.y - this.position.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance > remaining) {
+        this.position.x += (dx / distance) * remaining;
+        this.position.y += (dy / distance) * remaining;
+        remaining = 0;
+      } else {
+        this.position.x = target.x;
+        this.position.y = target.y;
+        remaining -= distance;
+        this.advanceWaypoint();
+      }
+    }
+  }
+
+  /**
+   * Get the index of the waypoint the platform is moving toward
+   * @returns {number} - Route index
+   */
+  getNextWaypointIndex() {
+    const nextIndex = this.segmentIndex + this.segmentDirection;
+    if (this.path.type === "loop") {
+      return nextIndex % this.route.length;
+    }
+    return nextIndex;
+  }
+
+  /**
+   * Advance to the next route segment after reaching a waypoint
+   */
+  advanceWaypoint() {
+    this.segmentIndex = this.getNextWaypointIndex();
+    const lastIndex = this.route.length - 1;
+
+    switch (this.path.type) {
+      case "linear":
+        if (this.segmentIndex >= lastIndex) {
+          this.isFinished = true;
+        }
+        break;
+      case "pingpong":
+        if (this.segmentIndex >= lastIndex) {
+          this.segmentDirection = -1;
+        } else if (this.segmentIndex <= 0) {
+          this.segmentDirection = 1;
+        }
+        break;
+      default:
+        // "loop" wraps around in getNextWaypointIndex()
+        break;
+    }
+  }
+
+  /**
+   * Check whether an entity is standing on this platform
+   * @param {Object} entity - Entity with position, size and isOnGround
+   * @returns {boolean} - True if the entity rides the platform
+   */
+  isCarrying(entity) {
+    if (!entity || !entity.isOnGround) return false;
+
+    const entityBottom = entity.position.y + entity.size.height;
+    const horizontalOverlap =
+      entity.position.x < this.position.x + this.size.width &&
+      entity.position.x + entity.size.width > this.position.x;
+
+    return (
+      horizontalOverlap &&
+      Math.abs(entityBottom - this.position.y) <= this.riderTolerance
+    );
+  }
+
+  /**
+   * Move a rider along with this frame's platform movement
+   * @param {Object} entity - Entity standing on the platform
+   */
+  carry(entity) {
+    entity.position.x += this.deltaMovement.x;
+    entity.position.y += this.deltaMovement.y;
+    entity.ridingPlatform = this;
+
+    // Triggered platforms start once something stands on them
+    this.isTriggered = true;
+  }
+
+  /**
+   * Push an entity out of the platform when the platform moved into it
+   * Entities that moved into the platform themselves are left to the
+   * regular physics resolution.
+   * @param {Object} entity - Entity overlapping the platform
+   * @returns {Object|null} - Collision resolution, or null if not pushed
+   */
+  pushEntity(entity) {
+    const previous = {
+      x: this.position.x - this.deltaMovement.x,
+      y: this.position.y - this.deltaMovement.y,
+    };
+    const entityRight = entity.position.x + entity.size.width;
+    const entityBottom = entity.position.y + entity.size.height;
+
+    // Which side of the platform's previous position the entity was on
+    const wasLeft = entityRight <= previous.x && this.deltaMovement.x < 0;
+    const wasRight =
+      entity.position.x >= previous.x + this.size.width &&
+      this.deltaMovement.x > 0;
+    const wasAbove = entityBottom <= previous.y && this.deltaMovement.y < 0;
+    const wasBelow =
+      entity.position.y >= previous.y + this.size.height &&
+      this.deltaMovement.y > 0;
+
+    const horizontal = wasLeft || wasRight;
+    const vertical = wasAbove || wasBelow;
+    if (!horizontal && !vertical) {
+      return null;
+    }
+
+    // Push along the axis the platform moved furthest on
+    const pushHorizontally =
+      horizontal &&
+      (!vertical ||
+        Math.abs(this.deltaMovement.x) >= Math.abs(this.deltaMovement.y));
+
+    const resolution = {
+      resolved: true,
+      direction: null,
+      overlap: { x: 0, y: 0 },
+    };
+
+    // Directions name the side of the entity that was hit
+    if (pushHorizontally) {
+      const targetX = wasRight
+        ? this.position.x + this.size.width
+        : this.position.x - entity.size.width;
+      resolution.overlap.x = entity.position.x - targetX;
+      resolution.direction = wasRight ? "left" : "right";
+      entity.position.x = targetX;
+      entity.velocity.x = this.velocity.x;
+    } else {
+      const targetY = wasBelow
+        ? this.position.y + this.size.height
+        : this.position.y - entity.size.height;
+      resolution.overlap.y = entity.position.y - targetY;
+      resolution.direction = wasBelow ? "top" : "bottom";
+      entity.position.y = targetY;
+
+      if (wasBelow) {
+        // Pushed down by the underside of the platform
+        entity.velocity.y = Math.max(entity.velocity.y, this.velocity.y);
+      } else {
+        // Scooped up from below - now standing on the platform
+        entity.velocity.y = 0;
+        entity.isOnGround = true;
+      }
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Get platform data for serialization
+   * @returns {Object} - Platform definition including path (JSON stage format)
+   */
+  getPlatformData() {
+    const path = {
+      type: this.path.type,
+      speed: this.path.speed,
+    };
+    if (this.path.points.length > 0) {
+      path.points = this.path.points.map((point) => ({ ...point }));
+    }
+    if (this.path.center) {
+      path.center = { ...this.path.center };
+      path.radius = this.path.radius;
+      path.clockwise = this.path.clockwise;
+    }
+    if (this.path.triggered) {
+      path.triggered = true;
+    }
+
+    return {
+      position: { ...this.origin },
+      size: { ...this.size },
+      type: this.type,
+      color: this.color,
+      path: path,
+    };
+  }
+}
+
+// Platform types that create a Block
+const BLOCK_TYPES = ["question", "brick"];
+
+/**
+ * Block Class
+ * Block tile that reacts when an entity's head hits it from below
+ *
+ * Block types:
+ * - "question": releases its contents (a coin or power-up) once, then is used
+ * - "brick": shatters into debris for a player with the strength power-up,
+ *   otherwise just bumps
+ */
+class Block extends Platform {
+  constructor(
+    x,
+    y,
+    width = 32,
+    height = 32,
+    type = "question",
+    contents = null
+  ) {
+    super(
+      x,
+      y,
+      width,
+      height,
+      type,
+      BACKGROUND_THEMES[DEFAULT_THEME].platforms[type]
+    );
+
+    // Item definition released by a question block (JSON stage item format)
+    this.contents =
+      type === "question" ? { type: "coin", ...(contents || {}) } : null;
+
+    // Bump animation when hit from below (visual only, collision box stays put)
+    this.bumpTimer = 0;
+    this.bumpDuration = 200; // milliseconds
+    this.bumpHeight = 8; // pixels
+
+    // Brick debris
+    this.debrisGravity = 980; // pixels per second squared
+    this.debrisLifetime = 1200; // milliseconds
+
+    this.reset();
+  }
+
+  /**
+   * Reset block to its untouched state
+   */
+  reset() {
+    this.isUsed = false;
+    this.isBroken = false;
+    this.bumpTimer = 0;
+    this.debris = [];
+  }
+
+  /**
+   * Update bump animation and debris
+   * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   */
+  update(deltaTime) {
+    if (this.bumpTimer > 0) {
+      this.bumpTimer = Math.max(0, this.bumpTimer - deltaTime);
+    }
+
+    if (this.debris.length === 0) return;
+
+    const seconds = deltaTime / 1000;
+    for (const piece of this.debris) {
+      piece.velocity.y += this.debrisGravity * seconds;
+      piece.position.x += piece.velocity.x * seconds;
+      piece.position.y += piece.velocity.y * seconds;
+      piece.rotation += piece.spin * seconds;
+      piece.age += deltaTime;
+    }
+    this.debris = this.debris.filter(
+      (piece) => piece.age < this.debrisLifetime
+    );
+  }
+
+  /**
+   * Handle an entity hitting the block from below
+   * @param {Object} entity - Entity whose head hit the block (usually player)
+   * @returns {Object|null} - Hit result, or null if the block no longer reacts
+   */
+  hit(entity) {
+    if (this.isBroken || this.isUsed) {
+      return null;
+    }
+
+    if (this.type === "question") {
+      this.isUsed = true;
+      this.bumpTimer = this.bumpDuration;
+
+      return {
+        type: "question",
+        block: this,
+        contents: { ...this.contents },
+      };
+    }
+
+    // Bricks only break for a player with the strength power-up
+    const canBreak =
+      !!entity &&
+      typeof entity.hasPowerUp === "function" &&
+      entity.hasPowerUp("strength");
+
+    if (canBreak) {
+      this.shatter();
+    } else {
+      this.bumpTimer = this.bumpDuration;
+    }
+
+    return {
+      type: "brick",
+      block: this,
+      broken: canBreak,
+    };
+  }
+
+  /**
+   * Use a theme's platform colors (blocks take their type's color)
+   * @param {Object} palette - Platform colors by type (see BACKGROUND_THEMES)
+   */
+  setPalette(palette) {
+    super.setPalette(palette);
+    this.color = palette[this.type];
+  }
+
+  /**
+   * Break the brick into four pieces of debris
+   */
+  shatter() {
+    this.isBroken = true;
+    this.bumpTimer = 0;
+
+    const halfWidth = this.size.width / 2;
+    const halfHeight = this.size.height / 2;
+    this.debris = [
+      { x: 0, y: 0, vx: -90, vy: -380 },
+      { x: 1, y: 0, vx: 90, vy: -380 },
+      { x: 0, y: 1, vx: -70, vy: -260 },
+      { x: 1, y: 1, vx: 70, vy: -260 },
+    ].map((piece) => ({
+      position: {
+        x: this.position.x + piece.x * halfWidth,
+        y: this.position.y + piece.y * halfHeight,
+      },
+      size: { width: halfWidth, height: halfHeight },
+      velocity: { x: piece.vx, y: piece.vy },
+      rotation: 0,
+      spin: piece.vx > 0 ? 8 : -8,
+      age: 0,
+    }));
+
+    console.log(`Brick broken at (${this.position.x}, ${this.position.y})`);
+  }
+
+  /**
+   * Whether entities should collide with this block
+   * @returns {boolean} - False once the brick has been broken
+   */
+  isSolid() {
+    return !this.isBroken;
+  }
+
+  /**
+   * Get the current bump offset (negative is up)
+   * @returns {number} - Vertical render offset in pixels
+   */
+  getBumpOffset() {
+    if (this.bumpTimer <= 0) return 0;
+
+    const progress = 1 - this.bumpTimer / this.bumpDuration;
+    return -Math.sin(progress * Math.PI) * this.bumpHeight;
+  }
+
+  /**
+   * Render the block (or its debris once broken)
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   * @param {Object} camera - Camera position for culling (optional)
+   */
+  render(ctx, camera = null) {
+    if (!ctx) return;
+
+    if (this.isBroken) {
+      this.renderDebris(ctx);
+      return;
+    }
+
+    const renderX = this.position.x;
+    const renderY = this.position.y + this.getBumpOffset();
+    const { width, height } = this.size;
+
+    if (this.type === "question" && this.isUsed) {
+      // Used question block
+      ctx.fillStyle = "#8B5A2B";
+      ctx.fillRect(renderX, renderY, width, height);
+    } else if (this.type === "question") {
+      ctx.fillStyle = this.color;
+      ctx.fillRect(renderX, renderY, width, height);
+
+      // Question mark
+      ctx.fillStyle = "#FFFFFF";
+      ctx.font = `bold ${Math.floor(height * 0.7)}px Arial`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("?", renderX + width / 2, renderY + height / 2 + 1);
+      ctx.textBaseline = "alphabetic";
+    } else {
+      ctx.fillStyle = this.color;
+      ctx.fillRect(renderX, renderY, width, height);
+
+      // Mortar lines
+      ctx.strokeStyle = "#5A2A10";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(renderX, renderY + height / 2);
+      ctx.lineTo(renderX + width, renderY + height / 2);
+      ctx.moveTo(renderX + width / 2, renderY);
+      ctx.lineTo(renderX + width / 2, renderY + height / 2);
+      ctx.moveTo(renderX + width / 4, renderY + height / 2);
+      ctx.lineTo(renderX + width / 4, renderY + height);
+      ctx.moveTo(renderX + (width * 3) / 4, renderY + height / 2);
+      ctx.lineTo(renderX + (width * 3) / 4, renderY + height);
+      ctx.stroke();
+    }
+
+    // Draw block outline
+    ctx.strokeStyle = "#3B1E08";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(renderX, renderY, width, height);
+  }
+
+  /**
+   * Render brick debris
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  renderDebris(ctx) {
+    ctx.fillStyle = this.color;
+    for (const piece of this.debris) {
+      ctx.save();
+      ctx.translate(
+        piece.position.x + piece.size.width / 2,
+        piece.position.y + piece.size.height / 2
+      );
+      ctx.rotate(piece.rotation);
+      ctx.fillRect(
+        -piece.size.width / 2,
+        -piece.size.height / 2,
+        piece.size.width,
+        piece.size.height
+      );
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Get block data for serialization
+   * @returns {Object} - Block definition (JSON stage format)
+   */
+  getPlatformData() {
+    const data = {
+      position: { ...this.position },
+      size: { ...this.size },
+      type: this.type,
+    };
+    if (this.contents) {
+      data.contents = { ...this.contents };
+    }
+    return data;
+  }
 }
 
+// Scroll rate of a stage's own background clouds relative to the camera
+const STAGE_CLOUD_SCROLL_FACTOR = 0.3;
+
 /**
  * Stage Class
  * Manages platform data, stage layout, and collision detection
  */
 class Stage {
-  constructor(stageId = 1) {
+  constructor(stageId = 1, stageData = null) {
     this.id = stageId;
     this.name = `Stage ${stageId}`;
     this.width = 2400; // Stage width (3x screen width for scrolling)
-    this.height = 600; // Stage height (same as canvas)
+    this.height = 600; // Stage height (taller stages scroll vertically)
 
     // Platform storage
     this.platforms = [];
     this.staticPlatforms = []; // Platforms that never move
     this.movingPlatforms = []; // Platforms that can move
+    this.blocks = []; // Question blocks and bricks
 
     // Stage boundaries
     this.bounds = {
@@ -97,21 +735,96 @@ class Stage {
       bottom: this.height,
     };
 
+    // Falling below this y is a pit death (null: the bottom of the bounds)
+    this.deathPlane = null;
+
     // Background properties
-    this.backgroundColor = "#5C94FC"; // Sky blue
+    this.theme = DEFAULT_THEME; // Sky, background layers and platform colors
+    this.backgroundColor = null; // Replaces the theme's sky color when set
     this.backgroundElements = []; // Clouds, decorations, etc.
+    this.background = new ParallaxBackground(this.theme);
 
     // Goal system
     this.goal = null;
 
-    // Initialize default stage layout
-    this.initializeStage();
+    // Checkpoints (the last one touched sets the respawn point)
+    this.checkpoints = [];
+    this.activeCheckpoint = null;
+
+    // Stage settings (overridden by stage data)
+    this.spawnPoint = { x: 100, y: this.height - 200 };
+    this.timeLimit = 300; // seconds
+    this.music = null;
+
+    // Item and enemy definitions handed to ItemManager / EnemyManager
+    this.itemDefinitions = [];
+    this.enemyDefinitions = [];
+
+    // Load layout from stage data or the stage registry, falling back to
+    // the default layout when the stage is not defined
+    const definition = stageData || Stage.getRegisteredStageData(stageId);
+    if (definition) {
+      this.loadStageData(definition);
+    } else {
+      this.initializeStage();
+    }
 
     console.log(
       `Stage ${this.id} created with ${this.platforms.length} platforms`
     );
   }
 
+  /**
+   * Look up a stage definition in the global stage registry
+   * @param {number} stageId - Stage number
+   * @returns {Object|null} - Stage definition, or null if not registered
+   */
+  static getRegisteredStageData(stageId) {
+    if (typeof stageRegistry === "undefined" || !stageRegistry) {
+      return null;
+    }
+    return stageRegistry.getStage(stageId);
+  }
+
+  /**
+   * Create a platform instance from a platform definition
+   * @param {Object} platformData - Platform definition (JSON stage format)
+   * @returns {Platform} - New platform (MovingPlatform when a path is given,
+   *   Block for question/brick tiles)
+   */
+  static createPlatformFromData(platformData) {
+    if (BLOCK_TYPES.includes(platformData.type)) {
+      return new Block(
+        platformData.position.x,
+        platformData.position.y,
+        platformData.size.width,
+        platformData.size.height,
+        platformData.type,
+        platformData.contents
+      );
+    }
+
+    if (platformData.type === "moving" && platformData.path) {
+      return new MovingPlatform(
+        platformData.position.x,
+        platformData.position.y,
+        platformData.size.width,
+        platformData.size.height,
+        platformData.path,
+        platformData.color
+      );
+    }
+
+    return new Platform(
+      platformData.position.x,
+      platformData.position.y,
+      platformData.size.width,
+      platformData.size.height,
+      platformData.type,
+      platformData.color
+    );
+  }
+
   /**
    * Initialize the stage with default platform layout
    */
@@ -120,6 +833,7 @@ class Stage {
     this.platforms = [];
     this.staticPlatforms = [];
     this.movingPlatforms = [];
+    this.blocks = [];
 
     // Create ground platform (full width)
     const groundPlatform = new Platform(
@@ -200,13 +914,18 @@ class Stage {
     }
 
     this.platforms.push(platform);
+    platform.setPalette(this.getPlatformPalette());
 
-    // Categorize platform by type
-    if (platform.type === "moving") {
+    // Categorize platform by whether it follows a path
+    if (platform instanceof MovingPlatform) {
       this.movingPlatforms.push(platform);
     } else {
       this.staticPlatforms.push(platform);
     }
+
+    if (platform instanceof Block) {
+      this.blocks.push(platform);
+    }
   }
 
   /**
@@ -228,17 +947,39 @@ class Stage {
       if (movingIndex > -1) {
         this.movingPlatforms.splice(movingIndex, 1);
       }
+
+      const blockIndex = this.blocks.indexOf(platform);
+      if (blockIndex > -1) {
+        this.blocks.splice(blockIndex, 1);
+      }
     }
   }
 
   /**
    * Update stage logic (for moving platforms, etc.)
    * @param {number} deltaTime - Time elapsed since last frame (in milliseconds)
+   * @param {Array} riders - Entities that can be carried by moving platforms
    */
-  update(deltaTime) {
-    // Update moving platforms (future implementation)
+  update(deltaTime, riders = []) {
+    for (const rider of riders) {
+      rider.ridingPlatform = null;
+    }
+
+    // Move platforms and carry whoever was standing on them
     for (const platform of this.movingPlatforms) {
-      // Moving platform logic will be implemented in future tasks
+      const carried = riders.filter((rider) => platform.isCarrying(rider));
+      platform.update(deltaTime);
+      carried.forEach((rider) => platform.carry(rider));
+    }
+
+    // Update block bumps and debris
+    for (const block of this.blocks) {
+      block.update(deltaTime);
+    }
+
+    // Update checkpoints
+    for (const checkpoint of this.checkpoints) {
+      checkpoint.update(deltaTime);
     }
 
     // Update goal
@@ -247,6 +988,70 @@ class Stage {
     }
   }
 
+  /**
+   * Reset stage state for a restart (goal, checkpoints, moving platforms,
+   * blocks)
+   */
+  reset() {
+    if (this.goal) {
+      this.goal.reset();
+    }
+
+    this.resetCheckpoints();
+
+    for (const platform of this.movingPlatforms) {
+      platform.reset();
+    }
+
+    for (const block of this.blocks) {
+      block.reset();
+    }
+
+    console.log(`Stage ${this.id} reset`);
+  }
+
+  /**
+   * Check collision between player and checkpoints
+   * @param {Object} player - Player object to check collision with
+   * @param {number} elapsedTime - Stage time elapsed in seconds
+   * @returns {Object|null} - Activation data if a new checkpoint was touched
+   */
+  checkCheckpointCollision(player, elapsedTime = 0) {
+    if (!player) return null;
+
+    for (const checkpoint of this.checkpoints) {
+      if (checkpoint.isActivated || !checkpoint.checkCollision(player)) {
+        continue;
+      }
+
+      const activation = checkpoint.activate(player, elapsedTime);
+      if (activation) {
+        this.activeCheckpoint = checkpoint;
+        return activation;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the most recently activated checkpoint
+   * @returns {Checkpoint|null} - Active checkpoint, or null if none touched
+   */
+  getActiveCheckpoint() {
+    return this.activeCheckpoint;
+  }
+
+  /**
+   * Return all checkpoints to their inactive state
+   */
+  resetCheckpoints() {
+    for (const checkpoint of this.checkpoints) {
+      checkpoint.reset();
+    }
+    this.activeCheckpoint = null;
+  }
+
   /**
    * Check collisions between an entity and all platforms
    * @param {Object} entity - Entity to check collisions for
@@ -262,6 +1067,10 @@ class Stage {
 
     // Check collisions with all platforms
     for (const platform of this.platforms) {
+      if (!platform.isSolid()) {
+        continue; // Broken bricks
+      }
+
       if (physicsEngine.checkAABBCollision(entity, platform)) {
         // Handle different platform types
         if (platform.type === "passthrough") {
@@ -277,6 +1086,16 @@ class Stage {
             collisions.push({ platform, resolution });
           }
         } else {
+          // Moving platforms that moved into the entity push it along their
+          // motion instead of resolving by smallest overlap
+          const pushResolution = platform.isStatic
+            ? null
+            : platform.pushEntity(entity);
+          if (pushResolution) {
+            collisions.push({ platform, resolution: pushResolution });
+            continue;
+          }
+
           // Normal solid platform collision - use enhanced resolution
           const resolution = physicsEngine.resolveCollisionEnhanced
             ? physicsEngine.resolveCollisionEnhanced(entity, platform)
@@ -289,6 +1108,55 @@ class Stage {
     return collisions;
   }
 
+  /**
+   * Hit the block an entity's head bumped into, if any
+   * @param {Object} entity - Entity that just collided with platforms
+   * @param {Array} collisions - Results from checkPlatformCollisions
+   * @returns {Object|null} - Block hit result, or null if no block reacted
+   */
+  checkBlockHit(entity, collisions) {
+    if (!entity || !collisions) return null;
+
+    const bumpedBlock = collisions.some(
+      (collision) =>
+        collision.platform instanceof Block &&
+        collision.resolution &&
+        collision.resolution.direction === "top"
+    );
+    if (!bumpedBlock) return null;
+
+    // Collisions resolve one platform at a time, so the first block pushes the
+    // entity clear of its neighbours; pick from every block along the head line
+    // and let only the one closest to the entity's center react
+    const entityLeft = entity.position.x;
+    const entityRight = entity.position.x + entity.size.width;
+    const entityCenterX = entityLeft + entity.size.width / 2;
+    let closestBlock = null;
+    let closestDistance = Infinity;
+
+    for (const block of this.blocks) {
+      const blockBottom = block.position.y + block.size.height;
+      if (
+        !block.isSolid() ||
+        Math.abs(blockBottom - entity.position.y) > 1 ||
+        block.position.x >= entityRight ||
+        block.position.x + block.size.width <= entityLeft
+      ) {
+        continue;
+      }
+
+      const distance = Math.abs(
+        block.position.x + block.size.width / 2 - entityCenterX
+      );
+      if (distance < closestDistance) {
+        closestBlock = block;
+        closestDistance = distance;
+      }
+    }
+
+    return closestBlock ? closestBlock.hit(entity) : null;
+  }
+
   /**
    * Check collision between player and goal
    * @param {Object} player - Player object to check collision with
@@ -316,11 +1184,14 @@ class Stage {
    */
   getPlatformsInArea(x, y, width, height) {
     return this.platforms.filter((platform) => {
-      return !(
-        platform.position.x > x + width ||
-        platform.position.x + platform.size.width < x ||
-        platform.position.y > y + height ||
-        platform.position.y + platform.size.height < y
+      return (
+        platform.isSolid() &&
+        !(
+          platform.position.x > x + width ||
+          platform.position.x + platform.size.width < x ||
+          platform.position.y > y + height ||
+          platform.position.y + platform.size.height < y
+        )
       );
     });
   }
@@ -341,6 +1212,13 @@ class Stage {
       platform.render(ctx, camera);
     }
 
+    // Draw checkpoints
+    for (const checkpoint of this.checkpoints) {
+      if (checkpoint.isVisible(camera, 800, 600)) {
+        checkpoint.render(ctx);
+      }
+    }
+
     // Draw goal
     if (this.goal && this.goal.isVisible(camera, 800, 600)) {
       this.goal.render(ctx);
@@ -352,42 +1230,67 @@ class Stage {
 
   /**
    * Render stage background
+   * The theme's sky and layers and the stage's own clouds are drawn in
+   * screen space behind the platforms, each scrolling at its own rate.
    * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   *   (camera transform applied)
    * @param {Object} camera - Camera position for parallax calculations
    */
   renderBackground(ctx, camera = null) {
-    // Background is handled by the main game engine
-    // This method can be used for stage-specific background elements
+    const position = camera || { x: 0, y: 0 };
 
-    const cameraOffsetX = camera ? camera.x : 0;
+    // Undo the camera transform so layers can scroll at their own rate
+    ctx.save();
+    ctx.translate(position.x, position.y);
 
-    // Draw background elements (clouds, etc.)
-    ctx.fillStyle = "#FFFFFF";
+    // Layers and clouds are laid out for the bottom 600px of the stage, so
+    // in taller stages they scroll from where the view sits at the bottom
+    const layerPosition = {
+      x: position.x,
+      y: position.y - Math.max(0, this.height - 600),
+    };
+    this.background.render(ctx, layerPosition, 800, 600);
+
+    // Draw background elements (clouds, etc.) between the theme's layers
+    // and the platforms
+    ctx.fillStyle = this.background.theme.cloudColor;
     for (const element of this.backgroundElements) {
       if (element.type === "cloud") {
-        // Simple parallax effect for clouds (move slower than camera)
-        const parallaxX = element.x - cameraOffsetX * 0.3;
-        this.drawCloud(ctx, parallaxX, element.y, element.size);
+        ParallaxBackground.drawCloud(
+          ctx,
+          element.x - layerPosition.x * STAGE_CLOUD_SCROLL_FACTOR,
+          element.y - layerPosition.y * STAGE_CLOUD_SCROLL_FACTOR,
+          element.size
+        );
       }
     }
+
+    ctx.restore();
+  }
+
+  /**
+   * Change the stage theme
+   * @param {string} themeName - Key of BACKGROUND_THEMES (unknown names use
+   *   the default theme)
+   */
+  setTheme(themeName) {
+    this.theme = ParallaxBackground.resolveThemeName(themeName);
+    this.background = new ParallaxBackground(this.theme, {
+      skyColor: this.backgroundColor,
+    });
+
+    const palette = this.getPlatformPalette();
+    for (const platform of this.platforms) {
+      platform.setPalette(palette);
+    }
   }
 
   /**
-   * Draw a simple cloud shape
-   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-   * @param {number} x - Cloud x position
-   * @param {number} y - Cloud y position
-   * @param {number} scale - Cloud scale factor
+   * Get the current theme's platform colors
+   * @returns {Object} - Platform colors by type
    */
-  drawCloud(ctx, x, y, scale = 1.0) {
-    const size = 20 * scale;
-    ctx.beginPath();
-    ctx.arc(x, y, size, 0, Math.PI * 2);
-    ctx.arc(x + 25 * scale, y, size * 1.25, 0, Math.PI * 2);
-    ctx.arc(x + 50 * scale, y, size, 0, Math.PI * 2);
-    ctx.arc(x + 35 * scale, y - 15 * scale, size * 0.9, 0, Math.PI * 2);
-    ctx.arc(x + 15 * scale, y - 10 * scale, size * 0.75, 0, Math.PI * 2);
-    ctx.fill();
+  getPlatformPalette() {
+    return BACKGROUND_THEMES[this.theme].platforms;
   }
 
   /**
@@ -421,6 +1324,14 @@ class Stage {
     return { ...this.bounds };
   }
 
+  /**
+   * Get the y below which the player dies from falling
+   * @returns {number} - World y of the death plane
+   */
+  getDeathPlane() {
+    return this.deathPlane !== null ? this.deathPlane : this.bounds.bottom;
+  }
+
   /**
    * Check if a position is within stage bounds
    * @param {number} x - X coordinate
@@ -436,9 +1347,47 @@ class Stage {
     );
   }
 
+  /**
+   * Get player spawn point
+   * @returns {Object} - Spawn position
+   */
+  getSpawnPoint() {
+    return { ...this.spawnPoint };
+  }
+
+  /**
+   * Get stage time limit
+   * @returns {number} - Time limit in seconds
+   */
+  getTimeLimit() {
+    return this.timeLimit;
+  }
+
+  /**
+   * Get item definitions for ItemManager
+   * @returns {Array} - Copy of item definitions
+   */
+  getItemDefinitions() {
+    return this.itemDefinitions.map((itemData) => ({
+      ...itemData,
+      position: { ...itemData.position },
+    }));
+  }
+
+  /**
+   * Get enemy definitions for EnemyManager
+   * @returns {Array} - Copy of enemy definitions
+   */
+  getEnemyDefinitions() {
+    return this.enemyDefinitions.map((enemyData) => ({
+      ...enemyData,
+      position: { ...enemyData.position },
+    }));
+  }
+
   /**
    * Get stage data for saving/loading
-   * @returns {Object} - Serializable stage data
+   * @returns {Object} - Serializable stage data (JSON stage format)
    */
   getStageData() {
     return {
@@ -446,19 +1395,35 @@ class Stage {
       name: this.name,
       width: this.width,
       height: this.height,
-      platforms: this.platforms.map((platform) => ({
-        position: platform.position,
-        size: platform.size,
-        type: platform.type,
-        color: platform.color,
-      })),
-      bounds: this.bounds,
+      timeLimit: this.timeLimit,
+      music: this.music,
+      theme: this.theme,
+      spawn: { ...this.spawnPoint },
+      background: {
+        color: this.backgroundColor,
+        elements: this.backgroundElements.map((element) => ({ ...element })),
+      },
+      platforms: this.platforms.map((platform) => platform.getPlatformData()),
+      items: this.getItemDefinitions(),
+      enemies: this.getEnemyDefinitions(),
+      checkpoints: this.checkpoints.map((checkpoint) =>
+        checkpoint.getCheckpointData()
+      ),
+      goal: this.goal
+        ? {
+            position: { ...this.goal.position },
+            size: { ...this.goal.size },
+            type: this.goal.type,
+          }
+        : null,
+      bounds: { ...this.bounds },
+      deathPlane: this.deathPlane,
     };
   }
 
   /**
    * Load stage from data
-   * @param {Object} stageData - Stage data to load
+   * @param {Object} stageData - Stage data to load (JSON stage format)
    */
   loadStageData(stageData) {
     if (!stageData) return;
@@ -467,28 +1432,86 @@ class Stage {
     this.name = stageData.name || this.name;
     this.width = stageData.width || this.width;
     this.height = stageData.height || this.height;
-    this.bounds = stageData.bounds || this.bounds;
+    this.bounds = stageData.bounds
+      ? { ...stageData.bounds }
+      : { left: 0, right: this.width, top: 0, bottom: this.height };
+    this.deathPlane =
+      typeof stageData.deathPlane === "number" ? stageData.deathPlane : null;
+
+    this.timeLimit = stageData.timeLimit || this.timeLimit;
+    this.music = stageData.music || null;
+    this.spawnPoint = stageData.spawn
+      ? { x: stageData.spawn.x, y: stageData.spawn.y }
+      : { x: 100, y: this.height - 200 };
 
     // Clear existing platforms
     this.platforms = [];
     this.staticPlatforms = [];
     this.movingPlatforms = [];
+    this.blocks = [];
 
-    // Load platforms from data
+    // Load background (default clouds if not specified)
+    if (stageData.background) {
+      this.backgroundColor = stageData.background.color || null;
+      this.backgroundElements = (stageData.background.elements || []).map(
+        (element) => ({ ...element })
+      );
+    } else {
+      this.backgroundColor = null;
+      this.initializeBackground();
+    }
+    this.setTheme(stageData.theme || DEFAULT_THEME);
+
+    // Load platforms from data (platforms without a color use the theme's)
+    const solidColor = this.getPlatformPalette().solid;
     if (stageData.platforms) {
       stageData.platforms.forEach((platformData) => {
-        const platform = new Platform(
-          platformData.position.x,
-          platformData.position.y,
-          platformData.size.width,
-          platformData.size.height,
-          platformData.type,
-          platformData.color
+        this.addPlatform(
+          Stage.createPlatformFromData({ color: solidColor, ...platformData })
         );
-        this.addPlatform(platform);
       });
     }
 
+    // Load goal (default position if not specified)
+    if (stageData.goal) {
+      this.goal = new Goal(
+        stageData.goal.position.x,
+        stageData.goal.position.y,
+        stageData.goal.size.width,
+        stageData.goal.size.height
+      );
+      this.goal.setType(stageData.goal.type || "flag");
+    } else {
+      this.initializeGoal();
+    }
+
+    // Load checkpoints
+    this.checkpoints = (stageData.checkpoints || []).map((checkpointData) =>
+      Checkpoint.createFromData(checkpointData)
+    );
+    this.activeCheckpoint = null;
+
+    // Keep item and enemy definitions for the managers
+    this.itemDefinitions = (stageData.items || []).map((itemData) => ({
+      ...itemData,
+      position: { ...itemData.position },
+    }));
+    this.enemyDefinitions = (stageData.enemies || []).map((enemyData) => ({
+      ...enemyData,
+      position: { ...enemyData.position },
+    }));
+
     console.log(`Stage ${this.id} loaded from data`);
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Platform,
+    MovingPlatform,
+    Block,
+    Stage,
+    STAGE_CLOUD_SCROLL_FACTOR,
+  };
+}
@@ -13,8 +13,14 @@ class StartScreen {
 
     // Menu state
     this.isActive = false;
-    this.selectedOption = 0; // 0: Start, 1: Stage Select, 2: Settings
-    this.menuOptions = ["Start Game", "Stage Select", "Settings"];
+    this.selectedOption = 0; // 0: Start, 1: Co-op, 2: Stage Select, 3: Settings, 4: Editor
+    this.menuOptions = [
+      "Start Game",
+      "2 Player Co-op",
+      "Stage Select",
+      "Settings",
+      "Level Editor",
+    ];
 
     // Button properties
     this.buttons = [];
@@ -24,6 +30,9 @@ class StartScreen {
     this.titleAnimation = 0;
     this.backgroundAnimation = 0;
 
+    // Overworld scenery scrolling behind the menu
+    this.background = new ParallaxBackground(DEFAULT_THEME);
+
     // Initialize menu
     this.init();
 
@@ -47,8 +56,8 @@ class StartScreen {
   createButtons() {
     const canvas = this.gameEngine.canvas;
     const centerX = canvas.width / 2;
-    const startY = canvas.height / 2 + 50;
-    const buttonSpacing = 80;
+    const startY = canvas.height / 2 - 50;
+    const buttonSpacing = 52;
 
     this.buttons = [];
 
@@ -58,7 +67,7 @@ class StartScreen {
         x: centerX - 100, // Button width will be 200
         y: startY + i * buttonSpacing,
         width: 200,
-        height: 50,
+        height: 44,
         hovered: false,
         pressed: false,
       });
@@ -200,12 +209,18 @@ class StartScreen {
       case 0: // Start Game
         this.startGame();
         break;
-      case 1: // Stage Select
+      case 1: // 2 Player Co-op
+        this.startCoopGame();
+        break;
+      case 2: // Stage Select
         this.openStageSelect();
         break;
-      case 2: // Settings
+      case 3: // Settings
         this.openSettings();
         break;
+      case 4: // Level Editor
+        this.openEditor();
+        break;
     }
   }
 
@@ -224,6 +239,25 @@ class StartScreen {
     }
   }
 
+  /**
+   * Start a two-player co-op game (player 2 uses J/L/I/K/O or the second
+   * gamepad)
+   */
+  startCoopGame() {
+    console.log("Starting co-op game from menu");
+    this.isActive = false;
+
+    if (this.gameEngine.sceneManager) {
+      this.gameEngine.sceneManager.changeScene("game", {
+        newGame: true,
+        coop: true,
+      });
+    } else {
+      this.gameEngine.setCoopMode(true);
+      this.gameEngine.startGame();
+    }
+  }
+
   /**
    * Open stage select screen
    */
@@ -249,6 +283,26 @@ class StartScreen {
     }
   }
 
+  /**
+   * Open the level editor
+   */
+  openEditor() {
+    console.log("Opening level editor");
+
+    if (
+      this.gameEngine.sceneManager &&
+      this.gameEngine.sceneManager.hasScene("editor")
+    ) {
+      this.gameEngine.sceneManager.changeScene("editor");
+    } else if (this.gameEngine.uiSystem) {
+      this.gameEngine.uiSystem.showMessage(
+        "Level editor unavailable",
+        2000,
+        "warning"
+      );
+    }
+  }
+
   /**
    * Open settings screen
    */
@@ -302,13 +356,13 @@ class StartScreen {
    * @param {HTMLCanvasElement} canvas - Canvas element
    */
   renderBackground(ctx, canvas) {
-    // Gradient background
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-    gradient.addColorStop(0, "#87CEEB");
-    gradient.addColorStop(1, "#98FB98");
-
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Parallax scenery as if the camera were panning right
+    this.background.render(
+      ctx,
+      { x: this.backgroundAnimation * 60, y: 0 },
+      canvas.width,
+      canvas.height
+    );
 
     // Animated clouds
     ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
@@ -316,7 +370,7 @@ class StartScreen {
       const x =
         ((i * 200 + this.backgroundAnimation * 20) % (canvas.width + 100)) - 50;
       const y = 100 + Math.sin(this.backgroundAnimation + i) * 20;
-      this.drawCloud(ctx, x, y);
+      ParallaxBackground.drawCloud(ctx, x, y);
     }
   }
 
@@ -406,22 +460,6 @@ class StartScreen {
     ctx.fillText("ESC to Exit", canvas.width / 2, instructionsY + 40);
   }
 
-  /**
-   * Draw a cloud shape
-   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   */
-  drawCloud(ctx, x, y) {
-    ctx.beginPath();
-    ctx.arc(x, y, 20, 0, Math.PI * 2);
-    ctx.arc(x + 25, y, 25, 0, Math.PI * 2);
-    ctx.arc(x + 50, y, 20, 0, Math.PI * 2);
-    ctx.arc(x + 35, y - 15, 18, 0, Math.PI * 2);
-    ctx.arc(x + 15, y - 10, 15, 0, Math.PI * 2);
-    ctx.fill();
-  }
-
   /**
    * Show the start screen
    */
@@ -457,3 +495,8 @@ class StartScreen {
     }
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StartScreen;
+}
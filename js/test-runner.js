@@ -21,6 +21,12 @@ class TestRunner {
       "  TestRunner.runPerformanceTests() - Run performance benchmarks"
     );
     console.log("  TestRunner.quickCheck() - Quick system health check");
+    console.log(
+      "  TestRunner.runReplay(json) - Play a replay and check its result"
+    );
+    console.log(
+      "  TestRunner.validateStages() - Check stage layouts for reachability"
+    );
     console.log("  TestRunner.showHelp() - Show all available commands");
   }
 
@@ -39,6 +45,7 @@ class TestRunner {
       healthCheck: null,
       browserCompatibility: null,
       bugDetection: null,
+      stageValidation: null,
       totalDuration: 0,
     };
 
@@ -68,6 +75,10 @@ class TestRunner {
       console.log("6️⃣ Running performance tests...");
       results.performanceTests = this.gameEngine.getPerformanceMetrics();
 
+      // 7. Stage layouts
+      console.log("7️⃣ Running stage layout validation...");
+      results.stageValidation = this.validateStages();
+
       const endTime = performance.now();
       results.totalDuration = Math.round(endTime - startTime);
 
@@ -157,6 +168,120 @@ class TestRunner {
     }
   }
 
+  /**
+   * Play a recorded replay and check that it ends the way it was recorded
+   * Replays exported with exportReplay() work as regression fixtures.
+   * @param {Object|string} replayData - Replay object or exported JSON
+   * @returns {Promise<Object>} - { passed, mismatches, result }
+   */
+  runReplay(replayData) {
+    console.log("🎬 Running replay...");
+
+    const replaySystem = this.gameEngine.replaySystem;
+    if (!replaySystem) {
+      console.error("❌ Replay system not available");
+      return Promise.resolve({ passed: false, error: "No replay system" });
+    }
+
+    const replay =
+      typeof replayData === "string"
+        ? replaySystem.importReplay(replayData)
+        : replayData;
+
+    return new Promise((resolve) => {
+      const started =
+        replay &&
+        replaySystem.startPlayback(replay, {
+          onComplete: (playbackResult) => {
+            const verification = playbackResult.verification || {
+              passed: false,
+              mismatches: [{ field: "result", expected: "recorded result" }],
+            };
+
+            if (verification.passed) {
+              console.log("✅ Replay reproduced its recorded result");
+            } else {
+              console.warn("⚠️ Replay diverged from its recording:");
+              verification.mismatches.forEach((mismatch) =>
+                console.warn(
+                  `  - ${mismatch.field}: expected ${JSON.stringify(
+                    mismatch.expected
+                  )}, got ${JSON.stringify(mismatch.actual)}`
+                )
+              );
+            }
+
+            resolve({
+              passed: verification.passed,
+              mismatches: verification.mismatches,
+              result: playbackResult.result,
+            });
+          },
+        });
+
+      if (!started) {
+        console.error("❌ Replay could not be started");
+        resolve({ passed: false, error: "Invalid replay" });
+      }
+    });
+  }
+
+  /**
+   * Check registered stages for an unreachable goal or items, overlapping
+   * platforms, items inside platforms and a spawn without ground below it
+   * @param {Array|number|null} stageIds - Stage numbers (all registered
+   *   stages when omitted)
+   * @returns {Object} - { passed, total, stages: [{ stageId, report }] }
+   */
+  validateStages(stageIds = null) {
+    console.log("🗺️ Validating stage layouts...");
+
+    if (
+      typeof StageValidator === "undefined" ||
+      typeof stageRegistry === "undefined"
+    ) {
+      console.error("❌ Stage validator not available");
+      return { passed: 0, total: 0, stages: [], error: "No stage validator" };
+    }
+
+    const ids =
+      stageIds === null
+        ? stageRegistry.getStageIds()
+        : [].concat(stageIds).filter((id) => stageRegistry.hasStage(id));
+    const validator = new StageValidator({
+      player: this.gameEngine.player,
+      physicsEngine: this.gameEngine.physicsEngine,
+    });
+
+    const stages = ids.map((stageId) => {
+      const report = validator.validate(stageRegistry.getStage(stageId));
+      validator.logReport(report, `Stage ${stageId}`);
+      return { stageId, report };
+    });
+    const passed = stages.filter((stage) => stage.report.isValid).length;
+
+    console.log(
+      `${passed === stages.length ? "✅" : "⚠️"} ${passed}/${
+        stages.length
+      } stages have no layout problems`
+    );
+    return { passed, total: stages.length, stages };
+  }
+
+  /**
+   * Export the last recorded stage attempt as JSON
+   * @returns {string|null} - Replay JSON
+   */
+  exportReplay() {
+    const replaySystem = this.gameEngine.replaySystem;
+    const json = replaySystem ? replaySystem.exportReplay() : null;
+
+    if (json) {
+      console.log("🎬 Last replay exported (pass it to TestRunner.runReplay)");
+    }
+    return json;
+  }
+
   /**
    * Generate comprehensive summary report
    */
@@ -264,6 +389,15 @@ class TestRunner {
       console.log(`   Avg Frame Time: ${perf.averageFrameTime.toFixed(2)}ms`);
     }
 
+    // Stage Layout Summary
+    if (results.stageValidation) {
+      const layout = results.stageValidation;
+      const layoutIcon = layout.passed === layout.total ? "✅" : "⚠️";
+      console.log(
+        `${layoutIcon} STAGE LAYOUTS: ${layout.passed}/${layout.total} without problems`
+      );
+    }
+
     console.log("=".repeat(80));
 
     // Overall Assessment
@@ -374,6 +508,17 @@ class TestRunner {
     console.log("🏥 TestRunner.quickCheck()");
     console.log("   Quick health check of critical systems");
     console.log("");
+    console.log("🎬 TestRunner.exportReplay()");
+    console.log("   Export the last stage attempt as replay JSON");
+    console.log("");
+    console.log("🎬 TestRunner.runReplay(json)");
+    console.log("   Play a replay and check it reproduces its recorded result");
+    console.log("");
+    console.log("🗺️ TestRunner.validateStages([ids])");
+    console.log(
+      "   Check stage layouts for unreachable goals/items and bad placement"
+    );
+    console.log("");
     console.log("📊 TestRunner.getHistory()");
     console.log("   Get history of previous test runs");
     console.log("");
@@ -0,0 +1,718 @@
+/**
+ * Tiled Importer for Mario Style Platformer
+ * Converts maps from the Tiled map editor (JSON or TMX) into stage data
+ */
+
+// Flip and rotation flags stored in the top bits of a tile GID
+const TILED_GID_MASK = 0x0fffffff;
+
+// Goal size when the goal object is a point
+const TILED_DEFAULT_GOAL_SIZE = { width: 60, height: 80 };
+
+/**
+ * TiledImporter Class
+ * Reads orthogonal Tiled maps in either format and returns a stage
+ * definition in the JSON stage format plus a list of warnings.
+ *
+ * Tile layers become collision platforms. Neighbouring tiles in a row are
+ * merged into one platform, and solid rows of the same span are merged
+ * downwards. Tiles whose tileset tile has a `passthrough` property set to
+ * true become passthrough platforms (kept one row high so every row can be
+ * landed on). Tile layers with a `collides` property set to false are
+ * decoration and are skipped, as are hidden layers.
+ *
+ * Objects are matched by their type (class), or by their name when the
+ * type is empty:
+ * - coin: a coin (properties: value)
+ * - powerup: a power-up (properties: powerType, duration)
+ * - spawn: the player start
+ * - goal: the goal (properties: goalType)
+ * Anything else is reported in the warnings instead of being imported.
+ *
+ * Map properties name, theme, music, timeLimit, deathPlane and id fill in
+ * the matching stage fields.
+ *
+ * When StageValidator is loaded, the layout problems it finds (such as an
+ * unreachable goal) are added to the warnings.
+ */
+class TiledImporter {
+  constructor() {
+    this.warnings = [];
+  }
+
+  /**
+   * Import a map in either format
+   * @param {string|Object} source - TMX text, Tiled JSON text or a parsed
+   *   Tiled JSON map
+   * @param {Object} options - id and name override the map's own values
+   * @returns {Object} - { stageData, warnings }; stageData is null when the
+   *   map could not be read
+   */
+  importMap(source, options = {}) {
+    if (typeof source === "string" && source.trim().startsWith("<")) {
+      return this.importTMX(source, options);
+    }
+    return this.importJSON(source, options);
+  }
+
+  /**
+   * Import a map saved in Tiled's JSON format
+   * @param {string|Object} source - JSON text or the parsed map
+   * @param {Object} options - id and name override the map's own values
+   * @returns {Object} - { stageData, warnings }
+   */
+  importJSON(source, options = {}) {
+    this.warnings = [];
+
+    let map = source;
+    if (typeof source === "string") {
+      try {
+        map = JSON.parse(source);
+      } catch (error) {
+        return this.fail(`Map is not valid JSON: ${error.message}`);
+      }
+    }
+
+    return this.convertMap(map, options);
+  }
+
+  /**
+   * Import a map saved in Tiled's TMX (XML) format
+   * @param {string} xmlText - TMX file contents
+   * @param {Object} options - id and name override the map's own values
+   * @returns {Object} - { stageData, warnings }
+   */
+  importTMX(xmlText, options = {}) {
+    this.warnings = [];
+
+    const root = parseXml(xmlText);
+    if (!root || root.name !== "map") {
+      return this.fail("TMX file has no <map> element");
+    }
+
+    return this.convertMap(this.readTMXMap(root), options);
+  }
+
+  /**
+   * Give up on a map that cannot be read
+   * @param {string} reason - Why the map was rejected
+   * @returns {Object} - { stageData: null, warnings }
+   */
+  fail(reason) {
+    console.error(`Tiled import failed: ${reason}`);
+    this.warnings.push(reason);
+    return { stageData: null, warnings: this.warnings };
+  }
+
+  /**
+   * Record a problem that did not stop the import
+   * @param {string} message - Warning text
+   */
+  warn(message) {
+    console.warn(`Tiled import: ${message}`);
+    this.warnings.push(message);
+  }
+
+  /**
+   * Convert a map in Tiled's JSON layout into a stage definition
+   * @param {Object} map - Tiled JSON map (TMX maps are read into the same
+   *   layout first)
+   * @param {Object} options - id and name override the map's own values
+   * @returns {Object} - { stageData, warnings }
+   */
+  convertMap(map, options) {
+    if (!map || typeof map !== "object" || !Array.isArray(map.layers)) {
+      return this.fail("Map has no layers");
+    }
+    if (map.orientation && map.orientation !== "orthogonal") {
+      return this.fail(
+        `Only orthogonal maps are supported (${map.orientation})`
+      );
+    }
+    if (!(map.tilewidth > 0 && map.tileheight > 0)) {
+      return this.fail("Map has no tile size");
+    }
+
+    const properties = readProperties(map.properties);
+    const tileProperties = this.readTileProperties(map.tilesets || []);
+
+    const stageData = {
+      id: options.id || properties.id || 1,
+      name: options.name || properties.name || "Tiled Stage",
+      width: map.width * map.tilewidth,
+      height: map.height * map.tileheight,
+      spawn: null,
+      platforms: [],
+      items: [],
+      enemies: [],
+      checkpoints: [],
+      goal: null,
+    };
+    ["theme", "music", "timeLimit", "deathPlane"].forEach((field) => {
+      if (properties[field] !== undefined) {
+        stageData[field] = properties[field];
+      }
+    });
+
+    this.convertLayers(map.layers, map, tileProperties, stageData);
+
+    if (!stageData.spawn) {
+      delete stageData.spawn;
+      this.warn("Map has no spawn object; the default spawn point is used");
+    }
+    if (!stageData.goal) {
+      delete stageData.goal;
+      this.warn("Map has no goal object; the default goal is used");
+    }
+
+    // Report layout problems (unreachable goal or pickups and the like)
+    if (typeof StageValidator !== "undefined") {
+      new StageValidator()
+        .validate(stageData)
+        .issues.forEach((issue) => this.warn(issue.message));
+    }
+
+    console.log(
+      `Tiled map imported: ${stageData.platforms.length} platforms, ${stageData.items.length} items, ${this.warnings.length} warnings`
+    );
+    return { stageData, warnings: this.warnings };
+  }
+
+  /**
+   * Convert a list of layers (group layers are converted recursively)
+   */
+  convertLayers(layers, map, tileProperties, stageData) {
+    for (const layer of layers) {
+      if (layer.visible === false) continue;
+
+      switch (layer.type) {
+        case "tilelayer":
+          if (readProperties(layer.properties).collides === false) break;
+          stageData.platforms.push(
+            ...this.convertTileLayer(layer, map, tileProperties)
+          );
+          break;
+        case "objectgroup":
+          (layer.objects || []).forEach((object) =>
+            this.convertObject(object, layer, stageData)
+          );
+          break;
+        case "group":
+          this.convertLayers(
+            layer.layers || [],
+            map,
+            tileProperties,
+            stageData
+          );
+          break;
+        default:
+          this.warn(`Layer "${layer.name}" (${layer.type}) was not imported`);
+      }
+    }
+  }
+
+  /**
+   * Collect tile properties by global tile id
+   * @param {Object[]} tilesets - Tilesets with firstgid and tiles
+   * @returns {Map} - Properties object by GID
+   */
+  readTileProperties(tilesets) {
+    const tileProperties = new Map();
+
+    for (const tileset of tilesets) {
+      if (tileset.source) {
+        this.warn(
+          `External tileset "${tileset.source}" is not embedded; its tile properties are ignored`
+        );
+      }
+      for (const tile of tileset.tiles || []) {
+        tileProperties.set(
+          tileset.firstgid + tile.id,
+          readProperties(tile.properties)
+        );
+      }
+    }
+
+    return tileProperties;
+  }
+
+  /**
+   * Turn a tile layer into merged platforms
+   * @param {Object} layer - Tile layer (data array, or chunks on infinite
+   *   maps)
+   * @param {Object} map - Map with tile size
+   * @param {Map} tileProperties - Tile properties by GID
+   * @returns {Object[]} - Platform definitions
+   */
+  convertTileLayer(layer, map, tileProperties) {
+    const chunks = layer.chunks || [
+      {
+        x: 0,
+        y: 0,
+        width: layer.width || map.width,
+        height: layer.height || map.height,
+        data: layer.data,
+      },
+    ];
+
+    // Kind of every occupied cell, keyed by row then column
+    const rows = new Map();
+    for (const chunk of chunks) {
+      const gids = this.readLayerData(chunk.data, layer);
+      gids.forEach((rawGid, index) => {
+        const gid = rawGid & TILED_GID_MASK;
+        if (gid === 0) return;
+
+        const column = chunk.x + (index % chunk.width);
+        const row = chunk.y + Math.floor(index / chunk.width);
+        const properties = tileProperties.get(gid) || {};
+        if (!rows.has(row)) {
+          rows.set(row, new Map());
+        }
+        rows
+          .get(row)
+          .set(
+            column,
+            properties.passthrough === true ? "passthrough" : "solid"
+          );
+      });
+    }
+
+    return mergeTiles(rows, map.tilewidth, map.tileheight);
+  }
+
+  /**
+   * Read a layer's tile GIDs
+   * @param {number[]|string} data - GID array, or base64 text
+   * @param {Object} layer - Layer with encoding and compression
+   * @returns {number[]} - GIDs (empty when the data cannot be read)
+   */
+  readLayerData(data, layer) {
+    if (Array.isArray(data)) return data;
+
+    if (layer.compression) {
+      this.warn(
+        `Layer "${layer.name}" uses ${layer.compression} compression, which is not supported; save it uncompressed`
+      );
+      return [];
+    }
+    if (layer.encoding === "base64" && typeof data === "string") {
+      return decodeBase64Gids(data);
+    }
+
+    this.warn(`Layer "${layer.name}" has no readable tile data`);
+    return [];
+  }
+
+  /**
+   * Add an object to the stage by its type
+   * @param {Object} object - Tiled object
+   * @param {Object} layer - Object layer it belongs to
+   * @param {Object} stageData - Stage definition being built
+   */
+  convertObject(object, layer, stageData) {
+    const type = String(object.type || object.class || object.name || "")
+      .trim()
+      .toLowerCase();
+    const properties = readProperties(object.properties);
+
+    // Tile objects are anchored at their bottom-left corner
+    const position = {
+      x: object.x,
+      y: object.gid ? object.y - (object.height || 0) : object.y,
+    };
+
+    switch (type) {
+      case "coin": {
+        const coin = { type: "coin", position };
+        if (properties.value !== undefined) {
+          coin.value = properties.value;
+        }
+        stageData.items.push(coin);
+        break;
+      }
+
+      case "powerup": {
+        const powerUp = { type: "powerup", position };
+        if (properties.powerType !== undefined) {
+          powerUp.powerType = properties.powerType;
+        }
+        if (properties.duration !== undefined) {
+          powerUp.duration = properties.duration;
+        }
+        stageData.items.push(powerUp);
+        break;
+      }
+
+      case "spawn":
+        stageData.spawn = position;
+        break;
+
+      case "goal":
+        stageData.goal = {
+          position,
+          size:
+            object.width > 0 && object.height > 0
+              ? { width: object.width, height: object.height }
+              : { ...TILED_DEFAULT_GOAL_SIZE },
+          type: properties.goalType || "flag",
+        };
+        break;
+
+      default:
+        this.warn(
+          `Object ${object.id} "${object.name || ""}" on layer "${
+            layer.name
+          }" has unknown type "${type}" and was not imported`
+        );
+    }
+  }
+
+  /**
+   * Read a parsed TMX <map> element into Tiled's JSON layout
+   * @param {Object} element - Parsed <map> element
+   * @returns {Object} - Map in the JSON layout
+   */
+  readTMXMap(element) {
+    const attributes = element.attributes;
+    return {
+      orientation: attributes.orientation,
+      width: Number(attributes.width),
+      height: Number(attributes.height),
+      tilewidth: Number(attributes.tilewidth),
+      tileheight: Number(attributes.tileheight),
+      properties: readTMXProperties(element),
+      tilesets: childElements(element, "tileset").map((tileset) => ({
+        firstgid: Number(tileset.attributes.firstgid),
+        source: tileset.attributes.source,
+        tiles: childElements(tileset, "tile").map((tile) => ({
+          id: Number(tile.attributes.id),
+          properties: readTMXProperties(tile),
+        })),
+      })),
+      layers: this.readTMXLayers(element),
+    };
+  }
+
+  /**
+   * Read the layer elements of a map or group into the JSON layout
+   * @param {Object} element - Parsed <map> or <group> element
+   * @returns {Object[]} - Layers in the JSON layout
+   */
+  readTMXLayers(element) {
+    const layers = [];
+
+    for (const child of element.children) {
+      const attributes = child.attributes;
+      const layer = {
+        name: attributes.name || "",
+        visible: attributes.visible !== "0",
+        properties: readTMXProperties(child),
+      };
+
+      switch (child.name) {
+        case "layer": {
+          const data = childElements(child, "data")[0];
+          layer.type = "tilelayer";
+          layer.width = Number(attributes.width);
+          layer.height = Number(attributes.height);
+          if (data) {
+            const chunks = childElements(data, "chunk");
+            layer.encoding = data.attributes.encoding;
+            layer.compression = data.attributes.compression;
+            if (chunks.length > 0) {
+              layer.chunks = chunks.map((chunk) => ({
+                x: Number(chunk.attributes.x),
+                y: Number(chunk.attributes.y),
+                width: Number(chunk.attributes.width),
+                height: Number(chunk.attributes.height),
+                data: readTMXData(chunk, layer.encoding),
+              }));
+            } else {
+              layer.data = readTMXData(data, layer.encoding);
+            }
+          }
+          break;
+        }
+
+        case "objectgroup":
+          layer.type = "objectgroup";
+          layer.objects = childElements(child, "object").map((object) => ({
+            id: Number(object.attributes.id),
+            name: object.attributes.name || "",
+            type: object.attributes.type || object.attributes.class || "",
+            x: Number(object.attributes.x || 0),
+            y: Number(object.attributes.y || 0),
+            width: Number(object.attributes.width || 0),
+            height: Number(object.attributes.height || 0),
+            gid: object.attributes.gid ? Number(object.attributes.gid) : 0,
+            properties: readTMXProperties(object),
+          }));
+          break;
+
+        case "group":
+          layer.type = "group";
+          layer.layers = this.readTMXLayers(child);
+          break;
+
+        case "imagelayer":
+          layer.type = "imagelayer";
+          break;
+
+        default:
+          // Map-level elements that are not layers (tileset, properties)
+          continue;
+      }
+
+      layers.push(layer);
+    }
+
+    return layers;
+  }
+}
+
+/**
+ * Merge occupied tiles into platforms
+ * Runs of the same kind in a row become one platform; solid runs covering
+ * the same columns in consecutive rows are merged into one taller platform.
+ * @param {Map} rows - Row -> (column -> "solid" | "passthrough")
+ * @param {number} tileWidth - Tile width in pixels
+ * @param {number} tileHeight - Tile height in pixels
+ * @returns {Object[]} - Platform definitions in row-major order
+ */
+function mergeTiles(rows, tileWidth, tileHeight) {
+  const platforms = [];
+  let open = new Map(); // "column,span" -> solid platform still growing down
+  let previousRow = null;
+
+  const rowNumbers = [...rows.keys()].sort((a, b) => a - b);
+  for (const row of rowNumbers) {
+    const cells = rows.get(row);
+    const columns = [...cells.keys()].sort((a, b) => a - b);
+    const continuing = previousRow === row - 1 ? open : new Map();
+    open = new Map();
+
+    let start = 0;
+    while (start < columns.length) {
+      const kind = cells.get(columns[start]);
+      let end = start;
+      while (
+        end + 1 < columns.length &&
+        columns[end + 1] === columns[end] + 1 &&
+        cells.get(columns[end + 1]) === kind
+      ) {
+        end++;
+      }
+
+      const span = columns[end] - columns[start] + 1;
+      const key = `${columns[start]},${span}`;
+      if (kind === "solid" && continuing.has(key)) {
+        const platform = continuing.get(key);
+        platform.size.height += tileHeight;
+        open.set(key, platform);
+      } else {
+        const platform = {
+          position: { x: columns[start] * tileWidth, y: row * tileHeight },
+          size: { width: span * tileWidth, height: tileHeight },
+          type: kind,
+        };
+        platforms.push(platform);
+        if (kind === "solid") {
+          open.set(key, platform);
+        }
+      }
+
+      start = end + 1;
+    }
+
+    previousRow = row;
+  }
+
+  return platforms;
+}
+
+/**
+ * Turn a Tiled property list into a plain object
+ * @param {Object[]|Object} properties - [{ name, type, value }] (older maps
+ *   store a plain object)
+ * @returns {Object} - Values by property name
+ */
+function readProperties(properties) {
+  if (!properties) return {};
+  if (!Array.isArray(properties)) return { ...properties };
+
+  const values = {};
+  for (const property of properties) {
+    values[property.name] = property.value;
+  }
+  return values;
+}
+
+/**
+ * Read the <properties> of a TMX element, converting values by type
+ * @param {Object} element - Parsed element
+ * @returns {Object[]} - [{ name, type, value }]
+ */
+function readTMXProperties(element) {
+  const list = childElements(element, "properties")[0];
+  if (!list) return [];
+
+  return childElements(list, "property").map((property) => {
+    const type = property.attributes.type || "string";
+    const text =
+      property.attributes.value !== undefined
+        ? property.attributes.value
+        : property.text;
+
+    let value = text;
+    if (type === "bool") {
+      value = text === "true";
+    } else if (type === "int" || type === "float") {
+      value = Number(text);
+    }
+    return { name: property.attributes.name, type, value };
+  });
+}
+
+/**
+ * Read the GIDs of a TMX <data> or <chunk> element
+ * @param {Object} element - Parsed element
+ * @param {string} encoding - "csv", "base64" or undefined (<tile> children)
+ * @returns {number[]|string} - GIDs, or the base64 text
+ */
+function readTMXData(element, encoding) {
+  if (encoding === "csv") {
+    return element.text
+      .split(",")
+      .map((value) => value.trim())
+      .filter((value) => value !== "")
+      .map(Number);
+  }
+  if (encoding === "base64") {
+    return element.text.trim();
+  }
+  return childElements(element, "tile").map((tile) =>
+    Number(tile.attributes.gid || 0)
+  );
+}
+
+/**
+ * Decode uncompressed base64 layer data (little-endian 32-bit GIDs)
+ * @param {string} text - Base64 text
+ * @returns {number[]} - GIDs
+ */
+function decodeBase64Gids(text) {
+  const binary =
+    typeof atob === "function"
+      ? atob(text.trim())
+      : Buffer.from(text.trim(), "base64").toString("binary");
+
+  const gids = [];
+  for (let i = 0; i + 3 < binary.length; i += 4) {
+    gids.push(
+      (binary.charCodeAt(i) |
+        (binary.charCodeAt(i + 1) << 8) |
+        (binary.charCodeAt(i + 2) << 16) |
+        (binary.charCodeAt(i + 3) << 24)) >>>
+        0
+    );
+  }
+  return gids;
+}
+
+/**
+ * Get the child elements with a tag name
+ */
+function childElements(element, name) {
+  return element.children.filter((child) => child.name === name);
+}
+
+/**
+ * Parse XML into a tree of { name, attributes, children, text }
+ * Enough for TMX files: elements, attributes, text, CDATA and entities.
+ * Comments, declarations and doctypes are skipped.
+ * @param {string} text - XML text
+ * @returns {Object|null} - Root element, or null if there is none
+ */
+function parseXml(text) {
+  const documentNode = { name: "#document", attributes: {}, children: [] };
+  const stack = [documentNode];
+  const tokenPattern =
+    /<!--[\s\S]*?-->|<[?!][^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  let match;
+  while ((match = tokenPattern.exec(String(text)))) {
+    const [, cdata, closing, name, attributeText, selfClosing, content] = match;
+    const parent = stack[stack.length - 1];
+
+    if (content !== undefined || cdata !== undefined) {
+      parent.text =
+        (parent.text || "") +
+        (cdata !== undefined ? cdata : decodeXmlEntities(content));
+    } else if (name && closing) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else if (name) {
+      const element = {
+        name,
+        attributes: parseXmlAttributes(attributeText),
+        children: [],
+        text: "",
+      };
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  return documentNode.children[0] || null;
+}
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} text - Text between the tag name and ">"
+ * @returns {Object} - Attribute values by name
+ */
+function parseXmlAttributes(text) {
+  const attributes = {};
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let match;
+  while ((match = attributePattern.exec(text || ""))) {
+    attributes[match[1]] = decodeXmlEntities(
+      match[2] !== undefined ? match[2] : match[3]
+    );
+  }
+  return attributes;
+}
+
+/**
+ * Replace XML character entities
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x?[0-9a-fA-F]+|amp|lt|gt|quot|apos);/g, (_, code) => {
+    switch (code) {
+      case "amp":
+        return "&";
+      case "lt":
+        return "<";
+      case "gt":
+        return ">";
+      case "quot":
+        return '"';
+      case "apos":
+        return "'";
+      default:
+        return String.fromCodePoint(
+          code[1] === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1))
+        );
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TiledImporter };
+}
@@ -74,12 +74,20 @@ class UISystem {
       this.hideHUD();
     }
 
-    // Update player stats if in game
+    // Update player stats if in game (co-op shows each player's)
     if (gameState.mode === "playing" && this.gameEngine.player) {
-      const playerState = this.gameEngine.player.getState();
-      this.updateScore(playerState.score);
-      this.updateCoins(playerState.coins);
-      this.updateLives(playerState.health);
+      const players = this.gameEngine.getPlayers
+        ? this.gameEngine.getPlayers()
+        : [this.gameEngine.player];
+
+      if (players.length > 1) {
+        this.updatePlayerScores(players.map((player) => player.getState()));
+      } else {
+        const playerState = players[0].getState();
+        this.updateScore(playerState.score);
+        this.updateCoins(playerState.coins);
+      }
+      this.updateLives(gameState.lives);
     }
   }
 
@@ -125,6 +133,24 @@ class UISystem {
     }
   }
 
+  /**
+   * Update the score and coin displays with one entry per co-op player
+   * @param {Array} playerStates - Player states from Player.getState()
+   */
+  updatePlayerScores(playerStates) {
+    if (this.scoreElement) {
+      this.scoreElement.textContent = playerStates
+        .map((state, index) => `P${index + 1} ${state.score.toLocaleString()}`)
+        .join(" / ");
+    }
+
+    if (this.coinElement) {
+      this.coinElement.textContent = playerStates
+        .map((state, index) => `P${index + 1} ${state.coins}`)
+        .join(" / ");
+    }
+  }
+
   /**
    * Update lives display
    * @param {number} lives - Current lives/health
@@ -283,3 +309,8 @@ class UISystem {
     }
   }
 }
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = UISystem;
+}
@@ -0,0 +1,239 @@
+/**
+ * Node.js test for Question Blocks and Bricks
+ * Tests head-bump detection, block contents, brick breaking and serialization
+ */
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const {
+  PhysicsEngine,
+  ItemManager,
+  StageRegistry,
+  Platform,
+  Block,
+  Stage,
+  Player,
+} = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Create a stage with a ground strip and the given blocks
+ */
+function createTestStage(blocks) {
+  const stage = new Stage(1);
+  stage.platforms = [];
+  stage.staticPlatforms = [];
+  stage.movingPlatforms = [];
+  stage.blocks = [];
+  stage.addPlatform(new Platform(0, 500, 2400, 100, "solid"));
+  blocks.forEach((block) => stage.addPlatform(block));
+  return stage;
+}
+
+/**
+ * Jump the player straight up into whatever is above and return the first
+ * block hit (the way GameEngine.updatePhysics checks for head bumps)
+ */
+function jumpInto(stage, player, physicsEngine) {
+  player.velocity.y = -400;
+  player.isOnGround = false;
+
+  for (let i = 0; i < 60; i++) {
+    physicsEngine.applyGravity(player, FRAME_TIME);
+    physicsEngine.updatePosition(player, FRAME_TIME);
+    const collisions = stage.checkPlatformCollisions(player, physicsEngine);
+    const hit = stage.checkBlockHit(player, collisions);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Test suite
+runTestSuite("Block", (test) => {
+  test("Jumping into a question block from below hits it", () => {
+    const physicsEngine = new PhysicsEngine();
+    const block = new Block(100, 400, 32, 32, "question");
+    const stage = createTestStage([block]);
+    const player = new Player(100, 468);
+
+    const hit = jumpInto(stage, player, physicsEngine);
+
+    return (
+      hit !== null &&
+      hit.type === "question" &&
+      hit.contents.type === "coin" &&
+      block.isUsed &&
+      player.velocity.y >= 0
+    );
+  });
+
+  test("Landing on top of a block does not hit it", () => {
+    const physicsEngine = new PhysicsEngine();
+    const block = new Block(100, 400, 32, 32, "question");
+    const stage = createTestStage([block]);
+    const player = new Player(100, 360);
+    player.velocity.y = 200;
+
+    physicsEngine.updatePosition(player, FRAME_TIME * 3);
+    const collisions = stage.checkPlatformCollisions(player, physicsEngine);
+
+    return (
+      collisions.some(
+        (collision) => collision.resolution.direction === "bottom"
+      ) &&
+      stage.checkBlockHit(player, collisions) === null &&
+      !block.isUsed
+    );
+  });
+
+  test("A question block only releases its contents once", () => {
+    const block = new Block(100, 400, 32, 32, "question", {
+      type: "powerup",
+      powerType: "speed",
+    });
+    const first = block.hit(new Player(100, 432));
+    const second = block.hit(new Player(100, 432));
+    return (
+      first.contents.type === "powerup" &&
+      first.contents.powerType === "speed" &&
+      second === null
+    );
+  });
+
+  test("Only the block closest to the player's head reacts", () => {
+    const physicsEngine = new PhysicsEngine();
+    const left = new Block(100, 400, 32, 32, "question");
+    const right = new Block(132, 400, 32, 32, "question");
+    const stage = createTestStage([left, right]);
+    const player = new Player(120, 468); // Mostly under the right block
+
+    const hit = jumpInto(stage, player, physicsEngine);
+
+    return hit.block === right && !left.isUsed;
+  });
+
+  test("Bricks bump harmlessly without the strength power-up", () => {
+    const physicsEngine = new PhysicsEngine();
+    const brick = new Block(100, 400, 32, 32, "brick");
+    const stage = createTestStage([brick]);
+    const player = new Player(100, 468);
+
+    const hit = jumpInto(stage, player, physicsEngine);
+
+    return (
+      hit.type === "brick" &&
+      !hit.broken &&
+      !brick.isBroken &&
+      brick.isSolid() &&
+      brick.getBumpOffset() <= 0
+    );
+  });
+
+  test("Bricks shatter with the strength power-up", () => {
+    const physicsEngine = new PhysicsEngine();
+    const brick = new Block(100, 400, 32, 32, "brick");
+    const stage = createTestStage([brick]);
+    const player = new Player(100, 468);
+    player.activatePowerUp("strength", 5000);
+
+    const hit = jumpInto(stage, player, physicsEngine);
+
+    return (
+      hit.broken &&
+      brick.isBroken &&
+      !brick.isSolid() &&
+      brick.debris.length === 4 &&
+      stage.getPlatformsInArea(110, 410, 1, 1).length === 0
+    );
+  });
+
+  test("Broken bricks no longer collide and debris falls away", () => {
+    const physicsEngine = new PhysicsEngine();
+    const brick = new Block(100, 400, 32, 32, "brick");
+    const stage = createTestStage([brick]);
+    brick.shatter();
+
+    const player = new Player(100, 410);
+    const collisions = stage.checkPlatformCollisions(player, physicsEngine);
+
+    for (let i = 0; i < 120; i++) {
+      stage.update(FRAME_TIME);
+    }
+
+    return (
+      !collisions.some((collision) => collision.platform === brick) &&
+      brick.debris.length === 0
+    );
+  });
+
+  test("Popped-out items can't be collected until they clear the block", () => {
+    const itemManager = new ItemManager();
+    const coin = ItemManager.createItemFromData({
+      type: "coin",
+      position: { x: 106, y: 400 },
+    });
+    coin.popOut(380, 400);
+    itemManager.addItem(coin);
+
+    const player = new Player(100, 380);
+    const whilePopping = itemManager.checkCollisions(player).length;
+    for (let i = 0; i < 30; i++) {
+      itemManager.update(FRAME_TIME);
+    }
+
+    return (
+      whilePopping === 0 &&
+      !coin.isPopping() &&
+      coin.position.y === 380 &&
+      itemManager.checkCollisions(player).length === 1
+    );
+  });
+
+  test("Stage reset restores used and broken blocks", () => {
+    const question = new Block(100, 400, 32, 32, "question");
+    const brick = new Block(132, 400, 32, 32, "brick");
+    const stage = createTestStage([question, brick]);
+    question.hit(null);
+    brick.shatter();
+
+    stage.reset();
+
+    return !question.isUsed && !brick.isBroken && brick.debris.length === 0;
+  });
+
+  test("Blocks survive getStageData serialization", () => {
+    const original = new Stage(1);
+    const data = JSON.parse(JSON.stringify(original.getStageData()));
+    const copy = new Stage(1, data);
+    const questionBlocks = copy.blocks.filter(
+      (block) => block.type === "question"
+    );
+    return (
+      copy.blocks.length === original.blocks.length &&
+      copy.blocks.length > 0 &&
+      questionBlocks.some((block) => block.contents.type === "powerup") &&
+      JSON.stringify(copy.getStageData()) === JSON.stringify(data)
+    );
+  });
+
+  test("Registry rejects question blocks with unknown contents", () => {
+    const registry = new StageRegistry();
+    const block = {
+      position: { x: 100, y: 400 },
+      size: { width: 32, height: 32 },
+      type: "question",
+    };
+    const results = [
+      registry.registerStage({
+        id: 1,
+        platforms: [{ ...block, contents: { type: "enemy" } }],
+      }),
+      registry.registerStage({
+        id: 2,
+        platforms: [{ ...block, contents: { type: "powerup" } }],
+      }),
+    ];
+    return !results[0] && results[1] && registry.getStageCount() === 1;
+  });
+});
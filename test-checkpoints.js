@@ -0,0 +1,148 @@
+/**
+ * Node.js test for Checkpoints
+ * Tests activation, respawn data, stage tracking, reset and serialization
+ */
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const { Checkpoint, Stage, Player } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Create a stage with two checkpoints and no stage data checkpoints
+ */
+function createTestStage() {
+  const stage = new Stage(1);
+  stage.checkpoints = [new Checkpoint(600, 420), new Checkpoint(1200, 420)];
+  stage.activeCheckpoint = null;
+  return stage;
+}
+
+// Test suite
+runTestSuite("Checkpoint", (test) => {
+  test("Touching a checkpoint records respawn point and elapsed time", () => {
+    const stage = createTestStage();
+    const player = new Player(610, 468);
+    const result = stage.checkCheckpointCollision(player, 42.5);
+
+    return (
+      result !== null &&
+      result.type === "checkpoint" &&
+      result.elapsedTime === 42.5 &&
+      result.respawnPoint.x === 604 &&
+      result.respawnPoint.y === 468 &&
+      stage.getActiveCheckpoint() === stage.checkpoints[0] &&
+      stage.checkpoints[0].activationTime === 42.5
+    );
+  });
+
+  test("A checkpoint only activates once", () => {
+    const stage = createTestStage();
+    const player = new Player(610, 468);
+    stage.checkCheckpointCollision(player, 10);
+    const second = stage.checkCheckpointCollision(player, 20);
+
+    return second === null && stage.checkpoints[0].activationTime === 10;
+  });
+
+  test("Checkpoints far from the player stay inactive", () => {
+    const stage = createTestStage();
+    const player = new Player(100, 468);
+    return (
+      stage.checkCheckpointCollision(player, 5) === null &&
+      stage.getActiveCheckpoint() === null
+    );
+  });
+
+  test("The latest touched checkpoint becomes the active one", () => {
+    const stage = createTestStage();
+    stage.checkCheckpointCollision(new Player(610, 468), 10);
+    stage.checkCheckpointCollision(new Player(1210, 468), 30);
+
+    return (
+      stage.getActiveCheckpoint() === stage.checkpoints[1] &&
+      stage.checkpoints[0].isActivated
+    );
+  });
+
+  test("Activation survives stage updates (pause/resume)", () => {
+    const stage = createTestStage();
+    stage.checkCheckpointCollision(new Player(610, 468), 10);
+
+    for (let i = 0; i < 120; i++) {
+      stage.update(FRAME_TIME);
+    }
+
+    const checkpoint = stage.getActiveCheckpoint();
+    return (
+      checkpoint === stage.checkpoints[0] &&
+      checkpoint.isActivated &&
+      checkpoint.activationTime === 10 &&
+      checkpoint.flagColor === checkpoint.activeFlagColor
+    );
+  });
+
+  test("Stage reset clears every checkpoint", () => {
+    const stage = createTestStage();
+    stage.checkCheckpointCollision(new Player(610, 468), 10);
+    stage.checkCheckpointCollision(new Player(1210, 468), 30);
+    stage.reset();
+
+    return (
+      stage.getActiveCheckpoint() === null &&
+      stage.checkpoints.every(
+        (checkpoint) =>
+          !checkpoint.isActivated &&
+          checkpoint.activationTime === null &&
+          checkpoint.flagColor === checkpoint.inactiveFlagColor
+      )
+    );
+  });
+
+  test("Custom respawn points are used", () => {
+    const checkpoint = Checkpoint.createFromData({
+      position: { x: 800, y: 420 },
+      respawn: { x: 760, y: 300 },
+    });
+    const result = checkpoint.activate(new Player(810, 468), 0);
+    return result.respawnPoint.x === 760 && result.respawnPoint.y === 300;
+  });
+
+  test("Every built-in stage has a checkpoint", () => {
+    return stageRegistry
+      .getStageIds()
+      .every((stageId) => new Stage(stageId).checkpoints.length > 0);
+  });
+
+  test("Checkpoints survive getStageData serialization", () => {
+    const original = new Stage(1);
+    const data = JSON.parse(JSON.stringify(original.getStageData()));
+    const copy = new Stage(1, data);
+    return (
+      copy.checkpoints.length === original.checkpoints.length &&
+      copy.checkpoints[0] instanceof Checkpoint &&
+      JSON.stringify(copy.getStageData()) === JSON.stringify(data)
+    );
+  });
+
+  test("Registry rejects checkpoints without a position", () => {
+    const registry = new StageRegistry();
+    const results = [
+      registry.registerStage({ id: 1, platforms: [], checkpoints: {} }),
+      registry.registerStage({
+        id: 2,
+        platforms: [],
+        checkpoints: [{ size: {} }],
+      }),
+      registry.registerStage({
+        id: 3,
+        platforms: [],
+        checkpoints: [{ position: { x: 100, y: 420 } }],
+      }),
+    ];
+    return (
+      !results[0] && !results[1] && results[2] && registry.getStageCount() === 1
+    );
+  });
+});
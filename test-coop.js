@@ -0,0 +1,294 @@
+/**
+ * Node.js test for Local Co-op
+ * Plays two-player games on a headless engine: the second binding set and
+ * gamepad, the shared camera, per-player items and scores, downed players
+ * and clearing the stage with either player
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  holdKeys,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG, MemoryStorage } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+// Mock Gamepad API (empty unless a test plugs pads in)
+const gamepadSlots = [null, null, null, null];
+Object.defineProperty(global, "navigator", {
+  value: { getGamepads: () => gamepadSlots },
+  configurable: true,
+  writable: true,
+});
+
+/**
+ * Create a mock standard-mapping gamepad pressing some buttons
+ */
+function createPad(index, pressed = []) {
+  return {
+    index,
+    id: `Mock Pad ${index}`,
+    connected: true,
+    mapping: "standard",
+    buttons: Array.from({ length: 17 }, (_, button) => ({
+      pressed: pressed.includes(button),
+      value: pressed.includes(button) ? 1 : 0,
+    })),
+    axes: [0, 0, 0, 0],
+  };
+}
+
+/**
+ * Create a headless engine and start a co-op game from the menu
+ */
+async function startCoop(storage = new MemoryStorage()) {
+  gamepadSlots.fill(null);
+  const engine = await loadHeadlessEngine({ storage });
+  engine.sceneManager.getScene("menu").startScreen.selectOption(1);
+  engine.start();
+  return engine;
+}
+
+/**
+ * Canvas context stand-in that records the text drawn
+ */
+function createTextContext(texts) {
+  return new Proxy(
+    {},
+    {
+      get(target, property) {
+        if (property === "fillText") {
+          return (text) => texts.push(text);
+        }
+        if (property in target) {
+          return target[property];
+        }
+        return () => ({ addColorStop() {} });
+      },
+      set(target, property, value) {
+        target[property] = value;
+        return true;
+      },
+    }
+  );
+}
+
+// Test suite
+runTestSuite("Local Co-op", async (test) => {
+  await test("The co-op menu option starts a two-player game", async () => {
+    const engine = await startCoop();
+    const [player1, player2] = engine.getPlayers();
+
+    return (
+      engine.sceneManager.getCurrentScene().name === "game" &&
+      engine.coopMode &&
+      player2 === engine.player2 &&
+      player1.nameTag === "P1" &&
+      player2.nameTag === "P2" &&
+      player2.position.x ===
+        player1.position.x - GAME_CONFIG.coopRespawnOffset &&
+      engine.camera.followTargets.length === 2 &&
+      !engine.replaySystem.isRecording() &&
+      engine.ghostSystem.ghost === null
+    );
+  });
+
+  await test("The second binding set drives only player 2", async () => {
+    const engine = await startCoop();
+    holdKeys(engine, [], 30); // Land on the ground
+    const start1 = engine.player.position.x;
+    const start2 = engine.player2.position.x;
+
+    holdKeys(engine, ["KeyL"], 40);
+    const moved2 = engine.player2.position.x - start2;
+    holdKeys(engine, ["KeyI"], 2);
+    const jumped = engine.player2.velocity.y < 0;
+
+    return (
+      moved2 > 50 &&
+      engine.player.position.x === start1 &&
+      jumped &&
+      engine.player.isOnGround
+    );
+  });
+
+  await test("The second gamepad drives player 2 in co-op", async () => {
+    const engine = await startCoop();
+    holdKeys(engine, [], 30);
+    gamepadSlots[0] = createPad(0);
+    gamepadSlots[1] = createPad(1, [15]); // D-pad right
+    holdKeys(engine, [], 30);
+    const moved =
+      engine.player2.velocity.x > 0 && engine.player.velocity.x === 0;
+    const pad2Held = engine.inputManager.isKeyHeld("Gamepad2Right");
+    const pad1Free = !engine.inputManager.isKeyHeld("GamepadRight");
+    gamepadSlots.fill(null);
+
+    // Back in single player the pads merge again
+    engine.sceneManager.changeScene("menu");
+    engine.startGame();
+
+    return (
+      moved &&
+      pad2Held &&
+      pad1Free &&
+      !engine.inputManager.splitGamepads &&
+      engine.inputManager.getKeyLabel("Gamepad2A") === "P2 Pad A" &&
+      engine.inputManager.getKeyLabel("Gamepad2LStickLeft") === "P2 L-Stick ←"
+    );
+  });
+
+  await test("The leash keeps both players on screen", async () => {
+    const engine = await startCoop();
+    holdKeys(engine, ["ArrowRight"], 240); // Player 1 runs off alone
+
+    const camera = engine.camera;
+    const distance = engine.player.position.x - engine.player2.position.x;
+    const viewport = camera.getViewport();
+    const onScreen = engine
+      .getPlayers()
+      .every(
+        (player) =>
+          player.position.x >= viewport.left &&
+          player.position.x + player.size.width <= viewport.right
+      );
+
+    return (
+      distance <= camera.getLeashDistance(engine.player.size.width) + 0.001 &&
+      distance > 300 &&
+      onScreen
+    );
+  });
+
+  await test("Items are collected by whichever player touches them", async () => {
+    const engine = await startCoop();
+    holdKeys(engine, [], 30);
+
+    const player2 = engine.player2;
+    const coin = ItemManager.createItemFromData({
+      type: "coin",
+      position: { x: player2.position.x + 8, y: player2.position.y + 8 },
+    });
+    engine.itemManager.addItem(coin);
+    holdKeys(engine, [], 2);
+
+    return (
+      player2.coins === 1 &&
+      player2.score > 0 &&
+      engine.player.coins === 0 &&
+      engine.player.score === 0 &&
+      engine.getTotalCoins() === 1
+    );
+  });
+
+  await test("Either player reaching the goal clears the stage", async () => {
+    const storage = new MemoryStorage();
+    const engine = await startCoop(storage);
+    holdKeys(engine, [], 30);
+    engine.player.score = 300;
+    engine.player2.coins = 4;
+
+    const goal = engine.currentStage.goal;
+    engine.player2.setPosition(goal.position.x + 10, goal.position.y + 20);
+    holdKeys(engine, [], 2);
+
+    const clear = engine.stageClearData;
+    return (
+      engine.gameState.mode === "victory" &&
+      clear.finisherIndex === 1 &&
+      clear.playerResults.length === 2 &&
+      clear.playerResults[0].score === 300 &&
+      clear.playerResults[1].score === clear.scoreBonus &&
+      clear.finalScore === 300 + clear.scoreBonus &&
+      clear.coinsCollected === 4 &&
+      engine.saveSystem.getBestScore(1) === clear.finalScore &&
+      engine.saveSystem.loadGhost(1) === null
+    );
+  });
+
+  await test("A downed player rejoins next to their partner", async () => {
+    const engine = await startCoop();
+    holdKeys(engine, [], 30);
+    const lives = engine.gameState.lives;
+
+    engine.killPlayer("hazard", engine.player2);
+    const downed =
+      engine.player2.isDead &&
+      engine.deathState === null &&
+      engine.gameState.lives === lives - 1;
+
+    // Player 1 keeps playing while player 2 is down
+    const start1 = engine.player.position.x;
+    holdKeys(engine, ["ArrowRight"], 30);
+    const kept = engine.player.position.x > start1;
+
+    const frames = Math.ceil(GAME_CONFIG.deathAnimationDuration / FRAME_TIME);
+    holdKeys(engine, [], frames);
+
+    return (
+      downed &&
+      kept &&
+      !engine.player2.isDead &&
+      engine.player2.invincible &&
+      Math.abs(engine.player2.position.x - engine.player.position.x) < 40
+    );
+  });
+
+  await test("With both players down everyone respawns together", async () => {
+    const engine = await startCoop();
+    holdKeys(engine, [], 30);
+    engine.killPlayer("hazard", engine.player2);
+    engine.killPlayer("pit", engine.player);
+    const frozen = engine.deathState !== null && engine.gameState.lives === 1;
+
+    const frames = Math.ceil(GAME_CONFIG.deathAnimationDuration / FRAME_TIME);
+    holdKeys(engine, [], frames + 2);
+
+    const respawn = engine.getRespawnPoint();
+    const respawned =
+      engine.deathState === null &&
+      !engine.player.isDead &&
+      !engine.player2.isDead &&
+      engine.player.position.x === respawn.x;
+
+    // The last life ends the game for both
+    engine.killPlayer("health", engine.player2);
+    holdKeys(engine, [], frames + 2);
+
+    return (
+      frozen &&
+      respawned &&
+      engine.sceneManager.getCurrentScene().name === "gameover"
+    );
+  });
+
+  await test("The HUD shows each player's score", async () => {
+    const engine = await startCoop();
+    engine.player.score = 1200;
+    engine.player2.score = 800;
+
+    const texts = [];
+    engine.ctx = createTextContext(texts);
+    engine.renderUI();
+
+    return texts.includes("P1 Score: 1200") && texts.includes("P2 Score: 800");
+  });
+
+  await test("A single-player game after co-op has one player", async () => {
+    const engine = await startCoop();
+    engine.stopGame();
+    engine.startGame();
+
+    return (
+      !engine.coopMode &&
+      engine.getPlayers().length === 1 &&
+      engine.player.nameTag === null &&
+      engine.camera.followTargets.length === 1 &&
+      engine.camera.followOffset.x === engine.camera.width / 3 &&
+      engine.replaySystem.isRecording()
+    );
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Node.js test for the Level Editor
+ * Drives the EditorScene of a headless engine: placing, moving, resizing
+ * and deleting objects on the grid, undo/redo, panning, saving and
+ * play-testing the edited stage
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  holdKeys,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { MemoryStorage } = loadGameScripts({ quiet: true });
+
+/**
+ * Create a headless engine with the level editor open
+ */
+async function openEditor(storage = new MemoryStorage()) {
+  const engine = await loadHeadlessEngine({ storage });
+  engine.sceneManager.changeScene("editor");
+  holdKeys(engine, [], 15); // Wait out the editor's input delay
+  return { engine, editor: engine.sceneManager.getScene("editor") };
+}
+
+/**
+ * Press a key once while holding modifier keys
+ */
+function press(engine, key, modifiers = []) {
+  modifiers.forEach((modifier) =>
+    engine.inputManager.setKeyState(modifier, true)
+  );
+  holdKeys(engine, [key], 1);
+  holdKeys(engine, [], 1);
+  modifiers.forEach((modifier) =>
+    engine.inputManager.setKeyState(modifier, false)
+  );
+}
+
+/**
+ * Click at a canvas position, optionally dragging to a second one
+ */
+function click(editor, x, y, dragTo = null) {
+  editor.handleMouseMove(x, y);
+  editor.handleMouseDown(x, y);
+  if (dragTo) {
+    editor.handleMouseMove(dragTo.x, dragTo.y);
+  }
+  const end = dragTo || { x, y };
+  editor.handleMouseUp(end.x, end.y);
+}
+
+// Test suite
+runTestSuite("Level Editor", async (test) => {
+  await test("The editor opens from the title menu", async () => {
+    const engine = await loadHeadlessEngine();
+    const startScreen = engine.sceneManager.getScene("menu").startScreen;
+    startScreen.selectOption(startScreen.menuOptions.indexOf("Level Editor"));
+
+    const editor = engine.sceneManager.getCurrentScene();
+    return (
+      editor instanceof EditorScene &&
+      engine.gameState.mode === "menu" &&
+      editor.stageData.platforms.length === 1 &&
+      editor.stageData.goal !== null
+    );
+  });
+
+  await test("Platforms of each type are placed on the grid", async () => {
+    const { editor } = await openEditor();
+    const types = ["solid", "passthrough", "moving", "hazard", "question"];
+    types.concat("brick").forEach((type, index) => {
+      editor.selectTool(type);
+      click(editor, 103 + index * 110, 205);
+    });
+
+    const placed = editor.stageData.platforms.slice(1);
+    const stage = new Stage(EDITOR_STAGE_ID, editor.getStageData());
+    return (
+      placed.map((platform) => platform.type).join() ===
+        types.concat("brick").join() &&
+      placed.every(
+        (platform) =>
+          platform.position.x % EDITOR_GRID_SIZE === 0 &&
+          platform.position.y === 208
+      ) &&
+      placed[2].path.type === "pingpong" &&
+      stage.blocks.length === 2 &&
+      stage.movingPlatforms.length === 1
+    );
+  });
+
+  await test("Coins, power-ups and the goal are placed in view", async () => {
+    const { engine, editor } = await openEditor();
+    holdKeys(engine, ["ArrowRight"], 30); // Pan to the right
+
+    const cameraX = editor.camera.x;
+    editor.selectTool("coin");
+    click(editor, 100, 300);
+    editor.selectTool("powerup");
+    click(editor, 200, 300);
+    editor.selectTool("goal");
+    click(editor, 400, 400);
+
+    const [coin, powerup] = editor.stageData.items;
+    return (
+      cameraX > 0 &&
+      coin.type === "coin" &&
+      coin.position.x === editor.snap(100 + cameraX) &&
+      powerup.type === "powerup" &&
+      editor.stageData.goal.position.x === editor.snap(400 + cameraX) &&
+      editor.previewStage.goal.position.y === 400
+    );
+  });
+
+  await test("Dragging moves an object and its corner resizes it", async () => {
+    const { editor } = await openEditor();
+    editor.selectTool("moving");
+    click(editor, 160, 160);
+    const platform = editor.stageData.platforms[1];
+    const pathStart = platform.path.points[0].x;
+
+    // Drag the platform 45px right and 30px down
+    click(editor, 170, 165, { x: 215, y: 195 });
+    const moved = { ...platform.position };
+
+    // Drag its bottom-right corner out
+    const corner = {
+      x: moved.x + platform.size.width,
+      y: moved.y + platform.size.height,
+    };
+    click(editor, corner.x, corner.y, { x: corner.x + 37, y: corner.y + 3 });
+
+    return (
+      moved.x === 208 &&
+      moved.y === 192 &&
+      platform.path.points[0].x === pathStart + 48 &&
+      platform.size.width === 96 + 32 &&
+      platform.size.height === 16
+    );
+  });
+
+  await test("Delete removes the selection but keeps the goal", async () => {
+    const { engine, editor } = await openEditor();
+    editor.selectTool("brick");
+    click(editor, 300, 300);
+    press(engine, "Delete");
+    const platformsLeft = editor.stageData.platforms.length;
+
+    editor.selection = { kind: "goal", index: 0 };
+    const deletedGoal = editor.deleteSelection();
+
+    return (
+      platformsLeft === 1 &&
+      editor.selection !== null &&
+      !deletedGoal &&
+      editor.stageData.goal !== null
+    );
+  });
+
+  await test("Undo and redo step through edits", async () => {
+    const { engine, editor } = await openEditor();
+    editor.selectTool("coin");
+    click(editor, 100, 100);
+    click(editor, 200, 100);
+    press(engine, "KeyZ", ["ControlLeft"]);
+    const afterUndo = editor.stageData.items.length;
+    press(engine, "KeyZ", ["ControlLeft"]);
+    const afterTwoUndos = editor.stageData.items.length;
+    press(engine, "KeyY", ["ControlLeft"]);
+    const afterRedo = editor.stageData.items.length;
+
+    // A new edit drops what could have been redone
+    click(editor, 300, 100);
+    const redoneAfterEdit = editor.redo();
+
+    return (
+      afterUndo === 1 &&
+      afterTwoUndos === 0 &&
+      afterRedo === 1 &&
+      editor.stageData.items.length === 2 &&
+      !redoneAfterEdit &&
+      editor.previewItems.length === 2
+    );
+  });
+
+  await test("Dragging is undone as one edit", async () => {
+    const { engine, editor } = await openEditor();
+    editor.selectTool("solid");
+    click(editor, 320, 320);
+    const platform = () => editor.stageData.platforms[1];
+    const placed = { ...platform().position };
+
+    click(editor, 330, 330, { x: 500, y: 250 });
+    const dragged = { ...platform().position };
+    press(engine, "KeyZ", ["ControlLeft"]);
+
+    return (
+      dragged.x !== placed.x &&
+      platform().position.x === placed.x &&
+      platform().position.y === placed.y &&
+      editor.undoStack.length === 1
+    );
+  });
+
+  await test("Panning stays inside the stage", async () => {
+    const { engine, editor } = await openEditor();
+    holdKeys(engine, ["ArrowLeft", "ArrowUp"], 10);
+    const atStart = { ...editor.camera };
+    holdKeys(engine, ["ArrowRight"], 600);
+
+    return (
+      atStart.x === 0 &&
+      atStart.y === 0 &&
+      editor.camera.x === editor.stageData.width - engine.canvas.width &&
+      editor.camera.y === 0
+    );
+  });
+
+  await test("Stages save and load in the Stage.getStageData() form", async () => {
+    const storage = new MemoryStorage();
+    const { engine, editor } = await openEditor(storage);
+    editor.selectTool("hazard");
+    click(editor, 400, 464);
+    editor.selectTool("coin");
+    click(editor, 420, 420);
+    const saved = editor.saveStage() && !editor.hasUnsavedChanges;
+    const stageData = editor.getStageData();
+    const expected = new Stage(stageData.id, stageData).getStageData();
+
+    // A new engine opens the saved stage
+    const reopened = await openEditor(storage);
+
+    // Built-in stages can be opened for editing too
+    const builtIn = new Stage(2).getStageData();
+    editor.loadStageData(builtIn);
+
+    return (
+      saved &&
+      JSON.stringify(stageData) === JSON.stringify(expected) &&
+      JSON.stringify(reopened.editor.getStageData()) ===
+        JSON.stringify(stageData) &&
+      engine.saveSystem.loadEditorStage().platforms.length === 2 &&
+      JSON.stringify(editor.getStageData()) === JSON.stringify(builtIn)
+    );
+  });
+
+  await test("Play-testing runs the edited stage and returns to the editor", async () => {
+    const { engine, editor } = await openEditor();
+    editor.selectTool("brick");
+    click(editor, 300, 300);
+    press(engine, "KeyT");
+
+    const playing =
+      engine.gameState.mode === "playing" &&
+      engine.currentStage.id === EDITOR_STAGE_ID &&
+      engine.currentStage.blocks.length === 1;
+    holdKeys(engine, [], 30);
+    press(engine, "Escape");
+
+    // Editor data is kept, and the next game builds stage 1 from the registry
+    const backInEditor =
+      engine.sceneManager.getCurrentScene() === editor &&
+      editor.stageData.platforms.length === 2;
+    engine.startGame();
+
+    return (
+      playing &&
+      backInEditor &&
+      engine.playTestStage === null &&
+      engine.currentStage.id === 1 &&
+      engine.currentStage.blocks.length === new Stage(1).blocks.length
+    );
+  });
+
+  await test("Clearing a play-test saves nothing", async () => {
+    const { engine, editor } = await openEditor();
+    editor.startPlayTest();
+    holdKeys(engine, [], 30);
+
+    const goal = engine.currentStage.goal;
+    engine.player.setPosition(goal.position.x + 10, goal.position.y + 20);
+    holdKeys(engine, [], 2);
+    const cleared = engine.gameState.mode === "victory";
+    engine.proceedToNextStage();
+
+    return (
+      cleared &&
+      engine.sceneManager.getCurrentScene() === editor &&
+      engine.saveSystem.getBestScore(EDITOR_STAGE_ID) === 0 &&
+      engine.saveSystem.loadGhost(EDITOR_STAGE_ID) === null &&
+      engine.replaySystem.lastReplay === null
+    );
+  });
+});
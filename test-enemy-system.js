@@ -0,0 +1,202 @@
+/**
+ * Node.js test for the Enemy System
+ * Tests walker patrolling, stomp detection and EnemyManager contacts
+ */
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const { PhysicsEngine, Platform, Stage, Player, Enemy, Walker, EnemyManager } =
+  loadGameScripts({ quiet: true });
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Create a small stage with a ground strip and one raised platform
+ */
+function createTestStage() {
+  const stage = new Stage(1);
+  stage.platforms = [];
+  stage.staticPlatforms = [];
+  stage.addPlatform(new Platform(0, 500, 2400, 100, "solid"));
+  stage.addPlatform(new Platform(300, 400, 200, 20, "solid"));
+  return stage;
+}
+
+/**
+ * Step an enemy manager for a number of frames
+ */
+function step(manager, stage, physicsEngine, frames) {
+  for (let i = 0; i < frames; i++) {
+    manager.update(FRAME_TIME, stage, physicsEngine);
+  }
+}
+
+// Test suite
+runTestSuite("Enemy System", (test) => {
+  test("Landing on a platform is resolved as a bottom collision", () => {
+    const physicsEngine = new PhysicsEngine();
+    const entity = {
+      position: { x: 10, y: 470 },
+      velocity: { x: 0, y: 100 },
+      size: { width: 32, height: 32 },
+      isOnGround: false,
+    };
+    const platform = new Platform(0, 500, 200, 20);
+    const resolution = physicsEngine.resolveCollision(entity, platform);
+    return resolution.direction === "bottom" && entity.isOnGround;
+  });
+
+  test("Walking into a wall is resolved as a side collision", () => {
+    const physicsEngine = new PhysicsEngine();
+    const entity = {
+      position: { x: 270, y: 380 },
+      velocity: { x: 60, y: 0 },
+      size: { width: 32, height: 32 },
+    };
+    const wall = new Platform(300, 300, 20, 200);
+    const resolution = physicsEngine.resolveCollision(entity, wall);
+    return resolution.direction === "right" && entity.position.x === 268;
+  });
+
+  test("Walker settles on the ground and walks", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    const manager = new EnemyManager();
+    const walker = new Walker(1000, 460, -1, 60);
+    manager.addEnemy(walker);
+
+    step(manager, stage, physicsEngine, 60);
+
+    return (
+      walker.isOnGround &&
+      Math.abs(walker.position.y + walker.size.height - 500) < 1 &&
+      walker.position.x < 1000
+    );
+  });
+
+  test("Walker turns around at platform edges", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    const manager = new EnemyManager();
+    const walker = new Walker(320, 372, -1, 60);
+    manager.addEnemy(walker);
+
+    let turned = false;
+    for (let i = 0; i < 120; i++) {
+      manager.update(FRAME_TIME, stage, physicsEngine);
+      if (walker.direction > 0) turned = true;
+    }
+
+    // Still standing on the raised platform
+    return (
+      turned &&
+      walker.position.x >= 300 - walker.size.width / 2 &&
+      walker.position.y + walker.size.height <= 401
+    );
+  });
+
+  test("Walker turns around at walls", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    stage.addPlatform(new Platform(700, 420, 40, 80, "solid"));
+    const manager = new EnemyManager();
+    const walker = new Walker(620, 472, 1, 60);
+    manager.addEnemy(walker);
+
+    step(manager, stage, physicsEngine, 90);
+
+    return walker.direction < 0 && walker.position.x + walker.size.width <= 700;
+  });
+
+  test("Walker turns around at stage bounds", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    const manager = new EnemyManager();
+    const walker = new Walker(10, 472, -1, 60);
+    manager.addEnemy(walker);
+
+    step(manager, stage, physicsEngine, 30);
+
+    return walker.direction > 0 && walker.position.x >= 0;
+  });
+
+  test("Falling onto an enemy stomps it", () => {
+    const manager = new EnemyManager();
+    const walker = new Walker(100, 472);
+    manager.addEnemy(walker);
+
+    const player = new Player(98, 472 - 32 + 4);
+    player.velocity.y = 200;
+
+    const contacts = manager.checkCollisions(player);
+    return (
+      contacts.length === 1 &&
+      contacts[0].type === "stomp" &&
+      contacts[0].scoreBonus === walker.scoreValue &&
+      walker.isDefeated
+    );
+  });
+
+  test("Side contact damages the player instead", () => {
+    const manager = new EnemyManager();
+    const walker = new Walker(100, 472);
+    manager.addEnemy(walker);
+
+    const player = new Player(80, 468);
+    player.velocity.y = 0;
+
+    const contacts = manager.checkCollisions(player);
+    return (
+      contacts.length === 1 &&
+      contacts[0].type === "damage" &&
+      !walker.isDefeated
+    );
+  });
+
+  test("Invincible player defeats enemies on contact", () => {
+    const manager = new EnemyManager();
+    const walker = new Walker(100, 472);
+    manager.addEnemy(walker);
+
+    const player = new Player(80, 468);
+    player.activatePowerUp("invincible", 5000);
+
+    const contacts = manager.checkCollisions(player);
+    return contacts.length === 1 && contacts[0].type === "defeat";
+  });
+
+  test("Defeated enemies are removed after the squash animation", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    const manager = new EnemyManager();
+    const walker = new Walker(100, 472);
+    manager.addEnemy(walker);
+
+    walker.defeat("stomp");
+    const countWhileSquashed = manager.enemies.length;
+    step(manager, stage, physicsEngine, 30);
+
+    return (
+      countWhileSquashed === 1 &&
+      manager.enemies.length === 0 &&
+      manager.getActiveEnemyCount() === 0
+    );
+  });
+
+  test("Player bounces after a stomp", () => {
+    const player = new Player(100, 400);
+    player.velocity.y = 200;
+    player.bounceOffEnemy();
+    return player.velocity.y < 0 && player.state === "jumping";
+  });
+
+  test("EnemyManager rejects non-enemy objects", () => {
+    const manager = new EnemyManager();
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    manager.addEnemy({ position: { x: 0, y: 0 } });
+    console.warn = originalWarn;
+    manager.addEnemy(new Enemy(0, 0));
+    return manager.enemies.length === 1;
+  });
+});
@@ -6,7 +6,7 @@
 class FallbackInputSystemTest {
   constructor() {
     this.testResults = {
-      requirement_6_1: { passed: false, details: [] }, // スペースキーが無効時の上矢印キー
+      requirement_6_1: { passed: false, details: [] }, // スペースキーが無効時の代替ジャンプキー
       requirement_6_2: { passed: false, details: [] }, // キーボード使用不可時の画面上ボタン
       requirement_6_3: { passed: false, details: [] }, // タッチデバイスでのタップ操作
       requirement_6_4: { passed: false, details: [] }, // アクセシビリティ設定でのキーバインド変更
@@ -56,7 +56,7 @@ class FallbackInputSystemTest {
       return this.testResults;
     }
 
-    // Test Requirement 6.1: 上矢印キーによるジャンプ機能
+    // Test Requirement 6.1: 代替キーによるジャンプ機能
     await this.testRequirement6_1();
 
     // Test Requirement 6.2: 画面上のジャンプボタン
@@ -75,27 +75,30 @@ class FallbackInputSystemTest {
   }
 
   /**
-   * Test Requirement 6.1: 上矢印キーによるジャンプ機能の確実な動作を検証
+   * Test Requirement 6.1: 代替キーによるジャンプ機能の確実な動作を検証
+   * (上矢印キーはジャンプではなく「上を見る」に割り当てられている)
    */
   async testRequirement6_1() {
-    console.log("📋 Testing Requirement 6.1: Up Arrow Key Jump Functionality");
+    console.log(
+      "📋 Testing Requirement 6.1: Alternative Jump Key Functionality"
+    );
 
     const details = [];
     let passed = true;
 
     try {
-      // Test 1: Verify up arrow key is bound to jump
-      const jumpKeys = this.mockGameEngine.inputManager.keyBindings.jump || [];
-      const upArrowBound = jumpKeys.includes("ArrowUp");
+      // Test 1: Verify up arrow key is bound to look up, not jump
+      const bindings = this.mockGameEngine.inputManager.keyBindings;
+      const upArrowBound =
+        (bindings.lookUp || []).includes("ArrowUp") &&
+        !(bindings.jump || []).includes("ArrowUp");
 
-      details.push(`Up arrow key bound to jump: ${upArrowBound ? "✅" : "❌"}`);
+      details.push(
+        `Up arrow key bound to look up: ${upArrowBound ? "✅" : "❌"}`
+      );
       if (!upArrowBound) passed = false;
 
-      // Test 2: Simulate up arrow key press and verify jump action
-      const originalActionState =
-        this.mockGameEngine.inputManager.actionStates.get("jump");
-
-      // Simulate keydown event
+      // Test 2: Simulate up arrow key press and verify it does not jump
       const keyDownEvent = new KeyboardEvent("keydown", {
         code: "ArrowUp",
         key: "ArrowUp",
@@ -105,17 +108,16 @@ class FallbackInputSystemTest {
       document.dispatchEvent(keyDownEvent);
       this.mockGameEngine.inputManager.update();
 
-      const jumpActionTriggered =
-        this.mockGameEngine.inputManager.isActionPressed("jump");
+      const looksUp =
+        this.mockGameEngine.inputManager.isActionHeld("lookUp") &&
+        !this.mockGameEngine.inputManager.isActionPressed("jump");
       details.push(
-        `Up arrow key triggers jump action: ${
-          jumpActionTriggered ? "✅" : "❌"
-        }`
+        `Up arrow key triggers look up only: ${looksUp ? "✅" : "❌"}`
       );
-      if (!jumpActionTriggered) passed = false;
+      if (!looksUp) passed = false;
 
-      // Test 3: Verify alternative key verification function
-      const verificationResult = this.fallbackInputSystem.verifyUpArrowJump();
+      // Test 3: Verify up arrow verification function
+      const verificationResult = this.fallbackInputSystem.verifyUpArrowLook();
       details.push(
         `Up arrow verification function works: ${
           verificationResult.upArrowBound ? "✅" : "❌"
@@ -123,12 +125,12 @@ class FallbackInputSystemTest {
       );
       if (!verificationResult.upArrowBound) passed = false;
 
-      // Test 4: Test other alternative jump keys
-      const alternativeKeys = ["KeyW", "Enter"];
+      // Test 4: Test alternative jump keys
+      const alternativeKeys = ["Enter"];
       for (const key of alternativeKeys) {
         const keyEvent = new KeyboardEvent("keydown", {
           code: key,
-          key: key === "KeyW" ? "w" : "Enter",
+          key,
           bubbles: true,
         });
 
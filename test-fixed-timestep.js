@@ -0,0 +1,183 @@
+/**
+ * Node.js test for the Fixed Timestep
+ * Tests step accumulation, frame-rate independent jumps and render
+ * interpolation
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG, PhysicsEngine, Platform, Stage, Player, FixedTimestep } =
+  loadGameScripts({ quiet: true });
+
+const STEP_TIME = 1000 / 60;
+const GROUND_Y = 500;
+const STANDING_Y = GROUND_Y - 32;
+
+/**
+ * Create a stage with a single ground platform
+ */
+function createTestStage() {
+  const stage = new Stage(1);
+  stage.platforms = [];
+  stage.staticPlatforms = [];
+  stage.movingPlatforms = [];
+  stage.blocks = [];
+  stage.addPlatform(new Platform(0, GROUND_Y, 2400, 100, "solid"));
+  return stage;
+}
+
+/**
+ * Simulate a held jump at a given frame rate, stepping the player the way
+ * GameEngine does, and return the apex height and landing time
+ */
+function simulateJump(frameTime) {
+  const physicsEngine = new PhysicsEngine();
+  const stage = createTestStage();
+  const player = new Player(100, STANDING_Y);
+  player.setPhysicsEngine(physicsEngine);
+  player.isOnGround = true;
+
+  const timestep = new FixedTimestep(STEP_TIME);
+  let pressQueued = true;
+  let highest = player.position.y;
+  let stepsInAir = 0;
+
+  for (let elapsed = 0; elapsed < 2000; elapsed += frameTime) {
+    timestep.advance(frameTime, (stepTime) => {
+      player.update(stepTime, { jump: pressQueued, jumpHeld: true });
+      pressQueued = false;
+      physicsEngine.applyGravity(player, stepTime);
+      physicsEngine.updatePosition(player, stepTime);
+
+      player.isOnGround = false;
+      for (const collision of stage.checkPlatformCollisions(
+        player,
+        physicsEngine
+      )) {
+        if (collision.resolution.direction === "bottom") {
+          player.isOnGround = true;
+        }
+      }
+
+      highest = Math.min(highest, player.position.y);
+      if (!player.isOnGround) stepsInAir++;
+    });
+  }
+
+  return { height: STANDING_Y - highest, stepsInAir };
+}
+
+// Test suite
+runTestSuite("Fixed Timestep", (test) => {
+  test("Frame time is spent in whole steps", () => {
+    const timestep = new FixedTimestep(10);
+    const counts = [4, 16, 25, 5].map((frameTime) =>
+      timestep.advance(frameTime, () => {})
+    );
+    // Accumulated 4 -> 0 steps, 20 -> 2, 25 -> 2 (5 left over), 10 -> 1
+    return counts.join() === "0,2,2,1" && Math.abs(timestep.accumulator) < 1e-9;
+  });
+
+  test("Slow frames drop time beyond the step limit", () => {
+    const timestep = new FixedTimestep(10, 3);
+    const steps = timestep.advance(1000, () => {});
+    return steps === 3 && timestep.accumulator <= 10;
+  });
+
+  test("Returning false stops stepping and drops leftover time", () => {
+    const timestep = new FixedTimestep(10);
+    let calls = 0;
+    const steps = timestep.advance(45, () => {
+      calls++;
+      return false;
+    });
+    return (
+      steps === 1 &&
+      calls === 1 &&
+      timestep.accumulator === 0 &&
+      timestep.alpha === 1
+    );
+  });
+
+  test("Jumps reach the same height at 30, 60 and 144 FPS", () => {
+    const results = [1000 / 30, 1000 / 60, 1000 / 144].map(simulateJump);
+    return results.every(
+      (result) =>
+        result.height > 50 &&
+        Math.abs(result.height - results[0].height) < 1e-6 &&
+        result.stepsInAir === results[0].stepsInAir
+    );
+  });
+
+  test("Entities render between their previous and current step", () => {
+    const timestep = new FixedTimestep(10);
+    const entity = { position: { x: 0, y: 100 } };
+
+    timestep.advance(14, () => {
+      timestep.capturePositions([entity]);
+      entity.position.x += 20;
+      entity.position.y -= 10;
+    });
+
+    let drawnAt = null;
+    timestep.interpolate(() => {
+      drawnAt = { ...entity.position };
+    });
+
+    // 4ms of a 10ms step left over: 40% of the way to the next step, so
+    // drawn 40% back from the current step towards the previous one
+    return (
+      Math.abs(timestep.alpha - 0.4) < 1e-9 &&
+      Math.abs(drawnAt.x - 8) < 1e-9 &&
+      Math.abs(drawnAt.y - 96) < 1e-9 &&
+      entity.position.x === 20 &&
+      entity.position.y === 90
+    );
+  });
+
+  test("Reset stops interpolating across a teleport", () => {
+    const timestep = new FixedTimestep(10);
+    const entity = { position: { x: 0, y: 0 } };
+
+    timestep.advance(15, () => {
+      timestep.capturePositions([entity]);
+      entity.position.x = 10;
+    });
+    timestep.reset();
+    entity.position.x = 500;
+
+    let drawnX = null;
+    timestep.interpolate(() => {
+      drawnX = entity.position.x;
+    });
+    return drawnX === 500 && timestep.accumulator === 0;
+  });
+
+  test("Slow engine frames keep the simulation at full speed", async () => {
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+
+    // Simulated milliseconds, read from the stage timer
+    const simulate = (frameTime, frames) => {
+      const before = engine.gameState.timeRemaining;
+      for (let i = 0; i < frames; i++) {
+        engine.stepFrame(frameTime);
+      }
+      return (before - engine.gameState.timeRemaining) * 1000;
+    };
+
+    // 20 FPS runs three steps a frame (up to one step of time waits in the
+    // accumulator); a stall is cut to maxStepsPerFrame
+    const slow = simulate(50, 10);
+    const stall = simulate(1000, 1);
+    return (
+      Math.abs(slow - 500) <= STEP_TIME + 1e-6 &&
+      Math.abs(stall - GAME_CONFIG.maxStepsPerFrame * STEP_TIME) < 1e-6 &&
+      engine.deltaTime === GAME_CONFIG.maxDeltaTime
+    );
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Node.js test for Gamepad Input
+ * Polls mock gamepads through a stand-in navigator.getGamepads() and checks
+ * buttons, stick deadzones, bindings and hot-plugging
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+
+// Mock Gamepad API: tests fill the slots with pads
+const gamepadSlots = [null, null, null, null];
+Object.defineProperty(global, "navigator", {
+  value: { getGamepads: () => gamepadSlots },
+  configurable: true,
+  writable: true,
+});
+
+/**
+ * Create a mock standard-mapping gamepad
+ * @param {number} index - Slot index
+ * @param {Object} options - { pressed: [button indices], values: { index:
+ *   analog value }, axes: [4 axes], mapping }
+ */
+function createPad(index, options = {}) {
+  const pressed = options.pressed || [];
+  const values = options.values || {};
+  return {
+    index,
+    id: `Mock Pad ${index}`,
+    connected: true,
+    mapping: options.mapping !== undefined ? options.mapping : "standard",
+    buttons: Array.from({ length: 17 }, (_, button) => ({
+      pressed: pressed.includes(button),
+      value: pressed.includes(button) ? 1 : values[button] || 0,
+    })),
+    axes: options.axes || [0, 0, 0, 0],
+  };
+}
+
+/**
+ * Plug a pad into a slot (null unplugs)
+ */
+function setPad(index, pad) {
+  gamepadSlots[index] = pad;
+}
+
+function unplugAll() {
+  gamepadSlots.fill(null);
+}
+
+function createInput() {
+  unplugAll();
+  return new InputManager(null, { listenForEvents: false });
+}
+
+// Test suite
+runTestSuite("Gamepad", async (test) => {
+  await test("Standard buttons drive actions through keyBindings", () => {
+    const input = createInput();
+    setPad(0, createPad(0, { pressed: [0, 15] })); // A + d-pad right
+    input.update();
+    const first = input.getPlayerInput();
+    input.update();
+    const held = input.getPlayerInput();
+
+    return (
+      input.isKeyHeld("GamepadA") &&
+      first.jump &&
+      first.moveRight &&
+      !held.jump &&
+      held.jumpHeld &&
+      !first.moveLeft
+    );
+  });
+
+  await test("Releasing a button is detected", () => {
+    const input = createInput();
+    setPad(0, createPad(0, { pressed: [2] })); // X dashes
+    input.update();
+    const dashing = input.isActionHeld("dash");
+    setPad(0, createPad(0));
+    input.update();
+
+    return (
+      dashing &&
+      !input.isActionHeld("dash") &&
+      input.isActionReleased("dash") &&
+      input.isKeyReleased("GamepadX")
+    );
+  });
+
+  await test("Small stick tilts fall inside the deadzone", () => {
+    const input = createInput();
+    setPad(0, createPad(0, { axes: [0.2, 0.1, 0, 0] }));
+    input.update();
+    const resting = input.getStickAxes("left");
+    const drifting = input.isActionHeld("moveRight");
+
+    setPad(0, createPad(0, { axes: [-0.9, 0, 0, 0] }));
+    input.update();
+    const tilted = input.getStickAxes("left");
+
+    return (
+      resting.x === 0 &&
+      resting.y === 0 &&
+      !drifting &&
+      tilted.x < -0.8 &&
+      tilted.x > -0.9 &&
+      input.isKeyHeld("GamepadLStickLeft") &&
+      input.isActionHeld("moveLeft")
+    );
+  });
+
+  await test("Stick values are rescaled past the deadzone", () => {
+    const input = createInput();
+    const edge = input.applyDeadzone(input.gamepadDeadzone + 0.001, 0);
+    const full = input.applyDeadzone(1, 0);
+    const diagonal = input.applyDeadzone(0.8, 0.8); // Beyond the unit circle
+
+    return (
+      edge.x > 0 &&
+      edge.x < 0.01 &&
+      full.x === 1 &&
+      Math.abs(Math.hypot(diagonal.x, diagonal.y) - 1) < 1e-9 &&
+      input.isActionHeld("block") === false
+    );
+  });
+
+  await test("Analog triggers press past their threshold", () => {
+    const input = createInput();
+    setPad(0, createPad(0, { values: { 7: 0.3 } }));
+    input.update();
+    const light = input.isKeyHeld("GamepadRT");
+
+    setPad(0, createPad(0, { values: { 7: 0.8 } }));
+    input.update();
+    return !light && input.isKeyHeld("GamepadRT");
+  });
+
+  await test("Gamepad buttons can be rebound like keys", () => {
+    const input = createInput();
+    input.setKeyBindings("jump", ["Space", "GamepadB"]);
+    input.bindKey("GamepadY", "dash");
+
+    setPad(0, createPad(0, { pressed: [0, 1, 3] })); // A, B, Y
+    input.update();
+    const rebound =
+      input.isActionPressed("jump") &&
+      input.isActionHeld("dash") &&
+      input.getKeyBindings("jump").indexOf("GamepadA") === -1;
+
+    input.resetKeyBindingsToDefault();
+    return (
+      rebound &&
+      input.getKeyBindings("jump").includes("GamepadA") &&
+      input.validateKeyBindings().isValid
+    );
+  });
+
+  await test("Pads are detected when plugged in and out", () => {
+    const input = createInput();
+    const changes = [];
+    input.onGamepadChange = (gamepad, connected) => {
+      changes.push([gamepad.index, connected]);
+    };
+
+    input.update();
+    const none = input.getConnectedGamepads().length === 0;
+
+    setPad(1, createPad(1, { pressed: [14] })); // Holding d-pad left
+    input.update();
+    const plugged =
+      input.getConnectedGamepads().length === 1 &&
+      input.isActionHeld("moveLeft");
+
+    // Unplugging releases what the pad held
+    setPad(1, null);
+    input.update();
+
+    // The browser's connect event registers a pad before it is polled
+    input.handleGamepadConnected(createPad(2));
+    input.handleGamepadConnected(createPad(2));
+
+    return (
+      none &&
+      plugged &&
+      !input.isActionHeld("moveLeft") &&
+      JSON.stringify(changes) ===
+        JSON.stringify([
+          [1, true],
+          [1, false],
+          [2, true],
+        ])
+    );
+  });
+
+  await test("Pads without the standard mapping are ignored", () => {
+    const input = createInput();
+    setPad(0, createPad(0, { pressed: [0], mapping: "" }));
+    input.update();
+    const pads = input.getConnectedGamepads();
+
+    return (
+      pads.length === 1 && !pads[0].standard && !input.isKeyHeld("GamepadA")
+    );
+  });
+
+  await test("Several pads are merged", () => {
+    const input = createInput();
+    setPad(0, createPad(0, { pressed: [0] }));
+    setPad(1, createPad(1, { axes: [0, 0.95, 0, 0] }));
+    input.update();
+
+    return (
+      input.isActionHeld("jump") &&
+      input.isActionHeld("block") &&
+      input.getStickAxes("left").y > 0.9
+    );
+  });
+
+  await test("Without the Gamepad API keys still work", () => {
+    const saved = global.navigator;
+    global.navigator = undefined;
+    try {
+      const input = new InputManager(null, { listenForEvents: false });
+      input.setKeyState("GamepadA", true);
+      input.update();
+      return input.isActionHeld("jump") && input.getGamepadList() === null;
+    } finally {
+      global.navigator = saved;
+    }
+  });
+
+  await test("A gamepad plays the game on a headless engine", async () => {
+    unplugAll();
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+
+    const startX = engine.player.position.x;
+    let jumped = false;
+    for (let frame = 0; frame < 90; frame++) {
+      // Stick right, tapping A
+      setPad(
+        0,
+        createPad(0, {
+          pressed: frame % 40 < 10 ? [0] : [],
+          axes: [0.9, 0, 0, 0],
+        })
+      );
+      engine.stepFrame(GAME_CONFIG.fixedTimeStep);
+      jumped = jumped || engine.player.velocity.y < 0;
+    }
+    unplugAll();
+
+    return engine.player.position.x > startX + 100 && jumped;
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Node.js test for Ghost Racing
+ * Clears stage 1 on a headless engine and checks that the best run is saved
+ * as a ghost, raced on later attempts and compared with the split indicator
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+/**
+ * Run through stage 1: wait, then hold right and hop every 40 frames
+ * @param {number} waitFrames - Frames to stand still before running
+ * @param {number} maxFrames - Give up after this many frames
+ * @returns {number} - Frames played
+ */
+function runStage(engine, waitFrames = 0, maxFrames = 2000) {
+  const keys = engine.inputManager;
+  let frame = 0;
+  for (; frame < maxFrames && engine.gameState.mode === "playing"; frame++) {
+    const running = frame >= waitFrames;
+    keys.setKeyState("ArrowRight", running);
+    keys.setKeyState("Space", running && (frame - waitFrames) % 40 < 10);
+    engine.stepFrame(FRAME_TIME);
+  }
+  keys.setKeyState("ArrowRight", false);
+  keys.setKeyState("Space", false);
+  return frame;
+}
+
+/**
+ * Canvas context stand-in that records text and the alpha of shapes
+ */
+function createRecordingContext() {
+  const calls = { text: [], rectAlphas: [] };
+  const ctx = {
+    globalAlpha: 1,
+    save() {
+      this.saved = this.globalAlpha;
+    },
+    restore() {
+      this.globalAlpha = this.saved;
+    },
+    fillRect() {
+      calls.rectAlphas.push(this.globalAlpha);
+    },
+    strokeRect() {},
+    fillText(text) {
+      calls.text.push(text);
+    },
+  };
+  return { ctx, calls };
+}
+
+// Test suite
+runTestSuite("Ghost Racing", async (test) => {
+  await test("Clearing a stage saves the run as its ghost", async () => {
+    const storage = new MemoryStorage();
+    const engine = await loadHeadlessEngine({ storage });
+    engine.startGame();
+    runStage(engine);
+
+    const ghost = engine.saveSystem.loadGhost(1);
+    const last = ghost.samples[ghost.samples.length - 1];
+    const goal = engine.currentStage.goal;
+
+    return (
+      engine.gameState.mode === "victory" &&
+      storage.getItem("mario-platformer-ghosts") !== null &&
+      ghost.time > 5 &&
+      ghost.time < 15 &&
+      ghost.samples.length ===
+        Math.floor(ghost.time / (FRAME_TIME / 1000) / ghost.sampleInterval) +
+          1 &&
+      ghost.samples[0][0] === engine.currentStage.getSpawnPoint().x &&
+      last[0] + 32 >= goal.position.x - 40
+    );
+  });
+
+  await test("Best time is saved as the time taken", async () => {
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+    runStage(engine);
+
+    const bestTime = engine.saveSystem.getBestTime(1);
+    return bestTime === engine.saveSystem.loadGhost(1).time;
+  });
+
+  await test("Best time and ghost time agree after a death", async () => {
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+    runStage(engine, 0, 120);
+    engine.killPlayer("test");
+    for (let frame = 0; frame < 150 && engine.deathState; frame++) {
+      engine.stepFrame(FRAME_TIME);
+    }
+    const respawned = !engine.deathState && !engine.player.isDead;
+    runStage(engine);
+
+    // The stage timer went back to 0 on respawn; the run time did not
+    const bestTime = engine.saveSystem.getBestTime(1);
+    const ghost = engine.saveSystem.loadGhost(1);
+    return (
+      respawned &&
+      engine.gameState.mode === "victory" &&
+      bestTime === ghost.time &&
+      bestTime > engine.getElapsedStageTime() + 1.5
+    );
+  });
+
+  await test("The ghost follows its trace during the next attempt", async () => {
+    const storage = new MemoryStorage();
+    const first = await loadHeadlessEngine({ storage });
+    first.startGame();
+    runStage(first);
+    const samples = first.saveSystem.loadGhost(1).samples;
+
+    const engine = await loadHeadlessEngine({ storage });
+    engine.startGame();
+    for (let frame = 0; frame < 100; frame++) {
+      engine.stepFrame(FRAME_TIME);
+    }
+    const state = engine.ghostSystem.getGhostState();
+    const sample = samples[100 / GHOST_SAMPLE_INTERVAL];
+    const between = engine.ghostSystem.getGhostState(101);
+
+    return (
+      state.x === sample[0] &&
+      state.y === sample[1] &&
+      state.state === sample[2] &&
+      between.x > sample[0] &&
+      between.x < samples[100 / GHOST_SAMPLE_INTERVAL + 1][0] &&
+      !state.finished
+    );
+  });
+
+  await test("The split shows how far behind or ahead the run is", async () => {
+    const storage = new MemoryStorage();
+    const first = await loadHeadlessEngine({ storage });
+    first.startGame();
+    runStage(first);
+
+    // Start a second late: one second behind at the same place
+    const engine = await loadHeadlessEngine({ storage });
+    engine.startGame();
+    const keys = engine.inputManager;
+    for (let frame = 0; frame < 160; frame++) {
+      const running = frame >= 60;
+      keys.setKeyState("ArrowRight", running);
+      keys.setKeyState("Space", running && (frame - 60) % 40 < 10);
+      engine.stepFrame(FRAME_TIME);
+    }
+    const behind = engine.ghostSystem.getSplit();
+
+    // A ghost that only got half as far by now puts the run ahead
+    engine.ghostSystem.ghost.samples.forEach((sample) => {
+      sample[0] = 100 + (sample[0] - 100) / 2;
+    });
+    engine.ghostSystem.ghost.progress = engine.ghostSystem.buildProgress(
+      engine.ghostSystem.ghost.samples
+    );
+    const ahead = engine.ghostSystem.getSplit();
+
+    return Math.abs(behind - 1) < 0.1 && ahead < -0.5;
+  });
+
+  await test("Only faster clears replace the ghost", async () => {
+    const storage = new MemoryStorage();
+    const first = await loadHeadlessEngine({ storage });
+    first.startGame();
+    runStage(first);
+    const bestTime = first.saveSystem.loadGhost(1).time;
+
+    // A slower clear keeps the ghost
+    const slower = await loadHeadlessEngine({ storage });
+    slower.startGame();
+    runStage(slower, 60);
+    const kept = slower.saveSystem.loadGhost(1).time === bestTime;
+
+    // A faster clear (than a slow saved ghost) replaces it
+    slower.saveSystem.saveGhost(1, {
+      ...slower.saveSystem.loadGhost(1),
+      time: 999,
+    });
+    const faster = await loadHeadlessEngine({ storage });
+    faster.startGame();
+    runStage(faster);
+
+    return kept && faster.saveSystem.loadGhost(1).time === bestTime;
+  });
+
+  await test("Quitting, game over and replays don't set ghosts", async () => {
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+    runStage(engine, 0, 200);
+    engine.stopGame();
+    const afterQuit = engine.saveSystem.loadGhost(1);
+
+    engine.startGame();
+    engine.gameState.lives = 1;
+    engine.killPlayer("test");
+    const afterGameOver = engine.saveSystem.loadGhost(1);
+
+    // Replay of a clear (recorded with ghosts disabled) plays back
+    const recorder = await loadHeadlessEngine();
+    recorder.ghostSystem.setEnabled(false);
+    recorder.saveSystem.deleteGhosts();
+    recorder.startGame();
+    runStage(recorder);
+    const replay = recorder.replaySystem.getLastReplay();
+
+    let finished = false;
+    engine.replaySystem.startPlayback(replay, {
+      onComplete: () => {
+        finished = true;
+      },
+    });
+    for (let frame = 0; !finished && frame < 2000; frame++) {
+      engine.stepFrame(FRAME_TIME);
+    }
+
+    return (
+      afterQuit === null &&
+      afterGameOver === null &&
+      finished &&
+      engine.gameState.mode === "victory" &&
+      engine.saveSystem.loadGhost(1) === null
+    );
+  });
+
+  await test("The stage select toggle turns the ghost off", async () => {
+    const storage = new MemoryStorage();
+    const first = await loadHeadlessEngine({ storage });
+    first.startGame();
+    runStage(first);
+
+    const engine = await loadHeadlessEngine({ storage });
+    const stageSelect = engine.sceneManager.scenes.get("stageSelect");
+    engine.sceneManager.changeScene("stageSelect");
+    stageSelect.toggleGhost();
+    const off = !stageSelect.isGhostEnabled();
+
+    stageSelect.startStage(1);
+    const noGhost =
+      engine.ghostSystem.ghost === null &&
+      engine.ghostSystem.getSplit() === null;
+
+    // The setting is saved
+    const reloaded = await loadHeadlessEngine({ storage });
+    const stillOff = !reloaded.ghostSystem.isEnabled();
+    reloaded.ghostSystem.setEnabled(true);
+    reloaded.startGame();
+
+    return (
+      off &&
+      noGhost &&
+      stillOff &&
+      reloaded.ghostSystem.ghost !== null &&
+      stageSelect.stageData[0].ghostTime > 0
+    );
+  });
+
+  await test("The ghost is drawn translucent with a split readout", async () => {
+    const storage = new MemoryStorage();
+    const first = await loadHeadlessEngine({ storage });
+    first.startGame();
+    runStage(first);
+
+    const engine = await loadHeadlessEngine({ storage });
+    engine.startGame();
+    for (let frame = 0; frame < 30; frame++) {
+      engine.stepFrame(FRAME_TIME);
+    }
+
+    const { ctx, calls } = createRecordingContext();
+    engine.ghostSystem.render(ctx, 0.5);
+    engine.ghostSystem.renderSplit(ctx, 780, 30);
+
+    return (
+      calls.rectAlphas.length > 0 &&
+      calls.rectAlphas.every((alpha) => alpha < 1) &&
+      ctx.globalAlpha === 1 &&
+      calls.text.some((text) => /^Ghost [+-]\d+\.\ds$/.test(text))
+    );
+  });
+});
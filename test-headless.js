@@ -0,0 +1,148 @@
+/**
+ * Node.js test for the Headless Engine
+ * Runs the real GameEngine without DOM, canvas, localStorage or audio and
+ * steps the simulation frame by frame
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runFrames,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+/**
+ * Start a new game and let the player settle on the ground
+ */
+async function createPlayingEngine() {
+  const engine = await loadHeadlessEngine();
+  engine.startGame();
+  runFrames(engine, 30);
+  return engine;
+}
+
+// Test suite
+runTestSuite("Headless Engine", async (test) => {
+  await test("Engine initializes without a browser", async () => {
+    const engine = await loadHeadlessEngine();
+    return (
+      typeof document === "undefined" &&
+      typeof localStorage === "undefined" &&
+      engine.canvas instanceof NullCanvas &&
+      engine.sceneManager.currentScene.name === "menu" &&
+      engine.uiSystem === null &&
+      engine.player instanceof Player &&
+      engine.itemManager instanceof ItemManager
+    );
+  });
+
+  await test("Starting a game loads the first stage", async () => {
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+    const spawn = engine.currentStage.getSpawnPoint();
+
+    return (
+      engine.gameState.mode === "playing" &&
+      engine.gameState.isRunning &&
+      engine.sceneManager.currentScene.name === "game" &&
+      engine.player.position.x === spawn.x &&
+      engine.gameState.timeRemaining === engine.currentStage.getTimeLimit()
+    );
+  });
+
+  await test("Stepped frames run the real simulation", async () => {
+    const engine = await createPlayingEngine();
+    const timeBefore = engine.gameState.timeRemaining;
+    runFrames(engine, 60);
+
+    return (
+      engine.player.isOnGround &&
+      Math.abs(timeBefore - engine.gameState.timeRemaining - 1) < 1e-6
+    );
+  });
+
+  await test("Key states drive the player", async () => {
+    const engine = await createPlayingEngine();
+    const startX = engine.player.position.x;
+
+    engine.inputManager.setKeyState("ArrowRight", true);
+    runFrames(engine, 30);
+    engine.inputManager.setKeyState("ArrowRight", false);
+    const movedRight = engine.player.position.x > startX + 50;
+
+    engine.inputManager.setKeyState("Space", true);
+    runFrames(engine, 10);
+    const jumped = !engine.player.isOnGround && engine.player.velocity.y < 0;
+    engine.inputManager.setKeyState("Space", false);
+    runFrames(engine, 120);
+
+    return movedRight && jumped && engine.player.isOnGround;
+  });
+
+  await test("Identical input gives identical runs", async () => {
+    const play = async () => {
+      const engine = await createPlayingEngine();
+      engine.inputManager.setKeyState("ArrowRight", true);
+      for (let frame = 0; frame < 240; frame++) {
+        engine.inputManager.setKeyState("Space", frame % 50 < 20);
+        engine.stepFrame(frame % 3 === 0 ? 1000 / 30 : FRAME_TIME);
+      }
+      return JSON.stringify([engine.player.position, engine.player.velocity]);
+    };
+    return (await play()) === (await play());
+  });
+
+  await test("Pausing stops the simulation", async () => {
+    const engine = await createPlayingEngine();
+    engine.togglePause();
+    const timeBefore = engine.gameState.timeRemaining;
+    runFrames(engine, 60);
+    return (
+      engine.gameState.isPaused && engine.gameState.timeRemaining === timeBefore
+    );
+  });
+
+  await test("Saves go to the injected storage", async () => {
+    const storage = new MemoryStorage();
+    const engine = await loadHeadlessEngine({ storage });
+    engine.saveSystem.saveSettings({ masterVolume: 0.25 });
+
+    const reloaded = await loadHeadlessEngine({ storage });
+    return (
+      storage.getItem("mario-platformer-saveData") !== null &&
+      reloaded.saveSystem.loadSettings().masterVolume === 0.25 &&
+      engine.saveSystem.autoSaveTimer === undefined
+    );
+  });
+
+  await test("Sounds are recorded instead of played", async () => {
+    const engine = await createPlayingEngine();
+    engine.killPlayer("test");
+
+    return (
+      engine.audioManager.isSoundLoaded("jump") &&
+      engine.audioManager.playedSounds.includes("defeat") &&
+      engine.audioManager.currentBGM === null
+    );
+  });
+
+  await test("The null renderer accepts every drawing call", () => {
+    const canvas = new NullCanvas(320, 240);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#FF0000";
+    const gradient = ctx.createLinearGradient(0, 0, 10, 10);
+    gradient.addColorStop(0, "#000");
+    ctx.drawImage(null, 0, 0);
+
+    return (
+      ctx.fillStyle === "#FF0000" &&
+      ctx.measureText("abc").width > 0 &&
+      ctx.getImageData(0, 0, 2, 2).data.length === 16 &&
+      canvas.getContext("webgl") === null
+    );
+  });
+});
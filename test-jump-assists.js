@@ -0,0 +1,248 @@
+/**
+ * Node.js test for Jump Assists
+ * Tests variable jump height, coyote time, jump buffering and their diagnostics
+ */
+
+// Mock the DOM used by JumpDiagnosticSystem
+global.window = {};
+global.document = {
+  createElement: () => ({ style: {} }),
+  body: { appendChild: () => {}, removeChild: () => {} },
+  addEventListener: () => {},
+};
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const { PhysicsEngine, Platform, Stage, Player } = loadGameScripts({
+  quiet: true,
+});
+require("./js/jump-diagnostic-system.js");
+const JumpDiagnosticSystem = window.JumpDiagnosticSystem;
+
+const FRAME_TIME = 1000 / 60;
+const GROUND_Y = 500;
+const STANDING_Y = GROUND_Y - 32;
+
+const HOLD = { jumpHeld: true };
+const PRESS = { jump: true, jumpHeld: true };
+const RELEASED = { jumpHeld: false };
+
+/**
+ * Create a stage with a single ground platform
+ */
+function createTestStage(groundWidth = 2400) {
+  const stage = new Stage(1);
+  stage.platforms = [];
+  stage.staticPlatforms = [];
+  stage.movingPlatforms = [];
+  stage.blocks = [];
+  stage.addPlatform(new Platform(0, GROUND_Y, groundWidth, 100, "solid"));
+  return stage;
+}
+
+/**
+ * Create a player standing on the ground with the physics engine attached
+ */
+function createPlayer(physicsEngine, x = 100) {
+  const player = new Player(x, STANDING_Y);
+  player.setPhysicsEngine(physicsEngine);
+  player.isOnGround = true;
+  return player;
+}
+
+/**
+ * Step the player the way GameEngine does (input, physics, ground state)
+ */
+function step(stage, player, physicsEngine, input, frames = 1) {
+  for (let i = 0; i < frames; i++) {
+    player.update(FRAME_TIME, input);
+    physicsEngine.applyGravity(player, FRAME_TIME);
+    physicsEngine.updatePosition(player, FRAME_TIME);
+
+    player.isOnGround = false;
+    const collisions = stage.checkPlatformCollisions(player, physicsEngine);
+    for (const collision of collisions) {
+      if (collision.resolution.direction === "bottom") {
+        player.isOnGround = true;
+      }
+    }
+  }
+}
+
+/**
+ * Jump with the given input after the press and return the apex height
+ */
+function measureJumpHeight(physicsEngine, heldInput) {
+  const stage = createTestStage();
+  const player = createPlayer(physicsEngine);
+  step(stage, player, physicsEngine, PRESS);
+
+  let highest = player.position.y;
+  for (let i = 0; i < 90; i++) {
+    step(stage, player, physicsEngine, heldInput);
+    highest = Math.min(highest, player.position.y);
+  }
+  return STANDING_Y - highest;
+}
+
+// Test suite
+runTestSuite("Jump Assist", (test) => {
+  test("Jump assist constants are tunable and clamped", () => {
+    const physicsEngine = new PhysicsEngine();
+    physicsEngine.updateConstants({
+      jumpCutMultiplier: 1.5,
+      coyoteTime: -10,
+      jumpBufferTime: 200,
+    });
+    const constants = physicsEngine.getConstants();
+    return (
+      constants.jumpCutMultiplier === 1 &&
+      constants.coyoteTime === 0 &&
+      constants.jumpBufferTime === 200
+    );
+  });
+
+  test("Releasing jump early gives a lower jump than holding it", () => {
+    const physicsEngine = new PhysicsEngine();
+    const held = measureJumpHeight(physicsEngine, HOLD);
+    const tapped = measureJumpHeight(physicsEngine, RELEASED);
+    return tapped < held * 0.6 && held > 70;
+  });
+
+  test("A jump cut multiplier of 1 disables the cut", () => {
+    const physicsEngine = new PhysicsEngine();
+    physicsEngine.updateConstants({ jumpCutMultiplier: 1 });
+    const held = measureJumpHeight(physicsEngine, HOLD);
+    const tapped = measureJumpHeight(physicsEngine, RELEASED);
+    return Math.abs(held - tapped) < 0.01;
+  });
+
+  test("Jumping within coyote time after walking off a ledge works", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage(200);
+    const player = createPlayer(physicsEngine, 160);
+
+    let frames = 0;
+    while (player.isOnGround && frames < 60) {
+      step(stage, player, physicsEngine, { moveRight: true, jumpHeld: false });
+      frames++;
+    }
+    step(stage, player, physicsEngine, RELEASED, 2); // ~33ms after the ledge
+    step(stage, player, physicsEngine, PRESS);
+
+    return (
+      player.velocity.y < 0 &&
+      player.lastJumpAssist === "coyote" &&
+      player.jumpAssistStats.coyoteJumps === 1
+    );
+  });
+
+  test("Jumping after the coyote window has passed fails", () => {
+    const physicsEngine = new PhysicsEngine();
+    physicsEngine.updateConstants({ jumpBufferTime: 0 });
+    const stage = createTestStage(200);
+    const player = createPlayer(physicsEngine, 160);
+
+    while (player.isOnGround) {
+      step(stage, player, physicsEngine, { moveRight: true, jumpHeld: false });
+    }
+    step(stage, player, physicsEngine, RELEASED, 10); // ~166ms
+    step(stage, player, physicsEngine, PRESS);
+
+    return player.velocity.y > 0 && player.jumpAssistStats.coyoteJumps === 0;
+  });
+
+  test("A jump pressed just before landing fires on landing", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    const player = createPlayer(physicsEngine);
+    player.position.y = 300;
+    player.isOnGround = false;
+
+    // Fall until about 50ms above the ground, then press jump
+    while (STANDING_Y - player.position.y > player.velocity.y * 0.05) {
+      step(stage, player, physicsEngine, RELEASED);
+    }
+    step(stage, player, physicsEngine, PRESS);
+    const bufferedInAir = player.jumpBufferTimer > 0;
+
+    let jumped = false;
+    for (let i = 0; i < 10 && !jumped; i++) {
+      step(stage, player, physicsEngine, HOLD);
+      jumped = player.velocity.y < 0;
+    }
+
+    return (
+      bufferedInAir &&
+      jumped &&
+      player.lastJumpAssist === "buffer" &&
+      player.jumpAssistStats.bufferedJumps === 1
+    );
+  });
+
+  test("A jump pressed too early expires before landing", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage();
+    const player = createPlayer(physicsEngine);
+    player.position.y = 0;
+    player.isOnGround = false;
+
+    step(stage, player, physicsEngine, PRESS);
+    for (let i = 0; i < 90; i++) {
+      step(stage, player, physicsEngine, RELEASED);
+    }
+
+    return (
+      player.isOnGround &&
+      player.velocity.y === 0 &&
+      player.jumpAssistStats.bufferedJumps === 0 &&
+      player.jumpAssistStats.expiredBuffers === 1
+    );
+  });
+
+  test("Without a physics engine the jump keeps its fixed height", () => {
+    const stage = createTestStage();
+    const physicsEngine = new PhysicsEngine();
+    const player = new Player(100, STANDING_Y);
+    player.isOnGround = true;
+
+    step(stage, player, physicsEngine, PRESS);
+    step(stage, player, physicsEngine, RELEASED, 5);
+
+    return (
+      player.jumpAssistStats.jumpCuts === 0 &&
+      player.getJumpAssistSettings().coyoteTime === 0
+    );
+  });
+
+  test("Diagnostic reports include jump assist settings and counts", () => {
+    const physicsEngine = new PhysicsEngine();
+    physicsEngine.updateConstants({ coyoteTime: 80 });
+    const stage = createTestStage();
+    const player = createPlayer(physicsEngine);
+    const diagnostics = new JumpDiagnosticSystem(player, null);
+    player.setJumpDiagnosticSystem(diagnostics);
+
+    // One mid-air press (buffered) and one cut jump
+    step(stage, player, physicsEngine, PRESS);
+    step(stage, player, physicsEngine, RELEASED, 3);
+    step(stage, player, physicsEngine, PRESS);
+
+    const report = diagnostics.generateJumpDiagnosticReport();
+    const bufferedFailure = report.commonFailureReasons.find(
+      (failure) => failure.reason === "Jump buffered"
+    );
+
+    return (
+      report.jumpAssist !== null &&
+      report.jumpAssist.settings.coyoteTime === 80 &&
+      report.jumpAssist.totals.jumpCuts === 1 &&
+      bufferedFailure !== undefined &&
+      report.recommendations.some(
+        (recommendation) =>
+          recommendation.issue === "Jump pressed before landing"
+      ) &&
+      diagnostics.jumpAttempts[0].playerState.jumpAssist !== null
+    );
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Node.js test for Key Rebinding
+ * Drives the settings scene's controls page on a headless engine: capturing
+ * keys and gamepad buttons, conflict detection and saved bindings
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG, MemoryStorage } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+/**
+ * Create a headless engine showing the settings controls page
+ */
+async function openControls(storage = new MemoryStorage()) {
+  const engine = await loadHeadlessEngine({ storage });
+  engine.sceneManager.changeScene("settings");
+
+  const settings = engine.sceneManager.getScene("settings");
+  const controlsButton = settings.buttons.find(
+    (button) => button.id === "controls"
+  );
+  clickElement(settings, controlsButton);
+  return { engine, settings, input: engine.inputManager };
+}
+
+/**
+ * Click the middle of a button or row
+ */
+function clickElement(scene, element) {
+  const x = element.x + element.width / 2;
+  const y = element.y + element.height / 2;
+  scene.handleMouseMove(x, y);
+  scene.handleMouseDown(x, y);
+  scene.handleMouseUp(x, y);
+}
+
+/**
+ * Tap a key (or gamepad code) for one frame
+ */
+function tap(engine, keyCode) {
+  engine.inputManager.setKeyState(keyCode, true);
+  engine.stepFrame(FRAME_TIME);
+  engine.inputManager.setKeyState(keyCode, false);
+  engine.stepFrame(FRAME_TIME);
+}
+
+/**
+ * Find the controls row of an action
+ */
+function getRow(settings, action) {
+  return settings.controlRows.find((row) => row.action === action);
+}
+
+// Test suite
+runTestSuite("Key Rebinding", async (test) => {
+  await test("The controls page lists every action", async () => {
+    const { settings } = await openControls();
+    const actions = settings.controlRows.map((row) => row.action);
+
+    return (
+      settings.page === "controls" &&
+      actions.join() ===
+        "moveLeft,moveRight,jump,dash,block,lookUp,pause,escape" &&
+      settings.sliders.length === 0 &&
+      settings.buttons.some((button) => button.id === "resetControls")
+    );
+  });
+
+  await test("Selecting an action captures the next key", async () => {
+    const { engine, settings, input } = await openControls();
+    clickElement(settings, getRow(settings, "jump"));
+    const waiting = settings.capturingAction === "jump";
+
+    tap(engine, "KeyJ");
+    const bindings = input.getKeyBindings("jump");
+
+    // The new key jumps, the old ones don't
+    input.setKeyState("KeyJ", true);
+    input.update();
+    const jumps = input.isActionHeld("jump");
+    input.setKeyState("KeyJ", false);
+    input.setKeyState("Space", true);
+    input.update();
+
+    return (
+      waiting &&
+      settings.capturingAction === null &&
+      bindings.join() === "KeyJ,GamepadA" &&
+      jumps &&
+      !input.isActionHeld("jump")
+    );
+  });
+
+  await test("Gamepad buttons replace only the gamepad bindings", async () => {
+    const { engine, settings, input } = await openControls();
+    clickElement(settings, getRow(settings, "dash"));
+    tap(engine, "GamepadB");
+
+    return (
+      input.getKeyBindings("dash").join() === "ShiftLeft,ShiftRight,GamepadB"
+    );
+  });
+
+  await test("Escape cancels a capture and stays on the page", async () => {
+    const { engine, settings, input } = await openControls();
+    const before = input.getKeyBindings("block").join();
+    clickElement(settings, getRow(settings, "block"));
+    tap(engine, "Escape");
+
+    return (
+      settings.capturingAction === null &&
+      settings.page === "controls" &&
+      input.getKeyBindings("block").join() === before &&
+      engine.sceneManager.getCurrentScene().name === "settings"
+    );
+  });
+
+  await test("The keyboard moves through the list and starts a capture", async () => {
+    const { engine, settings } = await openControls();
+    tap(engine, "ArrowDown");
+    tap(engine, "ArrowDown");
+    tap(engine, "Enter");
+    const capturing = settings.capturingAction;
+
+    tap(engine, "ArrowUp"); // Captured, not a move
+    return (
+      capturing === "jump" &&
+      settings.selectedRow === 2 &&
+      settings.gameEngine.inputManager.getKeyBindings("jump")[0] === "ArrowUp"
+    );
+  });
+
+  await test("Conflicts are found and block saving", async () => {
+    const storage = new MemoryStorage();
+    const { engine, settings, input } = await openControls(storage);
+    clickElement(settings, getRow(settings, "dash"));
+    tap(engine, "KeyA"); // Already moves left
+
+    const conflict =
+      settings.hasBindingConflict("dash") &&
+      settings.hasBindingConflict("moveLeft") &&
+      !settings.hasBindingConflict("jump") &&
+      !input.validateKeyBindings().isValid;
+    const saved = settings.saveSettings();
+
+    // Moving left elsewhere resolves it
+    clickElement(settings, getRow(settings, "moveLeft"));
+    tap(engine, "KeyQ");
+
+    return (
+      conflict &&
+      !saved &&
+      engine.saveSystem.loadSettings().keyBindings === null &&
+      !settings.hasBindingConflict("dash") &&
+      settings.saveSettings()
+    );
+  });
+
+  await test("Saved bindings are restored on boot", async () => {
+    const storage = new MemoryStorage();
+    const { engine, settings } = await openControls(storage);
+    clickElement(settings, getRow(settings, "jump"));
+    tap(engine, "KeyK");
+    clickElement(settings, getRow(settings, "pause"));
+    tap(engine, "GamepadY");
+    clickElement(
+      settings,
+      settings.buttons.find((button) => button.id === "save")
+    );
+
+    const rebooted = await openControls(storage);
+    return (
+      rebooted.input.getKeyBindings("jump").join() === "KeyK,GamepadA" &&
+      rebooted.input.getKeyBindings("pause").join() === "KeyP,GamepadY" &&
+      rebooted.input.getKeyBindings("moveLeft").includes("ArrowLeft")
+    );
+  });
+
+  await test("Malformed saved bindings fall back to defaults", async () => {
+    const input = new InputManager(null, { listenForEvents: false });
+    const applied = input.applyKeyBindings({
+      jump: ["KeyZ"],
+      dash: [],
+      block: "KeyS",
+      fly: ["KeyF"],
+    });
+
+    return (
+      applied &&
+      input.getKeyBindings("jump").join() === "KeyZ" &&
+      input.getKeyBindings("dash").includes("ShiftLeft") &&
+      input.getKeyBindings("block").includes("ArrowDown") &&
+      input.getKeyBindings("fly").length === 0 &&
+      !input.applyKeyBindings(null)
+    );
+  });
+
+  await test("Reset Controls restores the defaults", async () => {
+    const { engine, settings, input } = await openControls();
+    clickElement(settings, getRow(settings, "jump"));
+    tap(engine, "KeyA");
+    clickElement(
+      settings,
+      settings.buttons.find((button) => button.id === "resetControls")
+    );
+
+    return (
+      input.getKeyBindings("jump").join() ===
+        input.getDefaultKeyBindings().jump.join() &&
+      settings.bindingConflicts.length === 0
+    );
+  });
+
+  await test("Back returns to the main settings page", async () => {
+    const { engine, settings } = await openControls();
+    tap(engine, "Escape");
+    const onMain = settings.page === "main" && settings.sliders.length === 3;
+    tap(engine, "Escape");
+
+    return onMain && engine.sceneManager.getCurrentScene().name === "menu";
+  });
+
+  await test("The controls page draws readable bindings", async () => {
+    const { engine, settings } = await openControls();
+    clickElement(settings, getRow(settings, "dash"));
+
+    const texts = [];
+    const ctx = new Proxy(engine.ctx, {
+      get(target, property) {
+        if (property === "fillText") {
+          return (text) => texts.push(text);
+        }
+        const value = target[property];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+      set(target, property, value) {
+        target[property] = value;
+        return true;
+      },
+    });
+    settings.render(ctx);
+
+    return (
+      texts.includes("Controls") &&
+      texts.includes("← / A") &&
+      texts.includes("D-Pad ← / L-Stick ←") &&
+      texts.includes("Press a key or button... (Esc to cancel)")
+    );
+  });
+});
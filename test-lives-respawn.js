@@ -0,0 +1,129 @@
+/**
+ * Node.js test for Lives, Death and Respawn
+ * Tests the player death animation, respawn, hazards and death statistics
+ */
+
+// Mock localStorage for Node.js environment
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const { PhysicsEngine, Platform, Stage, Player, Camera, SaveSystem } =
+  loadGameScripts({ quiet: true });
+
+const FRAME_TIME = 1000 / 60;
+
+// Test suite
+runTestSuite("Lives and Respawn", (test) => {
+  test("Dying starts the death animation and blocks input", () => {
+    const player = new Player(100, 468);
+    player.isOnGround = true;
+    player.die("hazard");
+
+    const startX = player.position.x;
+    player.update(FRAME_TIME, { moveRight: true, jump: true });
+
+    return (
+      player.isDead &&
+      player.state === "dead" &&
+      player.deathCause === "hazard" &&
+      player.velocity.y < 0 &&
+      player.position.x === startX
+    );
+  });
+
+  test("Pit deaths fall without the upward pop", () => {
+    const player = new Player(100, 620);
+    player.die("pit");
+    return player.velocity.y === 0;
+  });
+
+  test("Death animation ignores platforms", () => {
+    const physicsEngine = new PhysicsEngine();
+    const player = new Player(100, 468);
+    player.die("health");
+
+    for (let i = 0; i < 120; i++) {
+      player.updateDeathAnimation(FRAME_TIME, physicsEngine);
+    }
+
+    // Fell straight through where the ground would be
+    return player.position.y > 600;
+  });
+
+  test("Respawn restores health and keeps score and coins", () => {
+    const player = new Player(100, 468);
+    player.score = 1200;
+    player.coins = 7;
+    player.health = 0;
+    player.activatePowerUp("speed", 5000);
+    player.die("health");
+
+    player.respawn(300, 400);
+
+    return (
+      !player.isDead &&
+      player.state === "idle" &&
+      player.health === player.maxHealth &&
+      player.score === 1200 &&
+      player.coins === 7 &&
+      player.position.x === 300 &&
+      player.position.y === 400 &&
+      player.invincible &&
+      !player.hasPowerUp("speed")
+    );
+  });
+
+  test("Full reset clears the death state", () => {
+    const player = new Player(100, 468);
+    player.die("time");
+    player.reset();
+    return !player.isDead && player.deathCause === null;
+  });
+
+  test("Hazard platforms are reported by checkPlatformCollisions", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = new Stage(1);
+    stage.platforms = [];
+    stage.staticPlatforms = [];
+    stage.addPlatform(new Platform(0, 500, 800, 100, "solid"));
+    stage.addPlatform(new Platform(200, 490, 60, 10, "hazard"));
+
+    const player = new Player(210, 460);
+    player.velocity.y = 100;
+    const collisions = stage.checkPlatformCollisions(player, physicsEngine);
+
+    return collisions.some((collision) => collision.platform.type === "hazard");
+  });
+
+  test("Hazard platforms survive getStageData serialization", () => {
+    const stage = new Stage(1);
+    stage.addPlatform(new Platform(200, 490, 60, 10, "hazard", "#8B0000"));
+    const copy = new Stage(1, JSON.parse(JSON.stringify(stage.getStageData())));
+    return copy.platforms.some((platform) => platform.type === "hazard");
+  });
+
+  test("Camera snaps to the player after a respawn", () => {
+    const camera = new Camera(800, 600, 3000, 600);
+    const player = new Player(2000, 400);
+    camera.setFollowTarget(player);
+    camera.snapToTarget();
+    return Math.abs(camera.x - (2000 - camera.followOffset.x)) < 0.01;
+  });
+
+  test("Deaths are recorded in statistics", () => {
+    storage.clear();
+    const saveSystem = new SaveSystem(null);
+    saveSystem.recordDeath(1);
+    saveSystem.recordDeath(2);
+
+    const reloaded = new SaveSystem(null);
+    reloaded.loadSaveData();
+    return reloaded.getSaveData().statistics.totalDeaths === 3;
+  });
+});
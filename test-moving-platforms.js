@@ -0,0 +1,361 @@
+/**
+ * Node.js test for Moving Platforms
+ * Tests path modes, rider carrying, momentum handoff, push-out and serialization
+ */
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const {
+  PhysicsEngine,
+  StageRegistry,
+  Platform,
+  MovingPlatform,
+  Stage,
+  Player,
+} = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Create a stage with a ground strip and the given moving platform
+ */
+function createTestStage(movingPlatform) {
+  const stage = new Stage(1);
+  stage.platforms = [];
+  stage.staticPlatforms = [];
+  stage.movingPlatforms = [];
+  stage.addPlatform(new Platform(0, 500, 2400, 100, "solid"));
+  stage.addPlatform(movingPlatform);
+  return stage;
+}
+
+/**
+ * Step a platform on its own for a number of frames
+ */
+function stepPlatform(platform, frames) {
+  for (let i = 0; i < frames; i++) {
+    platform.update(FRAME_TIME);
+  }
+}
+
+/**
+ * Step a player on a stage the way GameEngine does (stage, input, physics)
+ */
+function stepPlayer(stage, player, physicsEngine, input, frames) {
+  for (let i = 0; i < frames; i++) {
+    stage.update(FRAME_TIME, [player]);
+    player.handleInput(input);
+    physicsEngine.applyGravity(player, FRAME_TIME);
+    physicsEngine.updatePosition(player, FRAME_TIME);
+
+    player.isOnGround = false;
+    const collisions = stage.checkPlatformCollisions(player, physicsEngine);
+    for (const collision of collisions) {
+      if (collision.resolution.direction === "bottom") {
+        player.isOnGround = true;
+      }
+    }
+  }
+}
+
+// Test suite
+runTestSuite("Moving Platform", (test) => {
+  test("Linear platform stops at the last waypoint", () => {
+    const platform = new MovingPlatform(0, 100, 60, 20, {
+      type: "linear",
+      points: [{ x: 60, y: 100 }],
+      speed: 60,
+    });
+    stepPlatform(platform, 120);
+    return (
+      platform.position.x === 60 &&
+      platform.isFinished &&
+      platform.velocity.x === 0
+    );
+  });
+
+  test("Triggered platform waits for a rider", () => {
+    const platform = new MovingPlatform(0, 100, 60, 20, {
+      type: "linear",
+      points: [{ x: 60, y: 100 }],
+      speed: 60,
+      triggered: true,
+    });
+    stepPlatform(platform, 30);
+    const waited = platform.position.x === 0;
+
+    const rider = new Player(10, 68);
+    rider.isOnGround = true;
+    platform.carry(rider);
+    stepPlatform(platform, 30);
+
+    return waited && platform.position.x > 0;
+  });
+
+  test("Ping-pong platform turns back at the end", () => {
+    const platform = new MovingPlatform(0, 100, 60, 20, {
+      type: "pingpong",
+      points: [{ x: 60, y: 100 }],
+      speed: 60,
+    });
+    stepPlatform(platform, 90); // 1.5s: reached 60, heading back
+    return Math.abs(platform.position.x - 30) < 0.5 && platform.velocity.x < 0;
+  });
+
+  test("Loop platform returns to its start through every waypoint", () => {
+    const platform = new MovingPlatform(0, 100, 60, 20, {
+      type: "loop",
+      points: [
+        { x: 30, y: 60 },
+        { x: 60, y: 100 },
+      ],
+      speed: 100,
+    });
+    let reachedTop = false;
+    for (let i = 0; i < 600 && !reachedTop; i++) {
+      platform.update(FRAME_TIME);
+      reachedTop = platform.segmentIndex === 1;
+    }
+    for (let i = 0; i < 600; i++) {
+      platform.update(FRAME_TIME);
+      if (platform.segmentIndex === 0) break;
+    }
+    // Within one frame of travel past the start point
+    const distanceFromStart = Math.hypot(
+      platform.position.x,
+      platform.position.y - 100
+    );
+    return (
+      reachedTop &&
+      platform.segmentIndex === 0 &&
+      distanceFromStart <= (100 * FRAME_TIME) / 1000
+    );
+  });
+
+  test("Circular platform keeps its radius", () => {
+    const platform = new MovingPlatform(70, 92, 60, 16, {
+      type: "circular",
+      center: { x: 50, y: 100 },
+      speed: 80,
+    });
+    stepPlatform(platform, 45);
+    const centerX = platform.position.x + 30;
+    const centerY = platform.position.y + 8;
+    const distance = Math.hypot(centerX - 50, centerY - 100);
+    return (
+      Math.abs(distance - 50) < 0.01 &&
+      (platform.position.x !== 70 || platform.position.y !== 92)
+    );
+  });
+
+  test("Riders are carried with the platform", () => {
+    const physicsEngine = new PhysicsEngine();
+    const platform = new MovingPlatform(200, 400, 100, 20, {
+      type: "pingpong",
+      points: [{ x: 400, y: 300 }],
+      speed: 60,
+    });
+    const stage = createTestStage(platform);
+    const player = new Player(230, 368);
+    player.isOnGround = true;
+
+    stepPlayer(stage, player, physicsEngine, {}, 60);
+
+    return (
+      player.ridingPlatform === platform &&
+      player.position.x > 240 &&
+      Math.abs(player.position.y + player.size.height - platform.position.y) <
+        1 &&
+      player.position.x - platform.position.x === 30
+    );
+  });
+
+  test("Jumping off keeps the platform's horizontal momentum", () => {
+    const physicsEngine = new PhysicsEngine();
+    const platform = new MovingPlatform(200, 400, 100, 20, {
+      type: "pingpong",
+      points: [{ x: 800, y: 400 }],
+      speed: 120,
+    });
+    const stage = createTestStage(platform);
+    const player = new Player(230, 368);
+    player.isOnGround = true;
+
+    stepPlayer(stage, player, physicsEngine, {}, 30);
+    stepPlayer(stage, player, physicsEngine, { jump: true }, 1);
+    const airborneVelocity = player.velocity.x;
+    const startX = player.position.x;
+    stepPlayer(stage, player, physicsEngine, {}, 10);
+
+    return (
+      !player.isOnGround &&
+      Math.abs(airborneVelocity - 120) < 1 &&
+      player.position.x > startX + 15
+    );
+  });
+
+  test("Jumping off mid-dash inherits the momentum only once", () => {
+    const physicsEngine = new PhysicsEngine();
+    const platform = new MovingPlatform(200, 400, 100, 20, {
+      type: "pingpong",
+      points: [{ x: 800, y: 400 }],
+      speed: 120,
+    });
+    const stage = createTestStage(platform);
+    const player = new Player(230, 368);
+    player.isOnGround = true;
+
+    stepPlayer(stage, player, physicsEngine, {}, 30);
+    stepPlayer(stage, player, physicsEngine, { dash: true }, 1);
+    stepPlayer(stage, player, physicsEngine, { jump: true }, 1);
+
+    // The dash keeps its velocity without input; the platform's share must
+    // not be added again on every frame
+    let fastest = 0;
+    for (let frame = 0; frame < 20; frame++) {
+      stepPlayer(stage, player, physicsEngine, {}, 1);
+      fastest = Math.max(fastest, Math.abs(player.velocity.x));
+    }
+
+    return (
+      !player.isOnGround &&
+      Math.abs(player.carriedVelocityX - 120) < 1 &&
+      fastest > player.dashSpeed &&
+      fastest <= player.dashSpeed + 120 + 1
+    );
+  });
+
+  test("Jumps off solid ground keep the usual air control", () => {
+    const physicsEngine = new PhysicsEngine();
+    const stage = createTestStage(
+      new MovingPlatform(1000, 300, 100, 20, {
+        type: "pingpong",
+        points: [{ x: 1200, y: 300 }],
+        speed: 120,
+      })
+    );
+    const player = new Player(100, 468);
+    player.isOnGround = true;
+
+    stepPlayer(stage, player, physicsEngine, { moveRight: true }, 5);
+    stepPlayer(
+      stage,
+      player,
+      physicsEngine,
+      { moveRight: true, jump: true },
+      1
+    );
+    const runningVelocity = player.velocity.x;
+    // Letting go of the direction in the air stops the drift at once
+    stepPlayer(stage, player, physicsEngine, {}, 1);
+
+    return (
+      !player.isOnGround &&
+      runningVelocity > 0 &&
+      player.carriedVelocityX === 0 &&
+      player.velocity.x === 0
+    );
+  });
+
+  test("Momentum is cleared after landing", () => {
+    const player = new Player(100, 468);
+    player.carriedVelocityX = 120;
+    player.isOnGround = true;
+    player.handleInput({});
+    return player.carriedVelocityX === 0 && player.velocity.x === 0;
+  });
+
+  test("Platform moving sideways pushes the player along its motion", () => {
+    const physicsEngine = new PhysicsEngine();
+    // Head-height platform moving right into a player standing on the ground
+    const platform = new MovingPlatform(260, 450, 60, 20, {
+      type: "linear",
+      points: [{ x: 400, y: 450 }],
+      speed: 120,
+    });
+    const stage = createTestStage(platform);
+    const player = new Player(322, 468);
+    player.isOnGround = true;
+
+    stepPlayer(stage, player, physicsEngine, {}, 20);
+
+    return (
+      player.position.x >= platform.position.x + platform.size.width - 0.01 &&
+      Math.abs(player.position.y - 468) < 1 &&
+      player.isOnGround
+    );
+  });
+
+  test("Platform rising into the player lifts them on top", () => {
+    const physicsEngine = new PhysicsEngine();
+    const platform = new MovingPlatform(200, 505, 100, 20, {
+      type: "linear",
+      points: [{ x: 200, y: 400 }],
+      speed: 120,
+    });
+    const stage = createTestStage(platform);
+    stage.platforms = [platform];
+    stage.staticPlatforms = [];
+    const player = new Player(230, 470);
+
+    stepPlayer(stage, player, physicsEngine, {}, 90);
+
+    return (
+      Math.abs(player.position.y + player.size.height - 400) < 1 &&
+      player.isOnGround
+    );
+  });
+
+  test("Moving platforms survive getStageData serialization", () => {
+    const original = new Stage(4);
+    original.update(FRAME_TIME * 30);
+    const data = JSON.parse(JSON.stringify(original.getStageData()));
+    const copy = new Stage(1, data);
+    const moving = copy.platforms.filter(
+      (platform) => platform instanceof MovingPlatform
+    );
+    return (
+      moving.length === 1 &&
+      copy.movingPlatforms.length === 1 &&
+      moving[0].path.type === "pingpong" &&
+      moving[0].position.x === 1810 &&
+      JSON.stringify(copy.getStageData()) === JSON.stringify(data)
+    );
+  });
+
+  test("Registry rejects invalid movement paths", () => {
+    const registry = new StageRegistry();
+    const platform = {
+      position: { x: 0, y: 0 },
+      size: { width: 60, height: 20 },
+      type: "moving",
+    };
+    const results = [
+      registry.registerStage({
+        id: 1,
+        platforms: [{ ...platform, path: { type: "zigzag" } }],
+      }),
+      registry.registerStage({
+        id: 2,
+        platforms: [{ ...platform, path: { type: "loop", points: [] } }],
+      }),
+      registry.registerStage({
+        id: 3,
+        platforms: [{ ...platform, path: { type: "circular" } }],
+      }),
+      registry.registerStage({
+        id: 4,
+        platforms: [
+          { ...platform, path: { type: "circular", center: { x: 0, y: 0 } } },
+        ],
+      }),
+    ];
+    return (
+      !results[0] &&
+      !results[1] &&
+      !results[2] &&
+      results[3] &&
+      registry.getStageCount() === 1
+    );
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Node.js test for the Music Sequencer
+ * Tests note parsing, event timing, track rendering and AudioManager
+ * music playback (crossfades, pause/resume)
+ */
+
+// Mock performance.now() (controllable for fades) and a Web Audio context
+let mockNow = 0;
+global.performance = {
+  now: () => mockNow,
+};
+
+class MockAudioContext {
+  constructor() {
+    this.sampleRate = 8000;
+    this.state = "running";
+    this.currentTime = 0;
+    this.destination = {};
+    this.startedSources = [];
+  }
+
+  createGain() {
+    return { gain: { value: 1 }, connect: () => {}, disconnect: () => {} };
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    const data = new Float32Array(length);
+    return {
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: () => data,
+    };
+  }
+
+  createBufferSource() {
+    const context = this;
+    const source = {
+      buffer: null,
+      loop: false,
+      playbackRate: { value: 1 },
+      onended: null,
+      stopped: false,
+      connect: () => {},
+      disconnect: () => {},
+      start: (when, offset) => {
+        source.offset = offset;
+        context.startedSources.push(source);
+      },
+      stop: () => {
+        source.stopped = true;
+      },
+    };
+    return source;
+  }
+
+  resume() {
+    this.state = "running";
+    return Promise.resolve();
+  }
+
+  close() {}
+}
+global.AudioContext = MockAudioContext;
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const {
+  SoundSynth,
+  SynthVoice,
+  MusicSequencer,
+  MUSIC_TRACKS,
+  SCENE_MUSIC,
+  AudioManager,
+  STAGE_DEFINITIONS,
+} = loadGameScripts({ quiet: true });
+
+const SAMPLE_RATE = 8000;
+
+// Small two-channel track for timing checks
+const TEST_TRACK = {
+  tempo: 120,
+  stepsPerBeat: 2,
+  channels: {
+    lead: { wave: "square", volume: 0.2 },
+    drums: { wave: "noise", volume: 0.1, hits: { x: { duration: 20 } } },
+  },
+  patterns: {
+    a: { lead: "C4 - E4 .", drums: "x . x ." },
+    b: { lead: "G4 - - -" },
+  },
+  sequence: ["a", "b"],
+};
+
+/**
+ * Create an AudioManager running on the mock Web Audio context
+ */
+function createAudioManager() {
+  const audioManager = new AudioManager();
+  audioManager.init(); // Completes synchronously
+  return audioManager;
+}
+
+// Test suite
+runTestSuite("Music Sequencer", (test) => {
+  test("Note names convert to equal-tempered frequencies", () => {
+    const sequencer = new MusicSequencer(new SoundSynth(SAMPLE_RATE));
+    const close = (a, b) => Math.abs(a - b) < 0.01;
+    return (
+      close(sequencer.parseNote("A4"), 440) &&
+      close(sequencer.parseNote("C4"), 261.63) &&
+      close(sequencer.parseNote("F#5"), 739.99) &&
+      close(sequencer.parseNote("Bb3"), 233.08) &&
+      sequencer.parseNote("H2") === null
+    );
+  });
+
+  test("Patterns hold notes with '-' and rest with '.'", () => {
+    const sequencer = new MusicSequencer(new SoundSynth(SAMPLE_RATE));
+    const parsed = sequencer.parsePattern("C4 - - . E4 . - G4");
+    return (
+      parsed.steps === 8 &&
+      parsed.notes.length === 3 &&
+      parsed.notes[0].length === 3 &&
+      parsed.notes[1].step === 4 &&
+      parsed.notes[1].length === 1 && // Hold after a rest is ignored
+      parsed.notes[2].step === 7
+    );
+  });
+
+  test("Events follow the sequence at the track tempo", () => {
+    const sequencer = new MusicSequencer(new SoundSynth(SAMPLE_RATE));
+    const { events, duration } = sequencer.buildEvents(TEST_TRACK);
+    const lead = events.filter((event) => event.channel === "lead");
+    const drums = events.filter((event) => event.channel === "drums");
+
+    // 120 BPM at 2 steps per beat is 250ms per step
+    return (
+      duration === 2000 &&
+      lead.map((event) => event.time).join() === "0,500,1000" &&
+      lead[0].tone.duration === 500 &&
+      lead[2].tone.duration === 1000 &&
+      drums.map((event) => event.time).join() === "0,500" &&
+      drums[0].tone.wave === "noise"
+    );
+  });
+
+  test("Hurry variants are faster by the tempo scale", () => {
+    const sequencer = new MusicSequencer(new SoundSynth(SAMPLE_RATE));
+    const normal = sequencer.buildEvents(TEST_TRACK).duration;
+    const hurry = sequencer.buildEvents(TEST_TRACK, { hurry: true }).duration;
+    const custom = sequencer.buildEvents(
+      { ...TEST_TRACK, hurryTempoScale: 2 },
+      { hurry: true }
+    ).duration;
+    return (
+      Math.abs(hurry - normal / sequencer.defaultHurryTempoScale) < 0.001 &&
+      custom === normal / 2
+    );
+  });
+
+  test("Tracks render deterministically at the requested length", () => {
+    const sequencer = new MusicSequencer(new SoundSynth());
+    const first = sequencer.renderTrack(TEST_TRACK, {
+      sampleRate: SAMPLE_RATE,
+    });
+    const second = sequencer.renderTrack(TEST_TRACK, {
+      sampleRate: SAMPLE_RATE,
+    });
+    return (
+      first.length === 2 * SAMPLE_RATE &&
+      first.some((sample) => sample !== 0) &&
+      first.every((sample, i) => sample === second[i])
+    );
+  });
+
+  test("Every scene and stage has a track that renders", () => {
+    const sequencer = new MusicSequencer(new SoundSynth());
+    const names = new Set(Object.values(SCENE_MUSIC));
+    names.add("stage_clear");
+    STAGE_DEFINITIONS.forEach((stage) => names.add(stage.music));
+
+    return Array.from(names).every((name) => {
+      const track = MUSIC_TRACKS[name];
+      if (!track) return false;
+      const pcm = sequencer.renderTrack(track, { sampleRate: SAMPLE_RATE });
+      const peak = pcm.reduce(
+        (max, sample) => Math.max(max, Math.abs(sample)),
+        0
+      );
+      return pcm.length > 0 && peak > 0.1 && peak <= 1;
+    });
+  });
+
+  test("AudioManager generates looping and one-shot music", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthMusic("overworld", MUSIC_TRACKS.overworld);
+    audioManager.loadSynthMusic("stage_clear", MUSIC_TRACKS.stage_clear);
+
+    const overworld = audioManager.music.get("overworld");
+    const stageClear = audioManager.music.get("stage_clear");
+    return (
+      overworld instanceof SynthVoice &&
+      overworld.loop === true &&
+      stageClear.loop === false &&
+      audioManager.isMusicLoaded("overworld")
+    );
+  });
+
+  test("Playing the current track again keeps it going", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthMusic("menu", MUSIC_TRACKS.menu);
+    const context = audioManager.audioContext;
+
+    const first = audioManager.playMusic("menu");
+    const again = audioManager.playMusic("menu");
+    const restarted = audioManager.playMusic("menu", { restart: true });
+
+    return (
+      first === again &&
+      restarted !== first &&
+      context.startedSources.length === 2 &&
+      first.paused
+    );
+  });
+
+  test("Tracks crossfade when a fade duration is given", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthMusic("menu", MUSIC_TRACKS.menu);
+    audioManager.loadSynthMusic("stage_select", MUSIC_TRACKS.stage_select);
+    const fullVolume = audioManager._calculateVolume("music");
+
+    mockNow = 1000;
+    const menu = audioManager.playMusic("menu");
+    const stageSelect = audioManager.playMusic("stage_select", {
+      fadeDuration: 600,
+    });
+    const startVolume = stageSelect.volume;
+
+    mockNow = 1300;
+    audioManager._updateMusicFade();
+    const midway =
+      Math.abs(menu.volume - fullVolume / 2) < 0.001 &&
+      Math.abs(stageSelect.volume - fullVolume / 2) < 0.001 &&
+      !menu.paused;
+
+    mockNow = 1600;
+    audioManager._updateMusicFade();
+
+    return (
+      startVolume === 0 &&
+      midway &&
+      menu.paused &&
+      stageSelect.volume === fullVolume &&
+      audioManager.musicFade === null &&
+      audioManager.bgmFadeInterval === null &&
+      audioManager.currentBGMName === "stage_select"
+    );
+  });
+
+  test("Stopping music mid-fade stops both tracks", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthMusic("menu", MUSIC_TRACKS.menu);
+    audioManager.loadSynthMusic("ending", MUSIC_TRACKS.ending);
+
+    const menu = audioManager.playMusic("menu");
+    const ending = audioManager.playMusic("ending", { fadeDuration: 600 });
+    audioManager.stopMusic();
+
+    return (
+      menu.paused &&
+      ending.paused &&
+      audioManager.currentBGM === null &&
+      audioManager.currentBGMName === null &&
+      audioManager.bgmFadeInterval === null
+    );
+  });
+
+  test("Paused music resumes where it left off", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthMusic("castle", MUSIC_TRACKS.castle);
+    const context = audioManager.audioContext;
+
+    context.currentTime = 10;
+    const castle = audioManager.playMusic("castle");
+    context.currentTime = 12.5;
+    audioManager.pauseMusic();
+    context.currentTime = 20;
+    audioManager.resumeMusic();
+    const resumedSource = context.startedSources[1];
+
+    // Looping tracks wrap around when the position passes the end
+    context.currentTime = 20 + castle.duration;
+    const wrapped = castle.currentTime;
+
+    return (
+      context.startedSources[0].offset === 0 &&
+      Math.abs(resumedSource.offset - 2.5) < 0.001 &&
+      Math.abs(wrapped - 2.5) < 0.001
+    );
+  });
+});
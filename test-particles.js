@@ -0,0 +1,204 @@
+/**
+ * Node.js test for the Particle System
+ * Plays a headless engine and checks the dust, sparkle, debris and confetti
+ * emitters, pooling, quality scaling and the enableParticles setting
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  holdKeys,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG, MemoryStorage } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+/**
+ * Create a headless engine and start a game
+ */
+async function startGame(storage = new MemoryStorage()) {
+  const engine = await loadHeadlessEngine({ storage });
+  engine.startGame();
+  return engine;
+}
+
+/**
+ * Live particles emitted with one preset
+ */
+function particlesOf(engine, effectName) {
+  return engine.particleSystem.particles.filter(
+    (particle) => particle.effect === PARTICLE_EFFECTS[effectName]
+  );
+}
+
+// Test suite
+runTestSuite("Particle System", async (test) => {
+  await test("A hard landing kicks up dust at the player's feet", async () => {
+    const engine = await startGame();
+    holdKeys(engine, [], 60); // Settle on the ground
+    const quiet = particlesOf(engine, "dust").length === 0;
+
+    engine.player.setPosition(engine.player.position.x, 100);
+    let dust = [];
+    for (let frame = 0; frame < 120 && dust.length === 0; frame++) {
+      engine.stepFrame(FRAME_TIME);
+      dust = particlesOf(engine, "dust");
+    }
+    const feet = engine.player.position.y + engine.player.size.height;
+
+    return (
+      quiet &&
+      dust.length === PARTICLE_EFFECTS.dust.count &&
+      dust.every((particle) => Math.abs(particle.y - feet) < 10)
+    );
+  });
+
+  await test("Starting a dash leaves dust behind the player", async () => {
+    const engine = await startGame();
+    holdKeys(engine, [], 60);
+    holdKeys(engine, ["ShiftLeft", "ArrowRight"], 2);
+
+    const dust = particlesOf(engine, "dust");
+    return (
+      engine.player.isDashing &&
+      dust.length > 0 &&
+      dust.every((particle) => particle.vx < 0)
+    );
+  });
+
+  await test("Collecting a coin sparkles", async () => {
+    const engine = await startGame();
+    holdKeys(engine, [], 60);
+
+    const player = engine.player;
+    const coin = ItemManager.createItemFromData({
+      type: "coin",
+      position: { x: player.position.x + 8, y: player.position.y + 8 },
+    });
+    engine.itemManager.addItem(coin);
+    holdKeys(engine, [], 1);
+
+    return (
+      player.coins === 1 &&
+      particlesOf(engine, "sparkle").length === PARTICLE_EFFECTS.sparkle.count
+    );
+  });
+
+  await test("Breaking a brick scatters debris", async () => {
+    const engine = await startGame();
+    const block = new Block(300, 200, 32, 32, "brick");
+    block.shatter();
+    engine.handleBlockHit({ type: "brick", broken: true, block });
+
+    const debris = particlesOf(engine, "debris");
+    return (
+      debris.length === PARTICLE_EFFECTS.debris.count &&
+      debris.every((particle) => particle.layer === "world")
+    );
+  });
+
+  await test("Clearing a stage rains confetti over the results", async () => {
+    const engine = await startGame();
+    holdKeys(engine, [], 30);
+    const goal = engine.currentStage.goal;
+    engine.player.setPosition(goal.position.x + 10, goal.position.y + 20);
+    holdKeys(engine, [], 2);
+
+    const confetti = particlesOf(engine, "confetti");
+    const startY = confetti.map((particle) => particle.y);
+    holdKeys(engine, [], 30);
+
+    return (
+      engine.gameState.mode === "victory" &&
+      confetti.length === PARTICLE_EFFECTS.confetti.count &&
+      confetti.every((particle) => particle.layer === "screen") &&
+      confetti.every((particle, index) => particle.y > startY[index])
+    );
+  });
+
+  await test("Dead particles return to the pool and are reused", async () => {
+    const engine = await startGame();
+    const particles = engine.particleSystem;
+    particles.emit("sparkle", 100, 100);
+    const first = particles.particles.slice();
+
+    particles.update(PARTICLE_EFFECTS.sparkle.life[1] + 1);
+    const released = particles.getStats();
+    particles.emit("sparkle", 100, 100);
+
+    return (
+      released.active === 0 &&
+      released.pooled === first.length &&
+      particles.getStats().pooled === 0 &&
+      particles.particles.every((particle) => first.includes(particle))
+    );
+  });
+
+  await test("Emits stop at the particle limit", async () => {
+    const particles = new ParticleSystem({}, 50);
+    const emitted = [1, 2].map(() => particles.emit("confetti", 0, 0));
+
+    return (
+      emitted[0] === 50 && emitted[1] === 0 && particles.particles.length === 50
+    );
+  });
+
+  await test("Emit counts follow the effects quality", async () => {
+    const engine = await startGame();
+    let quality = 0.5;
+    engine.performanceOptimizer = { getEffectsQuality: () => quality };
+
+    const reduced = engine.particleSystem.emit("debris", 0, 0);
+    quality = 0.25;
+    const low = engine.particleSystem.emit("debris", 0, 0);
+
+    return (
+      reduced === PARTICLE_EFFECTS.debris.count / 2 &&
+      low === PARTICLE_EFFECTS.debris.count / 4 &&
+      engine.particleSystem.getStats().quality === 0.25
+    );
+  });
+
+  await test("Turning particles off in settings stops every emitter", async () => {
+    const storage = new MemoryStorage();
+    const engine = await startGame(storage);
+    engine.particleSystem.emit("dust", 0, 0);
+
+    const settings = engine.sceneManager.getScene("settings");
+    settings.applySettingChange("enableParticles", false);
+    const cleared = engine.particleSystem.getStats().active === 0;
+    engine.handleBlockHit({
+      type: "brick",
+      broken: true,
+      block: new Block(300, 200, 32, 32, "brick"),
+    });
+
+    // The saved setting is applied on the next boot
+    engine.saveSystem.saveSettings({
+      ...engine.saveSystem.loadSettings(),
+      enableParticles: false,
+    });
+    const rebooted = await startGame(storage);
+
+    return (
+      cleared &&
+      engine.particleSystem.getStats().active === 0 &&
+      !rebooted.particleSystem.enabled &&
+      rebooted.particleSystem.emit("sparkle", 0, 0) === 0
+    );
+  });
+
+  await test("Loading a stage clears leftover particles", async () => {
+    const engine = await startGame();
+    engine.particleSystem.emit("dust", 0, 0);
+    engine.particleSystem.emit("confetti", 0, 0, { layer: "screen" });
+    engine.loadStage(1);
+
+    return (
+      engine.particleSystem.getStats().active === 0 &&
+      engine.particleSystem.emit("wind", 0, 0) === 0
+    );
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Node.js test for Input Replays
+ * Records stage attempts on a headless engine, plays them back and checks
+ * that they reproduce exactly. Replays in replays/ are regression fixtures:
+ * each must still end the way it was recorded.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+console.error = () => {};
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+const FIXTURE_DIR = path.join(__dirname, "replays");
+
+/**
+ * Play a scripted run on stage 1 and quit; returns the recorded replay
+ * Runs right, jumps every 50 frames and dashes for a while.
+ */
+async function recordRun(frames = 300) {
+  const engine = await loadHeadlessEngine();
+  engine.startGame();
+
+  const keys = engine.inputManager;
+  keys.setKeyState("ArrowRight", true);
+  for (let frame = 0; frame < frames; frame++) {
+    keys.setKeyState("Space", frame % 50 < 20);
+    keys.setKeyState("ShiftLeft", frame >= 100 && frame < 140);
+    engine.stepFrame(FRAME_TIME);
+  }
+
+  engine.stopGame();
+  return { engine, replay: engine.replaySystem.getLastReplay() };
+}
+
+/**
+ * Play a replay on an engine, stepping frames until playback finishes
+ * @param {Function} frameTime - Frame time for a frame index
+ * @returns {Object|null} - Playback result, or null if it never finished
+ */
+function playReplay(engine, replay, frameTime = () => FRAME_TIME) {
+  let playbackResult = null;
+  const started = engine.replaySystem.startPlayback(replay, {
+    onComplete: (result) => {
+      playbackResult = result;
+    },
+  });
+  if (!started) return null;
+
+  const maxFrames = replay.frameCount * 4 + 600;
+  for (let frame = 0; !playbackResult && frame < maxFrames; frame++) {
+    engine.stepFrame(frameTime(frame));
+  }
+  return playbackResult;
+}
+
+// Test suite
+runTestSuite("Replay", async (test) => {
+  await test("Stage attempts record stage, seed and start state", async () => {
+    const { engine, replay } = await recordRun();
+    return (
+      replay.format === REPLAY_FORMAT &&
+      replay.stageId === 1 &&
+      replay.seed === engine.random.seed &&
+      replay.start.lives === GAME_CONFIG.startingLives &&
+      replay.frameCount > 250 &&
+      replay.result.outcome === "quit" &&
+      replay.result.frames === replay.frameCount &&
+      !engine.replaySystem.isRecording()
+    );
+  });
+
+  await test("Steps are stored as compact action runs", async () => {
+    const { replay } = await recordRun();
+    const frames = replay.inputs.reduce((total, run) => total + run[1], 0);
+    const replaySystem = new ReplaySystem(null);
+    const jumpRuns = replay.inputs.filter(
+      (run) => replaySystem.decodeActions(run[0]).jump
+    );
+
+    // One entry per change of input, and each press lasts a single step
+    return (
+      frames === replay.frameCount &&
+      replay.inputs.length < replay.frameCount / 5 &&
+      jumpRuns.length > 0 &&
+      jumpRuns.every((run) => run[1] === 1)
+    );
+  });
+
+  await test("Playback drives getPlayerInput() from the replay", async () => {
+    const { replay } = await recordRun();
+    const engine = await loadHeadlessEngine();
+    engine.replaySystem.startPlayback(replay);
+
+    // Nothing is pressed on the keyboard, yet the player runs right
+    const startX = engine.player.position.x;
+    for (let frame = 0; frame < 60; frame++) {
+      engine.stepFrame(FRAME_TIME);
+    }
+    const input = engine.inputManager.getPlayerInput();
+
+    return (
+      engine.inputManager.isPlayingBack() &&
+      input.moveRight &&
+      !engine.inputManager.isKeyHeld("ArrowRight") &&
+      engine.player.position.x > startX + 50 &&
+      engine.random.seed === replay.seed
+    );
+  });
+
+  await test("Playback reproduces the run at any frame rate", async () => {
+    const { replay } = await recordRun();
+
+    // Starting a replay mid-game restarts the stage for it
+    const engine = await loadHeadlessEngine();
+    engine.startGame();
+    engine.inputManager.setKeyState("ArrowLeft", true);
+    for (let frame = 0; frame < 30; frame++) {
+      engine.stepFrame(FRAME_TIME);
+    }
+    engine.inputManager.setKeyState("ArrowLeft", false);
+
+    const playback = playReplay(engine, replay, (frame) =>
+      frame % 3 === 0 ? 1000 / 30 : 1000 / 144
+    );
+
+    return (
+      playback !== null &&
+      playback.verification.passed &&
+      playback.result.position.x === replay.result.position.x &&
+      !engine.inputManager.isPlayingBack()
+    );
+  });
+
+  await test("Exported replays import and replay in a new engine", async () => {
+    const { engine, replay } = await recordRun();
+    const json = engine.replaySystem.exportReplay();
+
+    const other = await loadHeadlessEngine();
+    const imported = other.replaySystem.importReplay(json);
+    const playback = playReplay(other, imported);
+
+    return (
+      typeof json === "string" &&
+      imported.frameCount === replay.frameCount &&
+      playback.verification.passed &&
+      other.gameState.mode === "playing"
+    );
+  });
+
+  await test("Invalid replays are rejected", async () => {
+    const { engine, replay } = await recordRun(60);
+    const replaySystem = engine.replaySystem;
+    const broken = [
+      { ...replay, format: "something-else" },
+      { ...replay, stageId: 999 },
+      { ...replay, frameCount: replay.frameCount + 1 },
+      { ...replay, inputs: [[1, 0]] },
+      { ...replay, stepDuration: 1000 / 30 },
+    ];
+
+    return (
+      replaySystem.validateReplay(replay).valid &&
+      broken.every((bad) => !replaySystem.validateReplay(bad).valid) &&
+      replaySystem.importReplay("{not json") === null &&
+      !replaySystem.startPlayback(broken[0])
+    );
+  });
+
+  await test("Altered inputs are caught as a divergence", async () => {
+    const { replay } = await recordRun();
+    const altered = JSON.parse(JSON.stringify(replay));
+    // Let go of right halfway through the run
+    const moveRightBit = 1 << REPLAY_ACTIONS.indexOf("moveRight");
+    altered.inputs = altered.inputs.map((run, index) =>
+      index >= altered.inputs.length / 2
+        ? [run[0] & ~moveRightBit, run[1]]
+        : run
+    );
+
+    const engine = await loadHeadlessEngine();
+    const playback = playReplay(engine, altered);
+    const fields = playback.verification.mismatches.map(
+      (mismatch) => mismatch.field
+    );
+
+    return (
+      !playback.verification.passed &&
+      fields.includes("position") &&
+      !fields.includes("frames")
+    );
+  });
+
+  // Regression fixtures
+  const fixtures = fs
+    .readdirSync(FIXTURE_DIR)
+    .filter((file) => file.endsWith(".json"));
+
+  for (const file of fixtures) {
+    await test(`Fixture ${file} reproduces its recorded result`, async () => {
+      const engine = await loadHeadlessEngine();
+      const replay = engine.replaySystem.importReplay(
+        fs.readFileSync(path.join(FIXTURE_DIR, file), "utf8")
+      );
+      const playback = replay && playReplay(engine, replay);
+      return playback !== null && playback.verification.passed;
+    });
+  }
+});
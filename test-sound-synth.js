@@ -0,0 +1,272 @@
+/**
+ * Node.js test for the Chiptune Sound Synthesizer
+ * Tests offline PCM rendering, WAV encoding and AudioManager integration
+ */
+
+// Mock a minimal Web Audio context
+class MockAudioContext {
+  constructor() {
+    this.sampleRate = 22050;
+    this.state = "suspended";
+    this.destination = {};
+    this.startedSources = [];
+  }
+
+  createGain() {
+    return { gain: { value: 1 }, connect: () => {}, disconnect: () => {} };
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    const data = new Float32Array(length);
+    return {
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: () => data,
+    };
+  }
+
+  createBufferSource() {
+    const context = this;
+    const source = {
+      buffer: null,
+      loop: false,
+      playbackRate: { value: 1 },
+      onended: null,
+      connect: () => {},
+      disconnect: () => {},
+      start: () => context.startedSources.push(source),
+      stop: () => {},
+    };
+    return source;
+  }
+
+  resume() {
+    this.state = "running";
+    return Promise.resolve();
+  }
+
+  close() {}
+}
+global.AudioContext = MockAudioContext;
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const { SoundSynth, SynthVoice, SOUND_EFFECTS, AudioManager } = loadGameScripts(
+  { quiet: true }
+);
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * Count sign changes in a range of samples
+ */
+function countZeroCrossings(pcm, start = 0, end = pcm.length) {
+  let crossings = 0;
+  for (let i = start + 1; i < end; i++) {
+    if (pcm[i - 1] < 0 !== pcm[i] < 0) crossings++;
+  }
+  return crossings;
+}
+
+/**
+ * Create an AudioManager running on the mock Web Audio context
+ */
+function createAudioManager() {
+  const audioManager = new AudioManager();
+  audioManager.init(); // Completes synchronously
+  return audioManager;
+}
+
+// Test suite
+runTestSuite("Sound Synth", (test) => {
+  test("Every game sound renders audible, in-range samples", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const names = [
+      "jump",
+      "dash",
+      "coin",
+      "powerup",
+      "invincible",
+      "item",
+      "damage",
+      "defeat",
+      "victory",
+      "enemy_defeat",
+      "stage_clear",
+    ];
+    return names.every((name) => {
+      const pcm = synth.renderPCM(SOUND_EFFECTS[name]);
+      const peak = pcm.reduce(
+        (max, sample) => Math.max(max, Math.abs(sample)),
+        0
+      );
+      return pcm.length > 0 && peak > 0.1 && peak <= 1;
+    });
+  });
+
+  test("Rendering is deterministic, including noise", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const first = synth.renderPCM(SOUND_EFFECTS.dash);
+    const second = synth.renderPCM(SOUND_EFFECTS.dash);
+    const reseeded = synth.renderPCM({ ...SOUND_EFFECTS.dash, seed: 99 });
+
+    return (
+      first.every((sample, i) => sample === second[i]) &&
+      reseeded.some((sample, i) => sample !== first[i])
+    );
+  });
+
+  test("Tones play back to back for their durations", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const pcm = synth.renderPCM(SOUND_EFFECTS.coin);
+    const coinMs = SOUND_EFFECTS.coin.tones.reduce(
+      (sum, tone) => sum + tone.duration,
+      0
+    );
+    return pcm.length === Math.round((coinMs / 1000) * SAMPLE_RATE);
+  });
+
+  test("Square waves play at the requested pitch and duty cycle", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const tone = { wave: "square", frequency: 200, duration: 1000 };
+    const pcm = synth.renderPCM({ volume: 1, tones: [tone] });
+    const narrow = synth.renderPCM({
+      volume: 1,
+      tones: [{ ...tone, duty: 0.25 }],
+    });
+    const highShare =
+      narrow.filter((sample) => sample > 0).length / narrow.length;
+
+    return (
+      Math.abs(countZeroCrossings(pcm) - 400) <= 2 &&
+      Math.abs(highShare - 0.25) < 0.02
+    );
+  });
+
+  test("Triangle waves stay within the tone volume", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const pcm = synth.renderPCM({
+      volume: 0.5,
+      tones: [{ wave: "triangle", frequency: 100, duration: 500 }],
+    });
+    const peak = pcm.reduce(
+      (max, sample) => Math.max(max, Math.abs(sample)),
+      0
+    );
+    return (
+      peak <= 0.5 && peak > 0.45 && Math.abs(countZeroCrossings(pcm) - 100) <= 2
+    );
+  });
+
+  test("Pitch slides from frequency to frequencyEnd", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const pcm = synth.renderPCM({
+      volume: 1,
+      tones: [
+        { wave: "square", frequency: 100, frequencyEnd: 400, duration: 1000 },
+      ],
+    });
+    const quarter = Math.floor(pcm.length / 4);
+    const start = countZeroCrossings(pcm, 0, quarter);
+    const end = countZeroCrossings(pcm, pcm.length - quarter, pcm.length);
+    return end > start * 2.5;
+  });
+
+  test("The envelope fades in and out", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const pcm = synth.renderPCM({
+      volume: 1,
+      tones: [
+        {
+          wave: "square",
+          frequency: 100,
+          duration: 200,
+          attack: 20,
+          release: 50,
+        },
+      ],
+    });
+    return (
+      pcm[0] === 0 &&
+      Math.abs(pcm[pcm.length - 1]) < 0.01 &&
+      Math.abs(pcm[Math.floor(pcm.length / 2)]) === 1
+    );
+  });
+
+  test("Unknown waveforms render silence", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const pcm = synth.renderPCM({
+      tones: [{ wave: "sawtooth", frequency: 440, duration: 100 }],
+    });
+    return pcm.length === 800 && pcm.every((sample) => sample === 0);
+  });
+
+  test("WAV encoding keeps the rendered samples", () => {
+    const synth = new SoundSynth(SAMPLE_RATE);
+    const pcm = synth.renderPCM(SOUND_EFFECTS.jump);
+    const url = synth.encodeWav(pcm, SAMPLE_RATE);
+    const bytes = Buffer.from(url.split(",")[1], "base64");
+
+    const samplesMatch = Array.from(pcm).every(
+      (sample, i) =>
+        Math.abs(bytes.readInt16LE(44 + i * 2) / 32767 - sample) < 0.0001
+    );
+    return (
+      url.startsWith("data:audio/wav;base64,") &&
+      bytes.toString("ascii", 0, 4) === "RIFF" &&
+      bytes.readUInt32LE(24) === SAMPLE_RATE &&
+      bytes.readUInt32LE(40) === pcm.length * 2 &&
+      samplesMatch
+    );
+  });
+
+  test("AudioManager buffers match the offline render", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthSound("coin", SOUND_EFFECTS.coin);
+
+    const voice = audioManager.sounds.get("coin");
+    const expected = new SoundSynth().renderPCM(SOUND_EFFECTS.coin, 22050);
+    const channel = voice.buffer.getChannelData(0);
+
+    return (
+      voice instanceof SynthVoice &&
+      audioManager.soundPools.get("coin").length === audioManager.maxPoolSize &&
+      channel.length === expected.length &&
+      channel.every((sample, i) => sample === expected[i])
+    );
+  });
+
+  test("Generated sounds play through the sound pool", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthSound("jump", SOUND_EFFECTS.jump);
+    const context = audioManager.audioContext;
+
+    const voice = audioManager.playSound("jump");
+    const overlapped = audioManager.playSound("jump", { preventOverlap: true });
+    const source = context.startedSources[0];
+    source.onended();
+
+    return (
+      voice !== null &&
+      overlapped === null &&
+      context.state === "running" && // Resumed on first play
+      context.startedSources.length === 1 &&
+      voice.ended &&
+      audioManager.soundPools.get("jump").every((entry) => !entry.inUse)
+    );
+  });
+
+  test("Each sound name can be switched to another descriptor", () => {
+    const audioManager = createAudioManager();
+    audioManager.loadSynthSound("item", SOUND_EFFECTS.item);
+    const before = audioManager.sounds.get("item").buffer.length;
+    audioManager.loadSynthSound("item", SOUND_EFFECTS.stage_clear);
+    const after = audioManager.sounds.get("item");
+
+    return (
+      after.buffer.length !== before &&
+      audioManager.soundPools.get("item")[0].audio.buffer === after.buffer
+    );
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Node.js test for Sprites and Animation
+ * Tests the sprite atlas loader, Animator playback and entity sprite fallback
+ */
+
+// Mock Image for Node.js environment
+global.Image = class {
+  set src(value) {
+    this.currentSrc = value;
+    this.width = 352;
+    this.height = 160;
+    if (value.includes("missing")) {
+      this.onerror();
+    } else {
+      this.onload();
+    }
+  }
+};
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const { SPRITE_ATLAS, SpriteAtlas, spriteAtlas, Coin, PowerUp, Player } =
+  loadGameScripts({ quiet: true });
+
+const FRAME_TIME = 1000 / 60;
+
+spriteAtlas.load(SPRITE_ATLAS);
+
+/**
+ * Create a canvas context that records what was drawn
+ */
+function createMockContext() {
+  const calls = [];
+  const record =
+    (name) =>
+    (...args) =>
+      calls.push({ name, args });
+  return {
+    calls,
+    drawImage: record("drawImage"),
+    fillRect: record("fillRect"),
+    strokeRect: record("strokeRect"),
+    fillText: record("fillText"),
+    scale: record("scale"),
+    translate: record("translate"),
+    save: () => {},
+    restore: () => {},
+    rotate: () => {},
+    beginPath: () => {},
+    closePath: () => {},
+    moveTo: () => {},
+    lineTo: () => {},
+    arc: () => {},
+    rect: () => {},
+    clip: () => {},
+    fill: record("fill"),
+    stroke: () => {},
+    createRadialGradient: () => ({ addColorStop: () => {} }),
+    createLinearGradient: () => ({ addColorStop: () => {} }),
+    count(name) {
+      return calls.filter((call) => call.name === name).length;
+    },
+    drawnFrames() {
+      return calls
+        .filter((call) => call.name === "drawImage")
+        .map((call) => call.args.slice(1, 5).join(","));
+    },
+  };
+}
+
+/**
+ * Source rectangle of a frame as recorded by drawnFrames()
+ */
+function frameRect(name) {
+  const frame = SPRITE_ATLAS.frames[name];
+  return [frame.x, frame.y, frame.w, frame.h].join(",");
+}
+
+// Test suite
+runTestSuite("Sprite", (test) => {
+  test("Every animation frame exists inside the sprite sheet", () => {
+    const frameNames = Object.values(SPRITE_ATLAS.animations).flatMap((set) =>
+      Object.values(set).flatMap((animation) =>
+        animation.frames.map((step) => step.frame)
+      )
+    );
+    return (
+      spriteAtlas.isReady() &&
+      frameNames.every((name) => {
+        const frame = spriteAtlas.getFrame(name);
+        return frame && frame.x + frame.w <= 352 && frame.y + frame.h <= 160;
+      })
+    );
+  });
+
+  test("Player states all have animations", () => {
+    const animations = spriteAtlas.getAnimations("player");
+    return ["idle", "running", "jumping", "dashing", "blocking", "dead"].every(
+      (state) => animations[state] && animations[state].frames.length > 0
+    );
+  });
+
+  test("Frames advance by their durations and loop", () => {
+    const animator = new Animator(spriteAtlas, "player", { state: "running" });
+    const first = animator.getCurrentFrame();
+    animator.update(89);
+    const beforeChange = animator.getCurrentFrame();
+    animator.update(2);
+    const second = animator.getCurrentFrame();
+    animator.update(90 * 3);
+
+    return (
+      first === "player_run_0" &&
+      beforeChange === "player_run_0" &&
+      second === "player_run_1" &&
+      animator.getCurrentFrame() === "player_run_0"
+    );
+  });
+
+  test("Non-looping animations hold their last frame", () => {
+    const animator = new Animator(spriteAtlas, "player", { state: "jumping" });
+    animator.update(1000);
+    return (
+      animator.isFinished && animator.getCurrentFrame() === "player_jump_0"
+    );
+  });
+
+  test("Changing state restarts the animation, repeating it does not", () => {
+    const animator = new Animator(spriteAtlas, "player", { state: "running" });
+    animator.update(100);
+    animator.setState("running");
+    const kept = animator.frameIndex;
+    animator.setState("dashing");
+    return (
+      kept === 1 &&
+      animator.frameIndex === 0 &&
+      animator.getCurrentFrame() === "player_dash_0"
+    );
+  });
+
+  test("Facing left mirrors the frame", () => {
+    const animator = new Animator(spriteAtlas, "player");
+    const ctx = createMockContext();
+    animator.render(ctx, 100, 200, 32, 32);
+    animator.setFacing("left");
+    animator.render(ctx, 100, 200, 32, 32);
+
+    const flips = ctx.calls.filter(
+      (call) => call.name === "scale" && call.args[0] === -1
+    );
+    return ctx.count("drawImage") === 2 && flips.length === 1;
+  });
+
+  test("The invincibility flash hides every other interval", () => {
+    const animator = new Animator(spriteAtlas, "player");
+    animator.setFlashing(true);
+    const visible = [];
+    for (let i = 0; i < 4; i++) {
+      visible.push(animator.isVisible());
+      animator.update(100);
+    }
+    const ctx = createMockContext();
+    animator.update(100); // Hidden half again
+    const handled = animator.render(ctx, 0, 0, 32, 32);
+    animator.setFlashing(false);
+
+    return (
+      visible.join() === "true,false,true,false" &&
+      handled &&
+      ctx.count("drawImage") === 0 &&
+      animator.isVisible()
+    );
+  });
+
+  test("The player draws its animated sprite", () => {
+    const player = new Player(100, 468);
+    player.isOnGround = true;
+    player.update(FRAME_TIME, { moveLeft: true });
+    const ctx = createMockContext();
+    player.render(ctx);
+
+    return (
+      player.animator.state === "running" &&
+      player.animator.isFlipped() &&
+      ctx.drawnFrames()[0] === frameRect("player_run_0") &&
+      ctx.count("fillRect") === 0
+    );
+  });
+
+  test("Respawn invincibility flashes the player sprite", () => {
+    const player = new Player(100, 468);
+    player.respawn(100, 468);
+    player.isOnGround = true;
+
+    let hiddenFrames = 0;
+    for (let i = 0; i < 30; i++) {
+      player.update(FRAME_TIME, {});
+      const ctx = createMockContext();
+      player.render(ctx);
+      if (ctx.count("drawImage") === 0) hiddenFrames++;
+    }
+    return player.animator.isFlashing && hiddenFrames > 10 && hiddenFrames < 20;
+  });
+
+  test("Entities fall back to shapes when the atlas fails to load", () => {
+    const failedAtlas = new SpriteAtlas();
+    failedAtlas.load({ ...SPRITE_ATLAS, image: "assets/missing.png" });
+
+    const player = new Player(100, 468);
+    const coin = new Coin(200, 400);
+    player.animator.atlas = failedAtlas;
+    coin.animator.atlas = failedAtlas;
+
+    const ctx = createMockContext();
+    player.render(ctx);
+    coin.render(ctx);
+
+    return (
+      failedAtlas.loadFailed &&
+      !failedAtlas.isReady() &&
+      ctx.count("drawImage") === 0 &&
+      ctx.count("fillRect") === 1 && // Player rectangle
+      ctx.count("fillText") > 0 // Coin symbol
+    );
+  });
+
+  test("Coins, power-ups and goal flags use their sprites", () => {
+    const ctx = createMockContext();
+    new Coin(200, 400).render(ctx);
+    new PowerUp(240, 400, "speed").render(ctx);
+    new Goal(2000, 420).render(ctx);
+
+    return (
+      ctx.drawnFrames().join(" ") ===
+      [
+        frameRect("coin_0"),
+        frameRect("powerup_speed_0"),
+        frameRect("goal_flag_0"),
+      ].join(" ")
+    );
+  });
+
+  test("Types without sprites keep their shapes", () => {
+    const ctx = createMockContext();
+    new PowerUp(240, 400, "mystery").render(ctx);
+    const door = new Goal(2000, 420);
+    door.setType("door");
+    door.render(ctx);
+    new Checkpoint(600, 420).render(ctx);
+
+    return ctx.count("drawImage") === 0 && ctx.count("fillRect") > 0;
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Node.js test for the procedural stage generator
+ * Tests seed reproducibility, jump-reach limits, item placement and that
+ * a simple running-and-jumping bot can clear generated stages
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runFrames,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+// Power types PowerUp items support
+const POWER_TYPES = ["invincible", "speed", "jump", "strength"];
+
+/**
+ * Get the ground segments of a generated stage, left to right
+ */
+function getGroundSegments(stageData) {
+  return stageData.platforms
+    .filter(
+      (platform) =>
+        platform.type === "solid" &&
+        platform.position.y + platform.size.height === stageData.height
+    )
+    .sort((a, b) => a.position.x - b.position.x);
+}
+
+/**
+ * Check whether two rectangles overlap
+ */
+function overlaps(a, aSize, b, bSize) {
+  return (
+    a.x < b.x + bSize.width &&
+    a.x + aSize.width > b.x &&
+    a.y < b.y + bSize.height &&
+    a.y + aSize.height > b.y
+  );
+}
+
+/**
+ * Create a headless engine with the level editor open
+ */
+async function openEditor() {
+  const engine = await loadHeadlessEngine();
+  engine.sceneManager.changeScene("editor");
+  runFrames(engine, 15); // Wait out the editor's input delay
+  return { engine, editor: engine.sceneManager.getScene("editor") };
+}
+
+/**
+ * Play the current stage with a bot that holds right and jumps when the
+ * ground runs out or a wall is ahead (it walks off passthrough ledges)
+ * @returns {string} - "victory", "dead" or "timeout"
+ */
+function runBot(engine, maxFrames) {
+  const input = engine.inputManager;
+  const platformAt = (x, y) =>
+    engine.currentStage.platforms.find(
+      (platform) =>
+        x >= platform.position.x &&
+        x <= platform.position.x + platform.size.width &&
+        y >= platform.position.y &&
+        y <= platform.position.y + platform.size.height
+    );
+
+  let jumpHeld = false;
+  input.setKeyState("ArrowRight", true);
+  for (let frame = 0; frame < maxFrames; frame++) {
+    const player = engine.player;
+    const front = player.position.x + player.size.width;
+    const feet = player.position.y + player.size.height;
+
+    const ground = platformAt(player.position.x, feet + 4);
+    const edgeAhead =
+      !(ground && ground.type === "passthrough") &&
+      !platformAt(front + 2, feet + 4);
+    const wallAhead = !!platformAt(front + 8, feet - 4);
+    if (player.isOnGround) {
+      // Release for a frame after landing so the next jump is a new press
+      jumpHeld = !jumpHeld && (edgeAhead || wallAhead);
+    }
+    // Jump stays held while airborne for full-height jumps
+    input.setKeyState("Space", jumpHeld);
+
+    engine.stepFrame(FRAME_TIME);
+
+    if (engine.gameState.mode === "victory") return "victory";
+    if (
+      player.isDead ||
+      engine.sceneManager.getCurrentScene().name !== "game"
+    ) {
+      return "dead";
+    }
+  }
+  return "timeout";
+}
+
+// Test suite
+runTestSuite("Stage Generator", async (test) => {
+  const generator = new StageGenerator();
+  const seeds = Array.from({ length: 40 }, (_, index) => index * 7919 + 1);
+  const difficulties = [1, 2, 3, 4, 5];
+
+  await test("Seeded random numbers repeat for the same seed", () => {
+    const first = new SeededRandom(1234);
+    const second = new SeededRandom(1234);
+    const other = new SeededRandom(4321);
+    const a = Array.from({ length: 20 }, () => first.next());
+    const b = Array.from({ length: 20 }, () => second.next());
+    const c = Array.from({ length: 20 }, () => other.next());
+
+    first.setSeed(1234);
+    return (
+      a.join() === b.join() &&
+      a.join() !== c.join() &&
+      a.every((value) => value >= 0 && value < 1) &&
+      first.next() === a[0]
+    );
+  });
+
+  await test("The same seed always produces the same stage", () => {
+    const first = JSON.stringify(generator.generate(1234, 3));
+    const second = JSON.stringify(new StageGenerator().generate(1234, 3));
+    const otherSeed = JSON.stringify(generator.generate(1235, 3));
+    const otherDifficulty = JSON.stringify(generator.generate(1234, 4));
+    return first === second && first !== otherSeed && first !== otherDifficulty;
+  });
+
+  await test("Text seeds and daily seeds are reproducible", () => {
+    const day = new Date(2026, 9, 19, 8, 0);
+    const sameDay = new Date(2026, 9, 19, 23, 30);
+    const nextDay = new Date(2026, 9, 20, 8, 0);
+    return (
+      StageGenerator.normalizeSeed("speedrun") ===
+        StageGenerator.normalizeSeed("speedrun") &&
+      StageGenerator.normalizeSeed("speedrun") !==
+        StageGenerator.normalizeSeed("speedrun2") &&
+      StageGenerator.getDailySeed(day) ===
+        StageGenerator.getDailySeed(sameDay) &&
+      StageGenerator.getDailySeed(day) !==
+        StageGenerator.getDailySeed(nextDay) &&
+      JSON.stringify(generator.generate("speedrun")) ===
+        JSON.stringify(
+          generator.generate(StageGenerator.normalizeSeed("speedrun"))
+        )
+    );
+  });
+
+  await test("Stages contain platforms, gaps, coin arcs, power-ups and a goal", () => {
+    const registry = new StageRegistry();
+    return seeds.slice(0, 10).every((seed) => {
+      const stageData = generator.generate(seed, 3, { id: 20 });
+      const segments = getGroundSegments(stageData);
+      const hasGap = segments.some(
+        (segment, index) =>
+          index > 0 &&
+          segment.position.x >
+            segments[index - 1].position.x + segments[index - 1].size.width
+      );
+      const coins = stageData.items.filter((item) => item.type === "coin");
+      const powerUps = stageData.items.filter(
+        (item) => item.type === "powerup"
+      );
+      return (
+        registry.validateStageData(stageData).isValid &&
+        hasGap &&
+        coins.length > 0 &&
+        powerUps.length > 0 &&
+        powerUps.every((item) => POWER_TYPES.includes(item.powerType)) &&
+        stageData.goal.position.x + stageData.goal.size.width <=
+          stageData.width &&
+        stageData.spawn.x < segments[0].size.width
+      );
+    });
+  });
+
+  await test("Gaps and steps stay within the jump reach", () => {
+    const profile = generator.profile;
+    return difficulties.every((difficulty) =>
+      seeds.every((seed) => {
+        const segments = getGroundSegments(
+          generator.generate(seed, difficulty)
+        );
+        return segments.every((segment, index) => {
+          if (index === 0) return true;
+          const previous = segments[index - 1];
+          const gap =
+            segment.position.x - (previous.position.x + previous.size.width);
+          const rise = previous.position.y - segment.position.y;
+          return (
+            gap >= 0 &&
+            rise < profile.maxJumpHeight &&
+            gap < generator.getJumpReach(rise)
+          );
+        });
+      })
+    );
+  });
+
+  await test("Items never sit inside platforms", () => {
+    return difficulties.every((difficulty) =>
+      seeds.every((seed) => {
+        const stageData = generator.generate(seed, difficulty);
+        return stageData.items.every((item) => {
+          const size =
+            item.type === "coin"
+              ? { width: 20, height: 20 }
+              : { width: 28, height: 28 };
+          return stageData.platforms.every(
+            (platform) =>
+              !overlaps(item.position, size, platform.position, platform.size)
+          );
+        });
+      })
+    );
+  });
+
+  await test("Higher difficulty makes longer stages with wider gaps", () => {
+    const average = (difficulty, measure) =>
+      seeds.reduce(
+        (total, seed) => total + measure(generator.generate(seed, difficulty)),
+        0
+      ) / seeds.length;
+    const widestGap = (stageData) => {
+      const segments = getGroundSegments(stageData);
+      return Math.max(
+        0,
+        ...segments
+          .slice(1)
+          .map(
+            (segment, index) =>
+              segment.position.x -
+              (segments[index].position.x + segments[index].size.width)
+          )
+      );
+    };
+    return (
+      average(5, (stageData) => stageData.width) >
+        average(1, (stageData) => stageData.width) &&
+      average(5, widestGap) > average(1, widestGap)
+    );
+  });
+
+  await test("Jump reach follows the player and physics values", () => {
+    const player = new Player(0, 0);
+    player.jumpPower = 500;
+    const physicsEngine = new PhysicsEngine();
+    const stronger = new StageGenerator({ player, physicsEngine });
+
+    physicsEngine.gravity = 1400;
+    const heavier = new StageGenerator({
+      player: new Player(0, 0),
+      physicsEngine,
+    });
+
+    return (
+      generator.profile.jumpPower === new Player(0, 0).jumpPower &&
+      stronger.getJumpReach(0) > generator.getJumpReach(0) &&
+      stronger.profile.maxJumpHeight > generator.profile.maxJumpHeight &&
+      heavier.getJumpReach(0) < generator.getJumpReach(0) &&
+      generator.getJumpReach(generator.profile.maxJumpHeight + 1) === 0
+    );
+  });
+
+  await test("Editor generates stages from a seed (undoable)", async () => {
+    const { editor } = await openEditor();
+    const before = JSON.stringify(editor.getStageData());
+    editor.generateStage(99, 2);
+
+    const generated = editor.getStageData();
+    const expected = new Stage(
+      EDITOR_STAGE_ID,
+      generator.generate(99, 2, { id: EDITOR_STAGE_ID })
+    ).getStageData();
+    const matches = JSON.stringify(generated) === JSON.stringify(expected);
+    editor.undo();
+
+    return matches && JSON.stringify(editor.getStageData()) === before;
+  });
+
+  await test("A running and jumping bot clears generated stages", async () => {
+    const { engine, editor } = await openEditor();
+    const results = [];
+
+    for (const difficulty of difficulties) {
+      for (const seed of [11, 2026, 31337]) {
+        editor.generateStage(seed, difficulty);
+        // The bot never lets go of right, so a speed boost would carry it
+        // past short landings that a player could steer onto
+        editor.stageData.items = editor.stageData.items.filter(
+          (item) => item.powerType !== "speed"
+        );
+        editor.startPlayTest();
+        results.push(runBot(engine, 60 * 90));
+        engine.endPlayTest("quit");
+      }
+    }
+
+    engine.inputManager.setKeyState("ArrowRight", false);
+    engine.inputManager.setKeyState("Space", false);
+    return results.every((result) => result === "victory");
+  });
+});
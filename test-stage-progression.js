@@ -0,0 +1,143 @@
+/**
+ * Node.js test for stage progression
+ * Clears stages on a headless engine: the next registered stage loads with
+ * the carried totals, a locked next stage returns to the menu, and the last
+ * stage leads to the ending
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runFrames,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { StageRegistry } = loadGameScripts({ quiet: true });
+
+// A tall stage whose spawn sits near the bottom, so an unsnapped camera
+// would open at the top of the stage
+const TALL_HEIGHT = 2400;
+const TALL_SPAWN_Y = 2200;
+
+function rect(x, y, width, height) {
+  return { position: { x, y }, size: { width, height }, type: "solid" };
+}
+
+/**
+ * Built-in stage 1 followed by a tall stage 4 (stage numbers may skip)
+ */
+function createProgressionRegistry() {
+  return new StageRegistry([
+    global.stageRegistry.getStage(1),
+    {
+      id: 4,
+      name: "Tall Finale",
+      width: 800,
+      height: TALL_HEIGHT,
+      timeLimit: 200,
+      spawn: { x: 100, y: TALL_SPAWN_Y },
+      platforms: [rect(0, TALL_SPAWN_Y + 64, 800, 136)],
+      items: [],
+      goal: {
+        position: { x: 700, y: TALL_SPAWN_Y - 16 },
+        size: { width: 60, height: 80 },
+      },
+    },
+  ]);
+}
+
+global.stageRegistry = createProgressionRegistry();
+
+/**
+ * Start a stage from the stage select screen
+ */
+async function startStage(stageNumber) {
+  const engine = await loadHeadlessEngine();
+  engine.sceneManager.getScene("stageSelect").startStage(stageNumber);
+  runFrames(engine, 30); // Let the player settle on the ground
+  return engine;
+}
+
+/**
+ * Put the player on the goal and wait for the stage clear
+ */
+function reachGoal(engine) {
+  const goal = engine.currentStage.goal;
+  engine.player.setPosition(goal.position.x + 10, goal.position.y + 20);
+  runFrames(engine, 2);
+}
+
+// Test suite
+runTestSuite("Stage Progression", async (test) => {
+  await test("The next stage loads with the carried totals", async () => {
+    const engine = await startStage(1);
+    engine.player.score = 500;
+    engine.player.coins = 7;
+    engine.gameState.lives = 2;
+    runFrames(engine, 60); // Use up some of the timer
+    reachGoal(engine);
+    const cleared = engine.gameState.mode === "victory";
+    const finalScore = engine.stageClearData.finalScore;
+
+    engine.proceedToNextStage();
+
+    return (
+      cleared &&
+      engine.gameState.mode === "playing" &&
+      engine.gameState.currentStage === 4 &&
+      engine.currentStage.name === "Tall Finale" &&
+      engine.player.score === finalScore &&
+      engine.player.coins === 7 &&
+      engine.gameState.lives === 2 &&
+      engine.gameState.timeRemaining === 200 &&
+      engine.saveSystem.getSaveData().gameProgress.lastPlayedStage === 4
+    );
+  });
+
+  await test("The camera opens on the next stage's spawn point", async () => {
+    const fresh = await loadHeadlessEngine();
+    fresh.sceneManager.getScene("stageSelect").startStage(4);
+    const freshY = fresh.camera.y;
+
+    const engine = await startStage(1);
+    reachGoal(engine);
+    engine.proceedToNextStage();
+    const nextY = engine.camera.y;
+    runFrames(engine, 1);
+
+    return (
+      freshY === TALL_HEIGHT - 600 &&
+      nextY === freshY &&
+      engine.camera.y === freshY
+    );
+  });
+
+  await test("A locked next stage returns to the menu", async () => {
+    const engine = await startStage(1);
+    reachGoal(engine);
+    // As if the save had lost the unlock
+    engine.saveSystem.saveData.unlockedStages = [1];
+
+    engine.proceedToNextStage();
+    return (
+      engine.gameState.mode === "menu" &&
+      engine.sceneManager.getCurrentScene().name === "menu"
+    );
+  });
+
+  await test("Clearing the last stage shows the ending", async () => {
+    const engine = await startStage(4);
+    engine.player.coins = 3;
+    reachGoal(engine);
+    const finalScore = engine.stageClearData.finalScore;
+
+    engine.proceedToNextStage();
+    const ending = engine.sceneManager.getScene("ending");
+    return (
+      engine.sceneManager.getCurrentScene() === ending &&
+      ending.results.finalStage === 4 &&
+      ending.results.score === finalScore &&
+      ending.results.coins === 3
+    );
+  });
+});
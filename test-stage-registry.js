@@ -0,0 +1,216 @@
+/**
+ * Node.js test for the Stage Registry
+ * Tests stage definitions, Stage loading, item/enemy round-trips and stage
+ * select with non-contiguous stage numbers
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const {
+  StageRegistry,
+  stageRegistry,
+  Platform,
+  Stage,
+  PowerUp,
+  ItemManager,
+  Walker,
+  EnemyManager,
+} = loadGameScripts({ quiet: true });
+
+/**
+ * A registry whose stage numbers skip values, as JSON or Tiled imports can
+ */
+function createGappedRegistry(stageIds) {
+  const registry = new StageRegistry();
+  registry.loadFromJSON(
+    JSON.stringify(
+      stageIds.map((id) => ({
+        id,
+        name: `Imported ${id}`,
+        platforms: [
+          { position: { x: 0, y: 500 }, size: { width: 800, height: 100 } },
+        ],
+      }))
+    )
+  );
+  return registry;
+}
+
+// Test suite
+runTestSuite("Stage Registry", async (test) => {
+  test("All built-in stage definitions are registered", () => {
+    const ids = stageRegistry.getStageIds();
+    return (
+      ids.length === global.STAGE_DEFINITIONS.length &&
+      ids.every((id, index) => id === index + 1)
+    );
+  });
+
+  test("Each stage number loads a different layout", () => {
+    const layouts = stageRegistry.getStageIds().map((id) => {
+      const stage = new Stage(id);
+      return JSON.stringify(stage.getStageData().platforms);
+    });
+    return new Set(layouts).size === layouts.length;
+  });
+
+  test("Stage reads spawn, time limit, music, background and goal", () => {
+    const definition = stageRegistry.getStage(3);
+    const stage = new Stage(3);
+    return (
+      stage.name === definition.name &&
+      stage.getTimeLimit() === definition.timeLimit &&
+      stage.music === definition.music &&
+      stage.backgroundColor === definition.background.color &&
+      stage.getSpawnPoint().x === definition.spawn.x &&
+      stage.goal.position.x === definition.goal.position.x &&
+      stage.goal.type === definition.goal.type
+    );
+  });
+
+  test("Unregistered stages fall back to the default layout", () => {
+    const stage = new Stage(999);
+    return stage.platforms.length > 0 && stage.goal !== null;
+  });
+
+  test("getStageData round-trips through loadStageData", () => {
+    const original = new Stage(2);
+    const data = original.getStageData();
+    const copy = new Stage(1, JSON.parse(JSON.stringify(data)));
+    return (
+      JSON.stringify(copy.getStageData()) === JSON.stringify(data) &&
+      copy.id === 2
+    );
+  });
+
+  test("ItemManager builds items from stage data", () => {
+    const stage = new Stage(1);
+    const itemManager = new ItemManager();
+    const count = itemManager.loadItemData(stage.getItemDefinitions());
+    const powerUps = itemManager.items.filter(
+      (item) => item instanceof PowerUp
+    );
+    return (
+      count === stage.getItemDefinitions().length &&
+      powerUps.length === 4 &&
+      powerUps.some((powerUp) => powerUp.powerType === "strength")
+    );
+  });
+
+  test("ItemManager data round-trips", () => {
+    const stage = new Stage(4);
+    const itemManager = new ItemManager();
+    itemManager.loadItemData(stage.getItemDefinitions());
+    const data = itemManager.getItemData();
+    const reloaded = new ItemManager();
+    reloaded.loadItemData(data);
+    return JSON.stringify(reloaded.getItemData()) === JSON.stringify(data);
+  });
+
+  test("EnemyManager builds enemies from stage data", () => {
+    const stage = new Stage(6);
+    const enemyManager = new EnemyManager();
+    const count = enemyManager.loadEnemyData(stage.getEnemyDefinitions());
+    return (
+      count === stage.getEnemyDefinitions().length &&
+      enemyManager.enemies.every((enemy) => enemy instanceof Walker)
+    );
+  });
+
+  test("Registry returns copies of definitions", () => {
+    const definition = stageRegistry.getStage(1);
+    definition.platforms = [];
+    return stageRegistry.getStage(1).platforms.length > 0;
+  });
+
+  test("Registry loads stages from JSON", () => {
+    const registry = new StageRegistry();
+    const json = JSON.stringify([
+      {
+        id: 1,
+        name: "Custom",
+        platforms: [
+          { position: { x: 0, y: 500 }, size: { width: 800, height: 100 } },
+        ],
+      },
+    ]);
+    const count = registry.loadFromJSON(json);
+    const stage = new Stage(1, registry.getStage(1));
+    return (
+      count === 1 &&
+      stage.name === "Custom" &&
+      stage.platforms.length === 1 &&
+      stage.platforms[0] instanceof Platform
+    );
+  });
+
+  test("Registry rejects invalid definitions", () => {
+    const registry = new StageRegistry();
+    const originalWarn = console.warn;
+    const originalError = console.error;
+    console.warn = () => {};
+    console.error = () => {};
+    const results = [
+      registry.registerStage({ id: 0, platforms: [] }),
+      registry.registerStage({ id: 2 }),
+      registry.registerStage({ id: 3, platforms: [{ position: { x: 0 } }] }),
+      registry.loadFromJSON("not json"),
+    ];
+    console.warn = originalWarn;
+    console.error = originalError;
+    return results.every((result) => !result) && registry.getStageCount() === 0;
+  });
+
+  test("Registry finds the next stage across gaps in the numbering", () => {
+    const registry = createGappedRegistry([25, 3, 10]);
+    return (
+      registry.getStageIds().join(",") === "3,10,25" &&
+      registry.getNextStageId(3) === 10 &&
+      registry.getNextStageId(4) === 10 &&
+      registry.getNextStageId(10) === 25 &&
+      registry.getNextStageId(25) === null &&
+      stageRegistry.getNextStageId(1) === 2
+    );
+  });
+
+  await test("Stage select lists and unlocks non-contiguous stages", async () => {
+    const engine = await loadHeadlessEngine();
+    const builtInRegistry = global.stageRegistry;
+    global.stageRegistry = createGappedRegistry([3, 10, 25]);
+
+    try {
+      const stageSelect = engine.sceneManager.getScene("stageSelect");
+      engine.sceneManager.changeScene("stageSelect");
+      const listed = stageSelect.stageData.map((stage) => stage.number);
+      const firstSelected = stageSelect.selectedStage;
+      const onlyFirstUnlocked = stageSelect.getUnlockedCount() === 1;
+
+      stageSelect.navigateStage(1);
+      const secondSelected = stageSelect.selectedStage;
+      stageSelect.navigateStage(5);
+      const lastSelected = stageSelect.selectedStage;
+
+      // Clearing the first stage unlocks the next registered one
+      engine.getSaveSystem().saveStageCompletion(3, 1000, 60, 5);
+      stageSelect.loadStageData();
+
+      return (
+        listed.join(",") === "3,10,25" &&
+        stageSelect.maxStages === 3 &&
+        firstSelected === 3 &&
+        onlyFirstUnlocked &&
+        secondSelected === 10 &&
+        lastSelected === 25 &&
+        stageSelect.stageData[1].unlocked &&
+        !stageSelect.stageData[2].unlocked &&
+        engine.getNextStageNumber(10) === 25
+      );
+    } finally {
+      global.stageRegistry = builtInRegistry;
+    }
+  });
+});
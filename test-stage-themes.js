@@ -0,0 +1,253 @@
+/**
+ * Node.js test for Stage Themes and Parallax Backgrounds
+ * Tests theme selection from stage data, platform palettes and the
+ * layered background's scrolling
+ */
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+
+const {
+  StageRegistry,
+  stageRegistry,
+  Platform,
+  Block,
+  Stage,
+  STAGE_CLOUD_SCROLL_FACTOR,
+  StartScreen,
+} = loadGameScripts({ quiet: true });
+
+/**
+ * Canvas context stand-in that records drawing calls with the fill color
+ */
+function createRecordingContext(calls) {
+  const state = {
+    createLinearGradient: () => {
+      const gradient = { stops: [] };
+      gradient.addColorStop = (offset, color) =>
+        gradient.stops.push({ offset, color });
+      calls.push({ name: "gradient", gradient });
+      return gradient;
+    },
+  };
+  const context = new Proxy(state, {
+    get(target, property) {
+      if (property in target) return target[property];
+      return (...args) => {
+        calls.push({ name: property, args, fillStyle: target.fillStyle });
+      };
+    },
+    set(target, property, value) {
+      target[property] = value;
+      return true;
+    },
+  });
+  return context;
+}
+
+/**
+ * Minimal stage definition with the given extra fields
+ */
+function createStageData(fields = {}) {
+  return {
+    id: 90,
+    platforms: [
+      { position: { x: 0, y: 500 }, size: { width: 800, height: 100 } },
+      {
+        position: { x: 100, y: 400 },
+        size: { width: 100, height: 20 },
+        color: "#123456",
+      },
+      {
+        position: { x: 300, y: 400 },
+        size: { width: 100, height: 20 },
+        type: "passthrough",
+      },
+      {
+        position: { x: 500, y: 300 },
+        size: { width: 32, height: 32 },
+        type: "brick",
+      },
+    ],
+    ...fields,
+  };
+}
+
+// Test suite
+runTestSuite("Stage Themes", (test) => {
+  test("Built-in stages pick their themes from stage data", () => {
+    const themes = [1, 2, 3, 4, 5, 6].map((id) => new Stage(id).theme);
+    return (
+      themes.join() === "overworld,overworld,underground,night,castle,castle" &&
+      stageRegistry.getStageInfo(3).theme === "underground"
+    );
+  });
+
+  test("Stages without a theme use the overworld", () => {
+    const fromData = new Stage(90, createStageData());
+    const fallback = new Stage(99);
+    return (
+      fromData.theme === DEFAULT_THEME &&
+      fallback.theme === DEFAULT_THEME &&
+      DEFAULT_THEME === "overworld"
+    );
+  });
+
+  test("Platforms use the theme's palette", () => {
+    const stage = new Stage(90, createStageData({ theme: "castle" }));
+    const [ground, custom, passthrough, brick] = stage.platforms;
+    const palette = BACKGROUND_THEMES.castle.platforms;
+
+    return (
+      ground.color === palette.solid &&
+      custom.color === "#123456" &&
+      passthrough.palette === palette &&
+      brick instanceof Block &&
+      brick.color === palette.brick
+    );
+  });
+
+  test("Typed platforms draw in their theme colors", () => {
+    const stage = new Stage(90, createStageData({ theme: "underground" }));
+    const calls = [];
+    const ctx = createRecordingContext(calls);
+    stage.platforms[2].render(ctx);
+
+    const fill = calls.find((call) => call.name === "fillRect");
+    return (
+      fill.fillStyle === BACKGROUND_THEMES.underground.platforms.passthrough &&
+      ctx.strokeStyle === BACKGROUND_THEMES.underground.platforms.outline
+    );
+  });
+
+  test("Changing the theme recolors existing platforms", () => {
+    const stage = new Stage(90, createStageData());
+    stage.addPlatform(new Platform(0, 0, 50, 10, "hazard"));
+    stage.setTheme("night");
+
+    return (
+      stage.platforms.every(
+        (platform) => platform.palette === BACKGROUND_THEMES.night.platforms
+      ) &&
+      stage.blocks[0].color === BACKGROUND_THEMES.night.platforms.brick &&
+      stage.background.themeName === "night"
+    );
+  });
+
+  test("Unknown themes fall back and are rejected by the registry", () => {
+    const stage = new Stage(90, createStageData({ theme: "lava" }));
+    const registry = new StageRegistry();
+
+    return (
+      stage.theme === DEFAULT_THEME &&
+      !registry.registerStage(createStageData({ theme: "lava" })) &&
+      registry.registerStage(createStageData({ theme: "night" }))
+    );
+  });
+
+  test("The theme survives a stage data round trip", () => {
+    const stage = new Stage(90, createStageData({ theme: "night" }));
+    const copy = new Stage(91, stage.getStageData());
+    return copy.theme === "night" && copy.getStageData().theme === "night";
+  });
+
+  test("The stage's background color replaces the top of the sky", () => {
+    const themed = new Stage(90, createStageData({ theme: "castle" }));
+    const tinted = new Stage(
+      91,
+      createStageData({ theme: "castle", background: { color: "#1E1010" } })
+    );
+
+    const colors = [themed, tinted].map((stage) => {
+      const calls = [];
+      stage.renderBackground(createRecordingContext(calls), { x: 0, y: 0 });
+      const sky = calls.find((call) => call.name === "gradient").gradient;
+      return sky.stops.map((stop) => stop.color).join();
+    });
+
+    return (
+      colors[0] === BACKGROUND_THEMES.castle.sky.join() &&
+      colors[1] === `#1E1010,${BACKGROUND_THEMES.castle.sky[1]}`
+    );
+  });
+
+  test("Layers scroll at their own rate behind the camera", () => {
+    const background = new ParallaxBackground("night");
+    const moonX = (camera) => {
+      const calls = [];
+      background.render(createRecordingContext(calls), camera, 800, 600);
+      const moon = calls.find(
+        (call) => call.name === "arc" && call.fillStyle === "#F4F1C9"
+      );
+      return moon.args[0];
+    };
+    const hills = BACKGROUND_THEMES.night.layers[3];
+    const offset = background.getLayerOffset(hills, { x: 1000, y: 200 });
+
+    return (
+      moonX({ x: 0, y: 0 }) === moonX({ x: 5000, y: 0 }) &&
+      offset.x === 1000 * hills.scrollFactor &&
+      offset.y === 200 * hills.scrollFactor
+    );
+  });
+
+  test("Stage clouds scroll slower than the platforms", () => {
+    const stage = new Stage(1);
+    const cloud = stage.backgroundElements[0];
+    const cloudX = (camera) => {
+      const calls = [];
+      stage.renderBackground(createRecordingContext(calls), camera);
+      const translate = calls.find((call) => call.name === "translate");
+      const arc = calls.find(
+        (call) =>
+          call.name === "arc" &&
+          call.fillStyle === BACKGROUND_THEMES.overworld.cloudColor
+      );
+      return { screenX: arc.args[0], translateX: translate.args[0] };
+    };
+
+    const still = cloudX({ x: 0, y: 0 });
+    const moved = cloudX({ x: 1000, y: 0 });
+    return (
+      still.screenX === cloud.x &&
+      moved.screenX === cloud.x - 1000 * STAGE_CLOUD_SCROLL_FACTOR &&
+      moved.translateX === 1000
+    );
+  });
+
+  test("Repeating layers cover the view the same way every time", () => {
+    const background = new ParallaxBackground("overworld");
+    const render = (camera) => {
+      const calls = [];
+      background.render(createRecordingContext(calls), camera, 800, 600);
+      return calls.filter((call) => call.name === "ellipse");
+    };
+
+    const first = render({ x: 12345, y: 0 });
+    const second = render({ x: 12345, y: 0 });
+    const covers = BACKGROUND_THEMES.overworld.layers
+      .filter((layer) => layer.type === "hills")
+      .every((layer) => {
+        const centers = first
+          .filter((call) => call.fillStyle === layer.color)
+          .map((call) => call.args[0]);
+        return (
+          Math.min(...centers) <= 0 &&
+          Math.max(...centers) >= 800 - layer.spacing
+        );
+      });
+
+    return (
+      first.length > 0 &&
+      JSON.stringify(first) === JSON.stringify(second) &&
+      covers
+    );
+  });
+
+  test("Cloud drawing lives only in the background system", () => {
+    return (
+      typeof ParallaxBackground.drawCloud === "function" &&
+      Stage.prototype.drawCloud === undefined &&
+      StartScreen.prototype.drawCloud === undefined
+    );
+  });
+});
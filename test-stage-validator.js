@@ -0,0 +1,315 @@
+/**
+ * Node.js test for the stage validator
+ * Tests each reported layout problem, the jump and dash envelope, and the
+ * validator hooks in the Tiled importer, the level editor and TestRunner
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runFrames,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+global.window = global.window || {};
+require("./js/test-runner.js");
+const TestRunner = global.window.TestRunner;
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+// Ground top and the spawn standing on it
+const GROUND_Y = 500;
+const SPAWN = { x: 64, y: GROUND_Y - 64 };
+
+function rect(x, y, width, height, type = "solid") {
+  return { position: { x, y }, size: { width, height }, type };
+}
+
+function coin(x, y) {
+  return { type: "coin", position: { x, y } };
+}
+
+/**
+ * A flat 1600px stage with the goal near its right end
+ */
+function createStage(overrides = {}) {
+  return {
+    id: 1,
+    name: "Validator Test",
+    width: 1600,
+    height: 600,
+    spawn: { ...SPAWN },
+    platforms: [rect(0, GROUND_Y, 1600, 100)],
+    items: [coin(300, GROUND_Y - 60)],
+    goal: {
+      position: { x: 1400, y: GROUND_Y - 80 },
+      size: { width: 60, height: 80 },
+    },
+    ...overrides,
+  };
+}
+
+/**
+ * Two grounds split by a pit of the given width, goal past the pit
+ */
+function createGapStage(gap) {
+  return createStage({
+    platforms: [
+      rect(0, GROUND_Y, 400, 100),
+      rect(400 + gap, GROUND_Y, 600, 100),
+    ],
+    items: [],
+    goal: {
+      position: { x: 700 + gap, y: GROUND_Y - 80 },
+      size: { width: 60, height: 80 },
+    },
+  });
+}
+
+function issuesOfType(report, type) {
+  return report.issues.filter((issue) => issue.type === type);
+}
+
+/**
+ * Create a headless engine with the level editor open
+ */
+async function openEditor() {
+  const engine = await loadHeadlessEngine();
+  engine.sceneManager.changeScene("editor");
+  runFrames(engine, 15); // Wait out the editor's input delay
+  return { engine, editor: engine.sceneManager.getScene("editor") };
+}
+
+// Test suite
+runTestSuite("Stage Validator", async (test) => {
+  await test("A reachable layout has no problems", () => {
+    const report = new StageValidator().validate(createStage());
+    return (
+      report.isValid &&
+      report.goalReachable &&
+      report.reachableItems === 1 &&
+      report.totalItems === 1
+    );
+  });
+
+  await test("Stage data without platforms is rejected", () => {
+    const report = new StageValidator().validate(null);
+    return !report.isValid && report.issues[0].type === "invalid-stage";
+  });
+
+  await test("A goal above jump height is unreachable", () => {
+    const stageData = createStage({
+      platforms: [rect(0, GROUND_Y, 1600, 100), rect(1300, 380, 200, 32)],
+      goal: { position: { x: 1400, y: 300 }, size: { width: 60, height: 80 } },
+    });
+    const report = new StageValidator().validate(stageData);
+    return (
+      !report.goalReachable &&
+      issuesOfType(report, "unreachable-goal").length === 1
+    );
+  });
+
+  await test("Coins out of reach are reported by index", () => {
+    // The jump apex puts the player's head about 114px above the ground
+    const stageData = createStage({
+      items: [coin(300, GROUND_Y - 100), coin(500, GROUND_Y - 180)],
+    });
+    const unreachable = issuesOfType(
+      new StageValidator().validate(stageData),
+      "unreachable-item"
+    );
+    return unreachable.length === 1 && unreachable[0].index === 1;
+  });
+
+  await test("Overlapping platforms are reported, touching ones are not", () => {
+    const stageData = createStage({
+      platforms: [
+        rect(0, GROUND_Y, 800, 100),
+        rect(800, GROUND_Y, 800, 100), // Touches the first
+        rect(600, 450, 100, 64), // Sinks into the ground
+      ],
+    });
+    const overlaps = issuesOfType(
+      new StageValidator().validate(stageData),
+      "overlapping-platforms"
+    );
+    return (
+      overlaps.length === 1 &&
+      overlaps[0].index === 0 &&
+      overlaps[0].otherIndex === 2
+    );
+  });
+
+  await test("Items inside platforms are embedded, not unreachable", () => {
+    const stageData = createStage({
+      platforms: [rect(0, GROUND_Y, 1600, 100), rect(600, 400, 64, 64)],
+      items: [
+        coin(300, GROUND_Y - 60),
+        coin(620, 420),
+        coin(900, GROUND_Y + 20),
+      ],
+    });
+    const report = new StageValidator().validate(stageData);
+    const embedded = issuesOfType(report, "embedded-item");
+    return (
+      embedded.length === 2 &&
+      embedded[0].index === 1 &&
+      embedded[1].index === 2 &&
+      issuesOfType(report, "unreachable-item").length === 0
+    );
+  });
+
+  await test("A spawn over a pit or inside a platform is reported", () => {
+    const validator = new StageValidator();
+    const overPit = validator.validate(
+      createStage({ platforms: [rect(200, GROUND_Y, 1400, 100)] })
+    );
+    const inside = validator.validate(
+      createStage({
+        platforms: [rect(0, GROUND_Y, 1600, 100), rect(48, 420, 64, 64)],
+      })
+    );
+    return (
+      issuesOfType(overPit, "spawn-not-over-ground").length === 1 &&
+      !overPit.goalReachable &&
+      issuesOfType(inside, "spawn-not-over-ground").length === 1 &&
+      issuesOfType(inside, "spawn-not-over-ground")[0].message.includes(
+        "platform 1"
+      )
+    );
+  });
+
+  await test("A dash carries the player over wider pits than a jump", () => {
+    const noDash = new Player(0, 0);
+    noDash.dashSpeed = noDash.moveSpeed;
+
+    const jumpGap = createGapStage(160);
+    const dashGap = createGapStage(200);
+    const wideGap = createGapStage(300);
+    return (
+      new StageValidator().validate(jumpGap).isValid &&
+      new StageValidator({ player: noDash }).validate(jumpGap).isValid &&
+      new StageValidator().validate(dashGap).isValid &&
+      !new StageValidator({ player: noDash }).validate(dashGap).isValid &&
+      !new StageValidator().validate(wideGap).goalReachable
+    );
+  });
+
+  await test("Reach follows the player's jump power and gravity", () => {
+    const stageData = createStage({
+      items: [coin(500, GROUND_Y - 180)],
+    });
+    const highJumper = new Player(0, 0);
+    highJumper.jumpPower = 560;
+    const lowGravity = new PhysicsEngine();
+    lowGravity.gravity = 500;
+
+    const profile = StageValidator.getMovementProfile(highJumper);
+    return (
+      !new StageValidator().validate(stageData).isValid &&
+      new StageValidator({ player: highJumper }).validate(stageData).isValid &&
+      new StageValidator({ physicsEngine: lowGravity }).validate(stageData)
+        .isValid &&
+      profile.maxJumpHeight === (560 * 560) / (2 * 980)
+    );
+  });
+
+  await test("Built-in stages have a reachable goal", () => {
+    const validator = new StageValidator();
+    return stageRegistry
+      .getStageIds()
+      .every(
+        (stageId) =>
+          validator.validate(stageRegistry.getStage(stageId)).goalReachable
+      );
+  });
+
+  await test("Generated stages validate clean", () => {
+    const generator = new StageGenerator();
+    const validator = new StageValidator();
+    return [1, 3, 5].every(
+      (difficulty) =>
+        validator.validate(generator.generate(2026, difficulty)).isValid
+    );
+  });
+
+  await test("The Tiled importer adds layout problems to its warnings", () => {
+    const map = {
+      orientation: "orthogonal",
+      width: 20,
+      height: 6,
+      tilewidth: 32,
+      tileheight: 32,
+      tilesets: [{ firstgid: 1, name: "terrain" }],
+      layers: [
+        {
+          type: "tilelayer",
+          name: "Ground",
+          width: 20,
+          height: 6,
+          data: new Array(120)
+            .fill(0)
+            .map((gid, index) => (index >= 100 ? 1 : 0)),
+        },
+        {
+          type: "objectgroup",
+          name: "Objects",
+          objects: [
+            { id: 1, type: "spawn", x: 40, y: 120, point: true },
+            { id: 2, type: "coin", x: 200, y: 166 },
+            { id: 3, type: "goal", x: 560, y: 80, width: 40, height: 80 },
+          ],
+        },
+      ],
+    };
+    const { stageData, warnings } = new TiledImporter().importJSON(map);
+    return (
+      stageData !== null &&
+      warnings.length === 1 &&
+      warnings[0].includes("is inside platform 0")
+    );
+  });
+
+  await test("The editor checks the stage it is editing", async () => {
+    const { engine, editor } = await openEditor();
+    const messages = [];
+    editor.showMessage = (text, type) => messages.push({ text, type });
+
+    editor.loadStageData(createGapStage(300));
+    engine.inputManager.setKeyState("KeyV", true);
+    engine.stepFrame(FRAME_TIME);
+    engine.inputManager.setKeyState("KeyV", false);
+    engine.stepFrame(FRAME_TIME);
+    const checked = messages.pop();
+
+    editor.saveStage();
+    const saved = messages.pop();
+
+    editor.loadStageData(createStage());
+    const report = editor.validateStage();
+    const clean = messages.pop();
+
+    return (
+      checked.type === "warning" &&
+      checked.text.startsWith("1 layout problems: The goal") &&
+      saved.text === "Stage saved (1 layout problems)" &&
+      report.isValid &&
+      clean.text === "No layout problems"
+    );
+  });
+
+  await test("TestRunner validates registered stages", async () => {
+    const engine = await loadHeadlessEngine();
+    const runner = new TestRunner(engine);
+
+    const single = runner.validateStages(2);
+    const unknown = runner.validateStages([99]);
+    return (
+      single.total === 1 &&
+      single.stages[0].stageId === 2 &&
+      single.passed === 1 &&
+      unknown.total === 0
+    );
+  });
+});
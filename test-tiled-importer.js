@@ -0,0 +1,346 @@
+/**
+ * Node.js test for the Tiled importer
+ * Tests tile layer merging, object mapping and the JSON and TMX readers
+ */
+
+const { loadGameScripts, runTestSuite } = require("./js/headless-loader.js");
+console.error = () => {};
+
+const { StageRegistry, TiledImporter, Platform, Stage } = loadGameScripts({
+  quiet: true,
+});
+
+// 10x6 map of 32px tiles: gid 1 is solid, gid 2 is a passthrough tile.
+// The last tile is gid 1 flipped horizontally.
+const FLIPPED_SOLID = 0x80000001;
+const TILE_DATA = [
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 2, 2, 2, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 1, 1, 0],
+  [1, 1, 1, 1, 0, 0, 0, 1, 1, 0],
+  [1, 1, 1, 1, 0, 0, 0, 1, 1, FLIPPED_SOLID],
+].flat();
+
+const EXPECTED_PLATFORMS = [
+  { x: 64, y: 64, width: 96, height: 32, type: "passthrough" },
+  { x: 224, y: 96, width: 64, height: 64, type: "solid" },
+  { x: 0, y: 128, width: 128, height: 64, type: "solid" },
+  { x: 224, y: 160, width: 96, height: 32, type: "solid" },
+];
+
+function createJSONMap() {
+  return {
+    orientation: "orthogonal",
+    width: 10,
+    height: 6,
+    tilewidth: 32,
+    tileheight: 32,
+    properties: [
+      { name: "name", type: "string", value: "Designer Map" },
+      { name: "theme", type: "string", value: "underground" },
+      { name: "timeLimit", type: "int", value: 120 },
+    ],
+    tilesets: [
+      {
+        firstgid: 1,
+        name: "terrain",
+        tiles: [
+          {
+            id: 1,
+            properties: [{ name: "passthrough", type: "bool", value: true }],
+          },
+        ],
+      },
+    ],
+    layers: [
+      {
+        type: "tilelayer",
+        name: "Ground",
+        width: 10,
+        height: 6,
+        data: TILE_DATA,
+      },
+      {
+        type: "objectgroup",
+        name: "Objects",
+        objects: [
+          { id: 1, name: "", type: "spawn", x: 40, y: 100, point: true },
+          { id: 2, name: "", type: "coin", x: 100, y: 40 },
+          { id: 3, name: "", type: "coin", x: 140, y: 60, height: 20, gid: 3 },
+          {
+            id: 4,
+            name: "",
+            type: "powerup",
+            x: 180,
+            y: 40,
+            properties: [
+              { name: "powerType", type: "string", value: "speed" },
+              { name: "duration", type: "int", value: 8000 },
+            ],
+          },
+          {
+            id: 5,
+            name: "goal",
+            type: "",
+            x: 280,
+            y: 16,
+            width: 40,
+            height: 80,
+          },
+          { id: 6, name: "", type: "goomba", x: 200, y: 100 },
+        ],
+      },
+    ],
+  };
+}
+
+function createTMXMap(encoding = "csv") {
+  let data;
+  if (encoding === "csv") {
+    data = `<data encoding="csv">\n${TILE_DATA.join(",")}\n</data>`;
+  } else if (encoding === "base64") {
+    const bytes = Buffer.from(new Uint32Array(TILE_DATA).buffer);
+    data = `<data encoding="base64">\n   ${bytes.toString(
+      "base64"
+    )}\n  </data>`;
+  } else {
+    data = `<data>${TILE_DATA.map((gid) => `<tile gid="${gid}"/>`).join(
+      ""
+    )}</data>`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.10" orientation="orthogonal" renderorder="right-down" width="10" height="6" tilewidth="32" tileheight="32" infinite="0">
+ <properties>
+  <property name="name" value="Designer Map"/>
+  <property name="theme" value="underground"/>
+  <property name="timeLimit" type="int" value="120"/>
+ </properties>
+ <tileset firstgid="1" name="terrain" tilewidth="32" tileheight="32" tilecount="4" columns="2">
+  <image source="terrain.png" width="64" height="64"/>
+  <tile id="1">
+   <properties>
+    <property name="passthrough" type="bool" value="true"/>
+   </properties>
+  </tile>
+ </tileset>
+ <layer id="1" name="Ground" width="10" height="6">
+  ${data}
+ </layer>
+ <!-- Objects placed by the designer -->
+ <objectgroup id="2" name="Objects">
+  <object id="1" type="spawn" x="40" y="100"><point/></object>
+  <object id="2" type="coin" x="100" y="40"/>
+  <object id="3" type="coin" gid="3" x="140" y="60" width="20" height="20"/>
+  <object id="4" type="powerup" x="180" y="40">
+   <properties>
+    <property name="powerType" value="speed"/>
+    <property name="duration" type="int" value="8000"/>
+   </properties>
+  </object>
+  <object id="5" name="goal" x="280" y="16" width="40" height="80"/>
+  <object id="6" type="goomba" x="200" y="100"/>
+ </objectgroup>
+</map>`;
+}
+
+/**
+ * Warnings from the importer itself, without the stage validator's report
+ */
+function importerWarnings(warnings, stageData) {
+  const layoutIssues = new StageValidator()
+    .validate(stageData)
+    .issues.map((issue) => issue.message);
+  return warnings.filter((warning) => !layoutIssues.includes(warning));
+}
+
+function platformsMatch(platforms) {
+  return (
+    platforms.length === EXPECTED_PLATFORMS.length &&
+    platforms.every((platform, index) => {
+      const expected = EXPECTED_PLATFORMS[index];
+      return (
+        platform.position.x === expected.x &&
+        platform.position.y === expected.y &&
+        platform.size.width === expected.width &&
+        platform.size.height === expected.height &&
+        platform.type === expected.type
+      );
+    })
+  );
+}
+
+// Test suite
+runTestSuite("Tiled Importer", (test) => {
+  test("Tile layers become merged platforms", () => {
+    const { stageData } = new TiledImporter().importJSON(createJSONMap());
+    return (
+      platformsMatch(stageData.platforms) &&
+      stageData.width === 320 &&
+      stageData.height === 192
+    );
+  });
+
+  test("Tiles with the passthrough property become passthrough platforms", () => {
+    const map = createJSONMap();
+    // Two stacked rows of passthrough tiles stay separate ledges
+    map.layers[0].data = TILE_DATA.map((gid, index) =>
+      index >= 10 && index < 15 && index % 10 >= 2 ? 2 : gid
+    );
+    const { stageData } = new TiledImporter().importJSON(map);
+    const passthrough = stageData.platforms.filter(
+      (platform) => platform.type === "passthrough"
+    );
+    return (
+      passthrough.length === 2 &&
+      passthrough.every((platform) => platform.size.height === 32) &&
+      passthrough[0].position.y === 32 &&
+      passthrough[1].position.y === 64
+    );
+  });
+
+  test("Objects map to the spawn, coins, power-ups and goal", () => {
+    const { stageData } = new TiledImporter().importJSON(createJSONMap());
+    const [coin, tileCoin, powerUp] = stageData.items;
+    return (
+      stageData.spawn.x === 40 &&
+      stageData.spawn.y === 100 &&
+      stageData.items.length === 3 &&
+      coin.type === "coin" &&
+      coin.position.x === 100 &&
+      coin.position.y === 40 &&
+      tileCoin.position.y === 40 &&
+      powerUp.type === "powerup" &&
+      powerUp.powerType === "speed" &&
+      powerUp.duration === 8000 &&
+      stageData.goal.position.x === 280 &&
+      stageData.goal.size.width === 40 &&
+      stageData.goal.size.height === 80
+    );
+  });
+
+  test("Unknown object types are reported as warnings", () => {
+    const result = new TiledImporter().importJSON(createJSONMap());
+    const { stageData } = result;
+    const warnings = importerWarnings(result.warnings, stageData);
+    return (
+      warnings.length === 1 &&
+      warnings[0].includes('"goomba"') &&
+      warnings[0].includes("Object 6") &&
+      stageData.enemies.length === 0
+    );
+  });
+
+  test("Map properties fill in the stage fields", () => {
+    const { stageData } = new TiledImporter().importJSON(
+      JSON.stringify(createJSONMap()),
+      { id: 7 }
+    );
+    return (
+      stageData.id === 7 &&
+      stageData.name === "Designer Map" &&
+      stageData.theme === "underground" &&
+      stageData.timeLimit === 120
+    );
+  });
+
+  test("TMX maps import the same as JSON maps", () => {
+    const importer = new TiledImporter();
+    const fromJSON = importer.importJSON(createJSONMap());
+    const results = ["csv", "base64", "xml"].map((encoding) =>
+      importer.importMap(createTMXMap(encoding))
+    );
+    return results.every(
+      (result) =>
+        JSON.stringify(result.stageData) ===
+          JSON.stringify(fromJSON.stageData) &&
+        JSON.stringify(result.warnings) === JSON.stringify(fromJSON.warnings)
+    );
+  });
+
+  test("Hidden and non-colliding tile layers are skipped", () => {
+    const map = createJSONMap();
+    map.layers.push(
+      {
+        type: "tilelayer",
+        name: "Hidden",
+        visible: false,
+        width: 10,
+        height: 6,
+        data: TILE_DATA.map(() => 1),
+      },
+      {
+        type: "tilelayer",
+        name: "Scenery",
+        properties: [{ name: "collides", type: "bool", value: false }],
+        width: 10,
+        height: 6,
+        data: TILE_DATA.map(() => 1),
+      }
+    );
+    const { stageData } = new TiledImporter().importJSON(map);
+    return platformsMatch(stageData.platforms);
+  });
+
+  test("Unsupported data and missing objects are reported", () => {
+    const map = createJSONMap();
+    map.layers[0].encoding = "base64";
+    map.layers[0].compression = "zlib";
+    map.layers[0].data = "eJxjYGBgAAAABAAB";
+    map.layers[1].objects = [];
+    map.tilesets.push({ firstgid: 5, source: "enemies.tsx" });
+
+    const result = new TiledImporter().importJSON(map);
+    const { stageData } = result;
+    const warnings = importerWarnings(result.warnings, stageData);
+    return (
+      stageData.platforms.length === 0 &&
+      stageData.spawn === undefined &&
+      stageData.goal === undefined &&
+      warnings.length === 4 &&
+      warnings.some((warning) => warning.includes("zlib")) &&
+      warnings.some((warning) => warning.includes("enemies.tsx"))
+    );
+  });
+
+  test("Unreadable maps return no stage data", () => {
+    const importer = new TiledImporter();
+    const badJSON = importer.importMap("{ not json");
+    const noMap = importer.importMap("<tileset/>");
+    const isometric = importer.importJSON({
+      ...createJSONMap(),
+      orientation: "isometric",
+    });
+    return [badJSON, noMap, isometric].every(
+      (result) => result.stageData === null && result.warnings.length === 1
+    );
+  });
+
+  test("Imported stages load into Stage", () => {
+    const { stageData } = new TiledImporter().importJSON(createJSONMap(), {
+      id: 50,
+    });
+    const stage = new Stage(50, stageData);
+    return (
+      stage.platforms.length === EXPECTED_PLATFORMS.length &&
+      stage.platforms.every((platform) => platform instanceof Platform) &&
+      stage.platforms[0].type === "passthrough" &&
+      stage.getSpawnPoint().x === 40 &&
+      stage.goal.position.x === 280
+    );
+  });
+
+  test("The registry registers imported maps", () => {
+    const registry = new StageRegistry();
+    const imported = registry.loadFromTiled(createTMXMap(), { id: 12 });
+    const failed = registry.loadFromTiled("{ not json", { id: 13 });
+    return (
+      imported.stageId === 12 &&
+      importerWarnings(imported.warnings, registry.getStage(12)).length === 1 &&
+      registry.getStageInfo(12).name === "Designer Map" &&
+      failed.stageId === null &&
+      !registry.hasStage(13)
+    );
+  });
+});
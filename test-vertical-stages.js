@@ -0,0 +1,280 @@
+/**
+ * Node.js test for vertical stages
+ * Tests tall stages, the vertical camera dead zone, looking up and down,
+ * and per-stage death planes
+ */
+
+const {
+  loadGameScripts,
+  loadHeadlessEngine,
+  runFrames,
+  holdKeys,
+  runTestSuite,
+} = require("./js/headless-loader.js");
+
+const { GAME_CONFIG } = loadGameScripts({ quiet: true });
+
+const FRAME_TIME = GAME_CONFIG.fixedTimeStep;
+
+// Tower layout: ground at the bottom, a wide ledge halfway up, the goal on
+// a ledge near the top
+const TOWER_HEIGHT = 1800;
+const TOWER_GROUND_Y = 1700;
+const TOWER_LEDGE_Y = 1000;
+
+function rect(x, y, width, height, type = "solid") {
+  return { position: { x, y }, size: { width, height }, type };
+}
+
+function createTowerStage(overrides = {}) {
+  return {
+    id: 40,
+    name: "Test Tower",
+    width: 800,
+    height: TOWER_HEIGHT,
+    spawn: { x: 100, y: TOWER_GROUND_Y - 64 },
+    platforms: [
+      rect(0, TOWER_GROUND_Y, 800, 100),
+      rect(100, TOWER_LEDGE_Y, 600, 32),
+      rect(500, 300, 300, 32),
+    ],
+    items: [],
+    goal: { position: { x: 700, y: 220 }, size: { width: 60, height: 80 } },
+    ...overrides,
+  };
+}
+
+/**
+ * Create a headless engine playing the given stage
+ */
+async function playStage(stageData) {
+  const engine = await loadHeadlessEngine();
+  engine.startPlayTest(stageData);
+  runFrames(engine, 30); // Let the player settle on the ground
+  return engine;
+}
+
+/**
+ * Put the player on the middle ledge and let the camera catch up
+ */
+function standOnLedge(engine) {
+  engine.player.setPosition(400, TOWER_LEDGE_Y - 32);
+  engine.camera.snapToTarget();
+  runFrames(engine, 30);
+}
+
+// Test suite
+runTestSuite("Vertical Stages", async (test) => {
+  await test("Stages keep their height and death plane", () => {
+    const tower = new Stage(40, createTowerStage());
+    const raised = new Stage(40, createTowerStage({ deathPlane: 1200 }));
+    const copy = new Stage(
+      40,
+      JSON.parse(JSON.stringify(raised.getStageData()))
+    );
+    return (
+      tower.height === TOWER_HEIGHT &&
+      tower.getDeathPlane() === TOWER_HEIGHT &&
+      new Stage(1).getDeathPlane() === 600 &&
+      raised.getDeathPlane() === 1200 &&
+      copy.getDeathPlane() === 1200
+    );
+  });
+
+  await test("The registry rejects a death plane that is not a number", () => {
+    const registry = new StageRegistry();
+    return (
+      registry.registerStage(createTowerStage({ deathPlane: 1200 })) &&
+      !registry.registerStage(createTowerStage({ deathPlane: "low" }))
+    );
+  });
+
+  await test("Tall stages start with the view on the spawn point", async () => {
+    const engine = await playStage(createTowerStage());
+    const camera = engine.camera;
+    const playerScreenY = engine.player.position.y - camera.y;
+    return (
+      camera.bounds.bottom === TOWER_HEIGHT - 600 &&
+      camera.y === camera.bounds.bottom &&
+      playerScreenY > 0 &&
+      playerScreenY < 600
+    );
+  });
+
+  await test("Standard stages never scroll vertically", async () => {
+    const engine = await playStage(new Stage(1).getStageData());
+    let maxCameraY = 0;
+    engine.inputManager.setKeyState("ArrowRight", true);
+    for (let frame = 0; frame < 120; frame++) {
+      engine.inputManager.setKeyState("Space", frame % 40 < 20);
+      engine.stepFrame(FRAME_TIME);
+      maxCameraY = Math.max(maxCameraY, Math.abs(engine.camera.y));
+    }
+    return engine.camera.bounds.bottom === 0 && maxCameraY === 0;
+  });
+
+  await test("Jumps stay inside the vertical dead zone", async () => {
+    const engine = await playStage(createTowerStage());
+    standOnLedge(engine);
+    const restingY = engine.camera.y;
+
+    let largestShift = 0;
+    let rose = false;
+    engine.inputManager.setKeyState("Space", true);
+    for (let frame = 0; frame < 60; frame++) {
+      engine.stepFrame(FRAME_TIME);
+      rose = rose || engine.player.position.y < TOWER_LEDGE_Y - 100;
+      largestShift = Math.max(
+        largestShift,
+        Math.abs(engine.camera.y - restingY)
+      );
+    }
+    engine.inputManager.setKeyState("Space", false);
+    return rose && largestShift === 0;
+  });
+
+  await test("The camera follows climbs and falls", async () => {
+    const engine = await playStage(createTowerStage());
+    const startY = engine.camera.y;
+
+    // Up onto the middle ledge, then drop back off it to the ground
+    engine.player.setPosition(400, TOWER_LEDGE_Y - 32);
+    runFrames(engine, 90);
+    const climbedY = engine.camera.y;
+
+    let onScreen = true;
+    engine.inputManager.setKeyState("ArrowLeft", true);
+    for (let frame = 0; frame < 240; frame++) {
+      engine.stepFrame(FRAME_TIME);
+      const screenY = engine.player.position.y - engine.camera.y;
+      onScreen = onScreen && screenY >= 0 && screenY <= 600 - 32;
+    }
+    engine.inputManager.setKeyState("ArrowLeft", false);
+    runFrames(engine, 60);
+
+    return (
+      climbedY < startY - 300 &&
+      onScreen &&
+      engine.player.position.y === TOWER_GROUND_Y - 32 &&
+      Math.abs(engine.camera.y - startY) < 1
+    );
+  });
+
+  await test("Holding block while standing looks down", async () => {
+    const engine = await playStage(createTowerStage());
+    standOnLedge(engine);
+    const restingY = engine.camera.y;
+
+    holdKeys(engine, ["ArrowDown"], 10);
+    const early = engine.camera.y;
+    engine.inputManager.setKeyState("ArrowDown", true);
+    runFrames(engine, 80);
+    const looking = engine.camera.y;
+    engine.inputManager.setKeyState("ArrowDown", false);
+    runFrames(engine, 90);
+
+    return (
+      early === restingY &&
+      Math.abs(looking - (restingY + engine.camera.look.distance)) < 2 &&
+      engine.camera.y === restingY
+    );
+  });
+
+  await test("Holding up on the ground looks up without jumping", async () => {
+    const engine = await playStage(createTowerStage());
+    standOnLedge(engine);
+    const restingY = engine.camera.y;
+    const standingY = engine.player.position.y;
+
+    let stayedDown = true;
+    engine.inputManager.setKeyState("ArrowUp", true);
+    for (let frame = 0; frame < 90; frame++) {
+      engine.stepFrame(FRAME_TIME);
+      stayedDown =
+        stayedDown &&
+        engine.player.isOnGround &&
+        engine.player.position.y === standingY;
+    }
+    const looking = engine.camera.y;
+    engine.inputManager.setKeyState("ArrowUp", false);
+
+    return (
+      stayedDown &&
+      Math.abs(looking - (restingY - engine.camera.look.distance)) < 2
+    );
+  });
+
+  await test("Walking cancels the look", async () => {
+    const engine = await playStage(createTowerStage());
+    standOnLedge(engine);
+    const restingY = engine.camera.y;
+
+    holdKeys(engine, ["ArrowDown", "ArrowRight"], 90);
+    return engine.player.lookDirection === 0 && engine.camera.y === restingY;
+  });
+
+  await test("Falling past the stage's death plane is a pit death", async () => {
+    // A ledge near the top ends at x 300; below it the stage goes on to
+    // y 1800
+    const pitStage = (deathPlane) =>
+      createTowerStage({
+        platforms: [rect(0, 600, 300, 32)],
+        spawn: { x: 100, y: 536 },
+        deathPlane,
+      });
+
+    // Fall from above the pit and note where the player died
+    const fallDeathY = async (deathPlane) => {
+      const engine = await playStage(pitStage(deathPlane));
+      engine.player.setPosition(400, 500);
+      for (let frame = 0; frame < 240 && !engine.deathState; frame++) {
+        engine.stepFrame(FRAME_TIME);
+      }
+      return engine.deathState && engine.deathState.cause === "pit"
+        ? engine.player.position.y
+        : null;
+    };
+
+    const raisedY = await fallDeathY(1200);
+    const bottomY = await fallDeathY(undefined);
+    return (
+      raisedY >= 1200 &&
+      raisedY < 1220 &&
+      bottomY >= TOWER_HEIGHT &&
+      bottomY < TOWER_HEIGHT + 20
+    );
+  });
+
+  await test("The stage validator uses the death plane", () => {
+    // The goal sits on a floor below the death plane
+    const stageData = createTowerStage({
+      platforms: [rect(0, 600, 300, 32), rect(400, 1500, 400, 32)],
+      spawn: { x: 100, y: 536 },
+      goal: { position: { x: 600, y: 1420 }, size: { width: 60, height: 80 } },
+    });
+    const validator = new StageValidator();
+    return (
+      validator.validate(stageData).goalReachable &&
+      !validator.validate({ ...stageData, deathPlane: 1200 }).goalReachable
+    );
+  });
+
+  await test("Tiled maps can set the death plane", () => {
+    const map = {
+      orientation: "orthogonal",
+      width: 10,
+      height: 40,
+      tilewidth: 32,
+      tileheight: 32,
+      properties: [{ name: "deathPlane", type: "int", value: 1000 }],
+      tilesets: [{ firstgid: 1, name: "terrain" }],
+      layers: [],
+    };
+    const { stageData } = new TiledImporter().importJSON(map);
+    return (
+      stageData.height === 1280 &&
+      stageData.deathPlane === 1000 &&
+      new Stage(1, stageData).getDeathPlane() === 1000
+    );
+  });
+});
@@ -67,7 +67,8 @@ class Task6ImplementationVerifier {
     this.totalTests++;
 
     const jumpKeys = this.inputManager.getKeyBindings("jump");
-    const expectedKeys = ["Space", "ArrowUp", "KeyW", "Enter"];
+    // ↑ and W are bound to lookUp, not jump
+    const expectedKeys = ["Space", "Enter", "GamepadA"];
 
     console.log("Current jump key bindings:", jumpKeys);
     console.log("Expected jump key bindings:", expectedKeys);